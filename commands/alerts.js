@@ -0,0 +1,126 @@
+const { SlashCommandBuilder, EmbedBuilder, ChannelType } = require('discord.js');
+const { checkPermissionSilent } = require('../utils/permissions');
+const { recordAudit, AUDIT_OUTCOME } = require('../utils/audit');
+const { getAlertSettings, updateAlertSettings, clearAlertSettings } = require('../utils/alert-routing');
+
+function describeSettings(settings) {
+    if (!settings || (!settings.channelId && !settings.pingRoleId)) {
+        return 'Alerts are DMed to the watch starter and subscribers only.';
+    }
+
+    let description = `**Alerts channel:** ${settings.channelId ? `<#${settings.channelId}>` : 'None'}`;
+    description += `\n**Ping role:** ${settings.pingRoleId ? `<@&${settings.pingRoleId}>` : 'None'}`;
+    description += `\n**DM role members:** ${settings.dmRoleMembers ? 'Yes' : 'No'}`;
+    return description;
+}
+
+async function handleView(interaction) {
+    const embed = new EmbedBuilder()
+        .setTitle('🔔 Alert Routing')
+        .setColor(0x0099FF)
+        .setDescription(describeSettings(getAlertSettings(interaction.guild.id)))
+        .setFooter({ text: 'Officers whose DMs fail are pinged in the alerts channel' })
+        .setTimestamp();
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+async function handleSet(interaction) {
+    const channel = interaction.options.getChannel('channel');
+    const role = interaction.options.getRole('role');
+    const dmRoleMembers = interaction.options.getBoolean('dm-role-members');
+
+    if (!channel && !role && dmRoleMembers === null) {
+        await interaction.reply({
+            content: '⚠️ Provide at least one of `channel`, `role` or `dm-role-members`.',
+            ephemeral: true
+        });
+        return;
+    }
+
+    const settings = updateAlertSettings(interaction.guild.id, {
+        channelId: channel ? channel.id : undefined,
+        pingRoleId: role ? role.id : undefined,
+        dmRoleMembers: dmRoleMembers !== null ? dmRoleMembers : undefined
+    }, interaction.user.id);
+
+    let content = `✅ Alert routing updated.\n${describeSettings(settings)}`;
+    if (settings.dmRoleMembers && !settings.pingRoleId) {
+        content += '\n⚠️ `dm-role-members` has no effect until a role is set.';
+    }
+
+    await interaction.reply({ content, ephemeral: true });
+    console.log(`🔔 ${interaction.user.tag} updated alert routing`);
+    recordAudit(interaction, {
+        action: 'set',
+        outcome: AUDIT_OUTCOME.SUCCESS,
+        details: `channel=${settings.channelId || 'none'}, role=${settings.pingRoleId || 'none'}, dm=${settings.dmRoleMembers}`
+    });
+}
+
+async function handleClear(interaction) {
+    const cleared = clearAlertSettings(interaction.guild.id);
+
+    await interaction.reply({
+        content: cleared
+            ? '🗑️ Alert routing cleared. Alerts will be DMed only.'
+            : 'ℹ️ No alert routing was configured.',
+        ephemeral: true
+    });
+    console.log(`🔔 ${interaction.user.tag} cleared alert routing`);
+    recordAudit(interaction, { action: 'clear', outcome: AUDIT_OUTCOME.SUCCESS });
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('alerts')
+        .setDescription('Configure where watch alerts are delivered')
+        .addSubcommand(subcommand =>
+            subcommand.setName('view')
+                .setDescription('Show the current alert routing')
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('set')
+                .setDescription('Set the alerts channel, ping role or role DMs')
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel that receives every watch alert')
+                        .setRequired(false)
+                        .addChannelTypes(ChannelType.GuildText)
+                )
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('Role pinged with each alert')
+                        .setRequired(false)
+                )
+                .addBooleanOption(option =>
+                    option.setName('dm-role-members')
+                        .setDescription('Also DM every member of the ping role')
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('clear')
+                .setDescription('Remove alert routing and DM officers only')
+        ),
+
+    async execute(interaction) {
+        if (await checkPermissionSilent(interaction, 'admin')) {
+            return; // Silent denial
+        }
+
+        const subcommand = interaction.options.getSubcommand();
+
+        switch (subcommand) {
+            case 'view':
+                await handleView(interaction);
+                break;
+            case 'set':
+                await handleSet(interaction);
+                break;
+            case 'clear':
+                await handleClear(interaction);
+                break;
+        }
+    },
+};
@@ -0,0 +1,121 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { checkPermissionSilent } = require('../utils/permissions');
+const { queryAudit, formatEvent, recordAudit, AUDIT_OUTCOME } = require('../utils/audit');
+
+const DEFAULT_RANGE_DAYS = 7;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Parse a YYYY-MM-DD option as a UTC date, or null if missing/invalid
+function parseDate(value) {
+    if (!value || !DATE_PATTERN.test(value)) return null;
+    const date = new Date(`${value}T00:00:00Z`);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('audit')
+        .setDescription('Search the audit log by officer or target')
+        .addUserOption(option =>
+            option.setName('officer')
+                .setDescription('Only show actions by this officer')
+                .setRequired(false)
+        )
+        .addStringOption(option =>
+            option.setName('target')
+                .setDescription('Only show actions against this Roblox username')
+                .setRequired(false)
+        )
+        .addStringOption(option =>
+            option.setName('from')
+                .setDescription(`Start date YYYY-MM-DD (default ${DEFAULT_RANGE_DAYS} days ago)`)
+                .setRequired(false)
+        )
+        .addStringOption(option =>
+            option.setName('to')
+                .setDescription('End date YYYY-MM-DD, inclusive (default today)')
+                .setRequired(false)
+        ),
+
+    async execute(interaction) {
+        // Check permissions silently
+        if (await checkPermissionSilent(interaction, 'audit')) {
+            return; // Silent denial
+        }
+
+        const officer = interaction.options.getUser('officer');
+        const target = interaction.options.getString('target');
+        const fromOption = interaction.options.getString('from');
+        const toOption = interaction.options.getString('to');
+
+        const from = fromOption ? parseDate(fromOption) : new Date(Date.now() - DEFAULT_RANGE_DAYS * 24 * 60 * 60 * 1000);
+        const to = toOption ? parseDate(toOption) : null;
+
+        if ((fromOption && !from) || (toOption && !to)) {
+            await interaction.reply({
+                content: '⚠️ Dates must be in `YYYY-MM-DD` format.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        // Make the end date inclusive
+        const until = to ? new Date(to.getTime() + 24 * 60 * 60 * 1000) : null;
+
+        if (until && until <= from) {
+            await interaction.reply({
+                content: '⚠️ The `to` date must be on or after the `from` date.',
+                ephemeral: true
+            });
+            return;
+        }
+
+        const { events, total } = queryAudit({
+            guildId: interaction.guild.id,
+            actorId: officer?.id,
+            target: target,
+            since: from,
+            until: until
+        });
+
+        const filters = [];
+        if (officer) filters.push(`Officer: ${officer.tag}`);
+        if (target) filters.push(`Target: ${target}`);
+        filters.push(`From: ${from.toISOString().slice(0, 10)}`);
+        filters.push(`To: ${to ? toOption : 'now'}`);
+
+        // Audit queries are themselves audited
+        recordAudit(interaction, {
+            action: 'query',
+            targetUsername: target,
+            outcome: AUDIT_OUTCOME.SUCCESS,
+            details: filters.join(', ')
+        });
+
+        const embed = new EmbedBuilder()
+            .setTitle('📝 Audit Log')
+            .setColor(0x0099FF)
+            .setTimestamp();
+
+        if (events.length === 0) {
+            embed.setDescription(`No audit events found.\n\n${filters.join(' • ')}`);
+            await interaction.reply({ embeds: [embed], ephemeral: true });
+            return;
+        }
+
+        // One line per event, trimmed to fit the description limit
+        const lines = [];
+        let length = 0;
+        for (const event of events) {
+            const line = `\`${new Date(event.createdAt).toLocaleString()}\` ${formatEvent(event)}`;
+            if (length + line.length + 1 > 3800) break;
+            lines.push(line);
+            length += line.length + 1;
+        }
+
+        embed.setDescription(`${filters.join(' • ')}\n\n${lines.join('\n')}`);
+        embed.setFooter({ text: `Showing ${lines.length} of ${total} event(s), newest first` });
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+    },
+};
@@ -1,37 +1,89 @@
-const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
-const { getRobloxUserId, checkRobloxStatus } = require('../utils/roblox-api');
+const { SlashCommandBuilder } = require('discord.js');
 const { checkPermissionSilent } = require('../utils/permissions');
+const { recordAudit, AUDIT_OUTCOME } = require('../utils/audit');
+const {
+    parseUsernameList,
+    readUsernameFile,
+    checkForInteraction,
+    replyWithResults,
+    MAX_BULK_TARGETS
+} = require('../utils/bulk-check');
+const { getList, createList, getListMembers, addListMembers, MAX_LIST_NAME_LENGTH, MAX_LIST_MEMBERS } = require('../utils/lists');
+
+// Collect targets from every source the officer supplied
+async function collectTargets(interaction) {
+    const text = interaction.options.getString('users');
+    const file = interaction.options.getAttachment('file');
+    const listName = interaction.options.getString('list');
+
+    const targets = [];
+    const seen = new Set();
+    const notes = [];
+
+    const addTarget = target => {
+        const key = target.robloxUserId ? `id:${target.robloxUserId}` : `name:${target.username.toLowerCase()}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        targets.push(target);
+    };
+
+    // Saved list members already have their Roblox IDs
+    if (listName) {
+        const list = getList(interaction.guild.id, listName);
+        if (!list) {
+            return { error: `❌ No saved list named **${listName}**.` };
+        }
+        getListMembers(list.id).forEach(member => addTarget({ username: member.username, robloxUserId: member.robloxUserId }));
+    }
+
+    let rawText = text || '';
+    if (file) {
+        try {
+            rawText += `\n${await readUsernameFile(file)}`;
+        } catch (error) {
+            return { error: `❌ Could not read **${file.name}**: ${error.message}` };
+        }
+    }
+
+    const { usernames, invalid } = parseUsernameList(rawText);
+    usernames.forEach(username => addTarget({ username }));
 
-// Helper function to sleep
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    if (invalid.length > 0) {
+        notes.push(`Skipped ${invalid.length} invalid name(s): ${invalid.slice(0, 10).join(', ')}${invalid.length > 10 ? '…' : ''}`);
+    }
+
+    return { targets, notes };
+}
 
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('bulk-check')
-        .setDescription('Check multiple suspects at once (max 5)')
+        .setDescription(`Check many suspects at once (max ${MAX_BULK_TARGETS})`)
         .addStringOption(option =>
-            option.setName('user1')
-                .setDescription('First Roblox username')
-                .setRequired(true)
+            option.setName('users')
+                .setDescription('Usernames separated by commas, spaces or new lines')
+                .setRequired(false)
         )
-        .addStringOption(option =>
-            option.setName('user2')
-                .setDescription('Second Roblox username')
+        .addAttachmentOption(option =>
+            option.setName('file')
+                .setDescription('A .txt or .csv file of usernames (first column)')
                 .setRequired(false)
         )
         .addStringOption(option =>
-            option.setName('user3')
-                .setDescription('Third Roblox username')
+            option.setName('list')
+                .setDescription('Name of a saved suspect list')
                 .setRequired(false)
+                .setMaxLength(MAX_LIST_NAME_LENGTH)
         )
         .addStringOption(option =>
-            option.setName('user4')
-                .setDescription('Fourth Roblox username')
+            option.setName('save-as')
+                .setDescription('Save the found suspects to this list (created if needed)')
                 .setRequired(false)
+                .setMaxLength(MAX_LIST_NAME_LENGTH)
         )
-        .addStringOption(option =>
-            option.setName('user5')
-                .setDescription('Fifth Roblox username')
+        .addBooleanOption(option =>
+            option.setName('csv')
+                .setDescription('Attach results as CSV (always attached for large checks)')
                 .setRequired(false)
         ),
 
@@ -41,182 +93,56 @@ module.exports = {
             return; // Silent denial
         }
 
-        // Collect all usernames
-        const usernames = [];
-        for (let i = 1; i <= 5; i++) {
-            const username = interaction.options.getString(`user${i}`);
-            if (username) {
-                usernames.push(username);
-            }
+        if (!interaction.options.getString('users') && !interaction.options.getAttachment('file') && !interaction.options.getString('list')) {
+            await interaction.reply({
+                content: '⚠️ Provide `users`, a `file` or a saved `list` to check.',
+                ephemeral: true
+            });
+            return;
         }
 
         // Defer reply for processing
         await interaction.deferReply();
 
-        // Process results
-        const results = [];
-        const embed = new EmbedBuilder()
-            .setTitle(`🔍 Bulk Investigation Report`)
-            .setColor(0x0099FF)
-            .setDescription(`Checking ${usernames.length} suspect(s)...`)
-            .setTimestamp();
-
-        // Send initial message
-        await interaction.editReply({ embeds: [embed] });
-
-        // Check each user sequentially with delay
-        for (let i = 0; i < usernames.length; i++) {
-            const username = usernames[i];
-            
-            // Add delay between checks (except for first one)
-            if (i > 0) {
-                await sleep(2000); // 2 second delay
-            }
-
-            try {
-                // Get Roblox user ID
-                const robloxUserResult = await getRobloxUserId(username);
-                
-                // Handle errors
-                if (!robloxUserResult || (typeof robloxUserResult === 'object' && robloxUserResult.error)) {
-                    results.push({
-                        username: username,
-                        status: '❌ User Not Found',
-                        color: 0xFF0000,
-                        details: 'Could not find this user on Roblox',
-                        joinAvailable: false
-                    });
-                    continue;
-                }
-
-                const robloxUserId = robloxUserResult;
-
-                // Check user status
-                const status = await checkRobloxStatus(robloxUserId);
-                
-                // Determine status emoji and color
-                let statusEmoji, statusColor, joinInfo = '';
-                
-                if (status.online === true) {
-                    statusEmoji = '🟢';
-                    statusColor = 0x00FF00;
-                    
-                    // Check join availability
-                    if (status.joinUrls?.authenticated) {
-                        joinInfo = `\n└ **[Direct Join Available](${status.joinUrls.authenticated})**`;
-                    } else if (status.joinUrls?.console) {
-                        joinInfo = '\n└ ⚠️ Manual join available (console method)';
-                    } else if (status.game && status.game !== 'Not in game') {
-                        joinInfo = '\n└ ❌ Cannot join (hidden details)';
-                    }
-                } else if (status.online === false) {
-                    statusEmoji = '⚫';
-                    statusColor = 0x808080;
-                } else {
-                    statusEmoji = '🟡';
-                    statusColor = 0xFFAA00;
-                }
-
-                results.push({
-                    username: username,
-                    userId: robloxUserId,
-                    status: `${statusEmoji} ${status.status}`,
-                    game: status.game,
-                    color: statusColor,
-                    details: status.game || 'Not in game',
-                    joinInfo: joinInfo
-                });
-
-            } catch (error) {
-                console.error(`Error checking ${username}:`, error);
-                results.push({
-                    username: username,
-                    status: '⚠️ Check Failed',
-                    color: 0xFFAA00,
-                    details: 'API error occurred',
-                    joinAvailable: false
-                });
-            }
-
-            // Update embed with progress
-            const progressEmbed = new EmbedBuilder()
-                .setTitle(`🔍 Bulk Investigation Report`)
-                .setColor(0x0099FF)
-                .setDescription(`Progress: ${i + 1}/${usernames.length} checked`)
-                .setTimestamp();
-
-            // Add results so far
-            results.forEach((result, index) => {
-                let fieldValue = `Status: ${result.status}`;
-                if (result.userId) {
-                    fieldValue += `\nID: \`${result.userId}\``;
-                }
-                if (result.game) {
-                    fieldValue += `\nActivity: ${result.game}`;
-                }
-                if (result.joinInfo) {
-                    fieldValue += result.joinInfo;
-                }
-
-                progressEmbed.addFields({
-                    name: `${index + 1}. ${result.username}`,
-                    value: fieldValue,
-                    inline: false
-                });
-            });
+        const { targets, notes, error } = await collectTargets(interaction);
 
-            await interaction.editReply({ embeds: [progressEmbed] });
+        if (error) {
+            recordAudit(interaction, { outcome: AUDIT_OUTCOME.REJECTED, details: error });
+            await interaction.editReply({ content: error });
+            return;
         }
 
-        // Create final summary embed
-        const finalEmbed = new EmbedBuilder()
-            .setTitle(`🔍 Bulk Investigation Complete`)
-            .setColor(0x00FF00)
-            .setDescription(`Checked ${usernames.length} suspect(s)`)
-            .setTimestamp();
-
-        // Count statistics
-        let onlineCount = 0;
-        let offlineCount = 0;
-        let unknownCount = 0;
-
-        results.forEach((result, index) => {
-            if (result.status.includes('🟢')) onlineCount++;
-            else if (result.status.includes('⚫')) offlineCount++;
-            else unknownCount++;
-
-            let fieldValue = `Status: ${result.status}`;
-            if (result.userId) {
-                fieldValue += `\nID: \`${result.userId}\``;
-            }
-            if (result.game) {
-                fieldValue += `\nActivity: ${result.game}`;
-            }
-            if (result.joinInfo) {
-                fieldValue += result.joinInfo;
-            }
-
-            finalEmbed.addFields({
-                name: `${index + 1}. ${result.username}`,
-                value: fieldValue,
-                inline: false
-            });
-        });
+        if (targets.length === 0) {
+            recordAudit(interaction, { outcome: AUDIT_OUTCOME.REJECTED, details: 'no valid usernames' });
+            await interaction.editReply({ content: `❌ No valid usernames to check.${notes.length > 0 ? `\n${notes.join('\n')}` : ''}` });
+            return;
+        }
 
-        // Add summary
-        finalEmbed.addFields({
-            name: '📊 Summary',
-            value: `🟢 Online: ${onlineCount}\n⚫ Offline: ${offlineCount}\n🟡 Other: ${unknownCount}`,
-            inline: false
-        });
+        if (targets.length > MAX_BULK_TARGETS) {
+            recordAudit(interaction, { outcome: AUDIT_OUTCOME.REJECTED, details: `${targets.length} suspects over limit` });
+            await interaction.editReply({ content: `⚠️ ${targets.length} suspects given - the limit is ${MAX_BULK_TARGETS} per check.` });
+            return;
+        }
 
-        finalEmbed.setFooter({ 
-            text: `Bulk check completed by ${interaction.user.tag}` 
-        });
+        const results = await checkForInteraction(interaction, targets);
+        if (!results) return;
+
+        // Optionally save everyone found to a list
+        const saveAs = interaction.options.getString('save-as');
+        if (saveAs) {
+            const list = getList(interaction.guild.id, saveAs) || createList(interaction.guild.id, saveAs, interaction.user.id);
+            const found = results.filter(result => result.robloxUserId).map(result => ({ id: result.robloxUserId, name: result.username }));
+            const { added, dropped } = addListMembers(list.id, found, interaction.user.id);
+            notes.push(`💾 Saved ${added} new suspect(s) to list **${list.name}**`);
+            if (dropped > 0) notes.push(`⚠️ ${dropped} suspect(s) not saved - lists are limited to ${MAX_LIST_MEMBERS}`);
+        }
 
-        await interaction.editReply({ embeds: [finalEmbed] });
+        await replyWithResults(interaction, results, {
+            notes: notes,
+            csv: interaction.options.getBoolean('csv') === true
+        });
 
         // Log the bulk check
-        console.log(`✅ Bulk check completed for ${usernames.join(', ')} by ${interaction.user.tag}`);
+        console.log(`✅ Bulk check completed for ${results.length} suspect(s) by ${interaction.user.tag}`);
     },
-};
\ No newline at end of file
+};
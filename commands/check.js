@@ -1,6 +1,291 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
 const { getRobloxUserId, checkRobloxStatus, checkRateLimit, getRemainingCooldown } = require('../utils/roblox-api');
-const { checkPermissionSilent } = require('../utils/permissions');
+const { checkPermissionSilent, checkPermissionComponent, hasPermission } = require('../utils/permissions');
+const storage = require('../utils/storage');
+const { getActiveWarrant } = require('../utils/warrants');
+const { recordAudit, AUDIT_OUTCOME } = require('../utils/audit');
+const { getGameScope } = require('../utils/places');
+const { buildSuspectActions } = require('../utils/components');
+const { suggestSuspects, respondWithChoices } = require('../utils/autocomplete');
+const { checksTotal } = require('../utils/metrics');
+
+// Look up a suspect and reply with the investigation report
+async function runCheck(interaction, username) {
+    const userId = interaction.user.id;
+
+    // Check rate limit
+    if (!checkRateLimit(userId)) {
+        const remaining = Math.ceil(getRemainingCooldown(userId) / 1000);
+        recordAudit(interaction, { targetUsername: username, outcome: AUDIT_OUTCOME.REJECTED, details: 'cooldown' });
+        await interaction.reply({
+            content: `⏰ Cooldown: ${remaining} seconds remaining`,
+            ephemeral: true
+        });
+        return;
+    }
+
+    // Defer reply for API calls
+    await interaction.deferReply();
+
+    try {
+        // Get Roblox user ID
+        const robloxUserResult = await getRobloxUserId(username);
+        
+        // Handle rate limit error (when API returns error object)
+        if (robloxUserResult && typeof robloxUserResult === 'object' && robloxUserResult.error === 'rate_limited') {
+            const errorEmbed = new EmbedBuilder()
+                .setTitle('⏳ Roblox API Busy')
+                .setColor(0xFFAA00)
+                .setDescription(`Roblox is currently limiting requests. Please try again in ${robloxUserResult.retryAfter || 5} seconds.`)
+                .addFields({
+                    name: 'Tip',
+                    value: 'This happens when many people use the bot at once.',
+                    inline: false
+                })
+                .setTimestamp();
+
+            recordAudit(interaction, { targetUsername: username, outcome: AUDIT_OUTCOME.RATE_LIMITED });
+            checksTotal.inc({ command: 'check', outcome: AUDIT_OUTCOME.RATE_LIMITED });
+            await interaction.editReply({ embeds: [errorEmbed] });
+            return;
+        }
+        
+        // Handle user not found (null or invalid result)
+        if (!robloxUserResult || (typeof robloxUserResult === 'object' && robloxUserResult.error)) {
+            const errorEmbed = new EmbedBuilder()
+                .setTitle('❌ User Not Found')
+                .setColor(0xFF0000)
+                .setDescription(`Could not find user "${username}" on Roblox`)
+                .addFields({
+                    name: 'Check',
+                    value: '• Spelling is correct\n• User exists on Roblox\n• Account is not terminated',
+                    inline: false
+                })
+                .setTimestamp();
+
+            recordAudit(interaction, { targetUsername: username, outcome: AUDIT_OUTCOME.NOT_FOUND });
+            checksTotal.inc({ command: 'check', outcome: AUDIT_OUTCOME.NOT_FOUND });
+            await interaction.editReply({ embeds: [errorEmbed] });
+            return;
+        }
+
+        // At this point robloxUserResult should be a valid user ID
+        const robloxUserId = robloxUserResult;
+
+        // Check user status
+        const status = await checkRobloxStatus(robloxUserId);
+        
+        // Link to an outstanding warrant if there is one
+        const warrant = getActiveWarrant(interaction.guild.id, robloxUserId);
+        
+        // Keep a record of the lookup
+        try {
+            storage.recordCheck({
+                robloxUserId: robloxUserId,
+                username: username,
+                guildId: interaction.guild?.id,
+                checkedBy: interaction.user.tag,
+                checkedById: interaction.user.id,
+                command: 'check',
+                online: status.online,
+                status: status.status,
+                game: status.game,
+                warrantId: warrant?.id
+            });
+        } catch (storageError) {
+            console.error('Failed to record check result:', storageError);
+        }
+        
+        // Handle API errors
+        if (status.error && status.status === 'API Error') {
+            const errorEmbed = new EmbedBuilder()
+                .setTitle('⚠️ Connection Error')
+                .setColor(0xFFAA00)
+                .setDescription(`Could not check status for \`${username}\``)
+                .addFields({
+                    name: 'Issue',
+                    value: 'Roblox API is not responding properly. Please try again.',
+                    inline: false
+                })
+                .setTimestamp();
+
+            recordAudit(interaction, {
+                targetUsername: username,
+                targetRobloxId: robloxUserId,
+                outcome: AUDIT_OUTCOME.ERROR,
+                details: 'Roblox API error'
+            });
+            checksTotal.inc({ command: 'check', outcome: AUDIT_OUTCOME.ERROR });
+            await interaction.editReply({ embeds: [errorEmbed] });
+            return;
+        }
+
+        // Determine embed color based on status
+        let embedColor;
+        if (status.online === true) {
+            embedColor = 0x00FF00; // Green for online
+        } else if (status.online === false) {
+            embedColor = 0x808080; // Gray for offline
+        } else {
+            embedColor = 0xFFAA00; // Orange for unknown/private
+        }
+
+        // Build the status embed
+        const embed = new EmbedBuilder()
+            .setTitle(`🔍 Investigation Report: ${username}`)
+            .setColor(embedColor)
+            .setDescription(`User ID: \`${robloxUserId}\``)
+            .addFields({
+                name: '📊 Status',
+                value: status.status || 'Unknown',
+                inline: true
+            });
+
+        // Add game info if available
+        if (status.game) {
+            embed.addFields({
+                name: '🎮 Current Activity',
+                value: status.game,
+                inline: true
+            });
+        }
+
+        // Flag whether they're in one of this server's tracked games
+        const gameScope = getGameScope(interaction.guild.id, status);
+        if (gameScope) {
+            embed.addFields({
+                name: '🗺️ Location',
+                value: gameScope.text,
+                inline: true
+            });
+        }
+
+        // Add warrant info if the suspect is wanted
+        if (warrant) {
+            embed.addFields({
+                name: `📜 Active Warrant #${warrant.id}`,
+                value: `Charges: ${warrant.charges}\nIssued by: ${warrant.issuedBy}`,
+                inline: false
+            });
+        }
+
+        // Add join options based on availability
+        if (status.joinUrls && status.joinUrls.authenticated) {
+            // Best case: Direct join available
+            let joinValue = `✅ **[Click to Join Server](${status.joinUrls.authenticated})**\n`;
+            joinValue += `*Direct join to their exact server*`;
+            
+            embed.addFields({
+                name: '🚀 Join Server',
+                value: joinValue,
+                inline: false
+            });
+            
+        } else if (status.joinsDisabled && status.joinUrls?.console) {
+            // Joins disabled but we can bypass with console
+            let joinValue = `**User has joins disabled, but you can still join using the console method:**\n\n`;
+            joinValue += `**Step 1:** Copy this script:\n`;
+            joinValue += `\`\`\`javascript\n${status.joinUrls.console}\n\`\`\`\n`;
+            joinValue += `**Step 2:** Open **[Roblox.com](https://www.roblox.com)** in your browser\n`;
+            joinValue += `**Step 3:** Press \`F12\` to open the developer console\n`;
+            joinValue += `**Step 4:** Paste the script and press \`Enter\`\n\n`;
+            joinValue += `*Note: If you get Error 524, they're in a private server*`;
+            
+            embed.addFields({
+                name: '🚫 Joins Disabled - Manual Join Available',
+                value: joinValue,
+                inline: false
+            });
+            
+        } else if (status.joinUrls?.console && !status.hasAuthentication) {
+            // No auth cookie but console available
+            let joinValue = `**Manual join required (no authentication):**\n\n`;
+            joinValue += `\`\`\`javascript\n${status.joinUrls.console}\n\`\`\`\n`;
+            joinValue += `Open **[Roblox.com](https://www.roblox.com)** → Press \`F12\` → Paste in console`;
+            
+            embed.addFields({
+                name: '⚠️ Manual Join Required',
+                value: joinValue,
+                inline: false
+            });
+            
+        } else if (status.online && status.game && status.game !== 'Not in game' && status.game !== 'Roblox Studio') {
+            // In game but no join method available
+            embed.addFields({
+                name: '❌ Cannot Join',
+                value: 'Unable to generate join link.\nGame details are hidden.',
+                inline: false
+            });
+        }
+
+        // Add footer based on status
+        if (status.hasAuthentication && status.joinUrls?.authenticated) {
+            embed.setFooter({ 
+                text: '✅ Direct Join Available' 
+            });
+        } else if (status.joinsDisabled) {
+            embed.setFooter({ 
+                text: '🔧 Console Method Available - Joins Disabled Bypass' 
+            });
+        } else if (status.joinUrls?.console) {
+            embed.setFooter({ 
+                text: '⚠️ Manual Join Required' 
+            });
+        } else if (status.online && status.game && status.game !== 'Not in game') {
+            embed.setFooter({ 
+                text: '❌ Join Not Available' 
+            });
+        }
+
+        // Add timestamp
+        embed.setTimestamp();
+
+        // Action buttons - re-check, quick watch, stop watch, mark served
+        const watched = !!interaction.client.commands.get('watch')?.findWatch(interaction.guildId, robloxUserId);
+        const components = buildSuspectActions({
+            guildId: interaction.guild.id,
+            username: username,
+            watched: watched,
+            warrantId: warrant?.id
+        });
+
+        // Send the response
+        await interaction.editReply({ embeds: [embed], components });
+        
+        // Log the check
+        console.log(`✅ Check completed for ${username} by ${interaction.user.tag}`);
+        recordAudit(interaction, {
+            targetUsername: username,
+            targetRobloxId: robloxUserId,
+            outcome: AUDIT_OUTCOME.SUCCESS,
+            details: status.status
+        });
+        checksTotal.inc({ command: 'check', outcome: AUDIT_OUTCOME.SUCCESS });
+
+    } catch (error) {
+        console.error('Check command error:', error);
+        recordAudit(interaction, { targetUsername: username, outcome: AUDIT_OUTCOME.ERROR, details: error.message });
+        checksTotal.inc({ command: 'check', outcome: AUDIT_OUTCOME.ERROR });
+        
+        // Ensure we always respond to avoid infinite loading
+        const errorEmbed = new EmbedBuilder()
+            .setTitle('❌ Check Failed')
+            .setColor(0xFF0000)
+            .setDescription(`Could not check status for \`${username}\``)
+            .addFields({
+                name: 'Error',
+                value: 'An unexpected error occurred. Please try again.',
+                inline: false
+            })
+            .setTimestamp();
+
+        try {
+            await interaction.editReply({ embeds: [errorEmbed] });
+        } catch (replyError) {
+            console.error('Failed to send error message:', replyError);
+        }
+    }
+}
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -10,6 +295,7 @@ module.exports = {
             option.setName('username')
                 .setDescription('The Roblox username to investigate')
                 .setRequired(true)
+                .setAutocomplete(true)
         ),
 
     async execute(interaction) {
@@ -18,210 +304,27 @@ module.exports = {
             return; // Silent denial
         }
 
-        const username = interaction.options.getString('username');
-        const userId = interaction.user.id;
+        await runCheck(interaction, interaction.options.getString('username'));
+    },
 
-        // Check rate limit
-        if (!checkRateLimit(userId)) {
-            const remaining = Math.ceil(getRemainingCooldown(userId) / 1000);
-            await interaction.reply({
-                content: `⏰ Cooldown: ${remaining} seconds remaining`,
-                ephemeral: true
-            });
+    // Suggest warrant subjects and recently checked suspects
+    async autocomplete(interaction) {
+        if (!hasPermission(interaction, 'check')) {
+            await respondWithChoices(interaction, []);
             return;
         }
 
-        // Defer reply for API calls
-        await interaction.deferReply();
-
-        try {
-            // Get Roblox user ID
-            const robloxUserResult = await getRobloxUserId(username);
-            
-            // Handle rate limit error (when API returns error object)
-            if (robloxUserResult && typeof robloxUserResult === 'object' && robloxUserResult.error === 'rate_limited') {
-                const errorEmbed = new EmbedBuilder()
-                    .setTitle('⏳ Roblox API Busy')
-                    .setColor(0xFFAA00)
-                    .setDescription(`Roblox is currently limiting requests. Please try again in ${robloxUserResult.retryAfter || 5} seconds.`)
-                    .addFields({
-                        name: 'Tip',
-                        value: 'This happens when many people use the bot at once.',
-                        inline: false
-                    })
-                    .setTimestamp();
-
-                await interaction.editReply({ embeds: [errorEmbed] });
-                return;
-            }
-            
-            // Handle user not found (null or invalid result)
-            if (!robloxUserResult || (typeof robloxUserResult === 'object' && robloxUserResult.error)) {
-                const errorEmbed = new EmbedBuilder()
-                    .setTitle('❌ User Not Found')
-                    .setColor(0xFF0000)
-                    .setDescription(`Could not find user "${username}" on Roblox`)
-                    .addFields({
-                        name: 'Check',
-                        value: '• Spelling is correct\n• User exists on Roblox\n• Account is not terminated',
-                        inline: false
-                    })
-                    .setTimestamp();
-
-                await interaction.editReply({ embeds: [errorEmbed] });
-                return;
-            }
-
-            // At this point robloxUserResult should be a valid user ID
-            const robloxUserId = robloxUserResult;
-
-            // Check user status
-            const status = await checkRobloxStatus(robloxUserId);
-            
-            // Handle API errors
-            if (status.error && status.status === 'API Error') {
-                const errorEmbed = new EmbedBuilder()
-                    .setTitle('⚠️ Connection Error')
-                    .setColor(0xFFAA00)
-                    .setDescription(`Could not check status for \`${username}\``)
-                    .addFields({
-                        name: 'Issue',
-                        value: 'Roblox API is not responding properly. Please try again.',
-                        inline: false
-                    })
-                    .setTimestamp();
-
-                await interaction.editReply({ embeds: [errorEmbed] });
-                return;
-            }
-
-            // Determine embed color based on status
-            let embedColor;
-            if (status.online === true) {
-                embedColor = 0x00FF00; // Green for online
-            } else if (status.online === false) {
-                embedColor = 0x808080; // Gray for offline
-            } else {
-                embedColor = 0xFFAA00; // Orange for unknown/private
-            }
-
-            // Build the status embed
-            const embed = new EmbedBuilder()
-                .setTitle(`🔍 Investigation Report: ${username}`)
-                .setColor(embedColor)
-                .setDescription(`User ID: \`${robloxUserId}\``)
-                .addFields({
-                    name: '📊 Status',
-                    value: status.status || 'Unknown',
-                    inline: true
-                });
-
-            // Add game info if available
-            if (status.game) {
-                embed.addFields({
-                    name: '🎮 Current Activity',
-                    value: status.game,
-                    inline: true
-                });
-            }
-
-            // Add join options based on availability
-            if (status.joinUrls && status.joinUrls.authenticated) {
-                // Best case: Direct join available
-                let joinValue = `✅ **[Click to Join Server](${status.joinUrls.authenticated})**\n`;
-                joinValue += `*Direct join to their exact server*`;
-                
-                embed.addFields({
-                    name: '🚀 Join Server',
-                    value: joinValue,
-                    inline: false
-                });
-                
-            } else if (status.joinsDisabled && status.joinUrls?.console) {
-                // Joins disabled but we can bypass with console
-                let joinValue = `**User has joins disabled, but you can still join using the console method:**\n\n`;
-                joinValue += `**Step 1:** Copy this script:\n`;
-                joinValue += `\`\`\`javascript\n${status.joinUrls.console}\n\`\`\`\n`;
-                joinValue += `**Step 2:** Open **[Roblox.com](https://www.roblox.com)** in your browser\n`;
-                joinValue += `**Step 3:** Press \`F12\` to open the developer console\n`;
-                joinValue += `**Step 4:** Paste the script and press \`Enter\`\n\n`;
-                joinValue += `*Note: If you get Error 524, they're in a private server*`;
-                
-                embed.addFields({
-                    name: '🚫 Joins Disabled - Manual Join Available',
-                    value: joinValue,
-                    inline: false
-                });
-                
-            } else if (status.joinUrls?.console && !status.hasAuthentication) {
-                // No auth cookie but console available
-                let joinValue = `**Manual join required (no authentication):**\n\n`;
-                joinValue += `\`\`\`javascript\n${status.joinUrls.console}\n\`\`\`\n`;
-                joinValue += `Open **[Roblox.com](https://www.roblox.com)** → Press \`F12\` → Paste in console`;
-                
-                embed.addFields({
-                    name: '⚠️ Manual Join Required',
-                    value: joinValue,
-                    inline: false
-                });
-                
-            } else if (status.online && status.game && status.game !== 'Not in game' && status.game !== 'Roblox Studio') {
-                // In game but no join method available
-                embed.addFields({
-                    name: '❌ Cannot Join',
-                    value: 'Unable to generate join link.\nGame details are hidden.',
-                    inline: false
-                });
-            }
-
-            // Add footer based on status
-            if (status.hasAuthentication && status.joinUrls?.authenticated) {
-                embed.setFooter({ 
-                    text: '✅ Direct Join Available' 
-                });
-            } else if (status.joinsDisabled) {
-                embed.setFooter({ 
-                    text: '🔧 Console Method Available - Joins Disabled Bypass' 
-                });
-            } else if (status.joinUrls?.console) {
-                embed.setFooter({ 
-                    text: '⚠️ Manual Join Required' 
-                });
-            } else if (status.online && status.game && status.game !== 'Not in game') {
-                embed.setFooter({ 
-                    text: '❌ Join Not Available' 
-                });
-            }
-
-            // Add timestamp
-            embed.setTimestamp();
-
-            // Send the response
-            await interaction.editReply({ embeds: [embed] });
-            
-            // Log the check
-            console.log(`✅ Check completed for ${username} by ${interaction.user.tag}`);
+        await respondWithChoices(interaction, suggestSuspects(interaction.guildId, interaction.options.getFocused()));
+    },
 
-        } catch (error) {
-            console.error('Check command error:', error);
-            
-            // Ensure we always respond to avoid infinite loading
-            const errorEmbed = new EmbedBuilder()
-                .setTitle('❌ Check Failed')
-                .setColor(0xFF0000)
-                .setDescription(`Could not check status for \`${username}\``)
-                .addFields({
-                    name: 'Error',
-                    value: 'An unexpected error occurred. Please try again.',
-                    inline: false
-                })
-                .setTimestamp();
+    // Re-check button on check reports and watch alerts
+    async handleComponent(interaction, { action, args }) {
+        if (action !== 'recheck') return;
 
-            try {
-                await interaction.editReply({ embeds: [errorEmbed] });
-            } catch (replyError) {
-                console.error('Failed to send error message:', replyError);
-            }
+        if (await checkPermissionComponent(interaction, 'check')) {
+            return;
         }
+
+        await runCheck(interaction, args[0]);
     },
-};
\ No newline at end of file
+};
@@ -0,0 +1,242 @@
+const { SlashCommandBuilder, EmbedBuilder, ChannelType } = require('discord.js');
+const { checkPermissionSilent } = require('../utils/permissions');
+const { recordAudit, AUDIT_OUTCOME } = require('../utils/audit');
+const {
+    getGuildConfig,
+    updateGuildSettings,
+    setRoleQuota,
+    removeRoleQuota,
+    DEFAULT_MAX_WATCHES,
+    MAX_WATCHES_LIMIT
+} = require('../utils/guild-config');
+
+function describePermissions(permissions) {
+    if (permissions.size === 0) {
+        return 'Default role names (use `/permissions init` to customise)';
+    }
+
+    return Array.from(permissions, ([roleId, capabilities]) => `<@&${roleId}>: ${capabilities.join(', ')}`).join('\n');
+}
+
+function describeAlerts(alerts) {
+    if (!alerts || (!alerts.channelId && !alerts.pingRoleId)) {
+        return 'DMs only';
+    }
+
+    return [
+        `Channel: ${alerts.channelId ? `<#${alerts.channelId}>` : 'None'}`,
+        `Ping role: ${alerts.pingRoleId ? `<@&${alerts.pingRoleId}>` : 'None'}`
+    ].join('\n');
+}
+
+function describeQuotas(settings, roleQuotas) {
+    const lines = [`Per officer: ${settings.maxWatchesPerOfficer ?? 'No quota'}`];
+    for (const [roleId, maxWatches] of roleQuotas) {
+        lines.push(`<@&${roleId}>: ${maxWatches}`);
+    }
+    return lines.join('\n');
+}
+
+function describePlaces(trackedPlaces) {
+    if (trackedPlaces.length === 0) {
+        return 'None';
+    }
+
+    return trackedPlaces.map(place => `${place.label || place.targetId} (${place.kind} ${place.targetId})`).join('\n');
+}
+
+// A raised limit or quota may free slots for the waitlist
+async function startQueuedWatches(interaction) {
+    await interaction.client.commands.get('watch')?.processWaitlist(interaction.client, interaction.guildId);
+}
+
+async function handleView(interaction) {
+    const guildId = interaction.guildId;
+    const config = getGuildConfig(guildId);
+    const watchCount = interaction.client.commands.get('watch')?.getGuildWatches(guildId).length ?? 0;
+
+    const embed = new EmbedBuilder()
+        .setTitle('⚙️ Server Configuration')
+        .setColor(0x0099FF)
+        .addFields(
+            { name: '👁️ Watch Limit', value: `${watchCount}/${config.settings.maxWatches} in use${config.settings.configured ? '' : ' (default)'}`, inline: true },
+            { name: '🔔 Alert Routing', value: describeAlerts(config.alerts), inline: true },
+            { name: '👮 Officer Quotas', value: describeQuotas(config.settings, config.roleQuotas).slice(0, 1024), inline: true },
+            { name: '📝 Audit Log', value: config.settings.auditChannelId ? `<#${config.settings.auditChannelId}>` : 'Not mirrored', inline: true },
+            { name: '🔐 Permissions', value: describePermissions(config.permissions).slice(0, 1024), inline: false },
+            { name: '🎮 Tracked Places', value: describePlaces(config.trackedPlaces).slice(0, 1024), inline: false }
+        )
+        .setFooter({ text: 'Settings apply to this server only' })
+        .setTimestamp();
+
+    if (config.settings.updatedById) {
+        embed.setDescription(`Last changed by <@${config.settings.updatedById}>`);
+    }
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+async function handleWatchLimit(interaction) {
+    const limit = interaction.options.getInteger('limit');
+    const settings = updateGuildSettings(interaction.guildId, { maxWatches: limit }, interaction.user.id);
+
+    const running = interaction.client.commands.get('watch')?.getGuildWatches(interaction.guildId).length ?? 0;
+    let content = limit === null
+        ? `✅ Watch limit reset to the default of **${settings.maxWatches}**.`
+        : `✅ Watch limit set to **${settings.maxWatches}**.`;
+    if (running > settings.maxWatches) {
+        content += `\n⚠️ ${running} watches are already running - no new ones can start until some end.`;
+    }
+
+    await interaction.reply({ content, ephemeral: true });
+    console.log(`⚙️ ${interaction.user.tag} set the watch limit to ${settings.maxWatches} in ${interaction.guildId}`);
+    recordAudit(interaction, {
+        action: 'watch-limit',
+        outcome: AUDIT_OUTCOME.SUCCESS,
+        details: `maxWatches=${limit === null ? 'default' : settings.maxWatches}`
+    });
+    await startQueuedWatches(interaction);
+}
+
+async function handleOfficerQuota(interaction) {
+    const limit = interaction.options.getInteger('limit');
+    updateGuildSettings(interaction.guildId, { maxWatchesPerOfficer: limit }, interaction.user.id);
+
+    await interaction.reply({
+        content: limit === null
+            ? '✅ Officers no longer have a watch quota (role quotas still apply).'
+            : `✅ Each officer can now run **${limit}** watch(es) at once unless one of their roles has its own quota.`,
+        ephemeral: true
+    });
+    console.log(`⚙️ ${interaction.user.tag} set the officer watch quota to ${limit ?? 'none'} in ${interaction.guildId}`);
+    recordAudit(interaction, {
+        action: 'officer-quota',
+        outcome: AUDIT_OUTCOME.SUCCESS,
+        details: `maxWatchesPerOfficer=${limit ?? 'none'}`
+    });
+    await startQueuedWatches(interaction);
+}
+
+async function handleRoleQuota(interaction) {
+    const role = interaction.options.getRole('role');
+    const limit = interaction.options.getInteger('limit');
+
+    let content;
+    if (limit === null) {
+        content = removeRoleQuota(interaction.guildId, role.id)
+            ? `🗑️ Removed the watch quota for <@&${role.id}>.`
+            : `ℹ️ <@&${role.id}> has no watch quota.`;
+    } else {
+        setRoleQuota(interaction.guildId, role.id, limit, interaction.user.id);
+        content = `✅ Members of <@&${role.id}> can now run **${limit}** watch(es) at once.`;
+    }
+
+    await interaction.reply({ content, ephemeral: true });
+    console.log(`⚙️ ${interaction.user.tag} set the watch quota for role ${role.id} to ${limit ?? 'none'} in ${interaction.guildId}`);
+    recordAudit(interaction, {
+        action: 'role-quota',
+        outcome: AUDIT_OUTCOME.SUCCESS,
+        details: `role=${role.id}, maxWatches=${limit ?? 'none'}`
+    });
+    await startQueuedWatches(interaction);
+}
+
+async function handleAuditChannel(interaction) {
+    const channel = interaction.options.getChannel('channel');
+    updateGuildSettings(interaction.guildId, { auditChannelId: channel ? channel.id : null }, interaction.user.id);
+
+    await interaction.reply({
+        content: channel
+            ? `✅ Audit events for this server will be posted to <#${channel.id}>.`
+            : '✅ Audit events are no longer posted to a channel (they are still searchable with `/audit`).',
+        ephemeral: true
+    });
+    console.log(`⚙️ ${interaction.user.tag} set the audit channel to ${channel ? channel.id : 'none'} in ${interaction.guildId}`);
+    recordAudit(interaction, {
+        action: 'audit-channel',
+        outcome: AUDIT_OUTCOME.SUCCESS,
+        details: `channel=${channel ? channel.id : 'none'}`
+    });
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('config')
+        .setDescription('View or change this server\'s bot settings')
+        .addSubcommand(subcommand =>
+            subcommand.setName('view')
+                .setDescription('Show every setting for this server')
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('watch-limit')
+                .setDescription('Set how many watches this server can run at once')
+                .addIntegerOption(option =>
+                    option.setName('limit')
+                        .setDescription(`Maximum concurrent watches (leave empty for the default of ${DEFAULT_MAX_WATCHES})`)
+                        .setRequired(false)
+                        .setMinValue(1)
+                        .setMaxValue(MAX_WATCHES_LIMIT)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('officer-quota')
+                .setDescription('Set how many watches each officer can run at once')
+                .addIntegerOption(option =>
+                    option.setName('limit')
+                        .setDescription('Maximum watches per officer (leave empty for no quota)')
+                        .setRequired(false)
+                        .setMinValue(1)
+                        .setMaxValue(MAX_WATCHES_LIMIT)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('role-quota')
+                .setDescription('Give a role its own per-officer watch quota')
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('Role the quota applies to')
+                        .setRequired(true)
+                )
+                .addIntegerOption(option =>
+                    option.setName('limit')
+                        .setDescription('Maximum watches per member (leave empty to remove the quota)')
+                        .setRequired(false)
+                        .setMinValue(1)
+                        .setMaxValue(MAX_WATCHES_LIMIT)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('audit-channel')
+                .setDescription('Set the channel this server\'s audit events are posted to')
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Audit log channel (leave empty to stop posting)')
+                        .setRequired(false)
+                        .addChannelTypes(ChannelType.GuildText)
+                )
+        ),
+
+    async execute(interaction) {
+        if (await checkPermissionSilent(interaction, 'admin')) {
+            return; // Silent denial
+        }
+
+        switch (interaction.options.getSubcommand()) {
+            case 'view':
+                await handleView(interaction);
+                break;
+            case 'watch-limit':
+                await handleWatchLimit(interaction);
+                break;
+            case 'officer-quota':
+                await handleOfficerQuota(interaction);
+                break;
+            case 'role-quota':
+                await handleRoleQuota(interaction);
+                break;
+            case 'audit-channel':
+                await handleAuditChannel(interaction);
+                break;
+        }
+    },
+};
@@ -0,0 +1,124 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { getRobloxUserId } = require('../utils/roblox-api');
+const { checkPermissionSilent } = require('../utils/permissions');
+const { recordAudit, AUDIT_OUTCOME } = require('../utils/audit');
+const { buildSessions, getBusiestHours, formatDuration } = require('../utils/history');
+const { sendPaginated } = require('../utils/pagination');
+const storage = require('../utils/storage');
+
+const DEFAULT_DAYS = 30;
+const MAX_TRANSITIONS = 1000;
+const SESSIONS_PER_PAGE = 8;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('history')
+        .setDescription('Show a suspect\'s recorded online sessions')
+        .addStringOption(option =>
+            option.setName('username')
+                .setDescription('The Roblox username to look up')
+                .setRequired(true)
+        )
+        .addIntegerOption(option =>
+            option.setName('days')
+                .setDescription(`How far back to look (default ${DEFAULT_DAYS})`)
+                .setRequired(false)
+                .setMinValue(1)
+                .setMaxValue(90)
+        ),
+
+    async execute(interaction) {
+        // Same access as /check - only this server's watches are counted
+        if (await checkPermissionSilent(interaction, 'check')) {
+            return; // Silent denial
+        }
+
+        const username = interaction.options.getString('username');
+        const days = interaction.options.getInteger('days') || DEFAULT_DAYS;
+
+        await interaction.deferReply({ ephemeral: true });
+
+        const robloxUserResult = await getRobloxUserId(username);
+
+        if (robloxUserResult?.error === 'rate_limited') {
+            recordAudit(interaction, { targetUsername: username, outcome: AUDIT_OUTCOME.RATE_LIMITED });
+            await interaction.editReply({
+                content: `⏳ Roblox API is rate limited. Please try again in ${robloxUserResult.retryAfter} seconds.`,
+            });
+            return;
+        }
+
+        if (!robloxUserResult || typeof robloxUserResult === 'object') {
+            recordAudit(interaction, { targetUsername: username, outcome: AUDIT_OUTCOME.NOT_FOUND });
+            await interaction.editReply({
+                content: `❌ Could not find user **${username}** on Roblox.`,
+            });
+            return;
+        }
+
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+        const transitions = storage.getTransitions(interaction.guildId, robloxUserResult, { since, limit: MAX_TRANSITIONS });
+        const sessions = buildSessions(transitions).reverse(); // Newest first for display
+
+        recordAudit(interaction, {
+            targetUsername: username,
+            targetRobloxId: robloxUserResult,
+            outcome: AUDIT_OUTCOME.SUCCESS,
+            details: `${days}d, ${sessions.length} session(s)`
+        });
+
+        if (sessions.length === 0) {
+            const embed = new EmbedBuilder()
+                .setTitle(`🕓 History: ${username}`)
+                .setColor(0x808080)
+                .setDescription(`No sessions recorded in the last ${days} day(s).\n*History is only collected while a user is under \`/watch start\`.*`)
+                .setTimestamp();
+
+            await interaction.editReply({ embeds: [embed] });
+            return;
+        }
+
+        // Summary shown at the top of every page
+        const totalOnline = sessions.reduce((sum, session) => sum + session.durationMs, 0);
+        const busiestHours = getBusiestHours(sessions);
+        let summary = `User ID: \`${robloxUserResult}\`\n`;
+        summary += `**${sessions.length}** session(s) in the last ${days} day(s) • ${formatDuration(totalOnline)} online`;
+        if (busiestHours.length > 0) {
+            summary += `\nUsually online around: ${busiestHours.map(hour => `${String(hour).padStart(2, '0')}:00`).join(', ')} UTC`;
+        }
+
+        const totalPages = Math.ceil(sessions.length / SESSIONS_PER_PAGE);
+        const pages = [];
+
+        for (let i = 0; i < sessions.length; i += SESSIONS_PER_PAGE) {
+            const embed = new EmbedBuilder()
+                .setTitle(`🕓 History: ${username}`)
+                .setColor(0x0099FF)
+                .setDescription(summary)
+                .setFooter({ text: `Page ${pages.length + 1}/${totalPages} • Times shown in your local timezone` })
+                .setTimestamp();
+
+            sessions.slice(i, i + SESSIONS_PER_PAGE).forEach((session, offset) => {
+                // Number sessions oldest = 1 so they stay stable across pages
+                const number = sessions.length - (i + offset);
+                const start = `<t:${Math.floor(session.start.getTime() / 1000)}:f>`;
+                let end = session.end ? `<t:${Math.floor(session.end.getTime() / 1000)}:t>` : 'ongoing';
+                if (session.unobservedEnd) end += ' (watch ended)';
+
+                let value = `${start} → ${end}`;
+                value += `\nDuration: ${formatDuration(session.durationMs)}${session.end ? '' : '+'}`;
+                value += `\nPlaces: ${session.places.length > 0 ? session.places.join(' → ') : 'Not in game'}`;
+
+                embed.addFields({
+                    name: `${session.end ? '⚫' : '🟢'} Session ${number}`,
+                    value: value.slice(0, 1024),
+                    inline: false
+                });
+            });
+
+            pages.push(embed);
+        }
+
+        await sendPaginated(interaction, pages);
+    },
+};
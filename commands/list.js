@@ -0,0 +1,400 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { getRobloxUserIds, checkRobloxStatuses } = require('../utils/roblox-api');
+const { checkPermissionSilent } = require('../utils/permissions');
+const { recordAudit, AUDIT_OUTCOME } = require('../utils/audit');
+const { parseUsernameList, checkForInteraction, replyWithResults } = require('../utils/bulk-check');
+const lists = require('../utils/lists');
+const { sendPaginated } = require('../utils/pagination');
+
+const MEMBERS_PER_PAGE = 30;
+
+// Resolve typed usernames to { id, name } for storage
+async function resolveUsernames(text) {
+    const { usernames, invalid } = parseUsernameList(text);
+    if (usernames.length === 0) return { found: [], missing: [], invalid };
+
+    const users = await getRobloxUserIds(usernames);
+    if (users.error === 'rate_limited') return { error: users };
+
+    const found = [];
+    const missing = [];
+    for (const username of usernames) {
+        const user = users.get(username.toLowerCase());
+        if (user) found.push(user);
+        else missing.push(username);
+    }
+
+    return { found, missing, invalid };
+}
+
+// Look up the named list, replying if it doesn't exist
+async function requireList(interaction, name) {
+    const list = lists.getList(interaction.guild.id, name);
+    if (!list) {
+        recordAudit(interaction, { action: interaction.options.getSubcommand(), outcome: AUDIT_OUTCOME.NOT_FOUND, details: `list ${name}` });
+        const payload = { content: `❌ No list named **${name}**. See \`/list view\` for this server's lists.`, ephemeral: true };
+        if (interaction.deferred) await interaction.editReply(payload);
+        else await interaction.reply(payload);
+    }
+    return list;
+}
+
+function describeResolution({ found, missing, invalid }, { added, dropped }) {
+    const alreadyListed = found.length - added - dropped;
+    const lines = [`✅ Added ${added} suspect(s)${alreadyListed > 0 ? ` (${alreadyListed} already listed)` : ''}`];
+    if (dropped > 0) lines.push(`⚠️ ${dropped} suspect(s) not added - lists are limited to ${lists.MAX_LIST_MEMBERS} so they can be checked in one go.`);
+    if (missing.length > 0) lines.push(`❓ Not found on Roblox: ${missing.join(', ')}`);
+    if (invalid.length > 0) lines.push(`⚠️ Invalid names skipped: ${invalid.join(', ')}`);
+    return lines.join('\n');
+}
+
+async function handleCreate(interaction) {
+    const name = interaction.options.getString('name');
+    const users = interaction.options.getString('users');
+
+    const list = lists.createList(interaction.guild.id, name, interaction.user.id);
+    if (!list) {
+        recordAudit(interaction, { action: 'create', outcome: AUDIT_OUTCOME.REJECTED, details: `list ${name} exists` });
+        await interaction.reply({ content: `⚠️ A list named **${name}** already exists.`, ephemeral: true });
+        return;
+    }
+
+    let content = `📋 Created list **${list.name}**.`;
+
+    if (users) {
+        await interaction.deferReply({ ephemeral: true });
+        const resolution = await resolveUsernames(users);
+        if (resolution.error) {
+            content += `\n⏳ Roblox API is rate limited - add members with \`/list add\` in ${resolution.error.retryAfter} seconds.`;
+        } else {
+            const result = lists.addListMembers(list.id, resolution.found, interaction.user.id);
+            content += `\n${describeResolution(resolution, result)}`;
+        }
+        await interaction.editReply({ content });
+    } else {
+        await interaction.reply({ content: `${content}\nAdd suspects with \`/list add\`.`, ephemeral: true });
+    }
+
+    console.log(`📋 ${interaction.user.tag} created list ${list.name}`);
+    recordAudit(interaction, { action: 'create', outcome: AUDIT_OUTCOME.SUCCESS, details: `list ${list.name}` });
+}
+
+async function handleDelete(interaction) {
+    const name = interaction.options.getString('name');
+    const list = await requireList(interaction, name);
+    if (!list) return;
+
+    lists.deleteList(interaction.guild.id, list.name);
+
+    await interaction.reply({ content: `🗑️ Deleted list **${list.name}** (${list.memberCount} suspect(s)).`, ephemeral: true });
+    console.log(`📋 ${interaction.user.tag} deleted list ${list.name}`);
+    recordAudit(interaction, { action: 'delete', outcome: AUDIT_OUTCOME.SUCCESS, details: `list ${list.name}, ${list.memberCount} member(s)` });
+}
+
+async function handleAdd(interaction) {
+    const name = interaction.options.getString('name');
+    const list = await requireList(interaction, name);
+    if (!list) return;
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const resolution = await resolveUsernames(interaction.options.getString('users'));
+    if (resolution.error) {
+        recordAudit(interaction, { action: 'add', outcome: AUDIT_OUTCOME.RATE_LIMITED, details: `list ${list.name}` });
+        await interaction.editReply({ content: `⏳ Roblox API is rate limited. Please try again in ${resolution.error.retryAfter} seconds.` });
+        return;
+    }
+
+    const result = lists.addListMembers(list.id, resolution.found, interaction.user.id);
+
+    await interaction.editReply({ content: `📋 **${list.name}**\n${describeResolution(resolution, result)}` });
+    recordAudit(interaction, {
+        action: 'add',
+        outcome: result.added === 0 && result.dropped > 0 ? AUDIT_OUTCOME.REJECTED : AUDIT_OUTCOME.SUCCESS,
+        details: `list ${list.name}: ${resolution.found.map(user => user.name).join(', ') || 'nobody'}${result.dropped > 0 ? ` (${result.dropped} over ${lists.MAX_LIST_MEMBERS})` : ''}`
+    });
+}
+
+async function handleRemove(interaction) {
+    const name = interaction.options.getString('name');
+    const username = interaction.options.getString('username');
+    const list = await requireList(interaction, name);
+    if (!list) return;
+
+    const removed = lists.removeListMember(list.id, username);
+    if (!removed) {
+        recordAudit(interaction, { action: 'remove', targetUsername: username, outcome: AUDIT_OUTCOME.NOT_FOUND, details: `list ${list.name}` });
+        await interaction.reply({ content: `❓ **${username}** is not on list **${list.name}**.`, ephemeral: true });
+        return;
+    }
+
+    await interaction.reply({ content: `➖ Removed **${removed.username}** from list **${list.name}**.`, ephemeral: true });
+    recordAudit(interaction, {
+        action: 'remove',
+        targetUsername: removed.username,
+        targetRobloxId: removed.robloxUserId,
+        outcome: AUDIT_OUTCOME.SUCCESS,
+        details: `list ${list.name}`
+    });
+}
+
+async function handleView(interaction) {
+    const name = interaction.options.getString('name');
+
+    if (!name) {
+        const guildLists = lists.getLists(interaction.guild.id);
+        const embed = new EmbedBuilder()
+            .setTitle('📋 Suspect Lists')
+            .setColor(0x0099FF)
+            .setDescription(guildLists.length > 0
+                ? guildLists.map(list => `• **${list.name}** - ${list.memberCount} suspect(s)`).join('\n').slice(0, 4096)
+                : 'No lists yet. Create one with `/list create`.')
+            .setTimestamp();
+
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+        return;
+    }
+
+    const list = await requireList(interaction, name);
+    if (!list) return;
+
+    const members = lists.getListMembers(list.id);
+    const pages = [];
+    for (let i = 0; i < Math.max(members.length, 1); i += MEMBERS_PER_PAGE) {
+        const lines = members.slice(i, i + MEMBERS_PER_PAGE).map(member => `• **${member.username}** (\`${member.robloxUserId}\`)`);
+        pages.push(new EmbedBuilder()
+            .setTitle(`📋 ${list.name}`)
+            .setColor(0x0099FF)
+            .setDescription(lines.length > 0 ? lines.join('\n') : 'This list is empty.')
+            .setFooter({ text: `${members.length} suspect(s)` })
+            .setTimestamp());
+    }
+
+    await sendPaginated(interaction, pages, { ephemeral: true });
+}
+
+async function handleCheck(interaction) {
+    const name = interaction.options.getString('name');
+    const list = await requireList(interaction, name);
+    if (!list) return;
+
+    if (list.memberCount === 0) {
+        await interaction.reply({ content: `📋 List **${list.name}** is empty.`, ephemeral: true });
+        return;
+    }
+
+    await interaction.deferReply();
+
+    const targets = lists.getListMembers(list.id).map(member => ({ username: member.username, robloxUserId: member.robloxUserId }));
+    const results = await checkForInteraction(interaction, targets);
+    if (!results) return;
+
+    await replyWithResults(interaction, results, {
+        title: `🔍 List Check: ${list.name}`,
+        csv: interaction.options.getBoolean('csv') === true
+    });
+
+    console.log(`✅ List check completed for ${list.name} by ${interaction.user.tag}`);
+}
+
+async function handleWatch(interaction) {
+    const name = interaction.options.getString('name');
+    const hours = interaction.options.getInteger('hours');
+
+    const watchCommand = interaction.client.commands.get('watch');
+    if (!watchCommand) {
+        await interaction.reply({ content: '❌ Watch system not available.', ephemeral: true });
+        return;
+    }
+
+    const list = await requireList(interaction, name);
+    if (!list) return;
+
+    await interaction.deferReply({ ephemeral: true });
+
+    const guildWatches = watchCommand.getGuildWatches(interaction.guild.id);
+    const watchedIds = new Set(guildWatches.map(watch => watch.robloxUserId));
+    const members = lists.getListMembers(list.id);
+
+    // Bounded by the server limit and the officer's own quota
+    const slots = watchCommand.getFreeSlots(interaction.guild.id, interaction.user.id, interaction.member);
+    const pending = members.filter(member => !watchedIds.has(member.robloxUserId));
+    const alreadyWatched = members.length - pending.length;
+    const toStart = pending.slice(0, slots.free);
+
+    // The rest wait for a slot, the same as /watch start over the limit
+    const queued = [];
+    let alreadyQueued = 0;
+    for (const member of pending.slice(slots.free)) {
+        const waiting = watchCommand.addToWaitlist(interaction, {
+            username: member.username,
+            robloxUserId: member.robloxUserId,
+            hours: hours
+        }, slots);
+        if (waiting) queued.push(waiting);
+        else alreadyQueued++;
+    }
+
+    // One batched presence lookup for every new watch's baseline
+    const statuses = toStart.length > 0 ? await checkRobloxStatuses(toStart.map(member => member.robloxUserId)) : new Map();
+
+    for (const member of toStart) {
+        const status = statuses.get(member.robloxUserId);
+        watchCommand.createWatch({
+            username: member.username,
+            robloxUserId: member.robloxUserId,
+            hours: hours,
+            startedBy: interaction.user.tag,
+            startedById: interaction.user.id,
+            guildId: interaction.guild.id,
+            client: interaction.client
+        }, status && !status.error ? status : null);
+    }
+
+    const embed = new EmbedBuilder()
+        .setTitle(`👁️ Watching List: ${list.name}`)
+        .setColor(queued.length + alreadyQueued > 0 ? 0xFFAA00 : 0x00FF00)
+        .setDescription(`Started ${toStart.length} watch(es) for ${hours} hour(s)${queued.length > 0 ? `, queued ${queued.length}` : ''}`)
+        .setTimestamp();
+
+    if (toStart.length > 0) {
+        embed.addFields({ name: '✅ Started', value: toStart.map(member => member.username).join(', ').slice(0, 1024), inline: false });
+    }
+    if (alreadyWatched > 0) {
+        embed.addFields({ name: 'ℹ️ Already Watched', value: `${alreadyWatched} suspect(s) - use \`/watch subscribe\` to receive their alerts`, inline: false });
+    }
+    if (queued.length > 0) {
+        const positions = queued.map(({ entry, position }) => `${entry.username} (#${position}, ${entry.priority.label} priority)`);
+        embed.addFields({
+            name: slots.scope === 'officer' ? `⏳ Queued - Your Watch Quota (${slots.limit}) Reached` : `⏳ Queued - Watch Limit (${slots.limit}) Reached`,
+            value: positions.join(', ').slice(0, 1024),
+            inline: false
+        });
+        embed.setFooter({ text: 'You\'ll be DMed as each queued watch starts • /stopwatch removes it from the queue' });
+    }
+    if (alreadyQueued > 0) {
+        embed.addFields({ name: 'ℹ️ Already Queued', value: `${alreadyQueued} suspect(s) already on the waitlist`, inline: false });
+    }
+
+    await interaction.editReply({ embeds: [embed] });
+
+    console.log(`👁️ ${interaction.user.tag} started ${toStart.length} and queued ${queued.length} watch(es) from list ${list.name}`);
+    recordAudit(interaction, {
+        action: 'watch',
+        outcome: toStart.length + queued.length > 0 ? AUDIT_OUTCOME.SUCCESS : AUDIT_OUTCOME.REJECTED,
+        details: `list ${list.name}, ${hours}h: ${toStart.length} started, ${queued.length} queued, ${alreadyWatched} already watched, ${alreadyQueued} already queued`
+    });
+}
+
+// Every subcommand takes the list name first
+const nameOption = option =>
+    option.setName('name')
+        .setDescription('List name')
+        .setRequired(true)
+        .setMaxLength(lists.MAX_LIST_NAME_LENGTH);
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('list')
+        .setDescription('Manage saved suspect lists')
+        .addSubcommand(subcommand =>
+            subcommand.setName('create')
+                .setDescription('Create a new suspect list')
+                .addStringOption(nameOption)
+                .addStringOption(option =>
+                    option.setName('users')
+                        .setDescription('Usernames to add, separated by commas or spaces')
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('add')
+                .setDescription('Add suspects to a list')
+                .addStringOption(nameOption)
+                .addStringOption(option =>
+                    option.setName('users')
+                        .setDescription('Usernames separated by commas or spaces')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('remove')
+                .setDescription('Remove a suspect from a list')
+                .addStringOption(nameOption)
+                .addStringOption(option =>
+                    option.setName('username')
+                        .setDescription('Username or Roblox user ID')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('view')
+                .setDescription('Show all lists, or the members of one')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('List name (leave empty for all lists)')
+                        .setRequired(false)
+                        .setMaxLength(lists.MAX_LIST_NAME_LENGTH)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('check')
+                .setDescription('Check every suspect on a list')
+                .addStringOption(nameOption)
+                .addBooleanOption(option =>
+                    option.setName('csv')
+                        .setDescription('Attach results as CSV')
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('watch')
+                .setDescription('Start a watch on every suspect on a list')
+                .addStringOption(nameOption)
+                .addIntegerOption(option =>
+                    option.setName('hours')
+                        .setDescription('Duration in hours (max 24)')
+                        .setRequired(true)
+                        .setMinValue(1)
+                        .setMaxValue(24)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('delete')
+                .setDescription('Delete a suspect list')
+                .addStringOption(nameOption)
+        ),
+
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        // Watching a list needs watch access; everything else is bulk-check access
+        if (await checkPermissionSilent(interaction, subcommand === 'watch' ? 'watch' : 'bulk-check')) {
+            return; // Silent denial
+        }
+
+        switch (subcommand) {
+            case 'create':
+                await handleCreate(interaction);
+                break;
+            case 'add':
+                await handleAdd(interaction);
+                break;
+            case 'remove':
+                await handleRemove(interaction);
+                break;
+            case 'view':
+                await handleView(interaction);
+                break;
+            case 'check':
+                await handleCheck(interaction);
+                break;
+            case 'watch':
+                await handleWatch(interaction);
+                break;
+            case 'delete':
+                await handleDelete(interaction);
+                break;
+        }
+    },
+};
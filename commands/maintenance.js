@@ -1,6 +1,95 @@
-const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
-const { getCookieStatus, checkCookieHealth } = require('../utils/roblox-api');
-const { checkPermissionSilent } = require('../utils/permissions');
+const {
+    SlashCommandBuilder,
+    EmbedBuilder,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    ModalBuilder,
+    TextInputBuilder,
+    TextInputStyle
+} = require('discord.js');
+const { getCookieStatus, replaceCookie } = require('../utils/roblox-api');
+const { checkPermissionSilent, checkOperatorComponent, isBotOperator } = require('../utils/permissions');
+const { recordAudit, AUDIT_OUTCOME } = require('../utils/audit');
+const { runCookieCheck, startCookieMonitor, stopCookieMonitor, getCookieMonitorStatus } = require('../utils/cookie-monitor');
+const { saveCookie, loadCookie } = require('../utils/cookie-store');
+const { buildCustomId } = require('../utils/components');
+
+const COOKIE_INPUT_ID = 'cookie';
+const COOKIE_PREFIX = '.ROBLOSECURITY=';
+
+// Bot operators only - the cookie is shared by every server the bot is in
+function buildCookieButton(guildId) {
+    return new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(buildCustomId('maintenance', 'cookie', guildId))
+            .setLabel('Replace Cookie')
+            .setEmoji('🔑')
+            .setStyle(ButtonStyle.Secondary)
+    );
+}
+
+function buildCookieModal(guildId) {
+    return new ModalBuilder()
+        .setCustomId(buildCustomId('maintenance', 'cookie-submit', guildId))
+        .setTitle('Replace Roblox Cookie')
+        .addComponents(
+            new ActionRowBuilder().addComponents(
+                new TextInputBuilder()
+                    .setCustomId(COOKIE_INPUT_ID)
+                    .setLabel('.ROBLOSECURITY cookie')
+                    .setStyle(TextInputStyle.Paragraph)
+                    .setRequired(true)
+            )
+        );
+}
+
+/**
+ * Verify and apply a cookie submitted through the modal
+ * A cookie that fails verification is discarded and the current one stays in use.
+ */
+async function applyCookie(interaction) {
+    await interaction.deferReply({ ephemeral: true });
+
+    let cookie = interaction.fields.getTextInputValue(COOKIE_INPUT_ID).trim();
+    if (cookie.startsWith(COOKIE_PREFIX)) cookie = cookie.slice(COOKIE_PREFIX.length);
+
+    const result = await replaceCookie(cookie);
+
+    if (!result.success) {
+        recordAudit(interaction, { action: 'replace cookie', outcome: AUDIT_OUTCOME.ERROR, details: `rejected (${result.status})` });
+        await interaction.editReply({
+            embeds: [new EmbedBuilder()
+                .setTitle('❌ Cookie Rejected')
+                .setColor(0xFF0000)
+                .setDescription(`Roblox did not accept the new cookie (${result.status}). The previous cookie is still in use.`)
+                .setTimestamp()]
+        });
+        return;
+    }
+
+    const persisted = saveCookie(cookie, interaction.user.id);
+    console.log(`🔑 Cookie replaced by ${interaction.user.tag}${persisted ? '' : ' (not persisted)'}`);
+    recordAudit(interaction, { action: 'replace cookie', details: `authenticated as ${result.userId}` });
+
+    // Let the monitor announce the recovery if the old cookie had failed
+    await runCookieCheck(interaction.client);
+
+    await interaction.editReply({
+        embeds: [new EmbedBuilder()
+            .setTitle('✅ Cookie Replaced')
+            .setColor(0x00FF00)
+            .setDescription(`Authenticated as Roblox user \`${result.userId}\`. Active watches were not interrupted.`)
+            .addFields({
+                name: '💾 Storage',
+                value: persisted
+                    ? 'Saved encrypted - it will be used after a restart.'
+                    : 'Not saved - set COOKIE_ENCRYPTION_KEY to keep it across restarts.',
+                inline: false
+            })
+            .setTimestamp()]
+    });
+}
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -15,17 +104,17 @@ module.exports = {
 
         await interaction.deferReply({ ephemeral: true });
 
-        // Get current cookie status
-        const status = getCookieStatus();
-        
-        // Test cookie health in real-time
+        // Test cookie health in real-time - a state change is announced to admins as well
         console.log('🔍 Testing cookie health...');
-        const isHealthy = await checkCookieHealth();
+        const { healthy: isHealthy } = await runCookieCheck(interaction.client);
+        
+        // Status as of the check above
+        const status = getCookieStatus();
         
         // Determine status color and emoji
         let color, statusEmoji, statusText;
         
-        if (!process.env.ROBLOSECURITY_COOKIE) {
+        if (!status.configured) {
             color = 0xFF0000; // Red
             statusEmoji = '❌';
             statusText = 'NOT CONFIGURED';
@@ -59,13 +148,11 @@ module.exports = {
             );
 
         // Add detailed info if cookie exists
-        if (process.env.ROBLOSECURITY_COOKIE) {
-            const cookieLength = process.env.ROBLOSECURITY_COOKIE.length;
-            
+        if (status.configured) {
             embed.addFields(
                 {
                     name: '📊 Cookie Info',
-                    value: `Length: ${cookieLength} characters\nFailures: ${status.failureCount}`,
+                    value: `Length: ${status.cookieLength} characters\nFailures: ${status.failureCount}`,
                     inline: true
                 }
             );
@@ -99,12 +186,21 @@ module.exports = {
             }
         );
 
+        const monitor = getCookieMonitorStatus();
+        embed.addFields({
+            name: '🛰️ Scheduled Checks',
+            value: monitor.running
+                ? `Every ${monitor.intervalMinutes} min → ${monitor.alertChannelId ? `<#${monitor.alertChannelId}>` : 'no alert channel set'}`
+                : 'Not running',
+            inline: false
+        });
+
         // Add maintenance instructions if needed
         if (status.needsMaintenance || !isHealthy) {
             embed.addFields(
                 {
                     name: '🛠️ Maintenance Required',
-                    value: '1. Log into alt Roblox account\n2. Get new .ROBLOSECURITY cookie\n3. Update .env file\n4. Restart bot',
+                    value: '1. Log into alt Roblox account\n2. Copy its .ROBLOSECURITY cookie\n3. A bot operator presses **Replace Cookie** below',
                     inline: false
                 }
             );
@@ -115,9 +211,45 @@ module.exports = {
             text: `Bot Health Check • ${new Date().toLocaleString()}` 
         });
 
-        await interaction.editReply({ embeds: [embed] });
+        await interaction.editReply({
+            embeds: [embed],
+            components: isBotOperator(interaction) ? [buildCookieButton(interaction.guildId)] : []
+        });
 
         // Log maintenance check
         console.log(`🔧 Maintenance check by ${interaction.user.tag}`);
+        recordAudit(interaction, { outcome: AUDIT_OUTCOME.SUCCESS, details: statusText });
+    },
+
+    async handleComponent(interaction, { action }) {
+        if (action !== 'cookie' && action !== 'cookie-submit') return;
+
+        if (await checkOperatorComponent(interaction)) {
+            return;
+        }
+
+        if (action === 'cookie') {
+            await interaction.showModal(buildCookieModal(interaction.guildId));
+            return;
+        }
+
+        await applyCookie(interaction);
+    },
+
+    // Switch to a cookie replaced at runtime, then start scheduled cookie checks
+    async initialize(client) {
+        const stored = loadCookie();
+        if (stored) {
+            const result = await replaceCookie(stored);
+            if (!result.success) {
+                console.error(`❌ Saved cookie was rejected (${result.status}) - using the .env cookie`);
+            }
+        }
+
+        await startCookieMonitor(client);
     },
+
+    cleanup() {
+        stopCookieMonitor();
+    }
 };
\ No newline at end of file
@@ -0,0 +1,183 @@
+const { SlashCommandBuilder, EmbedBuilder, PermissionFlagsBits } = require('discord.js');
+const {
+    canManagePermissions,
+    getGuildRolePermissions,
+    grantRolePermission,
+    revokeRolePermission,
+    resetGuildPermissions,
+    seedGuildPermissions,
+    CAPABILITIES,
+    ROLE_PERMISSIONS
+} = require('../utils/permissions');
+const { recordAudit, AUDIT_OUTCOME } = require('../utils/audit');
+
+const capabilityChoices = CAPABILITIES.map(capability => ({ name: capability, value: capability }));
+
+async function handleView(interaction) {
+    const configured = getGuildRolePermissions(interaction.guild.id);
+
+    const embed = new EmbedBuilder()
+        .setTitle('🔐 Bot Permissions')
+        .setColor(0x0099FF)
+        .setTimestamp();
+
+    if (configured.size === 0) {
+        embed.setDescription('No role permissions configured - using the default role-name table.\n*Use `/permissions seed` to copy it into this server\'s config.*');
+        for (const [roleName, capabilities] of Object.entries(ROLE_PERMISSIONS)) {
+            embed.addFields({
+                name: roleName,
+                value: capabilities.join(', '),
+                inline: false
+            });
+        }
+    } else {
+        embed.setDescription(`${configured.size} role(s) configured`);
+        for (const [roleId, capabilities] of configured) {
+            if (embed.data.fields?.length >= 25) break; // Discord embed field limit
+            embed.addFields({
+                name: interaction.guild.roles.cache.get(roleId)?.name || `Deleted role (${roleId})`,
+                value: `<@&${roleId}>\n${capabilities.join(', ')}`,
+                inline: false
+            });
+        }
+    }
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+async function handleGrant(interaction) {
+    const role = interaction.options.getRole('role');
+    const capability = interaction.options.getString('capability');
+
+    const granted = grantRolePermission(interaction.guild.id, role.id, capability, interaction.user.id);
+
+    await interaction.reply({
+        content: granted
+            ? `✅ <@&${role.id}> can now use **${capability}**.`
+            : `ℹ️ <@&${role.id}> already has **${capability}**.`,
+        ephemeral: true
+    });
+    console.log(`🔐 ${interaction.user.tag} granted ${capability} to role ${role.name}`);
+    recordAudit(interaction, { action: 'grant', outcome: AUDIT_OUTCOME.SUCCESS, details: `${capability} → ${role.name}` });
+}
+
+async function handleRevoke(interaction) {
+    const role = interaction.options.getRole('role');
+    const capability = interaction.options.getString('capability');
+
+    const revoked = revokeRolePermission(interaction.guild.id, role.id, capability);
+
+    let content = revoked
+        ? `🗑️ <@&${role.id}> can no longer use **${capability}**.`
+        : `ℹ️ <@&${role.id}> did not have **${capability}**.`;
+
+    if (revoked && getGuildRolePermissions(interaction.guild.id).size === 0) {
+        content += '\n⚠️ No role permissions remain - the default role-name table applies again.';
+    }
+
+    await interaction.reply({ content, ephemeral: true });
+    console.log(`🔐 ${interaction.user.tag} revoked ${capability} from role ${role.name}`);
+    recordAudit(interaction, { action: 'revoke', outcome: AUDIT_OUTCOME.SUCCESS, details: `${capability} ✕ ${role.name}` });
+}
+
+async function handleSeed(interaction) {
+    const seeded = seedGuildPermissions(interaction.guild, interaction.user.id);
+
+    await interaction.reply({
+        content: seeded.length > 0
+            ? `✅ Seeded permissions from the default table for: ${seeded.join(', ')}`
+            : '⚠️ None of the default roles exist in this server. Use `/permissions grant` instead.',
+        ephemeral: true
+    });
+    console.log(`🔐 ${interaction.user.tag} seeded default permissions (${seeded.length} roles)`);
+    recordAudit(interaction, { action: 'seed', outcome: AUDIT_OUTCOME.SUCCESS, details: seeded.join(', ') || 'no matching roles' });
+}
+
+async function handleReset(interaction) {
+    const removed = resetGuildPermissions(interaction.guild.id);
+
+    await interaction.reply({
+        content: `🗑️ Removed ${removed} permission entr${removed === 1 ? 'y' : 'ies'}. The default role-name table applies again.`,
+        ephemeral: true
+    });
+    console.log(`🔐 ${interaction.user.tag} reset permissions`);
+    recordAudit(interaction, { action: 'reset', outcome: AUDIT_OUTCOME.SUCCESS, details: `${removed} entries removed` });
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('permissions')
+        .setDescription('Configure which roles can use bot commands')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(subcommand =>
+            subcommand.setName('view')
+                .setDescription('Show the current role permissions')
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('grant')
+                .setDescription('Allow a role to use a capability')
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('Discord role')
+                        .setRequired(true)
+                )
+                .addStringOption(option =>
+                    option.setName('capability')
+                        .setDescription('Command capability')
+                        .setRequired(true)
+                        .addChoices(...capabilityChoices)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('revoke')
+                .setDescription('Remove a capability from a role')
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('Discord role')
+                        .setRequired(true)
+                )
+                .addStringOption(option =>
+                    option.setName('capability')
+                        .setDescription('Command capability')
+                        .setRequired(true)
+                        .addChoices(...capabilityChoices)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('seed')
+                .setDescription('Copy the default role-name permissions into this server\'s config')
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('reset')
+                .setDescription('Remove all configured permissions and use the defaults')
+        ),
+
+    async execute(interaction) {
+        // Server managers and bot admins only
+        if (!canManagePermissions(interaction)) {
+            console.log(`🚫 Permission denied for ${interaction.user.tag} on command: permissions`);
+            recordAudit(interaction, { action: interaction.options.getSubcommand(), outcome: AUDIT_OUTCOME.DENIED });
+            return; // Silent denial
+        }
+
+        const subcommand = interaction.options.getSubcommand();
+
+        switch (subcommand) {
+            case 'view':
+                await handleView(interaction);
+                break;
+            case 'grant':
+                await handleGrant(interaction);
+                break;
+            case 'revoke':
+                await handleRevoke(interaction);
+                break;
+            case 'seed':
+                await handleSeed(interaction);
+                break;
+            case 'reset':
+                await handleReset(interaction);
+                break;
+        }
+    },
+};
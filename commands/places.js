@@ -0,0 +1,138 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { checkPermissionSilent } = require('../utils/permissions');
+const { recordAudit, AUDIT_OUTCOME } = require('../utils/audit');
+const { getTrackedPlaces, addTrackedPlace, removeTrackedPlace, PLACE_KINDS } = require('../utils/places');
+
+const kindChoices = [
+    { name: 'Place ID', value: PLACE_KINDS.PLACE },
+    { name: 'Universe ID (whole experience)', value: PLACE_KINDS.UNIVERSE }
+];
+
+function describePlace(place) {
+    const prefix = place.kind === PLACE_KINDS.UNIVERSE ? 'Universe' : 'Place';
+    return `${prefix} \`${place.targetId}\`${place.label ? ` - ${place.label}` : ''}`;
+}
+
+async function handleAdd(interaction) {
+    const id = interaction.options.getInteger('id');
+    const kind = interaction.options.getString('type') || PLACE_KINDS.PLACE;
+    const label = interaction.options.getString('label');
+
+    const added = addTrackedPlace(interaction.guild.id, kind, id, label, interaction.user.id);
+    const place = { kind, targetId: id, label };
+
+    await interaction.reply({
+        content: added
+            ? `✅ Now tracking ${describePlace(place)} as one of our games.`
+            : `ℹ️ ${describePlace(place)} was already tracked - label updated.`,
+        ephemeral: true
+    });
+    console.log(`🎯 ${interaction.user.tag} tracked ${kind} ${id}`);
+    recordAudit(interaction, { action: 'add', outcome: AUDIT_OUTCOME.SUCCESS, details: `${kind} ${id}${label ? ` (${label})` : ''}` });
+}
+
+async function handleRemove(interaction) {
+    const id = interaction.options.getInteger('id');
+    const kind = interaction.options.getString('type') || PLACE_KINDS.PLACE;
+
+    const removed = removeTrackedPlace(interaction.guild.id, kind, id);
+
+    await interaction.reply({
+        content: removed
+            ? `🗑️ Stopped tracking ${describePlace({ kind, targetId: id })}.`
+            : `ℹ️ ${describePlace({ kind, targetId: id })} was not tracked.`,
+        ephemeral: true
+    });
+    console.log(`🎯 ${interaction.user.tag} untracked ${kind} ${id}`);
+    recordAudit(interaction, {
+        action: 'remove',
+        outcome: removed ? AUDIT_OUTCOME.SUCCESS : AUDIT_OUTCOME.NOT_FOUND,
+        details: `${kind} ${id}`
+    });
+}
+
+async function handleList(interaction) {
+    const places = getTrackedPlaces(interaction.guild.id);
+
+    const embed = new EmbedBuilder()
+        .setTitle('🎯 Tracked Games')
+        .setColor(0x0099FF)
+        .setTimestamp();
+
+    if (places.length === 0) {
+        embed.setDescription('No games tracked yet.\n*Use `/places add` so /check and watch alerts can tell when a suspect is in our game.*');
+    } else {
+        embed.setDescription(places.map(place => `• ${describePlace(place)}`).join('\n').slice(0, 4096));
+    }
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('places')
+        .setDescription('Manage the games this server counts as "our game"')
+        .addSubcommand(subcommand =>
+            subcommand.setName('add')
+                .setDescription('Track a place or universe')
+                .addIntegerOption(option =>
+                    option.setName('id')
+                        .setDescription('Place ID or universe ID')
+                        .setRequired(true)
+                        .setMinValue(1)
+                )
+                .addStringOption(option =>
+                    option.setName('type')
+                        .setDescription('What the ID refers to (default: place)')
+                        .setRequired(false)
+                        .addChoices(...kindChoices)
+                )
+                .addStringOption(option =>
+                    option.setName('label')
+                        .setDescription('Friendly name shown in reports')
+                        .setRequired(false)
+                        .setMaxLength(100)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('remove')
+                .setDescription('Stop tracking a place or universe')
+                .addIntegerOption(option =>
+                    option.setName('id')
+                        .setDescription('Place ID or universe ID')
+                        .setRequired(true)
+                        .setMinValue(1)
+                )
+                .addStringOption(option =>
+                    option.setName('type')
+                        .setDescription('What the ID refers to (default: place)')
+                        .setRequired(false)
+                        .addChoices(...kindChoices)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('Show tracked places and universes')
+        ),
+
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        // Anyone who can run /check may see the list; changing it is admin only
+        if (await checkPermissionSilent(interaction, subcommand === 'list' ? 'check' : 'admin')) {
+            return; // Silent denial
+        }
+
+        switch (subcommand) {
+            case 'add':
+                await handleAdd(interaction);
+                break;
+            case 'remove':
+                await handleRemove(interaction);
+                break;
+            case 'list':
+                await handleList(interaction);
+                break;
+        }
+    },
+};
@@ -0,0 +1,482 @@
+const { SlashCommandBuilder, EmbedBuilder, ChannelType } = require('discord.js');
+const { checkPermissionSilent } = require('../utils/permissions');
+const { recordAudit, AUDIT_OUTCOME } = require('../utils/audit');
+const { runBulkCheck, summarizeResults, buildResultPages } = require('../utils/bulk-check');
+const { getTrackedPlaces } = require('../utils/places');
+const lists = require('../utils/lists');
+const {
+    parseTimeOfDay,
+    parseDays,
+    describeDays,
+    getNextRun,
+    getPreviousRun,
+    getSweeps,
+    getAllSweeps,
+    getSweep,
+    createSweep,
+    deleteSweep,
+    markSweepRun,
+    MAX_SWEEPS_PER_GUILD
+} = require('../utils/sweeps');
+
+// A run missed while the bot was offline is caught up on startup if it was due this recently
+const MISSED_SWEEP_GRACE_MS = 60 * 60 * 1000;
+
+// Sweep ID -> timer for its next run
+const sweepTimers = new Map();
+
+// Sweeps being checked right now - a timer and /schedule run never post the same sweep twice at once
+const sweepsInFlight = new Set();
+
+// Set on shutdown so runs still finishing don't arm new timers
+let schedulerStopped = false;
+
+function toTimestamp(date, style) {
+    return `<t:${Math.floor(new Date(date).getTime() / 1000)}:${style}>`;
+}
+
+function describeSchedule(sweep) {
+    return `${describeDays(sweep.days)} at ${sweep.timeOfDay} UTC`;
+}
+
+// One line per suspect, or a placeholder when there are none
+function listNames(results, describe, empty) {
+    if (results.length === 0) return empty;
+    return results.map(describe).join('\n').slice(0, 1024);
+}
+
+/**
+ * Digest posted ahead of the full results: who is online, and who is in our game
+ * @param {Object} sweep
+ * @param {Array<Object>} results - From runBulkCheck
+ * @returns {EmbedBuilder}
+ */
+function buildDigestEmbed(sweep, results) {
+    const summary = summarizeResults(results);
+    const online = results.filter(result => result.status?.online === true);
+    const inOurGame = online.filter(result => result.gameScope?.ours);
+    const elsewhere = online.filter(result => !result.gameScope?.ours);
+
+    const placesTracked = getTrackedPlaces(sweep.guildId).length > 0;
+
+    let color = 0x0099FF;
+    if (inOurGame.length > 0) color = 0xFF0000;
+    else if (online.length > 0) color = 0x00FF00;
+
+    return new EmbedBuilder()
+        .setTitle(`🚓 Patrol Sweep: ${sweep.listName}`)
+        .setColor(color)
+        .setDescription(`Checked ${results.length} suspect(s) • ${describeSchedule(sweep)}`)
+        .addFields(
+            {
+                name: `🎯 In Our Game (${inOurGame.length})`,
+                value: placesTracked
+                    ? listNames(inOurGame, result => {
+                        let line = `**${result.username}**${result.gameScope.label ? ` (${result.gameScope.label})` : ''}`;
+                        if (result.status.joinUrls?.authenticated) line += ` - [Join](${result.status.joinUrls.authenticated})`;
+                        return line;
+                    }, 'Nobody')
+                    : 'No tracked places - add them with `/places add`',
+                inline: false
+            },
+            {
+                name: `🟢 Online Elsewhere (${elsewhere.length})`,
+                value: listNames(elsewhere, result => `**${result.username}** - ${result.status.game || result.status.status}`, 'Nobody'),
+                inline: false
+            },
+            {
+                name: '📊 Summary',
+                value: `🟢 Online: ${summary.online}\n⚫ Offline: ${summary.offline}\n🟡 Other: ${summary.other}`,
+                inline: false
+            }
+        )
+        .setFooter({ text: `Scheduled sweep #${sweep.id}` })
+        .setTimestamp();
+}
+
+// Check the list and post to an already-fetched channel
+async function postSweep(channel, sweep) {
+    const targets = lists.getListMembers(sweep.listId).map(member => ({ username: member.username, robloxUserId: member.robloxUserId }));
+    if (targets.length === 0) {
+        await channel.send({ content: `📋 Scheduled sweep #${sweep.id} skipped - list **${sweep.listName}** is empty.` });
+        markSweepRun(sweep.id, 'List empty');
+        return { posted: true, outcome: 'List empty' };
+    }
+
+    const outcome = await runBulkCheck(targets, {
+        guildId: sweep.guildId,
+        checkedBy: `Scheduled sweep #${sweep.id}`,
+        checkedById: sweep.createdById,
+        command: 'schedule'
+    });
+
+    if (outcome.error === 'rate_limited') {
+        await channel.send({ content: `⏳ Scheduled sweep #${sweep.id} of **${sweep.listName}** skipped - Roblox API is rate limited.` });
+        markSweepRun(sweep.id, 'Rate limited');
+        return { posted: true, outcome: 'Rate limited' };
+    }
+
+    const pages = buildResultPages(outcome.results, {
+        title: `🔍 List Check: ${sweep.listName}`,
+        footer: `Scheduled sweep #${sweep.id}`
+    });
+
+    // One page per message keeps each under Discord's embed size limit
+    await channel.send({ embeds: [buildDigestEmbed(sweep, outcome.results)] });
+    for (const page of pages) {
+        await channel.send({ embeds: [page] });
+    }
+
+    const summary = summarizeResults(outcome.results);
+    const text = `${summary.online} online, ${summary.ourGame} in our game`;
+    markSweepRun(sweep.id, text);
+    console.log(`🚓 Sweep #${sweep.id} checked ${outcome.results.length} suspect(s) from ${sweep.listName} (${text})`);
+
+    return { posted: true, outcome: text };
+}
+
+/**
+ * Check a sweep's list and post the digest and results to its channel
+ * @param {Client} client - Discord client
+ * @param {Object} sweep
+ * @returns {Object} - { posted, outcome } where outcome is a short summary
+ */
+async function runSweep(client, sweep) {
+    let channel;
+    try {
+        channel = await client.channels.fetch(sweep.channelId);
+        if (!channel?.isTextBased()) throw new Error('not a text channel');
+    } catch (error) {
+        console.error(`❌ Sweep #${sweep.id} could not reach channel ${sweep.channelId}:`, error.message);
+        markSweepRun(sweep.id, 'Channel unavailable');
+        return { posted: false, outcome: 'Channel unavailable' };
+    }
+
+    try {
+        return await postSweep(channel, sweep);
+    } catch (error) {
+        console.error(`❌ Sweep #${sweep.id} could not post to channel ${sweep.channelId}:`, error.message);
+        markSweepRun(sweep.id, 'Post failed');
+        return { posted: false, outcome: 'Post failed' };
+    }
+}
+
+// Run a sweep unless it is already running
+// Returns null if another run got there first.
+async function runSweepOnce(client, sweep) {
+    if (sweepsInFlight.has(sweep.id)) return null;
+
+    sweepsInFlight.add(sweep.id);
+    try {
+        return await runSweep(client, sweep);
+    } finally {
+        sweepsInFlight.delete(sweep.id);
+    }
+}
+
+function cancelSweep(sweepId) {
+    const timer = sweepTimers.get(sweepId);
+    if (timer) {
+        clearTimeout(timer);
+        sweepTimers.delete(sweepId);
+    }
+}
+
+// Run a sweep from its timer, then schedule the next run
+// The sweep is re-read afterwards so removals and deleted lists during the run stop it.
+async function runScheduledSweep(client, sweepId) {
+    const sweep = getSweep(sweepId);
+    if (!sweep) return;
+
+    try {
+        const result = await runSweepOnce(client, sweep);
+        if (!result) console.log(`🗓️ Sweep #${sweepId} is already running - skipping this run`);
+    } catch (error) {
+        console.error(`❌ Scheduled sweep #${sweepId} failed:`, error);
+        markSweepRun(sweepId, 'Failed');
+    }
+
+    const current = getSweep(sweepId);
+    if (current && !schedulerStopped) {
+        scheduleSweep(client, current);
+    }
+}
+
+/**
+ * Set the timer for a sweep's next run
+ * @param {Client} client - Discord client
+ * @param {Object} sweep
+ * @returns {Date} - When it will run
+ */
+function scheduleSweep(client, sweep) {
+    cancelSweep(sweep.id);
+
+    const nextRun = getNextRun(sweep);
+    sweepTimers.set(sweep.id, setTimeout(() => {
+        sweepTimers.delete(sweep.id);
+        runScheduledSweep(client, sweep.id);
+    }, Math.max(0, nextRun - Date.now())));
+
+    return nextRun;
+}
+
+// Whether a sweep's last scheduled run passed while the bot was offline
+function missedRun(sweep, now = new Date()) {
+    const previous = getPreviousRun(sweep, now);
+    if (!previous || now - previous > MISSED_SWEEP_GRACE_MS) return false;
+    if (new Date(sweep.createdAt) > previous) return false;
+    return !sweep.lastRunAt || new Date(sweep.lastRunAt) < previous;
+}
+
+async function handleAdd(interaction) {
+    const listName = interaction.options.getString('list');
+    const timeText = interaction.options.getString('time');
+    const daysText = interaction.options.getString('days');
+    const channel = interaction.options.getChannel('channel');
+
+    const timeOfDay = parseTimeOfDay(timeText);
+    const days = parseDays(daysText);
+    if (!timeOfDay || !days) {
+        recordAudit(interaction, {
+            action: 'add',
+            outcome: AUDIT_OUTCOME.REJECTED,
+            details: !timeOfDay ? `invalid time ${timeText}` : `invalid days ${daysText}`
+        });
+        await interaction.reply({
+            content: !timeOfDay
+                ? '⚠️ Time must be 24-hour UTC, like `19:00`.'
+                : '⚠️ Days must be `daily`, `weekdays`, `weekends` or day names like `mon,wed,fri`.',
+            ephemeral: true
+        });
+        return;
+    }
+
+    const list = lists.getList(interaction.guildId, listName);
+    if (!list) {
+        recordAudit(interaction, { action: 'add', outcome: AUDIT_OUTCOME.NOT_FOUND, details: `list ${listName}` });
+        await interaction.reply({ content: `❌ No list named **${listName}**. See \`/list view\` for this server's lists.`, ephemeral: true });
+        return;
+    }
+
+    if (getSweeps(interaction.guildId).length >= MAX_SWEEPS_PER_GUILD) {
+        recordAudit(interaction, { action: 'add', outcome: AUDIT_OUTCOME.REJECTED, details: 'sweep limit reached' });
+        await interaction.reply({
+            content: `⚠️ This server already has ${MAX_SWEEPS_PER_GUILD} scheduled sweeps. Remove one with \`/schedule remove\` first.`,
+            ephemeral: true
+        });
+        return;
+    }
+
+    const sweep = createSweep({
+        guildId: interaction.guildId,
+        listId: list.id,
+        channelId: channel.id,
+        timeOfDay,
+        days,
+        createdBy: interaction.user.tag,
+        createdById: interaction.user.id
+    });
+    const nextRun = scheduleSweep(interaction.client, sweep);
+
+    const embed = new EmbedBuilder()
+        .setTitle('🗓️ Sweep Scheduled')
+        .setColor(0x00FF00)
+        .setDescription(`**${list.name}** will be checked and posted to <#${channel.id}>`)
+        .addFields(
+            { name: '⏰ Schedule', value: describeSchedule(sweep), inline: true },
+            { name: '⏭️ Next Run', value: toTimestamp(nextRun, 'F'), inline: true },
+            { name: '👥 Suspects', value: String(list.memberCount), inline: true }
+        )
+        .setFooter({ text: `Sweep #${sweep.id}` })
+        .setTimestamp();
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+    console.log(`🗓️ ${interaction.user.tag} scheduled sweep #${sweep.id} of ${list.name} (${describeSchedule(sweep)})`);
+    recordAudit(interaction, {
+        action: 'add',
+        outcome: AUDIT_OUTCOME.SUCCESS,
+        details: `sweep #${sweep.id}: list ${list.name}, ${describeSchedule(sweep)}, channel=${channel.id}`
+    });
+}
+
+async function handleList(interaction) {
+    const sweeps = getSweeps(interaction.guildId);
+    if (sweeps.length === 0) {
+        await interaction.reply({ content: '📭 No sweeps are scheduled. Add one with `/schedule add`.', ephemeral: true });
+        return;
+    }
+
+    const embed = new EmbedBuilder()
+        .setTitle(`🗓️ Scheduled Sweeps (${sweeps.length}/${MAX_SWEEPS_PER_GUILD})`)
+        .setColor(0x0099FF)
+        .setTimestamp();
+
+    for (const sweep of sweeps) {
+        const lines = [
+            `${describeSchedule(sweep)} → <#${sweep.channelId}>`,
+            `Next: ${toTimestamp(getNextRun(sweep), 'R')}`,
+            sweep.lastRunAt ? `Last: ${toTimestamp(sweep.lastRunAt, 'R')} (${sweep.lastOutcome})` : 'Last: Never',
+            `Added by ${sweep.createdBy}`
+        ];
+        embed.addFields({ name: `#${sweep.id} • ${sweep.listName}`, value: lines.join('\n'), inline: false });
+    }
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+// Look up one of this guild's sweeps, replying if it doesn't exist
+async function requireSweep(interaction, action) {
+    const id = interaction.options.getInteger('id');
+    const sweep = getSweep(id);
+    if (!sweep || sweep.guildId !== interaction.guildId) {
+        recordAudit(interaction, { action, outcome: AUDIT_OUTCOME.NOT_FOUND, details: `sweep #${id}` });
+        await interaction.reply({ content: `❌ No scheduled sweep #${id}. See \`/schedule list\`.`, ephemeral: true });
+        return null;
+    }
+    return sweep;
+}
+
+async function handleRemove(interaction) {
+    const sweep = await requireSweep(interaction, 'remove');
+    if (!sweep) return;
+
+    deleteSweep(interaction.guildId, sweep.id);
+    cancelSweep(sweep.id);
+
+    await interaction.reply({ content: `🗑️ Removed sweep #${sweep.id} of **${sweep.listName}**.`, ephemeral: true });
+    console.log(`🗓️ ${interaction.user.tag} removed sweep #${sweep.id}`);
+    recordAudit(interaction, { action: 'remove', outcome: AUDIT_OUTCOME.SUCCESS, details: `sweep #${sweep.id}: list ${sweep.listName}` });
+}
+
+async function handleRun(interaction) {
+    const sweep = await requireSweep(interaction, 'run');
+    if (!sweep) return;
+
+    await interaction.deferReply({ ephemeral: true });
+    const result = await runSweepOnce(interaction.client, sweep);
+    if (!result) {
+        recordAudit(interaction, { action: 'run', outcome: AUDIT_OUTCOME.REJECTED, details: `sweep #${sweep.id}: already running` });
+        await interaction.editReply({ content: `⏳ Sweep #${sweep.id} is already running - its results will be posted to <#${sweep.channelId}> shortly.` });
+        return;
+    }
+
+    const { posted, outcome } = result;
+
+    await interaction.editReply({
+        content: posted
+            ? `✅ Sweep #${sweep.id} posted to <#${sweep.channelId}> (${outcome}).`
+            : `❌ Sweep #${sweep.id} could not post to <#${sweep.channelId}> - check the channel still exists and I can send messages there.`
+    });
+    recordAudit(interaction, {
+        action: 'run',
+        outcome: posted ? AUDIT_OUTCOME.SUCCESS : AUDIT_OUTCOME.ERROR,
+        details: `sweep #${sweep.id}: ${outcome}`
+    });
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('schedule')
+        .setDescription('Schedule recurring patrol sweeps of suspect lists')
+        .addSubcommand(subcommand =>
+            subcommand.setName('add')
+                .setDescription('Check a list at the same time every day (or on chosen days)')
+                .addStringOption(option =>
+                    option.setName('list')
+                        .setDescription('Suspect list to check')
+                        .setRequired(true)
+                        .setMaxLength(lists.MAX_LIST_NAME_LENGTH)
+                )
+                .addStringOption(option =>
+                    option.setName('time')
+                        .setDescription('24-hour UTC time, e.g. 19:00')
+                        .setRequired(true)
+                        .setMaxLength(5)
+                )
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel the results are posted to')
+                        .setRequired(true)
+                        .addChannelTypes(ChannelType.GuildText)
+                )
+                .addStringOption(option =>
+                    option.setName('days')
+                        .setDescription('daily (default), weekdays, weekends or days like mon,wed,fri')
+                        .setRequired(false)
+                        .setMaxLength(64)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('Show this server\'s scheduled sweeps')
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('remove')
+                .setDescription('Stop a scheduled sweep')
+                .addIntegerOption(option =>
+                    option.setName('id')
+                        .setDescription('Sweep number from /schedule list')
+                        .setRequired(true)
+                        .setMinValue(1)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('run')
+                .setDescription('Run a scheduled sweep now')
+                .addIntegerOption(option =>
+                    option.setName('id')
+                        .setDescription('Sweep number from /schedule list')
+                        .setRequired(true)
+                        .setMinValue(1)
+                )
+        ),
+
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        // Changing the schedule is admin-only; viewing and running it is bulk-check access
+        const capability = subcommand === 'add' || subcommand === 'remove' ? 'admin' : 'bulk-check';
+        if (await checkPermissionSilent(interaction, capability)) {
+            return; // Silent denial
+        }
+
+        switch (subcommand) {
+            case 'add':
+                await handleAdd(interaction);
+                break;
+            case 'list':
+                await handleList(interaction);
+                break;
+            case 'remove':
+                await handleRemove(interaction);
+                break;
+            case 'run':
+                await handleRun(interaction);
+                break;
+        }
+    },
+
+    // Resume every sweep, catching up on runs missed while the bot was offline
+    async initialize(client) {
+        schedulerStopped = false;
+
+        const sweeps = getAllSweeps();
+        for (const sweep of sweeps) {
+            if (missedRun(sweep)) {
+                console.log(`🗓️ Sweep #${sweep.id} was due while the bot was offline - running it now`);
+                runScheduledSweep(client, sweep.id);
+            } else {
+                scheduleSweep(client, sweep);
+            }
+        }
+
+        console.log(`🗓️ Sweep scheduler started with ${sweeps.length} sweep(s)`);
+    },
+
+    cleanup() {
+        schedulerStopped = true;
+        for (const sweepId of sweepTimers.keys()) {
+            cancelSweep(sweepId);
+        }
+    }
+};
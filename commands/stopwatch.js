@@ -1,11 +1,140 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
-const { checkPermissionSilent } = require('../utils/permissions');
-const fs = require('fs').promises;
-const path = require('path');
-const os = require('os');
+const { checkPermissionSilent, checkPermissionComponent, hasPermission } = require('../utils/permissions');
+const { recordAudit, AUDIT_OUTCOME } = require('../utils/audit');
+const { suggestWatches, respondWithChoices } = require('../utils/autocomplete');
+const { findQueuedWatch, removeQueuedWatch } = require('../utils/watch-queue');
+const { buildReportEmbed } = require('../utils/watch-reports');
 
-// Watch data file path - same as in watch.js
-const WATCH_DATA_FILE = path.join(os.tmpdir(), 'warrant-bot-watches.json');
+// Take a request off the waitlist if the officer queued it or is an admin
+// The interaction is already deferred by stopWatchFor.
+async function cancelQueuedWatch(interaction, queued) {
+    if (queued.requestedById !== interaction.user.id && !hasPermission(interaction, 'admin')) {
+        recordAudit(interaction, {
+            action: 'dequeue',
+            targetUsername: queued.username,
+            targetRobloxId: queued.robloxUserId,
+            outcome: AUDIT_OUTCOME.DENIED,
+            details: `queued by ${queued.requestedBy}`
+        });
+        await interaction.editReply({
+            content: `⚠️ Only **${queued.requestedBy}** or administrators can remove this watch from the waitlist.`
+        });
+        return;
+    }
+
+    removeQueuedWatch(queued.id);
+    await interaction.editReply({
+        content: `🗑️ Removed **${queued.username}** from the watch waitlist.`
+    });
+
+    console.log(`🗑️ Queued watch on ${queued.username} removed by ${interaction.user.tag}`);
+    recordAudit(interaction, {
+        action: 'dequeue',
+        targetUsername: queued.username,
+        targetRobloxId: queued.robloxUserId,
+        outcome: AUDIT_OUTCOME.SUCCESS,
+        details: `queued by ${queued.requestedBy}`
+    });
+}
+
+// Stop a watch if the officer started it or is an admin
+async function stopWatchFor(interaction, username) {
+    // Get watch command to access active watches and stop function
+    const watchCommand = interaction.client.commands.get('watch');
+    if (!watchCommand) {
+        await interaction.reply({
+            content: '❌ Watch system not available.',
+            ephemeral: true
+        });
+        return;
+    }
+
+    // Match current or previous names, resolving on Roblox as a last resort - which may be slow
+    await interaction.deferReply({ ephemeral: true });
+    const watchData = await watchCommand.resolveWatch(interaction.guildId, username);
+    
+    if (!watchData) {
+        const queued = findQueuedWatch(interaction.guildId, username);
+        if (queued) {
+            await cancelQueuedWatch(interaction, queued);
+            return;
+        }
+
+        recordAudit(interaction, { targetUsername: username, outcome: AUDIT_OUTCOME.NOT_FOUND });
+        await interaction.editReply({
+            content: `❌ **${username}** is not currently being watched.`
+        });
+        return;
+    }
+
+    // Check if the user has permission to stop this watch
+    // Allow: the person who started it, or anyone with the admin capability
+    const canStop = watchData.startedById === interaction.user.id || 
+                   hasPermission(interaction, 'admin');
+    
+    if (!canStop) {
+        recordAudit(interaction, {
+            targetUsername: watchData.username,
+            targetRobloxId: watchData.robloxUserId,
+            outcome: AUDIT_OUTCOME.DENIED,
+            details: `watch owned by ${watchData.startedBy}`
+        });
+        await interaction.editReply({
+            content: `⚠️ Only **${watchData.startedBy}** or administrators can stop this watch.`
+        });
+        return;
+    }
+
+    // Stop the watch using the watch command's stopWatch function
+    const stopped = watchCommand.stopWatch(watchData.guildId, watchData.robloxUserId, { endedBy: interaction.user.tag });
+    
+    if (stopped) {
+        // Calculate how long the watch was active
+        const startTime = new Date(watchData.startTime);
+        const duration = Date.now() - startTime.getTime();
+        const hours = Math.floor(duration / (1000 * 60 * 60));
+        const minutes = Math.floor((duration % (1000 * 60 * 60)) / (1000 * 60));
+        
+        // Create confirmation embed
+        const embed = new EmbedBuilder()
+            .setTitle('🛑 Watch Stopped')
+            .setColor(0xFF0000)
+            .setDescription(`Stopped monitoring **${watchData.username}**`)
+            .addFields(
+                {
+                    name: '📊 Watch Info',
+                    value: `Started by: ${watchData.startedBy}\nDuration: ${hours}h ${minutes}m`,
+                    inline: true
+                },
+                {
+                    name: '✅ Status',
+                    value: 'Watch successfully terminated',
+                    inline: true
+                }
+            )
+            .setFooter({ 
+                text: `Stopped by ${interaction.user.tag}` 
+            })
+            .setTimestamp();
+
+        // The end-of-watch summary, also archived and sent to the watch's officers
+        const embeds = stopped.report ? [embed, buildReportEmbed(stopped.report)] : [embed];
+        await interaction.editReply({ embeds });
+        
+        console.log(`🛑 Watch stopped for ${watchData.username} by ${interaction.user.tag}`);
+        recordAudit(interaction, {
+            targetUsername: watchData.username,
+            targetRobloxId: watchData.robloxUserId,
+            outcome: AUDIT_OUTCOME.SUCCESS,
+            details: `started by ${watchData.startedBy}`
+        });
+    } else {
+        recordAudit(interaction, { targetUsername: username, outcome: AUDIT_OUTCOME.ERROR });
+        await interaction.editReply({
+            content: `❌ Failed to stop watch for **${username}**. Please try again.`
+        });
+    }
+}
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -13,8 +142,9 @@ module.exports = {
         .setDescription('Stop monitoring a user')
         .addStringOption(option =>
             option.setName('username')
-                .setDescription('The Roblox username to stop watching')
+                .setDescription('The Roblox username (current or former) to stop watching')
                 .setRequired(true)
+                .setAutocomplete(true)
         ),
 
     async execute(interaction) {
@@ -23,85 +153,33 @@ module.exports = {
             return; // Silent denial - same permissions as watch command
         }
 
-        const username = interaction.options.getString('username');
-        
-        // Get watch command to access active watches and stop function
+        await stopWatchFor(interaction, interaction.options.getString('username'));
+    },
+
+    // Suggest the active watches the officer is allowed to stop
+    async autocomplete(interaction) {
         const watchCommand = interaction.client.commands.get('watch');
-        if (!watchCommand) {
-            await interaction.reply({
-                content: '❌ Watch system not available.',
-                ephemeral: true
-            });
+        if (!watchCommand || !hasPermission(interaction, 'watch')) {
+            await respondWithChoices(interaction, []);
             return;
         }
 
-        // Get active watches from the watch command
-        const activeWatches = watchCommand.getActiveWatches();
-        const watchData = Array.from(activeWatches.values()).find(
-            w => w.username.toLowerCase() === username.toLowerCase()
+        const isAdmin = hasPermission(interaction, 'admin');
+        const stoppable = watchCommand.getGuildWatches(interaction.guildId).filter(watch =>
+            isAdmin || watch.startedById === interaction.user.id
         );
-        
-        if (!watchData) {
-            await interaction.reply({
-                content: `❌ **${username}** is not currently being watched.`,
-                ephemeral: true
-            });
-            return;
-        }
 
-        // Check if the user has permission to stop this watch
-        // Allow: the person who started it, or anyone with . role
-        const canStop = watchData.startedById === interaction.user.id || 
-                       interaction.member.roles.cache.some(role => role.name === '.');
-        
-        if (!canStop) {
-            await interaction.reply({
-                content: `⚠️ Only **${watchData.startedBy}** or administrators can stop this watch.`,
-                ephemeral: true
-            });
+        await respondWithChoices(interaction, suggestWatches(stoppable, interaction.options.getFocused()));
+    },
+
+    // Stop watch button on check reports and watch alerts
+    async handleComponent(interaction, { action, args }) {
+        if (action !== 'stop') return;
+
+        if (await checkPermissionComponent(interaction, 'watch')) {
             return;
         }
 
-        // Stop the watch using the watch command's stopWatch function
-        const stopped = watchCommand.stopWatch(username);
-        
-        if (stopped) {
-            // Calculate how long the watch was active
-            const startTime = new Date(watchData.startTime);
-            const duration = Date.now() - startTime.getTime();
-            const hours = Math.floor(duration / (1000 * 60 * 60));
-            const minutes = Math.floor((duration % (1000 * 60 * 60)) / (1000 * 60));
-            
-            // Create confirmation embed
-            const embed = new EmbedBuilder()
-                .setTitle('🛑 Watch Stopped')
-                .setColor(0xFF0000)
-                .setDescription(`Stopped monitoring **${username}**`)
-                .addFields(
-                    {
-                        name: '📊 Watch Info',
-                        value: `Started by: ${watchData.startedBy}\nDuration: ${hours}h ${minutes}m`,
-                        inline: true
-                    },
-                    {
-                        name: '✅ Status',
-                        value: 'Watch successfully terminated',
-                        inline: true
-                    }
-                )
-                .setFooter({ 
-                    text: `Stopped by ${interaction.user.tag}` 
-                })
-                .setTimestamp();
-
-            await interaction.reply({ embeds: [embed] });
-            
-            console.log(`🛑 Watch stopped for ${username} by ${interaction.user.tag}`);
-        } else {
-            await interaction.reply({
-                content: `❌ Failed to stop watch for **${username}**. Please try again.`,
-                ephemeral: true
-            });
-        }
+        await stopWatchFor(interaction, args[0]);
     },
-};
\ No newline at end of file
+};
@@ -0,0 +1,391 @@
+const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
+const { getRobloxUserId } = require('../utils/roblox-api');
+const { checkPermissionSilent, checkPermissionComponent } = require('../utils/permissions');
+const warrants = require('../utils/warrants');
+const { recordAudit, AUDIT_OUTCOME } = require('../utils/audit');
+const { END_REASONS } = require('../utils/watch-reports');
+
+// Embed colors per warrant status
+const STATUS_COLORS = {
+    active: 0xFF0000,
+    served: 0x00FF00,
+    revoked: 0x808080,
+    expired: 0xFFAA00
+};
+
+const STATUS_EMOJIS = {
+    active: '🔴',
+    served: '✅',
+    revoked: '⚫',
+    expired: '⌛'
+};
+
+// Build the detail embed for a single warrant
+function buildWarrantEmbed(warrant, title) {
+    const embed = new EmbedBuilder()
+        .setTitle(title || `📜 Warrant #${warrant.id}`)
+        .setColor(STATUS_COLORS[warrant.status] || 0x0099FF)
+        .setDescription(`Subject: **${warrant.username}** (ID: \`${warrant.robloxUserId}\`)`)
+        .addFields(
+            {
+                name: '⚖️ Charges',
+                value: warrant.charges,
+                inline: false
+            },
+            {
+                name: '📊 Status',
+                value: `${STATUS_EMOJIS[warrant.status] || ''} ${warrant.status.toUpperCase()}`,
+                inline: true
+            },
+            {
+                name: '👮 Issued By',
+                value: warrant.issuedBy,
+                inline: true
+            },
+            {
+                name: '⏰ Expires',
+                value: warrant.expiresAt ? new Date(warrant.expiresAt).toLocaleString() : 'Never',
+                inline: true
+            }
+        )
+        .setTimestamp(new Date(warrant.issuedAt));
+
+    if (warrant.closedBy) {
+        let closedValue = `By: ${warrant.closedBy}\nAt: ${new Date(warrant.closedAt).toLocaleString()}`;
+        if (warrant.closeReason) {
+            closedValue += `\nNote: ${warrant.closeReason}`;
+        }
+        embed.addFields({
+            name: warrant.status === warrants.WARRANT_STATUS.SERVED ? '🚔 Served' : '🗑️ Closed',
+            value: closedValue,
+            inline: false
+        });
+    }
+
+    embed.setFooter({ text: `Warrant #${warrant.id}` });
+    return embed;
+}
+
+/**
+ * Serve a warrant and stop any watch on its subject
+ * Exposed so other commands and buttons can serve warrants
+ * @param {Client} client - Discord client (to reach the watch command)
+ * @param {number} warrantId
+ * @param {User} officer - Discord user serving the warrant
+ * @param {string} notes - Optional arrest notes
+ * @returns {Object} - { warrant, stoppedWatch } or { error }
+ */
+function serveWarrant(client, warrantId, officer, notes = null) {
+    const warrant = warrants.closeWarrant(warrantId, warrants.WARRANT_STATUS.SERVED, officer, notes);
+    if (!warrant) {
+        return { error: `Warrant #${warrantId} does not exist or is no longer active.` };
+    }
+
+    // Arrest made - stop monitoring the subject
+    let stoppedWatch = null;
+    const watchCommand = client.commands.get('watch');
+    if (watchCommand) {
+        const watchData = watchCommand.findWatch(warrant.guildId, warrant.robloxUserId);
+        if (watchData && watchCommand.stopWatch(warrant.guildId, warrant.robloxUserId, { reason: END_REASONS.SERVED, endedBy: officer.tag })) {
+            stoppedWatch = watchData.username;
+        }
+    }
+
+    console.log(`🚔 Warrant #${warrant.id} for ${warrant.username} served by ${officer.tag}`);
+    return { warrant, stoppedWatch };
+}
+
+async function handleIssue(interaction) {
+    const username = interaction.options.getString('username');
+    const charges = interaction.options.getString('charges');
+    const days = interaction.options.getInteger('days') ?? warrants.DEFAULT_EXPIRY_DAYS;
+
+    await interaction.deferReply();
+
+    // Resolve the subject so the warrant follows the account, not the name
+    const robloxUserResult = await getRobloxUserId(username);
+
+    if (robloxUserResult?.error === 'rate_limited') {
+        recordAudit(interaction, { action: 'issue', targetUsername: username, outcome: AUDIT_OUTCOME.RATE_LIMITED });
+        await interaction.editReply({
+            content: `⏳ Roblox API is rate limited. Please try again in ${robloxUserResult.retryAfter} seconds.`,
+        });
+        return;
+    }
+
+    if (!robloxUserResult || typeof robloxUserResult === 'object') {
+        recordAudit(interaction, { action: 'issue', targetUsername: username, outcome: AUDIT_OUTCOME.NOT_FOUND });
+        await interaction.editReply({
+            content: `❌ Could not find user **${username}** on Roblox.`,
+        });
+        return;
+    }
+
+    const existing = warrants.getActiveWarrant(interaction.guild.id, robloxUserResult);
+    if (existing) {
+        recordAudit(interaction, {
+            action: 'issue',
+            targetUsername: username,
+            targetRobloxId: robloxUserResult,
+            outcome: AUDIT_OUTCOME.REJECTED,
+            details: `active warrant #${existing.id} exists`
+        });
+        await interaction.editReply({
+            content: `⚠️ **${existing.username}** already has an active warrant (#${existing.id}). Revoke or serve it first.`,
+        });
+        return;
+    }
+
+    const warrant = warrants.issueWarrant({
+        guildId: interaction.guild.id,
+        robloxUserId: robloxUserResult,
+        username: username,
+        charges: charges,
+        issuedBy: interaction.user.tag,
+        issuedById: interaction.user.id,
+        expiryDays: days
+    });
+
+    await interaction.editReply({ embeds: [buildWarrantEmbed(warrant, `📜 Warrant #${warrant.id} Issued`)] });
+    console.log(`📜 Warrant #${warrant.id} issued for ${username} by ${interaction.user.tag}`);
+    recordAudit(interaction, {
+        action: 'issue',
+        targetUsername: username,
+        targetRobloxId: warrant.robloxUserId,
+        outcome: AUDIT_OUTCOME.SUCCESS,
+        details: `warrant #${warrant.id}: ${charges}`
+    });
+}
+
+async function handleRevoke(interaction) {
+    const id = interaction.options.getInteger('id');
+    const reason = interaction.options.getString('reason');
+
+    const existing = warrants.getWarrant(id);
+    if (!existing || existing.guildId !== interaction.guild.id) {
+        recordAudit(interaction, { action: 'revoke', outcome: AUDIT_OUTCOME.NOT_FOUND, details: `warrant #${id}` });
+        await interaction.reply({ content: `❌ Warrant #${id} not found.`, ephemeral: true });
+        return;
+    }
+
+    const warrant = warrants.closeWarrant(id, warrants.WARRANT_STATUS.REVOKED, interaction.user, reason);
+    if (!warrant) {
+        recordAudit(interaction, {
+            action: 'revoke',
+            targetUsername: existing.username,
+            targetRobloxId: existing.robloxUserId,
+            outcome: AUDIT_OUTCOME.REJECTED,
+            details: `warrant #${id} already ${existing.status}`
+        });
+        await interaction.reply({
+            content: `⚠️ Warrant #${id} is already ${existing.status}.`,
+            ephemeral: true
+        });
+        return;
+    }
+
+    await interaction.reply({ embeds: [buildWarrantEmbed(warrant, `🗑️ Warrant #${warrant.id} Revoked`)] });
+    console.log(`🗑️ Warrant #${warrant.id} revoked by ${interaction.user.tag}`);
+    recordAudit(interaction, {
+        action: 'revoke',
+        targetUsername: warrant.username,
+        targetRobloxId: warrant.robloxUserId,
+        outcome: AUDIT_OUTCOME.SUCCESS,
+        details: `warrant #${warrant.id}${reason ? `: ${reason}` : ''}`
+    });
+}
+
+async function handleServe(interaction, id, notes) {
+    const existing = warrants.getWarrant(id);
+    if (!existing || existing.guildId !== interaction.guild.id) {
+        recordAudit(interaction, { action: 'serve', outcome: AUDIT_OUTCOME.NOT_FOUND, details: `warrant #${id}` });
+        await interaction.reply({ content: `❌ Warrant #${id} not found.`, ephemeral: true });
+        return;
+    }
+
+    const result = serveWarrant(interaction.client, id, interaction.user, notes);
+    if (result.error) {
+        recordAudit(interaction, {
+            action: 'serve',
+            targetUsername: existing.username,
+            targetRobloxId: existing.robloxUserId,
+            outcome: AUDIT_OUTCOME.REJECTED,
+            details: result.error
+        });
+        await interaction.reply({ content: `⚠️ ${result.error}`, ephemeral: true });
+        return;
+    }
+
+    const embed = buildWarrantEmbed(result.warrant, `🚔 Warrant #${result.warrant.id} Served`);
+    if (result.stoppedWatch) {
+        embed.addFields({
+            name: '🛑 Watch Stopped',
+            value: `Monitoring of **${result.stoppedWatch}** has ended`,
+            inline: false
+        });
+    }
+
+    recordAudit(interaction, {
+        action: 'serve',
+        targetUsername: result.warrant.username,
+        targetRobloxId: result.warrant.robloxUserId,
+        outcome: AUDIT_OUTCOME.SUCCESS,
+        details: `warrant #${result.warrant.id}${result.stoppedWatch ? ', watch stopped' : ''}`
+    });
+    await interaction.reply({ embeds: [embed] });
+}
+
+async function handleList(interaction) {
+    const statusOption = interaction.options.getString('status') || warrants.WARRANT_STATUS.ACTIVE;
+    const search = interaction.options.getString('username');
+
+    recordAudit(interaction, { action: 'list', targetUsername: search, outcome: AUDIT_OUTCOME.SUCCESS, details: `status ${statusOption}` });
+
+    const results = warrants.listWarrants({
+        guildId: interaction.guild.id,
+        status: statusOption === 'all' ? null : statusOption,
+        search: search
+    });
+
+    const embed = new EmbedBuilder()
+        .setTitle('📜 Warrant Registry')
+        .setColor(0x0099FF)
+        .setTimestamp();
+
+    if (results.length === 0) {
+        embed.setDescription('No warrants match those filters.');
+        await interaction.reply({ embeds: [embed], ephemeral: true });
+        return;
+    }
+
+    embed.setDescription(`Showing ${results.length} warrant(s)${search ? ` matching "${search}"` : ''}`);
+
+    for (const warrant of results) {
+        const expires = warrant.expiresAt ? new Date(warrant.expiresAt).toLocaleDateString() : 'Never';
+        embed.addFields({
+            name: `${STATUS_EMOJIS[warrant.status] || ''} #${warrant.id} • ${warrant.username}`,
+            value: `Charges: ${warrant.charges}\nIssued by: ${warrant.issuedBy}\nExpires: ${expires}`,
+            inline: false
+        });
+    }
+
+    embed.setFooter({ text: `Filter: ${statusOption} • Max 25 shown` });
+
+    await interaction.reply({ embeds: [embed], ephemeral: true });
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('warrant')
+        .setDescription('Manage warrants for Roblox suspects')
+        .addSubcommand(subcommand =>
+            subcommand.setName('issue')
+                .setDescription('Issue a warrant against a Roblox user')
+                .addStringOption(option =>
+                    option.setName('username')
+                        .setDescription('The Roblox username of the subject')
+                        .setRequired(true)
+                )
+                .addStringOption(option =>
+                    option.setName('charges')
+                        .setDescription('Charges listed on the warrant')
+                        .setRequired(true)
+                        .setMaxLength(500)
+                )
+                .addIntegerOption(option =>
+                    option.setName('days')
+                        .setDescription(`Days until the warrant expires (default ${warrants.DEFAULT_EXPIRY_DAYS})`)
+                        .setRequired(false)
+                        .setMinValue(1)
+                        .setMaxValue(365)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('revoke')
+                .setDescription('Revoke an active warrant')
+                .addIntegerOption(option =>
+                    option.setName('id')
+                        .setDescription('Warrant number')
+                        .setRequired(true)
+                )
+                .addStringOption(option =>
+                    option.setName('reason')
+                        .setDescription('Why the warrant is being revoked')
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('serve')
+                .setDescription('Mark a warrant as served (arrest made) and stop its watch')
+                .addIntegerOption(option =>
+                    option.setName('id')
+                        .setDescription('Warrant number')
+                        .setRequired(true)
+                )
+                .addStringOption(option =>
+                    option.setName('notes')
+                        .setDescription('Arrest notes')
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('list')
+                .setDescription('List and search warrants')
+                .addStringOption(option =>
+                    option.setName('status')
+                        .setDescription('Filter by status (default active)')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'active', value: 'active' },
+                            { name: 'served', value: 'served' },
+                            { name: 'revoked', value: 'revoked' },
+                            { name: 'expired', value: 'expired' },
+                            { name: 'all', value: 'all' }
+                        )
+                )
+                .addStringOption(option =>
+                    option.setName('username')
+                        .setDescription('Search by subject username')
+                        .setRequired(false)
+                )
+        ),
+
+    async execute(interaction) {
+        // Check permissions silently
+        if (await checkPermissionSilent(interaction, 'warrant')) {
+            return; // Silent denial
+        }
+
+        const subcommand = interaction.options.getSubcommand();
+
+        switch (subcommand) {
+            case 'issue':
+                await handleIssue(interaction);
+                break;
+            case 'revoke':
+                await handleRevoke(interaction);
+                break;
+            case 'serve':
+                await handleServe(interaction, interaction.options.getInteger('id'), interaction.options.getString('notes'));
+                break;
+            case 'list':
+                await handleList(interaction);
+                break;
+        }
+    },
+
+    // Mark served button on check reports and watch alerts
+    async handleComponent(interaction, { action, args }) {
+        if (action !== 'serve') return;
+
+        if (await checkPermissionComponent(interaction, 'warrant')) {
+            return;
+        }
+
+        await handleServe(interaction, Number(args[0]), null);
+    },
+
+    // Export for buttons and other commands
+    serveWarrant,
+    buildWarrantEmbed
+};
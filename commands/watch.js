@@ -1,155 +1,345 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
-const { getRobloxUserId, checkRobloxStatus } = require('../utils/roblox-api');
-const { checkPermissionSilent } = require('../utils/permissions');
-const fs = require('fs').promises;
-const path = require('path');
-const os = require('os');
+const { getRobloxUserId, getRobloxUsername, checkRobloxStatus, attachJoinUrls, registerPresenceWatch, unregisterPresenceWatch } = require('../utils/roblox-api');
+const { checkPermissionSilent, checkPermissionComponent, hasPermission } = require('../utils/permissions');
+const storage = require('../utils/storage');
+const { getActiveWarrant, getWarrant } = require('../utils/warrants');
+const { recordAudit, AUDIT_OUTCOME } = require('../utils/audit');
+const { getTrackedPlaces, matchTrackedPlace, getGameScope } = require('../utils/places');
+const { deliverAlert } = require('../utils/alert-routing');
+const { alertsSentTotal } = require('../utils/metrics');
+const { buildSuspectActions, buildExtendActions, QUICK_WATCH_HOURS, EXTEND_WATCH_HOURS } = require('../utils/components');
+const { suggestSuspects, suggestWatches, respondWithChoices } = require('../utils/autocomplete');
+const { getWatchLimit, getOfficerQuota } = require('../utils/guild-config');
+const { buildWatchReport, saveWatchReport, getWatchReports, buildReportEmbed, END_REASONS } = require('../utils/watch-reports');
+const { sendPaginated } = require('../utils/pagination');
+const { getQueuedWatches, getQueuedGuildIds, findQueuedWatch, getQueuePosition, enqueueWatch, removeQueuedWatch } = require('../utils/watch-queue');
+const {
+    ALERT_KINDS,
+    ALERT_PRESETS,
+    ALERT_STYLES,
+    DEFAULT_ALERT_PRESET,
+    classifyPresenceChange,
+    normalizeAlertKinds,
+    describeAlertKinds
+} = require('../utils/alerts');
 
-// Watch data file path - stored in system temp directory for security
-const WATCH_DATA_FILE = path.join(os.tmpdir(), 'warrant-bot-watches.json');
-
-// Active watches (in memory)
+// Active watches (in memory), keyed by guild and Roblox user ID - each server
+// runs its own watches, and the ID survives renames
 const activeWatches = new Map();
 
 // Interval constants
 const INTERVAL_ONLINE = 60000;      // 1 minute when online
 const INTERVAL_OFFLINE = 600000;    // 10 minutes when offline
+const RETRY_DELAY = 5000;           // Base backoff between failed checks
 const MAX_RETRIES = 3;              // Max retries for failed checks
-const MAX_CONCURRENT_WATCHES = 20;  // Maximum watches allowed at once
 
-// Ensure data directory exists (for temp directory)
-async function ensureDataDir() {
-    // Using temp directory, no need to create subdirectories
+const MAX_WATCH_HOURS = 24;                 // Longest a watch may run from now, including extensions
+const EXPIRY_WARNING_MS = 15 * 60 * 1000;   // Warn the starter this long before a watch ends
+
+// Pending expiry warnings, keyed like activeWatches
+const expiryWarnings = new Map();
+
+/**
+ * Key for a watch in activeWatches and the presence poller
+ * @param {string} guildId
+ * @param {number} robloxUserId
+ * @returns {string}
+ */
+function watchKey(guildId, robloxUserId) {
+    return `${guildId}:${robloxUserId}`;
+}
+
+/**
+ * Active watches belonging to one guild
+ * @param {string} guildId
+ * @returns {Array<Object>}
+ */
+function getGuildWatches(guildId) {
+    return Array.from(activeWatches.values()).filter(watch => watch.guildId === guildId);
+}
+
+/**
+ * How many more watches an officer can start right now
+ * Limited by whichever is tighter: the server limit or the officer's quota.
+ * @param {string} guildId
+ * @param {string} officerId - Discord user ID
+ * @param {GuildMember|null} member - For role quotas
+ * @returns {Object} - { free, scope ('server' or 'officer'), limit }
+ */
+function getFreeSlots(guildId, officerId, member) {
+    const guildWatches = getGuildWatches(guildId);
+    const watchLimit = getWatchLimit(guildId);
+    const serverFree = Math.max(0, watchLimit - guildWatches.length);
+
+    const quota = getOfficerQuota(guildId, member);
+    if (quota === null) {
+        return { free: serverFree, scope: 'server', limit: watchLimit };
+    }
+
+    const officerFree = Math.max(0, quota - guildWatches.filter(watch => watch.startedById === officerId).length);
+    return officerFree < serverFree
+        ? { free: officerFree, scope: 'officer', limit: quota }
+        : { free: serverFree, scope: 'server', limit: watchLimit };
+}
+
+// Members aren't on DM interactions or queued requests - fetch them for role quotas
+async function fetchOfficer(client, guildId, userId) {
     try {
-        // Just verify we can access the temp directory
-        await fs.access(os.tmpdir());
+        const guild = client.guilds.cache.get(guildId) || await client.guilds.fetch(guildId);
+        return await guild.members.fetch(userId);
+    } catch {
+        return null;
+    }
+}
+
+// DM the starter that their watch is about to end, with one-click extensions
+async function sendExpiryWarning(watchData) {
+    // Stopped or replaced since the warning was scheduled
+    if (activeWatches.get(watchKey(watchData.guildId, watchData.robloxUserId)) !== watchData) return;
+    if (!watchData.client) return;
+
+    const minutesLeft = Math.max(0, Math.round((new Date(watchData.endTime) - Date.now()) / 60000));
+    const embed = new EmbedBuilder()
+        .setTitle('⏰ Watch Ending Soon')
+        .setColor(0xFFAA00)
+        .setDescription(`Your watch on **${watchData.username}** ends in ${minutesLeft} minute(s)`)
+        .addFields({
+            name: '⏳ Extend',
+            value: `Keep watching with a button below or \`/watch extend\` (up to ${MAX_WATCH_HOURS} hours from now)`,
+            inline: false
+        })
+        .setFooter({ text: `Watch ends at ${new Date(watchData.endTime).toLocaleString()}` })
+        .setTimestamp();
+
+    try {
+        const user = await watchData.client.users.fetch(watchData.startedById);
+        await user.send({ embeds: [embed], components: buildExtendActions(watchData) });
+        console.log(`⏰ Warned ${watchData.startedBy} that the watch on ${watchData.username} is ending`);
     } catch (error) {
-        console.error('Unable to access temp directory:', error);
+        console.error(`❌ Could not send expiry warning for ${watchData.username}:`, error.message);
     }
 }
 
-// Load watches from file
-async function loadWatches() {
+function cancelExpiryWarning(key) {
+    clearTimeout(expiryWarnings.get(key));
+    expiryWarnings.delete(key);
+}
+
+// (Re)schedule the expiry warning - called whenever a watch starts or its end time changes
+function scheduleExpiryWarning(watchData) {
+    const key = watchKey(watchData.guildId, watchData.robloxUserId);
+    cancelExpiryWarning(key);
+
+    const remainingMs = new Date(watchData.endTime) - Date.now();
+    if (remainingMs <= 0) return;
+
+    expiryWarnings.set(key, setTimeout(() => {
+        expiryWarnings.delete(key);
+        sendExpiryWarning(watchData);
+    }, Math.max(0, remainingMs - EXPIRY_WARNING_MS)));
+}
+
+// Load watches from storage and resume them
+// Each restored watch is checked immediately; a status that differs from the
+// persisted one is treated as a transition missed while the bot was down.
+async function loadWatches(client) {
     try {
-        await ensureDataDir();
-        const data = await fs.readFile(WATCH_DATA_FILE, 'utf8');
-        const watches = JSON.parse(data);
+        const watches = storage.getWatches();
         
-        // Restore active watches
+        // Restore active watches, dropping any that expired while offline
         for (const watch of watches) {
             if (new Date(watch.endTime) > new Date()) {
-                activeWatches.set(watch.username, watch);
+                watch.client = client;
+                watch.restored = true;
+                activeWatches.set(watchKey(watch.guildId, watch.robloxUserId), watch);
                 startWatching(watch);
+                scheduleExpiryWarning(watch);
+            } else {
+                console.log(`⏱️ Watch for ${watch.username} expired while the bot was offline`);
+                storage.deleteWatch(watch.guildId, watch.robloxUserId);
             }
         }
         
-        console.log(`📂 Loaded ${activeWatches.size} active watches from file`);
+        console.log(`📂 Loaded ${activeWatches.size} active watches from storage`);
     } catch (error) {
-        // File doesn't exist or is invalid
-        console.log('📂 No existing watch data found');
+        console.error('Failed to load watch data:', error);
     }
 }
 
-// Save watches to file
-async function saveWatches() {
+// Persist a single watch
+function persistWatch(watchData) {
     try {
-        await ensureDataDir();
-        const watches = Array.from(activeWatches.values()).map(watch => ({
-            username: watch.username,
-            robloxUserId: watch.robloxUserId,
-            startedBy: watch.startedBy,
-            startedById: watch.startedById,
-            guildId: watch.guildId,
-            startTime: watch.startTime,
-            endTime: watch.endTime,
-            wasOnline: watch.wasOnline,
-            consecutiveErrors: watch.consecutiveErrors || 0
-        }));
-        await fs.writeFile(WATCH_DATA_FILE, JSON.stringify(watches, null, 2));
-        console.log('💾 Saved watch data to file');
+        storage.saveWatch(watchData);
     } catch (error) {
-        console.error('Failed to save watch data:', error);
+        console.error(`Failed to save watch for ${watchData.username}:`, error);
     }
 }
 
-// Check status with retry logic
-async function checkWithRetry(watchData, maxRetries = MAX_RETRIES) {
-    for (let attempt = 1; attempt <= maxRetries; attempt++) {
-        try {
-            const status = await checkRobloxStatus(watchData.robloxUserId);
-            
-            // Reset consecutive errors on success
-            if (watchData.consecutiveErrors > 0) {
-                watchData.consecutiveErrors = 0;
-                console.log(`✅ Watch check recovered for ${watchData.username}`);
-            }
-            
-            return status;
-        } catch (error) {
-            console.error(`⚠️ Watch check attempt ${attempt}/${maxRetries} failed for ${watchData.username}: ${error.message}`);
-            
-            if (attempt === maxRetries) {
-                // Track consecutive errors
-                watchData.consecutiveErrors = (watchData.consecutiveErrors || 0) + 1;
-                
-                // If too many consecutive errors, consider stopping the watch
-                if (watchData.consecutiveErrors >= 5) {
-                    console.error(`🛑 Watch for ${watchData.username} has failed ${watchData.consecutiveErrors} times consecutively. Consider manual intervention.`);
-                }
-                
-                return null;
-            }
-            
-            // Exponential backoff between retries
-            const waitTime = 5000 * attempt;
-            console.log(`⏳ Waiting ${waitTime/1000}s before retry...`);
-            await new Promise(resolve => setTimeout(resolve, waitTime));
-        }
+// Presence fields that make up a distinct state in the history
+function getPresenceSnapshot(status) {
+    const presence = status.presenceData;
+    if (!presence) return null;
+    
+    return {
+        presenceType: presence.userPresenceType ?? null,
+        placeId: presence.placeId ?? null,
+        gameId: presence.gameId ?? null
+    };
+}
+
+function presenceChanged(previous, current) {
+    return !previous ||
+        previous.presenceType !== current.presenceType ||
+        previous.placeId !== current.placeId ||
+        previous.gameId !== current.gameId;
+}
+
+// Record a presence transition (online/offline, game or server change) for a watch
+function recordTransition(watchData, wasOnline, status, snapshot) {
+    try {
+        storage.recordTransition({
+            robloxUserId: watchData.robloxUserId,
+            username: watchData.username,
+            guildId: watchData.guildId,
+            wasOnline: wasOnline,
+            isOnline: status.online === true,
+            status: status.status,
+            game: status.game,
+            presenceType: snapshot.presenceType,
+            placeId: snapshot.placeId,
+            gameId: snapshot.gameId
+        });
+    } catch (error) {
+        console.error(`Failed to record transition for ${watchData.username}:`, error);
+    }
+}
+
+// Mark where a watch stopped observing, so /history doesn't stretch a session
+// across the time nobody was watching
+function recordObservationEnd(watchData) {
+    try {
+        storage.recordTransition({
+            robloxUserId: watchData.robloxUserId,
+            username: watchData.username,
+            guildId: watchData.guildId,
+            wasOnline: watchData.wasOnline,
+            isOnline: false,
+            status: 'Not observed',
+            unobserved: true
+        });
+    } catch (error) {
+        console.error(`Failed to record the end of observation for ${watchData.username}:`, error);
     }
-    return null;
 }
 
 // Start watching a user with dynamic intervals
+// Checks are resolved by the shared presence poller in roblox-api
 function startWatching(watchData) {
+    const key = watchKey(watchData.guildId, watchData.robloxUserId);
+
     // Determine initial interval based on last known status
     let currentInterval = watchData.wasOnline ? INTERVAL_ONLINE : INTERVAL_OFFLINE;
+    let failedAttempts = 0;
     
-    async function performCheck() {
+    async function handleStatus(status) {
         try {
             // Check if watch has expired
             if (new Date() > new Date(watchData.endTime)) {
                 console.log(`⏱️ Watch expired for ${watchData.username}`);
-                activeWatches.delete(watchData.username);
-                await saveWatches();
-                return; // Don't schedule next check
+                recordObservationEnd(watchData);
+                reportWatchEnd(watchData, { reason: END_REASONS.EXPIRED });
+                activeWatches.delete(key);
+                unregisterPresenceWatch(key);
+                cancelExpiryWarning(key);
+                storage.deleteWatch(watchData.guildId, watchData.robloxUserId);
+                processWaitlist(watchData.client, watchData.guildId);
+                return null; // Don't schedule next check
             }
             
-            // Check user status with retry logic
-            const status = await checkWithRetry(watchData);
-            
-            // Handle check failure
+            // Handle check failure with backoff retries
             if (!status) {
+                failedAttempts++;
+                watchData.checkFailures = (watchData.checkFailures || 0) + 1;
+                console.error(`⚠️ Watch check attempt ${failedAttempts}/${MAX_RETRIES} failed for ${watchData.username}`);
+                
+                if (failedAttempts < MAX_RETRIES) {
+                    const waitTime = RETRY_DELAY * failedAttempts;
+                    console.log(`⏳ Retrying in ${waitTime/1000}s...`);
+                    return waitTime;
+                }
+                
+                // Track consecutive errors
+                failedAttempts = 0;
+                watchData.consecutiveErrors = (watchData.consecutiveErrors || 0) + 1;
                 console.error(`❌ All check attempts failed for ${watchData.username}`);
-                // Schedule next check with current interval (don't change on error)
-                watchData.timeoutId = setTimeout(performCheck, currentInterval);
-                return;
+                persistWatch(watchData);
+                
+                // If too many consecutive errors, consider stopping the watch
+                if (watchData.consecutiveErrors >= 5) {
+                    console.error(`🛑 Watch for ${watchData.username} has failed ${watchData.consecutiveErrors} times consecutively. Consider manual intervention.`);
+                }
+                
+                // Keep current interval (don't change on error)
+                return currentInterval;
+            }
+            
+            // Reset consecutive errors on success
+            failedAttempts = 0;
+            if (watchData.consecutiveErrors > 0) {
+                watchData.consecutiveErrors = 0;
+                console.log(`✅ Watch check recovered for ${watchData.username}`);
             }
             
             // Process status change
             const previouslyOnline = watchData.wasOnline;
             const currentlyOnline = status.online === true;
             
+            // First check after a restart - any change happened while we were down
+            const firstCheckAfterRestart = watchData.restored === true;
+            const missedWhileOffline = firstCheckAfterRestart && currentlyOnline !== previouslyOnline;
+            watchData.restored = false;
+            if (missedWhileOffline) {
+                console.log(`🔁 ${watchData.username} changed status while the bot was offline`);
+            }
+            
+            // Record every presence change for /history
+            const snapshot = getPresenceSnapshot(status);
+            let changeKind = null;
+            if (snapshot && presenceChanged(watchData.lastPresence, snapshot)) {
+                changeKind = classifyPresenceChange(watchData.lastPresence, snapshot);
+                recordTransition(watchData, previouslyOnline, status, snapshot);
+                watchData.lastPresence = snapshot;
+                persistWatch(watchData);
+            } else if (snapshot && firstCheckAfterRestart) {
+                // Observation stopped at shutdown - record the current state so /history resumes here
+                recordTransition(watchData, previouslyOnline, status, snapshot);
+            }
+            
+            const alertKinds = normalizeAlertKinds(watchData.alertKinds);
+            
+            // Tracked-only watches stay quiet unless the suspect is (or just was) in one of our games
+            const wasInTrackedGame = watchData.inTrackedGame === true;
+            const inTrackedGame = !!matchTrackedPlace(watchData.guildId, status.presenceData);
+            watchData.inTrackedGame = inTrackedGame;
+            const shouldAlert = kind => {
+                if (!alertKinds.includes(kind)) return false;
+                if (!watchData.trackedOnly) return true;
+                if (kind === ALERT_KINDS.OFFLINE || kind === ALERT_KINDS.LEFT_GAME) return wasInTrackedGame;
+                return inTrackedGame;
+            };
+            
             // User came online - send notifications
             if (currentlyOnline && !previouslyOnline) {
                 console.log(`🚨 ${watchData.username} is now ONLINE!`);
                 
                 // Update watch data
                 watchData.wasOnline = true;
-                activeWatches.set(watchData.username, watchData);
-                await saveWatches();
+                persistWatch(watchData);
                 
                 // Send notifications
-                await sendNotifications(watchData, status);
+                if (shouldAlert(ALERT_KINDS.ONLINE)) {
+                    await sendNotifications(watchData, status, { kind: ALERT_KINDS.ONLINE, missedWhileOffline });
+                }
                 
                 // Switch to frequent checking
                 currentInterval = INTERVAL_ONLINE;
@@ -162,13 +352,28 @@ function startWatching(watchData) {
                 
                 // Update watch data
                 watchData.wasOnline = false;
-                activeWatches.set(watchData.username, watchData);
-                await saveWatches();
+                persistWatch(watchData);
+                
+                if (shouldAlert(ALERT_KINDS.OFFLINE)) {
+                    await sendNotifications(watchData, status, { kind: ALERT_KINDS.OFFLINE, missedWhileOffline });
+                }
                 
                 // Switch to less frequent checking
                 currentInterval = INTERVAL_OFFLINE;
                 console.log(`⏰ Switched to offline interval (${INTERVAL_OFFLINE/60000} min) for ${watchData.username}`);
             }
+            // Still online but changed game or server
+            else if (changeKind && changeKind !== ALERT_KINDS.ONLINE && changeKind !== ALERT_KINDS.OFFLINE) {
+                console.log(`🎮 ${watchData.username}: ${changeKind.replace('_', ' ')} (${status.game || 'unknown'})`);
+                
+                if (shouldAlert(changeKind)) {
+                    await sendNotifications(watchData, status, { kind: changeKind });
+                } else if (watchData.trackedOnly && inTrackedGame && !wasInTrackedGame &&
+                    alertKinds.includes(ALERT_KINDS.ONLINE)) {
+                    // Entering one of our games is what a tracked-only watch exists for
+                    await sendNotifications(watchData, status, { kind: ALERT_KINDS.JOINED_GAME });
+                }
+            }
             // No status change - log periodically
             else if (Date.now() % 10 === 0) { // Log occasionally to avoid spam
                 const statusText = currentlyOnline ? 'online' : 'offline';
@@ -178,21 +383,49 @@ function startWatching(watchData) {
         } catch (error) {
             console.error(`❌ Unexpected error in watch for ${watchData.username}:`, error);
             watchData.consecutiveErrors = (watchData.consecutiveErrors || 0) + 1;
-        } finally {
-            // Always schedule next check (unless watch expired)
-            if (activeWatches.has(watchData.username)) {
-                watchData.timeoutId = setTimeout(performCheck, currentInterval);
-            }
         }
+        
+        return currentInterval;
     }
     
-    // Start the first check immediately
+    // Register with the poller - the first check runs immediately
     console.log(`👁️ Starting watch for ${watchData.username} with ${currentInterval/60000} minute interval`);
-    performCheck();
+    registerPresenceWatch(key, watchData.robloxUserId, handleStatus);
+}
+
+// Describe an alert kind for the embed description
+function describeAlert(kind, watchData, status) {
+    switch (kind) {
+        case ALERT_KINDS.JOINED_GAME:
+            return `**${watchData.username}** joined **${status.game || 'a game'}**`;
+        case ALERT_KINDS.SWITCHED_SERVER:
+            return `**${watchData.username}** moved to a new server in **${status.game || 'a game'}**`;
+        case ALERT_KINDS.LEFT_GAME:
+            return `**${watchData.username}** left their game but is still online`;
+        case ALERT_KINDS.OFFLINE:
+            return `**${watchData.username}** went offline`;
+        default:
+            return `**${watchData.username}** is now online!`;
+    }
+}
+
+// Pick up a rename made mid-watch so alerts show the suspect's current name
+async function refreshUsername(watchData) {
+    try {
+        const currentName = await getRobloxUsername(watchData.robloxUserId, { fresh: true });
+        if (!currentName || currentName === watchData.username) return;
+        
+        console.log(`🏷️ ${watchData.username} renamed to ${currentName} during their watch`);
+        watchData.previousUsernames = [...(watchData.previousUsernames || []), watchData.username];
+        watchData.username = currentName;
+        persistWatch(watchData);
+    } catch (error) {
+        console.error(`Failed to refresh username for ${watchData.username}:`, error);
+    }
 }
 
 // Send DM notifications
-async function sendNotifications(watchData, status) {
+async function sendNotifications(watchData, status, { kind = ALERT_KINDS.ONLINE, missedWhileOffline = false } = {}) {
     try {
         const client = watchData.client;
         if (!client) {
@@ -200,18 +433,19 @@ async function sendNotifications(watchData, status) {
             return;
         }
         
-        // Only notify the person who started the watch
-        const user = await client.users.fetch(watchData.startedById).catch(() => null);
-        if (!user) {
-            console.error(`❌ Could not find user ${watchData.startedById} to send notification`);
-            return;
+        // Refresh the join link - the server may have changed since the last alert
+        if (kind !== ALERT_KINDS.OFFLINE && kind !== ALERT_KINDS.LEFT_GAME) {
+            await attachJoinUrls(watchData.robloxUserId, status);
         }
         
+        await refreshUsername(watchData);
+        
         // Create notification embed
+        const style = ALERT_STYLES[kind] || ALERT_STYLES[ALERT_KINDS.ONLINE];
         const embed = new EmbedBuilder()
-            .setTitle('🚨 WATCH ALERT: Suspect Online!')
-            .setColor(0xFF0000)
-            .setDescription(`**${watchData.username}** is now online!`)
+            .setTitle(style.title)
+            .setColor(style.color)
+            .setDescription(describeAlert(kind, watchData, status))
             .addFields(
                 {
                     name: '📊 Status',
@@ -226,6 +460,31 @@ async function sendNotifications(watchData, status) {
             )
             .setTimestamp();
         
+        if (watchData.previousUsernames?.length > 0) {
+            embed.addFields({
+                name: '🏷️ Formerly Known As',
+                value: watchData.previousUsernames.join(', '),
+                inline: false
+            });
+        }
+        
+        const gameScope = getGameScope(watchData.guildId, status);
+        if (gameScope) {
+            embed.addFields({
+                name: '🗺️ Location',
+                value: gameScope.text,
+                inline: true
+            });
+        }
+        
+        if (missedWhileOffline) {
+            embed.addFields({
+                name: '🔁 Detected After Restart',
+                value: 'This change happened while the bot was offline - exact time unknown',
+                inline: false
+            });
+        }
+        
         // Add join information if available
         if (status.joinUrls?.authenticated) {
             embed.addFields({
@@ -241,69 +500,923 @@ async function sendNotifications(watchData, status) {
             });
         }
         
-        embed.setFooter({ 
-            text: `Use /stopwatch to stop monitoring once arrested` 
+        // Point officers at the warrant so the arrest closes it
+        const warrant = watchData.warrantId ? getWarrant(watchData.warrantId) : null;
+        if (warrant) {
+            embed.addFields({
+                name: `📜 Warrant #${warrant.id}`,
+                value: `Charges: ${warrant.charges}`,
+                inline: false
+            });
+            embed.setFooter({ 
+                text: `Use /warrant serve id:${warrant.id} once arrested` 
+            });
+        } else {
+            embed.setFooter({ 
+                text: `Use /stopwatch to stop monitoring once arrested` 
+            });
+        }
+        
+        // DM the starter and subscribers, and copy the guild's alerts channel
+        const recipients = [watchData.startedById, ...(watchData.subscriberIds || [])];
+        const components = buildSuspectActions({
+            guildId: watchData.guildId,
+            username: watchData.username,
+            watched: true,
+            warrantId: warrant?.id
         });
+        const result = await deliverAlert(client, watchData.guildId, recipients, { embeds: [embed], components });
+        alertsSentTotal.inc({ kind });
+        watchData.alertsSent = (watchData.alertsSent || 0) + 1;
+        persistWatch(watchData);
+        console.log(`📨 Sent ${kind} notification for ${watchData.username} to ${result.delivered} officer(s)${result.postedToChannel ? ' and the alerts channel' : ''}`);
+        
+    } catch (error) {
+        console.error('Failed to send notifications:', error);
+    }
+}
+
+/**
+ * Find a guild's active watch by current or previous username, or by Roblox user ID
+ * @param {string} guildId
+ * @param {string|number} usernameOrId
+ * @returns {Object|null}
+ */
+function findWatch(guildId, usernameOrId) {
+    const query = String(usernameOrId).trim().toLowerCase();
+    
+    if (/^\d+$/.test(query) && activeWatches.has(watchKey(guildId, Number(query)))) {
+        return activeWatches.get(watchKey(guildId, Number(query)));
+    }
+    
+    const watches = getGuildWatches(guildId);
+    return watches.find(watch => watch.username.toLowerCase() === query)
+        || watches.find(watch => (watch.previousUsernames || []).some(name => name.toLowerCase() === query))
+        || null;
+}
+
+/**
+ * Like findWatch, but falls back to resolving the name on Roblox
+ * Catches suspects who renamed before the bot noticed.
+ * @param {string} guildId
+ * @param {string} username
+ * @returns {Object|null}
+ */
+async function resolveWatch(guildId, username) {
+    const watchData = findWatch(guildId, username);
+    if (watchData) return watchData;
+    
+    const robloxUserId = await getRobloxUserId(username);
+    return typeof robloxUserId === 'number' ? activeWatches.get(watchKey(guildId, robloxUserId)) || null : null;
+}
+
+/**
+ * Archive the end-of-watch report and send it to the starter, subscribers and alerts channel
+ * Delivery happens in the background; the report is returned straight away.
+ * @param {Object} watchData
+ * @param {Object} options - reason (END_REASONS), endedBy (officer tag)
+ * @returns {Object|null} - The saved report, or null if it couldn't be built
+ */
+function reportWatchEnd(watchData, { reason, endedBy = null }) {
+    let report;
+    try {
+        report = saveWatchReport(buildWatchReport(watchData, { reason, endedBy }));
+    } catch (error) {
+        console.error(`❌ Failed to build the watch report for ${watchData.username}:`, error);
+        return null;
+    }
+
+    if (watchData.client) {
+        const recipients = [watchData.startedById, ...(watchData.subscriberIds || [])];
+        deliverAlert(watchData.client, watchData.guildId, recipients, { embeds: [buildReportEmbed(report)] }, { notifyRole: false })
+            .catch(error => console.error(`❌ Failed to deliver the watch report for ${watchData.username}:`, error));
+    }
+
+    console.log(`📄 Archived watch report #${report.id} for ${watchData.username} (${reason})`);
+    return report;
+}
+
+/**
+ * Stop one of a guild's watches and report on it (exposed for stopwatch, watchlist and warrant)
+ * @param {string} guildId
+ * @param {number} robloxUserId
+ * @param {Object} options - reason (END_REASONS, default stopped), endedBy (officer tag)
+ * @returns {Object|null} - { report } if a watch was stopped, null if there was none
+ */
+function stopWatch(guildId, robloxUserId, { reason = END_REASONS.STOPPED, endedBy = null } = {}) {
+    const key = watchKey(guildId, robloxUserId);
+    const watchData = activeWatches.get(key);
+    if (watchData) {
+        recordObservationEnd(watchData);
+        const report = reportWatchEnd(watchData, { reason, endedBy });
+        unregisterPresenceWatch(key);
+        cancelExpiryWarning(key);
+        activeWatches.delete(key);
+        console.log(`🛑 Stopped watch for ${watchData.username}`);
         
-        // Send DM to the watch starter only
         try {
-            await user.send({ embeds: [embed] });
-            console.log(`📨 Sent watch notification to ${user.tag} for ${watchData.username}`);
+            storage.deleteWatch(guildId, robloxUserId);
         } catch (error) {
-            console.log(`Failed to DM ${user.tag}: ${error.message}`);
+            console.error('Error saving after stop:', error);
+        }
+
+        // The freed slot goes to the waitlist
+        processWaitlist(watchData.client, guildId);
+        return { report };
+    }
+    return null;
+}
+
+/**
+ * Create, start and persist a watch for a resolved user
+ * Callers check the guild's watch limit and existing watches first.
+ * @param {Object} options - username, robloxUserId, hours, alertKinds, trackedOnly,
+ *                           startedBy, startedById, guildId, client
+ * @param {Object|null} initialStatus - Current status from checkRobloxStatus
+ * @returns {Object} - The new watch data
+ */
+function createWatch({ username, robloxUserId, hours, alertKinds, trackedOnly = false, startedBy, startedById, guildId, client }, initialStatus) {
+    // Link the watch to an outstanding warrant if there is one
+    const warrant = getActiveWarrant(guildId, robloxUserId);
+    
+    const watchData = {
+        username: username,
+        robloxUserId: robloxUserId,
+        startedBy: startedBy,
+        startedById: startedById,
+        guildId: guildId,
+        startTime: new Date().toISOString(),
+        endTime: new Date(Date.now() + hours * 60 * 60 * 1000).toISOString(),
+        wasOnline: initialStatus?.online === true,
+        consecutiveErrors: 0,
+        warrantId: warrant?.id || null,
+        alertKinds: alertKinds || ALERT_PRESETS[DEFAULT_ALERT_PRESET].kinds,
+        trackedOnly: trackedOnly,
+        subscriberIds: [],
+        previousUsernames: [],
+        lastPresence: initialStatus ? getPresenceSnapshot(initialStatus) : null,
+        client: client
+    };
+    
+    watchData.inTrackedGame = !!matchTrackedPlace(guildId, initialStatus?.presenceData);
+    
+    // Baseline entry so /history knows the state at watch start
+    if (watchData.lastPresence) {
+        recordTransition(watchData, watchData.wasOnline, initialStatus, watchData.lastPresence);
+    }
+    
+    // Start watching
+    activeWatches.set(watchKey(guildId, robloxUserId), watchData);
+    startWatching(watchData);
+    scheduleExpiryWarning(watchData);
+    persistWatch(watchData);
+    
+    return watchData;
+}
+
+/**
+ * Put a watch request on the waitlist for the interacting officer and audit it
+ * Shared by /watch start and /list watch so both queue the same way.
+ * @param {Interaction} interaction
+ * @param {Object} request - username, robloxUserId, hours, alertKinds, trackedOnly
+ * @param {Object} slots - From getFreeSlots
+ * @returns {Object|null} - { entry, position }, or null if the suspect is already queued
+ */
+function addToWaitlist(interaction, request, slots) {
+    const entry = enqueueWatch({
+        ...request,
+        guildId: interaction.guildId,
+        requestedBy: interaction.user.tag,
+        requestedById: interaction.user.id
+    });
+    if (!entry) return null;
+
+    const position = getQueuePosition(entry);
+    console.log(`⏳ Queued watch on ${entry.username} for ${interaction.user.tag} (position ${position})`);
+    recordAudit(interaction, {
+        action: 'queue',
+        targetUsername: entry.username,
+        targetRobloxId: entry.robloxUserId,
+        outcome: AUDIT_OUTCOME.SUCCESS,
+        details: `${slots.scope} limit ${slots.limit}, position ${position}, ${entry.priority.label.toLowerCase()} priority`
+    });
+
+    return { entry, position };
+}
+
+// Put a watch request on the waitlist and tell the officer where it stands
+async function queueWatch(interaction, request, slots) {
+    const { entry, position } = addToWaitlist(interaction, request, slots);
+    const reason = slots.scope === 'officer'
+        ? `You're at your quota of ${slots.limit} watch(es)`
+        : `This server's limit of ${slots.limit} watch(es) is reached`;
+
+    const embed = new EmbedBuilder()
+        .setTitle('⏳ Watch Queued')
+        .setColor(0xFFAA00)
+        .setDescription(`**${entry.username}** will be watched for ${entry.hours} hour(s) as soon as a slot frees up`)
+        .addFields(
+            { name: '🚦 Reason', value: reason, inline: false },
+            { name: '📋 Position', value: `#${position}`, inline: true },
+            { name: '⭐ Priority', value: entry.priority.label, inline: true }
+        )
+        .setFooter({ text: 'You\'ll be DMed when it starts • /stopwatch removes it from the queue' })
+        .setTimestamp();
+
+    await interaction.editReply({ embeds: [embed] });
+}
+
+// DM the officer who queued a watch
+async function notifyRequester(client, entry, payload) {
+    try {
+        const user = await client.users.fetch(entry.requestedById);
+        await user.send(payload);
+    } catch (error) {
+        console.error(`❌ Could not DM ${entry.requestedBy} about their queued watch:`, error.message);
+    }
+}
+
+// Start queued watches, best priority first, while slots are free
+async function drainWaitlist(client, guildId) {
+    for (const entry of getQueuedWatches(guildId)) {
+        // Started some other way while it waited (e.g. from a list) - join it instead
+        const existing = activeWatches.get(watchKey(guildId, entry.robloxUserId));
+        if (existing) {
+            removeQueuedWatch(entry.id);
+            if (existing.startedById !== entry.requestedById && !existing.subscriberIds?.includes(entry.requestedById)) {
+                storage.addSubscriber(guildId, entry.robloxUserId, entry.requestedById);
+                existing.subscriberIds = [...(existing.subscriberIds || []), entry.requestedById];
+            }
+            await notifyRequester(client, entry, {
+                content: `✅ **${existing.username}** is now being watched by ${existing.startedBy} - your queued request joined that watch.`
+            });
+            continue;
+        }
+
+        const member = await fetchOfficer(client, guildId, entry.requestedById);
+        const slots = getFreeSlots(guildId, entry.requestedById, member);
+        if (slots.free === 0) {
+            // A full server blocks everything behind this entry; a full quota only blocks this officer
+            if (slots.scope === 'server') break;
+            continue;
+        }
+
+        removeQueuedWatch(entry.id);
+
+        const initialStatus = await checkRobloxStatus(entry.robloxUserId);
+        const watchData = createWatch({
+            username: entry.username,
+            robloxUserId: entry.robloxUserId,
+            hours: entry.hours,
+            alertKinds: entry.alertKinds,
+            trackedOnly: entry.trackedOnly,
+            startedBy: entry.requestedBy,
+            startedById: entry.requestedById,
+            guildId: guildId,
+            client: client
+        }, initialStatus && !initialStatus.error ? initialStatus : null);
+
+        const waitedMinutes = Math.round((Date.now() - new Date(entry.queuedAt).getTime()) / 60000);
+        const embed = new EmbedBuilder()
+            .setTitle('👁️ Queued Watch Started')
+            .setColor(0x00FF00)
+            .setDescription(`A slot freed up - now monitoring **${watchData.username}** for ${entry.hours} hour(s)`)
+            .addFields(
+                { name: '📊 Current Status', value: initialStatus?.status || 'Unknown', inline: true },
+                { name: '⏳ Waited', value: `${waitedMinutes} minute(s)`, inline: true },
+                { name: '⭐ Priority', value: entry.priority.label, inline: true }
+            )
+            .setFooter({ text: `Watch ends at ${new Date(watchData.endTime).toLocaleString()}` })
+            .setTimestamp();
+
+        console.log(`⏳ Started queued watch on ${watchData.username} for ${entry.requestedBy}`);
+        await notifyRequester(client, entry, { embeds: [embed] });
+    }
+}
+
+// Serialized per guild - slots freed in a burst (e.g. clear-all) are filled in order
+const waitlistRuns = new Map();
+
+/**
+ * Start queued watches for a guild while it has free slots
+ * Runs after any watch ends; calls for the same guild queue behind each other.
+ * @param {Client} client - Discord client
+ * @param {string} guildId
+ * @returns {Promise<void>}
+ */
+function processWaitlist(client, guildId) {
+    if (!client) return Promise.resolve();
+
+    const previous = waitlistRuns.get(guildId) || Promise.resolve();
+    const run = previous
+        .then(() => drainWaitlist(client, guildId))
+        .catch(error => console.error(`❌ Failed to process the watch waitlist for ${guildId}:`, error));
+
+    waitlistRuns.set(guildId, run);
+    run.then(() => {
+        if (waitlistRuns.get(guildId) === run) waitlistRuns.delete(guildId);
+    });
+    return run;
+}
+
+// Start a watch, or join the existing one
+async function handleStart(interaction, { username, hours, alertPreset = DEFAULT_ALERT_PRESET, trackedOnly = false }) {
+
+    const guildId = interaction.guildId;
+
+    // Already watched - join the existing watch instead of starting another
+    const existingWatch = findWatch(guildId, username);
+    if (existingWatch) {
+        await subscribeToWatch(interaction, existingWatch);
+        return;
+    }
+
+    // A tracked-only watch would never alert without tracked games
+    if (trackedOnly && getTrackedPlaces(guildId).length === 0) {
+        recordAudit(interaction, { action: 'start', targetUsername: username, outcome: AUDIT_OUTCOME.REJECTED, details: 'no tracked places' });
+        await interaction.reply({
+            content: '⚠️ This server has no tracked games yet. Add one with `/places add` before using `our-game-only`.',
+            ephemeral: true
+        });
+        return;
+    }
+
+    // Defer reply for processing
+    await interaction.deferReply({ ephemeral: true });
+
+    try {
+        // Get Roblox user ID
+        const robloxUserResult = await getRobloxUserId(username);
+        
+        if (!robloxUserResult || (typeof robloxUserResult === 'object' && robloxUserResult.error)) {
+            // Handle rate limit
+            if (robloxUserResult?.error === 'rate_limited') {
+                recordAudit(interaction, { action: 'start', targetUsername: username, outcome: AUDIT_OUTCOME.RATE_LIMITED });
+                await interaction.editReply({
+                    content: `⏳ Roblox API is rate limited. Please try again in ${robloxUserResult.retryAfter} seconds.`,
+                });
+                return;
+            }
             
-            // Try to notify in the original guild if DM fails
-            try {
-                const guild = await client.guilds.fetch(watchData.guildId);
-                const channel = guild.systemChannel || guild.channels.cache.find(ch => ch.type === 0);
-                if (channel) {
-                    await channel.send({
-                        content: `<@${watchData.startedById}> - Watch alert for **${watchData.username}** (couldn't send DM)`,
-                        embeds: [embed]
-                    });
+            recordAudit(interaction, { action: 'start', targetUsername: username, outcome: AUDIT_OUTCOME.NOT_FOUND });
+            await interaction.editReply({
+                content: `❌ Could not find user **${username}** on Roblox.`,
+            });
+            return;
+        }
+
+        const robloxUserId = robloxUserResult;
+
+        // The name may be a former one of a suspect we already watch
+        const renamedWatch = activeWatches.get(watchKey(guildId, robloxUserId));
+        if (renamedWatch) {
+            await subscribeToWatch(interaction, renamedWatch);
+            return;
+        }
+
+        // Watch under the suspect's current name (served from the lookup cache)
+        const currentName = await getRobloxUsername(robloxUserId) || username;
+
+        // Already waiting for a slot
+        const queued = findQueuedWatch(guildId, robloxUserId);
+        if (queued) {
+            recordAudit(interaction, { action: 'start', targetUsername: currentName, targetRobloxId: robloxUserId, outcome: AUDIT_OUTCOME.REJECTED, details: 'already queued' });
+            await interaction.editReply({
+                content: `⏳ **${queued.username}** is already on the waitlist (position ${getQueuePosition(queued)}, requested by ${queued.requestedBy}).`
+            });
+            return;
+        }
+
+        // No free slot for this officer - queue the watch until one frees up
+        const member = interaction.member || await fetchOfficer(interaction.client, guildId, interaction.user.id);
+        const slots = getFreeSlots(guildId, interaction.user.id, member);
+        if (slots.free === 0) {
+            await queueWatch(interaction, {
+                username: currentName,
+                robloxUserId,
+                hours,
+                alertKinds: ALERT_PRESETS[alertPreset].kinds,
+                trackedOnly
+            }, slots);
+            return;
+        }
+
+        // Check initial status
+        const initialStatus = await checkRobloxStatus(robloxUserId);
+        
+        const watchData = createWatch({
+            username: currentName,
+            robloxUserId: robloxUserId,
+            hours: hours,
+            alertKinds: ALERT_PRESETS[alertPreset].kinds,
+            trackedOnly: trackedOnly,
+            startedBy: interaction.user.tag,
+            startedById: interaction.user.id,
+            guildId: guildId,
+            client: interaction.client
+        }, initialStatus);
+        const warrant = watchData.warrantId ? getWarrant(watchData.warrantId) : null;
+        
+        // Determine initial interval for display
+        const initialInterval = watchData.wasOnline ? 
+            `${INTERVAL_ONLINE/60000} minute` : 
+            `${INTERVAL_OFFLINE/60000} minute`;
+        
+        // Create response embed
+        const embed = new EmbedBuilder()
+            .setTitle('👁️ Watch Started')
+            .setColor(0x00FF00)
+            .setDescription(`Now monitoring **${watchData.username}** for ${hours} hour(s)`)
+            .addFields(
+                {
+                    name: '📊 Current Status',
+                    value: initialStatus?.status || 'Unknown',
+                    inline: true
+                },
+                {
+                    name: '⏰ Duration',
+                    value: `${hours} hour(s)`,
+                    inline: true
+                },
+                {
+                    name: '🔄 Check Interval',
+                    value: `${initialInterval}s (dynamic)`,
+                    inline: true
+                },
+                {
+                    name: '🔔 Notifications',
+                    value: `You will be notified via DM: ${describeAlertKinds(watchData.alertKinds)}` +
+                        (trackedOnly ? '\nOnly while in one of our tracked games' : ''),
+                    inline: false
+                },
+                {
+                    name: '📋 Smart Monitoring',
+                    value: '• Checks every minute when online\n• Checks every 10 minutes when offline\n• Automatic retry on failures',
+                    inline: false
                 }
-            } catch (channelError) {
-                console.error('Could not send notification anywhere:', channelError);
-            }
+            )
+            .setFooter({ 
+                text: `Watch ends at ${new Date(watchData.endTime).toLocaleString()}` 
+            })
+            .setTimestamp();
+
+        if (warrant) {
+            embed.addFields({
+                name: `📜 Linked Warrant #${warrant.id}`,
+                value: `Charges: ${warrant.charges}`,
+                inline: false
+            });
         }
+
+        await interaction.editReply({ embeds: [embed] });
+        
+        console.log(`👁️ Started watching ${watchData.username} for ${hours} hours by ${interaction.user.tag}`);
+        recordAudit(interaction, {
+            action: 'start',
+            targetUsername: watchData.username,
+            targetRobloxId: robloxUserId,
+            outcome: AUDIT_OUTCOME.SUCCESS,
+            details: `${hours}h${warrant ? `, warrant #${warrant.id}` : ''}${trackedOnly ? ', our game only' : ''}`
+        });
         
     } catch (error) {
-        console.error('Failed to send notifications:', error);
+        console.error('Watch command error:', error);
+        recordAudit(interaction, { action: 'start', targetUsername: username, outcome: AUDIT_OUTCOME.ERROR, details: error.message });
+        await interaction.editReply({
+            content: '❌ Failed to start watch. Please try again.',
+        });
     }
 }
 
-// Stop a watch (exposed for stopwatch command)
-function stopWatch(username) {
-    const watchData = activeWatches.get(username);
-    if (watchData) {
-        if (watchData.timeoutId) {
-            clearTimeout(watchData.timeoutId);
+// Add the invoking officer to a watch's alert recipients
+// Works before or after deferring - /watch start only finds renamed suspects after the lookup
+async function subscribeToWatch(interaction, watchData) {
+    const remainingHours = Math.ceil((new Date(watchData.endTime) - new Date()) / (1000 * 60 * 60));
+    const respond = content => interaction.deferred
+        ? interaction.editReply({ content })
+        : interaction.reply({ content, ephemeral: true });
+
+    if (watchData.startedById === interaction.user.id || watchData.subscriberIds?.includes(interaction.user.id)) {
+        await respond(`ℹ️ You're already receiving alerts for **${watchData.username}**.\nRemaining time: ${remainingHours} hour(s)`);
+        return;
+    }
+
+    storage.addSubscriber(watchData.guildId, watchData.robloxUserId, interaction.user.id);
+    watchData.subscriberIds = [...(watchData.subscriberIds || []), interaction.user.id];
+
+    await respond(`✅ Joined the watch on **${watchData.username}** - you'll receive its alerts.\nRemaining time: ${remainingHours} hour(s)\nStarted by: ${watchData.startedBy}`);
+    console.log(`👥 ${interaction.user.tag} subscribed to watch on ${watchData.username}`);
+    recordAudit(interaction, {
+        action: 'subscribe',
+        targetUsername: watchData.username,
+        targetRobloxId: watchData.robloxUserId,
+        outcome: AUDIT_OUTCOME.SUCCESS
+    });
+}
+
+async function handleSubscribe(interaction) {
+    const username = interaction.options.getString('username');
+    await interaction.deferReply({ ephemeral: true });
+    const watchData = await resolveWatch(interaction.guildId, username);
+
+    if (!watchData) {
+        recordAudit(interaction, { action: 'subscribe', targetUsername: username, outcome: AUDIT_OUTCOME.NOT_FOUND });
+        await interaction.editReply({
+            content: `❌ No active watch found for **${username}**. Start one with \`/watch start\`.`
+        });
+        return;
+    }
+
+    await subscribeToWatch(interaction, watchData);
+}
+
+async function handleUnsubscribe(interaction) {
+    await interaction.deferReply({ ephemeral: true });
+    const watchData = await resolveWatch(interaction.guildId, interaction.options.getString('username'));
+    const username = watchData?.username || interaction.options.getString('username');
+
+    if (!watchData || !watchData.subscriberIds?.includes(interaction.user.id)) {
+        const isStarter = watchData?.startedById === interaction.user.id;
+        await interaction.editReply({
+            content: isStarter
+                ? `⚠️ You started the watch on **${username}** - use \`/stopwatch\` to end it.`
+                : `ℹ️ You're not subscribed to a watch on **${username}**.`
+        });
+        return;
+    }
+
+    storage.removeSubscriber(watchData.guildId, watchData.robloxUserId, interaction.user.id);
+    watchData.subscriberIds = watchData.subscriberIds.filter(userId => userId !== interaction.user.id);
+
+    await interaction.editReply({
+        content: `🔕 You'll no longer receive alerts for **${username}**.`
+    });
+    console.log(`👥 ${interaction.user.tag} unsubscribed from watch on ${username}`);
+    recordAudit(interaction, {
+        action: 'unsubscribe',
+        targetUsername: username,
+        targetRobloxId: watchData.robloxUserId,
+        outcome: AUDIT_OUTCOME.SUCCESS
+    });
+}
+
+// Show a suspect's archived end-of-watch reports, newest first
+async function handleReport(interaction) {
+    const username = interaction.options.getString('username');
+    await interaction.deferReply({ ephemeral: true });
+    let reports = getWatchReports(interaction.guildId, username);
+
+    // Reports are filed under the name the suspect had when the watch ended
+    if (reports.length === 0) {
+        const robloxUserId = await getRobloxUserId(username);
+        if (typeof robloxUserId === 'number') {
+            reports = getWatchReports(interaction.guildId, robloxUserId);
         }
-        activeWatches.delete(username);
-        console.log(`🛑 Stopped watch for ${username}`);
-        
-        // Save updated watches
-        saveWatches().catch(error => console.error('Error saving after stop:', error));
-        return true;
     }
-    return false;
+
+    if (reports.length === 0) {
+        recordAudit(interaction, { action: 'report', targetUsername: username, outcome: AUDIT_OUTCOME.NOT_FOUND });
+        await interaction.editReply({
+            content: `📄 No watch reports found for **${username}**.`
+        });
+        return;
+    }
+
+    // Edits the deferred (ephemeral) reply
+    await sendPaginated(interaction, reports.map(buildReportEmbed));
+    recordAudit(interaction, {
+        action: 'report',
+        targetUsername: reports[0].username,
+        targetRobloxId: reports[0].robloxUserId,
+        outcome: AUDIT_OUTCOME.SUCCESS,
+        details: `${reports.length} report(s)`
+    });
+}
+
+// Find a watch the officer may change - they started it, or they're an admin
+// Defers (the name may need a Roblox lookup), then replies and audits when there's nothing they can change.
+async function resolveManagedWatch(interaction, username, action) {
+    await interaction.deferReply({ ephemeral: true });
+    const watchData = await resolveWatch(interaction.guildId, username);
+
+    if (!watchData) {
+        recordAudit(interaction, { action, targetUsername: username, outcome: AUDIT_OUTCOME.NOT_FOUND });
+        await interaction.editReply({
+            content: `❌ No active watch found for **${username}**.`
+        });
+        return null;
+    }
+
+    if (watchData.startedById !== interaction.user.id && !hasPermission(interaction, 'admin')) {
+        recordAudit(interaction, {
+            action,
+            targetUsername: watchData.username,
+            targetRobloxId: watchData.robloxUserId,
+            outcome: AUDIT_OUTCOME.DENIED,
+            details: `watch owned by ${watchData.startedBy}`
+        });
+        await interaction.editReply({
+            content: `⚠️ Only **${watchData.startedBy}** or administrators can ${action} this watch.`
+        });
+        return null;
+    }
+
+    return watchData;
+}
+
+// Move a watch's end time, keeping the warning in step
+function setWatchEnd(watchData, endTime) {
+    watchData.endTime = new Date(endTime).toISOString();
+    persistWatch(watchData);
+    scheduleExpiryWarning(watchData);
+}
+
+function formatEndTime(watchData) {
+    return `<t:${Math.floor(new Date(watchData.endTime).getTime() / 1000)}:R>`;
+}
+
+// Add time to a watch, capped at MAX_WATCH_HOURS from now
+async function handleExtend(interaction, { username, hours }) {
+    const watchData = await resolveManagedWatch(interaction, username, 'extend');
+    if (!watchData) return;
+
+    const currentEnd = new Date(watchData.endTime).getTime();
+    const maxEnd = Date.now() + MAX_WATCH_HOURS * 60 * 60 * 1000;
+    const newEnd = Math.min(currentEnd + hours * 60 * 60 * 1000, maxEnd);
+
+    if (newEnd <= currentEnd) {
+        recordAudit(interaction, { action: 'extend', targetUsername: watchData.username, targetRobloxId: watchData.robloxUserId, outcome: AUDIT_OUTCOME.REJECTED, details: 'at maximum duration' });
+        await interaction.editReply({
+            content: `⚠️ The watch on **${watchData.username}** already runs the maximum of ${MAX_WATCH_HOURS} hours from now.`
+        });
+        return;
+    }
+
+    setWatchEnd(watchData, newEnd);
+    const capped = newEnd < currentEnd + hours * 60 * 60 * 1000;
+
+    await interaction.editReply({
+        content: `⏳ Extended the watch on **${watchData.username}** - it now ends ${formatEndTime(watchData)}.` +
+            (capped ? `\nℹ️ Capped at ${MAX_WATCH_HOURS} hours from now.` : '')
+    });
+    console.log(`⏳ ${interaction.user.tag} extended the watch on ${watchData.username} by ${hours}h`);
+    recordAudit(interaction, {
+        action: 'extend',
+        targetUsername: watchData.username,
+        targetRobloxId: watchData.robloxUserId,
+        outcome: AUDIT_OUTCOME.SUCCESS,
+        details: `+${hours}h${capped ? ' (capped)' : ''}, ends ${watchData.endTime}`
+    });
+}
+
+// Change a running watch's duration, alert kinds or game scope
+async function handleEdit(interaction) {
+    const username = interaction.options.getString('username');
+    const hours = interaction.options.getInteger('hours');
+    const alertPreset = interaction.options.getString('alerts');
+    const trackedOnly = interaction.options.getBoolean('our-game-only');
+
+    if (hours === null && !alertPreset && trackedOnly === null) {
+        await interaction.reply({
+            content: '⚠️ Provide at least one of `hours`, `alerts` or `our-game-only`.',
+            ephemeral: true
+        });
+        return;
+    }
+
+    const watchData = await resolveManagedWatch(interaction, username, 'edit');
+    if (!watchData) return;
+
+    if (trackedOnly && getTrackedPlaces(watchData.guildId).length === 0) {
+        recordAudit(interaction, { action: 'edit', targetUsername: watchData.username, outcome: AUDIT_OUTCOME.REJECTED, details: 'no tracked places' });
+        await interaction.editReply({
+            content: '⚠️ This server has no tracked games yet. Add one with `/places add` before using `our-game-only`.'
+        });
+        return;
+    }
+
+    const changes = [];
+    if (hours !== null) {
+        setWatchEnd(watchData, Date.now() + hours * 60 * 60 * 1000);
+        changes.push(`**Ends:** ${formatEndTime(watchData)}`);
+    }
+    if (alertPreset) {
+        watchData.alertKinds = ALERT_PRESETS[alertPreset].kinds;
+        changes.push(`**Alerts:** ${describeAlertKinds(watchData.alertKinds)}`);
+    }
+    if (trackedOnly !== null) {
+        watchData.trackedOnly = trackedOnly;
+        changes.push(`**Games:** ${trackedOnly ? 'Our tracked games only' : 'Any game'}`);
+    }
+    persistWatch(watchData);
+
+    await interaction.editReply({
+        content: `✏️ Updated the watch on **${watchData.username}**.\n${changes.join('\n')}`
+    });
+    console.log(`✏️ ${interaction.user.tag} edited the watch on ${watchData.username}`);
+    recordAudit(interaction, {
+        action: 'edit',
+        targetUsername: watchData.username,
+        targetRobloxId: watchData.robloxUserId,
+        outcome: AUDIT_OUTCOME.SUCCESS,
+        details: [
+            hours !== null ? `${hours}h from now` : null,
+            alertPreset ? `alerts=${alertPreset}` : null,
+            trackedOnly !== null ? `our-game-only=${trackedOnly}` : null
+        ].filter(Boolean).join(', ')
+    });
+}
+
+// Hand a watch to another officer, who becomes its starter
+async function handleTransfer(interaction) {
+    const username = interaction.options.getString('username');
+    const officer = interaction.options.getUser('officer');
+
+    const watchData = await resolveManagedWatch(interaction, username, 'transfer');
+    if (!watchData) return;
+
+    const reject = async (content, details) => {
+        recordAudit(interaction, { action: 'transfer', targetUsername: watchData.username, targetRobloxId: watchData.robloxUserId, outcome: AUDIT_OUTCOME.REJECTED, details });
+        await interaction.editReply({ content });
+    };
+
+    if (officer.id === watchData.startedById) {
+        await reject(`ℹ️ **${officer.tag}** already runs the watch on **${watchData.username}**.`, 'already the starter');
+        return;
+    }
+
+    // The new owner must be able to run watches here, within their own quota
+    const member = officer.bot ? null : await fetchOfficer(interaction.client, watchData.guildId, officer.id);
+    if (!member || !hasPermission({ member, guildId: watchData.guildId }, 'watch')) {
+        await reject(`⚠️ **${officer.tag}** can't run watches in this server.`, `${officer.tag} lacks the watch permission`);
+        return;
+    }
+
+    const quota = getOfficerQuota(watchData.guildId, member);
+    const owned = getGuildWatches(watchData.guildId).filter(watch => watch.startedById === officer.id).length;
+    if (quota !== null && owned >= quota) {
+        await reject(`⚠️ **${officer.tag}** is already at their quota of ${quota} watch(es).`, `${officer.tag} at quota`);
+        return;
+    }
+
+    const previousOwner = watchData.startedBy;
+    watchData.startedBy = officer.tag;
+    watchData.startedById = officer.id;
+    if (watchData.subscriberIds?.includes(officer.id)) {
+        storage.removeSubscriber(watchData.guildId, watchData.robloxUserId, officer.id);
+        watchData.subscriberIds = watchData.subscriberIds.filter(userId => userId !== officer.id);
+    }
+    persistWatch(watchData);
+
+    await interaction.editReply({
+        content: `📨 Transferred the watch on **${watchData.username}** from ${previousOwner} to ${officer.tag}.`
+    });
+    console.log(`📨 ${interaction.user.tag} transferred the watch on ${watchData.username} to ${officer.tag}`);
+    recordAudit(interaction, {
+        action: 'transfer',
+        targetUsername: watchData.username,
+        targetRobloxId: watchData.robloxUserId,
+        outcome: AUDIT_OUTCOME.SUCCESS,
+        details: `${previousOwner} → ${officer.tag}`
+    });
+
+    try {
+        await officer.send({
+            content: `📨 ${interaction.user.tag} handed you the watch on **${watchData.username}** - its alerts now come to you. It ends ${formatEndTime(watchData)}.`
+        });
+    } catch (error) {
+        console.error(`❌ Could not DM ${officer.tag} about their transferred watch:`, error.message);
+    }
+
+    // The previous owner may have freed a quota slot for their queued requests
+    processWaitlist(interaction.client, watchData.guildId);
 }
 
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('watch')
         .setDescription('Monitor a user for up to 24 hours')
-        .addStringOption(option =>
-            option.setName('username')
-                .setDescription('The Roblox username to watch')
-                .setRequired(true)
+        .addSubcommand(subcommand =>
+            subcommand.setName('start')
+                .setDescription('Start watching a user (or join an existing watch)')
+                .addStringOption(option =>
+                    option.setName('username')
+                        .setDescription('The Roblox username to watch')
+                        .setRequired(true)
+                        .setAutocomplete(true)
+                )
+                .addIntegerOption(option =>
+                    option.setName('hours')
+                        .setDescription('Duration in hours (max 24)')
+                        .setRequired(true)
+                        .setMinValue(1)
+                        .setMaxValue(24)
+                )
+                .addStringOption(option =>
+                    option.setName('alerts')
+                        .setDescription('Which changes to be alerted about')
+                        .setRequired(false)
+                        .addChoices(
+                            ...Object.entries(ALERT_PRESETS).map(([value, preset]) => ({ name: preset.label, value }))
+                        )
+                )
+                .addBooleanOption(option =>
+                    option.setName('our-game-only')
+                        .setDescription('Only alert while the suspect is in one of this server\'s tracked games')
+                        .setRequired(false)
+                )
         )
-        .addIntegerOption(option =>
-            option.setName('hours')
-                .setDescription('Duration in hours (max 24)')
-                .setRequired(true)
-                .setMinValue(1)
-                .setMaxValue(24)
+        .addSubcommand(subcommand =>
+            subcommand.setName('subscribe')
+                .setDescription('Receive alerts from an existing watch')
+                .addStringOption(option =>
+                    option.setName('username')
+                        .setDescription('The watched Roblox username')
+                        .setRequired(true)
+                        .setAutocomplete(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('unsubscribe')
+                .setDescription('Stop receiving alerts from a watch you joined')
+                .addStringOption(option =>
+                    option.setName('username')
+                        .setDescription('The watched Roblox username')
+                        .setRequired(true)
+                        .setAutocomplete(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('extend')
+                .setDescription('Add time to a running watch')
+                .addStringOption(option =>
+                    option.setName('username')
+                        .setDescription('The watched Roblox username')
+                        .setRequired(true)
+                        .setAutocomplete(true)
+                )
+                .addIntegerOption(option =>
+                    option.setName('hours')
+                        .setDescription(`Hours to add (the watch can run at most ${MAX_WATCH_HOURS} hours from now)`)
+                        .setRequired(true)
+                        .setMinValue(1)
+                        .setMaxValue(MAX_WATCH_HOURS)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('edit')
+                .setDescription('Change a running watch\'s duration, alerts or games')
+                .addStringOption(option =>
+                    option.setName('username')
+                        .setDescription('The watched Roblox username')
+                        .setRequired(true)
+                        .setAutocomplete(true)
+                )
+                .addIntegerOption(option =>
+                    option.setName('hours')
+                        .setDescription('New remaining duration in hours')
+                        .setRequired(false)
+                        .setMinValue(1)
+                        .setMaxValue(MAX_WATCH_HOURS)
+                )
+                .addStringOption(option =>
+                    option.setName('alerts')
+                        .setDescription('Which changes to be alerted about')
+                        .setRequired(false)
+                        .addChoices(
+                            ...Object.entries(ALERT_PRESETS).map(([value, preset]) => ({ name: preset.label, value }))
+                        )
+                )
+                .addBooleanOption(option =>
+                    option.setName('our-game-only')
+                        .setDescription('Only alert while the suspect is in one of this server\'s tracked games')
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('transfer')
+                .setDescription('Hand a watch to another officer')
+                .addStringOption(option =>
+                    option.setName('username')
+                        .setDescription('The watched Roblox username')
+                        .setRequired(true)
+                        .setAutocomplete(true)
+                )
+                .addUserOption(option =>
+                    option.setName('officer')
+                        .setDescription('Officer who takes over the watch and its alerts')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand.setName('report')
+                .setDescription('Show the end-of-watch reports for a suspect')
+                .addStringOption(option =>
+                    option.setName('username')
+                        .setDescription('The Roblox username')
+                        .setRequired(true)
+                        .setAutocomplete(true)
+                )
         ),
 
     async execute(interaction) {
@@ -312,140 +1425,106 @@ module.exports = {
             return; // Silent denial
         }
 
-        const username = interaction.options.getString('username');
-        const hours = interaction.options.getInteger('hours');
-
-        // Check maximum watch limit
-        if (activeWatches.size >= MAX_CONCURRENT_WATCHES) {
-            await interaction.reply({
-                content: `⚠️ Maximum watch limit (${MAX_CONCURRENT_WATCHES}) reached. Please stop another watch first using \`/stopwatch\` or check active watches with \`/watchlist\`.`,
-                ephemeral: true
-            });
-            return;
+        switch (interaction.options.getSubcommand()) {
+            case 'start':
+                await handleStart(interaction, {
+                    username: interaction.options.getString('username'),
+                    hours: interaction.options.getInteger('hours'),
+                    alertPreset: interaction.options.getString('alerts') || DEFAULT_ALERT_PRESET,
+                    trackedOnly: interaction.options.getBoolean('our-game-only') === true
+                });
+                break;
+            case 'subscribe':
+                await handleSubscribe(interaction);
+                break;
+            case 'unsubscribe':
+                await handleUnsubscribe(interaction);
+                break;
+            case 'extend':
+                await handleExtend(interaction, {
+                    username: interaction.options.getString('username'),
+                    hours: interaction.options.getInteger('hours')
+                });
+                break;
+            case 'edit':
+                await handleEdit(interaction);
+                break;
+            case 'transfer':
+                await handleTransfer(interaction);
+                break;
+            case 'report':
+                await handleReport(interaction);
+                break;
         }
+    },
 
-        // Check if already watching this user
-        if (activeWatches.has(username)) {
-            const existingWatch = activeWatches.get(username);
-            const endTime = new Date(existingWatch.endTime);
-            const remainingHours = Math.ceil((endTime - new Date()) / (1000 * 60 * 60));
-            
-            await interaction.reply({
-                content: `⚠️ Already watching **${username}**.\nRemaining time: ${remainingHours} hour(s)\nStarted by: ${existingWatch.startedBy}`,
-                ephemeral: true
-            });
+    // Suggest suspects to start watching, or watches to join or leave
+    async autocomplete(interaction) {
+        if (!hasPermission(interaction, 'watch')) {
+            await respondWithChoices(interaction, []);
             return;
         }
 
-        // Defer reply for processing
-        await interaction.deferReply({ ephemeral: true });
+        const query = interaction.options.getFocused();
+        const guildWatches = getGuildWatches(interaction.guildId);
 
-        try {
-            // Get Roblox user ID
-            const robloxUserResult = await getRobloxUserId(username);
-            
-            if (!robloxUserResult || (typeof robloxUserResult === 'object' && robloxUserResult.error)) {
-                // Handle rate limit
-                if (robloxUserResult?.error === 'rate_limited') {
-                    await interaction.editReply({
-                        content: `⏳ Roblox API is rate limited. Please try again in ${robloxUserResult.retryAfter} seconds.`,
-                    });
-                    return;
-                }
-                
-                await interaction.editReply({
-                    content: `❌ Could not find user **${username}** on Roblox.`,
-                });
-                return;
+        switch (interaction.options.getSubcommand()) {
+            case 'start':
+            case 'report':
+                await respondWithChoices(interaction, suggestSuspects(interaction.guildId, query));
+                break;
+            case 'subscribe':
+                await respondWithChoices(interaction, suggestWatches(
+                    guildWatches.filter(watch => watch.startedById !== interaction.user.id && !watch.subscriberIds?.includes(interaction.user.id)),
+                    query
+                ));
+                break;
+            case 'unsubscribe':
+                await respondWithChoices(interaction, suggestWatches(
+                    guildWatches.filter(watch => watch.subscriberIds?.includes(interaction.user.id)),
+                    query
+                ));
+                break;
+            case 'extend':
+            case 'edit':
+            case 'transfer': {
+                const isAdmin = hasPermission(interaction, 'admin');
+                await respondWithChoices(interaction, suggestWatches(
+                    guildWatches.filter(watch => isAdmin || watch.startedById === interaction.user.id),
+                    query
+                ));
+                break;
             }
+        }
+    },
 
-            const robloxUserId = robloxUserResult;
+    // Quick watch buttons on check reports, extension buttons on expiry warnings
+    async handleComponent(interaction, { action, args }) {
+        if (action !== 'start' && action !== 'extend') return;
 
-            // Check initial status
-            const initialStatus = await checkRobloxStatus(robloxUserId);
-            
-            // Create watch data
-            const watchData = {
-                username: username,
-                robloxUserId: robloxUserId,
-                startedBy: interaction.user.tag,
-                startedById: interaction.user.id,
-                guildId: interaction.guild.id,
-                startTime: new Date().toISOString(),
-                endTime: new Date(Date.now() + hours * 60 * 60 * 1000).toISOString(),
-                wasOnline: initialStatus?.online === true,
-                consecutiveErrors: 0,
-                client: interaction.client
-            };
-            
-            // Start watching
-            activeWatches.set(username, watchData);
-            startWatching(watchData);
-            await saveWatches();
-            
-            // Determine initial interval for display
-            const initialInterval = watchData.wasOnline ? 
-                `${INTERVAL_ONLINE/60000} minute` : 
-                `${INTERVAL_OFFLINE/60000} minute`;
-            
-            // Create response embed
-            const embed = new EmbedBuilder()
-                .setTitle('👁️ Watch Started')
-                .setColor(0x00FF00)
-                .setDescription(`Now monitoring **${username}** for ${hours} hour(s)`)
-                .addFields(
-                    {
-                        name: '📊 Current Status',
-                        value: initialStatus?.status || 'Unknown',
-                        inline: true
-                    },
-                    {
-                        name: '⏰ Duration',
-                        value: `${hours} hour(s)`,
-                        inline: true
-                    },
-                    {
-                        name: '🔄 Check Interval',
-                        value: `${initialInterval}s (dynamic)`,
-                        inline: true
-                    },
-                    {
-                        name: '🔔 Notifications',
-                        value: 'You will be notified via DM when user comes online',
-                        inline: false
-                    },
-                    {
-                        name: '📋 Smart Monitoring',
-                        value: '• Checks every minute when online\n• Checks every 10 minutes when offline\n• Automatic retry on failures',
-                        inline: false
-                    }
-                )
-                .setFooter({ 
-                    text: `Watch ends at ${new Date(watchData.endTime).toLocaleString()}` 
-                })
-                .setTimestamp();
+        if (await checkPermissionComponent(interaction, 'watch')) {
+            return;
+        }
 
-            await interaction.editReply({ embeds: [embed] });
-            
-            console.log(`👁️ Started watching ${username} for ${hours} hours by ${interaction.user.tag}`);
-            
-        } catch (error) {
-            console.error('Watch command error:', error);
-            await interaction.editReply({
-                content: '❌ Failed to start watch. Please try again.',
-            });
+        const [target, hours] = args;
+        if (action === 'extend') {
+            if (!EXTEND_WATCH_HOURS.includes(Number(hours))) return;
+            await handleExtend(interaction, { username: target, hours: Number(hours) });
+            return;
         }
+
+        if (!QUICK_WATCH_HOURS.includes(Number(hours))) return;
+        await handleStart(interaction, { username: target, hours: Number(hours) });
     },
 
     // Initialize watches on bot startup
     async initialize(client) {
-        // Load existing watches
-        await loadWatches();
+        // Load existing watches and resume them with this client
+        await loadWatches(client);
         
-        // Update client reference and restart watching
-        for (const watch of activeWatches.values()) {
-            watch.client = client;
-            startWatching(watch);
+        // Fill any slots that freed up while the bot was offline
+        for (const guildId of getQueuedGuildIds()) {
+            await processWaitlist(client, guildId);
         }
         
         console.log(`👁️ Watch system initialized with ${activeWatches.size} active watches`);
@@ -454,16 +1533,23 @@ module.exports = {
     // Cleanup function for graceful shutdown
     cleanup() {
         console.log('🔄 Cleaning up watches...');
-        for (const watchData of activeWatches.values()) {
-            if (watchData.timeoutId) {
-                clearTimeout(watchData.timeoutId);
-            }
+        for (const [key, watchData] of activeWatches) {
+            unregisterPresenceWatch(key);
+            cancelExpiryWarning(key);
+            recordObservationEnd(watchData);
+            persistWatch(watchData);
         }
         console.log('✅ Watch cleanup complete');
     },
     
-    // Export for stopwatch command
+    // Export for stopwatch, list and warrant commands
+    createWatch,
     stopWatch,
-    getActiveWatches: () => activeWatches,
-    MAX_CONCURRENT_WATCHES
+    findWatch,
+    resolveWatch,
+    getGuildWatches,
+    getFreeSlots,
+    addToWaitlist,
+    processWaitlist,
+    getActiveWatches: () => activeWatches
 };
\ No newline at end of file
@@ -1,10 +1,22 @@
 const { SlashCommandBuilder, EmbedBuilder } = require('discord.js');
-const { checkPermissionSilent } = require('../utils/permissions');
+const { checkPermissionSilent, hasPermission } = require('../utils/permissions');
+const { recordAudit, AUDIT_OUTCOME } = require('../utils/audit');
+const { getWatchLimit } = require('../utils/guild-config');
+const { getQueuedWatches } = require('../utils/watch-queue');
+const { END_REASONS } = require('../utils/watch-reports');
+
+// Waitlist field, in the order queued watches will start
+function buildWaitlistField(queued) {
+    const lines = queued.map((entry, index) =>
+        `${index + 1}. **${entry.username}** (${entry.hours}h) - ${entry.requestedBy}${entry.warrantId ? ` • 📜 Warrant #${entry.warrantId}` : ''}`
+    );
+    return { name: `⏳ Waitlist (${queued.length})`, value: lines.join('\n').slice(0, 1024), inline: false };
+}
 
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('watchlist')
-        .setDescription('View all active watches or clear all watches')
+        .setDescription('View or clear this server\'s active watches')
         .addStringOption(option =>
             option.setName('action')
                 .setDescription('Action to perform')
@@ -33,14 +45,18 @@ module.exports = {
             return;
         }
 
-        const activeWatches = watchCommand.getActiveWatches();
+        // Only this server's watches - other servers' are never shown or cleared
+        const guildWatches = watchCommand.getGuildWatches(interaction.guildId);
+        const watchLimit = getWatchLimit(interaction.guildId);
+        const queued = getQueuedWatches(interaction.guildId);
 
         // Handle clear-all action (admin only)
         if (action === 'clear') {
-            // Check if user has admin role (.)
-            const isAdmin = interaction.member.roles.cache.some(role => role.name === '.');
+            // Check if user has the admin capability
+            const isAdmin = hasPermission(interaction, 'admin');
             
             if (!isAdmin) {
+                recordAudit(interaction, { action: 'clear-all', outcome: AUDIT_OUTCOME.DENIED });
                 await interaction.reply({
                     content: '⚠️ Only administrators can clear all watches.',
                     ephemeral: true
@@ -49,7 +65,7 @@ module.exports = {
             }
 
             // Clear all watches
-            const watchCount = activeWatches.size;
+            const watchCount = guildWatches.length;
             
             if (watchCount === 0) {
                 await interaction.reply({
@@ -60,11 +76,11 @@ module.exports = {
             }
 
             // Stop all watches
-            const usernames = Array.from(activeWatches.keys());
+            const usernames = guildWatches.map(watchData => watchData.username);
             let cleared = 0;
             
-            for (const username of usernames) {
-                if (watchCommand.stopWatch(username)) {
+            for (const watchData of guildWatches) {
+                if (watchCommand.stopWatch(watchData.guildId, watchData.robloxUserId, { reason: END_REASONS.CLEARED, endedBy: interaction.user.tag })) {
                     cleared++;
                 }
             }
@@ -86,20 +102,30 @@ module.exports = {
 
             await interaction.reply({ embeds: [embed] });
             console.log(`🗑️ All watches cleared by admin ${interaction.user.tag}`);
+            recordAudit(interaction, {
+                action: 'clear-all',
+                outcome: AUDIT_OUTCOME.SUCCESS,
+                details: `cleared ${cleared}: ${usernames.join(', ')}`
+            });
             return;
         }
 
         // Handle view action (default)
-        if (activeWatches.size === 0) {
+        recordAudit(interaction, { action: 'view', outcome: AUDIT_OUTCOME.SUCCESS });
+        if (guildWatches.length === 0) {
             const embed = new EmbedBuilder()
                 .setTitle('📋 Active Watch List')
                 .setColor(0x808080)
                 .setDescription('No active watches currently running.')
                 .setFooter({ 
-                    text: `0/${watchCommand.MAX_CONCURRENT_WATCHES || 20} slots used` 
+                    text: `0/${watchLimit} slots used` 
                 })
                 .setTimestamp();
 
+            if (queued.length > 0) {
+                embed.addFields(buildWaitlistField(queued));
+            }
+
             await interaction.reply({ embeds: [embed], ephemeral: true });
             return;
         }
@@ -108,13 +134,13 @@ module.exports = {
         const embed = new EmbedBuilder()
             .setTitle('📋 Active Watch List')
             .setColor(0x0099FF)
-            .setDescription(`Currently monitoring ${activeWatches.size} user(s)`)
+            .setDescription(`Currently monitoring ${guildWatches.length} user(s)`)
             .setTimestamp();
 
         // Add each watch as a field
         let fieldCount = 0;
-        for (const [username, watchData] of activeWatches) {
-            if (fieldCount >= 25) break; // Discord embed field limit
+        for (const watchData of guildWatches) {
+            if (fieldCount >= 24) break; // Discord embed field limit, less one for the waitlist
 
             const startTime = new Date(watchData.startTime);
             const endTime = new Date(watchData.endTime);
@@ -135,23 +161,27 @@ module.exports = {
             const errorIndicator = watchData.consecutiveErrors > 0 ? ' ⚠️' : '';
 
             embed.addFields({
-                name: `${statusEmoji} ${username}${errorIndicator}`,
-                value: `Started by: ${watchData.startedBy}\nElapsed: ${elapsedHours}h ${elapsedMinutes}m\nRemaining: ${remainingHours}h ${remainingMinutes}m`,
+                name: `${statusEmoji} ${watchData.username}${errorIndicator}`,
+                value: `Started by: ${watchData.startedBy}${watchData.subscriberIds?.length ? ` (+${watchData.subscriberIds.length} subscribed)` : ''}\nElapsed: ${elapsedHours}h ${elapsedMinutes}m\nRemaining: ${remainingHours}h ${remainingMinutes}m`,
                 inline: true
             });
 
             fieldCount++;
         }
 
+        if (queued.length > 0) {
+            embed.addFields(buildWaitlistField(queued));
+        }
+
         // Add footer with slot usage
         embed.setFooter({ 
-            text: `${activeWatches.size}/${watchCommand.MAX_CONCURRENT_WATCHES || 20} slots used • Use /stopwatch to stop a watch` 
+            text: `${guildWatches.length}/${watchLimit} slots used • Use /stopwatch to stop a watch` 
         });
 
         // Add admin hint if user is admin
-        const isAdmin = interaction.member.roles.cache.some(role => role.name === '.');
+        const isAdmin = hasPermission(interaction, 'admin');
         if (isAdmin) {
-            embed.setDescription(`Currently monitoring ${activeWatches.size} user(s)\n*Admin: Use \`/watchlist action:clear-all\` to clear all watches*`);
+            embed.setDescription(`Currently monitoring ${guildWatches.length} user(s)\n*Admin: Use \`/watchlist action:clear-all\` to clear all watches*`);
         }
 
         await interaction.reply({ embeds: [embed], ephemeral: true });
@@ -36,20 +36,34 @@ for (const file of commandFiles) {
 // Create REST instance
 const rest = new REST().setToken(process.env.DISCORD_TOKEN);
 
+// Global commands reach every server the bot is in but can take up to an hour
+// to appear. Guild commands update instantly; GUILD_ID may list several servers.
+const guildIds = (process.env.GUILD_ID || '').split(',').map(id => id.trim()).filter(Boolean);
+const deployGlobally = process.argv.includes('--global') || guildIds.length === 0;
+
 // Deploy commands
 (async () => {
     try {
         console.log(`🔄 Started refreshing ${commands.length} application (/) commands.`);
 
-        // Register commands to a specific guild (faster for testing)
-        // Remove guild-specific registration for global commands (takes up to 1 hour)
-        const data = await rest.put(
-            Routes.applicationGuildCommands(process.env.CLIENT_ID, process.env.GUILD_ID),
-            { body: commands },
-        );
+        if (deployGlobally) {
+            const data = await rest.put(
+                Routes.applicationCommands(process.env.CLIENT_ID),
+                { body: commands },
+            );
+            console.log(`✅ Successfully reloaded ${data.length} global application (/) commands.`);
+            console.log('ℹ️ Global commands can take up to an hour to appear in every server');
+        } else {
+            for (const guildId of guildIds) {
+                const data = await rest.put(
+                    Routes.applicationGuildCommands(process.env.CLIENT_ID, guildId),
+                    { body: commands },
+                );
+                console.log(`✅ Successfully reloaded ${data.length} application (/) commands.`);
+                console.log('Commands registered to guild:', guildId);
+            }
+        }
 
-        console.log(`✅ Successfully reloaded ${data.length} application (/) commands.`);
-        console.log('Commands registered to guild:', process.env.GUILD_ID);
         console.log('Available commands:', commands.map(c => c.name).join(', '));
         
     } catch (error) {
@@ -1,10 +1,12 @@
 const { Client, GatewayIntentBits, Collection } = require('discord.js');
 const fs = require('fs');
 const path = require('path');
-const express = require('express');
-const app = express();
 const port = process.env.PORT || 3000;
 require('dotenv').config();
+const storage = require('./utils/storage');
+const { parseCustomId, resolveComponentGuild } = require('./utils/components');
+const { PAGER_PREFIX } = require('./utils/pagination');
+const { createWebServer } = require('./utils/web-server');
 
 // Create Discord client
 const client = new Client({
@@ -34,13 +36,83 @@ for (const file of commandFiles) {
 }
 
 // Bot ready event
-client.once('ready', () => {
+client.once('ready', async () => {
     console.log(`🤖 Bot is ready! Logged in as ${client.user.tag}`);
     console.log(`📊 Loaded ${client.commands.size} commands`);
+
+    // Run optional startup hooks (e.g. resuming persisted watches)
+    for (const command of client.commands.values()) {
+        if (typeof command.initialize !== 'function') continue;
+
+        try {
+            await command.initialize(client);
+        } catch (error) {
+            console.error(`❌ Failed to initialize ${command.data.name}:`, error);
+        }
+    }
 });
 
-// Handle slash command interactions
+// Route buttons, menus and modals to the command named in their custom ID
+async function handleComponent(interaction) {
+    const { commandName, action, guildId, args } = parseCustomId(interaction.customId);
+
+    // Page buttons are handled by the collector in utils/pagination.js
+    if (commandName === PAGER_PREFIX) return;
+
+    const command = client.commands.get(commandName);
+    if (!command || typeof command.handleComponent !== 'function') {
+        console.error(`❌ No component handler for ${interaction.customId}`);
+        return;
+    }
+
+    if (!await resolveComponentGuild(interaction, guildId)) {
+        await interaction.reply({ content: '❌ You are not a member of the server this alert belongs to.', ephemeral: true });
+        return;
+    }
+
+    try {
+        await command.handleComponent(interaction, { action, args });
+    } catch (error) {
+        console.error(`❌ Error handling component ${interaction.customId}:`, error);
+
+        const errorMessage = 'There was an error while handling this action!';
+
+        if (interaction.replied || interaction.deferred) {
+            await interaction.followUp({ content: errorMessage, ephemeral: true });
+        } else {
+            await interaction.reply({ content: errorMessage, ephemeral: true });
+        }
+    }
+}
+
+// Route autocomplete requests to the command's autocomplete handler
+async function handleAutocomplete(interaction) {
+    const command = client.commands.get(interaction.commandName);
+    if (!command || typeof command.autocomplete !== 'function') {
+        console.error(`❌ No autocomplete handler for ${interaction.commandName}`);
+        return;
+    }
+
+    try {
+        await command.autocomplete(interaction);
+    } catch (error) {
+        // Autocomplete can't show an error message - just log it
+        console.error(`❌ Error in autocomplete for ${interaction.commandName}:`, error);
+    }
+}
+
+// Handle slash command, autocomplete and component interactions
 client.on('interactionCreate', async interaction => {
+    if (interaction.isButton() || interaction.isStringSelectMenu() || interaction.isModalSubmit()) {
+        await handleComponent(interaction);
+        return;
+    }
+
+    if (interaction.isAutocomplete()) {
+        await handleAutocomplete(interaction);
+        return;
+    }
+
     if (!interaction.isChatInputCommand()) return;
 
     const command = client.commands.get(interaction.commandName);
@@ -74,14 +146,36 @@ process.on('unhandledRejection', error => {
     console.error('Unhandled promise rejection:', error);
 });
 
-// Login to Discord
-client.login(process.env.DISCORD_TOKEN);
+// Graceful shutdown - run optional cleanup hooks before exiting
+let shuttingDown = false;
 
+async function shutdown(signal) {
+    if (shuttingDown) return;
+    shuttingDown = true;
+    console.log(`🛑 Received ${signal}, shutting down...`);
 
-app.get('/', (req, res) => {
-    res.send('🤖 FBI Warrant Bot is running!');
-});
+    for (const command of client.commands.values()) {
+        if (typeof command.cleanup !== 'function') continue;
+
+        try {
+            await command.cleanup();
+        } catch (error) {
+            console.error(`❌ Failed to clean up ${command.data.name}:`, error);
+        }
+    }
+
+    storage.close();
+    await client.destroy();
+    process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+// Login to Discord
+client.login(process.env.DISCORD_TOKEN);
 
-app.listen(port, () => {
+// Health, readiness and metrics for uptime monitoring
+createWebServer(client).listen(port, () => {
     console.log(`🌐 Web server running on port ${port}`);
 });
\ No newline at end of file
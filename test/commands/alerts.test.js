@@ -0,0 +1,81 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const harness = require('../harness');
+const { getAlertSettings } = require('../../utils/alert-routing');
+
+const env = harness.useTestEnvironment({
+    users: [{ id: 1001, name: 'RoutedSuspect' }]
+});
+
+describe('/alerts', () => {
+    let guild, client, channel, admin, operator, teammate;
+
+    before(() => {
+        channel = harness.createFakeChannel();
+        guild = harness.createFakeGuild({ channels: [channel] });
+        admin = harness.createFakeMember(guild, { roles: ['admin'] });
+        operator = harness.createFakeMember(guild, { roles: ['operator'], user: harness.createFakeUser({ dmsOpen: false }) });
+        teammate = harness.createFakeMember(guild, { roles: ['swat'] });
+        client = harness.createFakeClient({ guilds: [guild] });
+    });
+
+    function alerts(member, subcommand, options = {}) {
+        return harness.runCommand({ client, member, commandName: 'alerts', subcommand, options });
+    }
+
+    it('is admin only', async () => {
+        const interaction = await alerts(operator, 'view');
+
+        assert.equal(interaction.replies.length, 0);
+    });
+
+    it('describes DM-only routing by default', async () => {
+        const interaction = await alerts(admin, 'view');
+
+        assert.equal(harness.lastEmbed(interaction).description, 'Alerts are DMed to the watch starter and subscribers only.');
+    });
+
+    it('needs at least one setting', async () => {
+        const interaction = await alerts(admin, 'set');
+
+        assert.equal(harness.lastReply(interaction).content, '⚠️ Provide at least one of `channel`, `role` or `dm-role-members`.');
+    });
+
+    it('sets the channel, ping role and role DMs', async () => {
+        const role = guild.roles.cache.get(harness.ROLES.swat.id);
+
+        const interaction = await alerts(admin, 'set', { channel, role, 'dm-role-members': true });
+
+        assert.equal(harness.lastReply(interaction).content, [
+            '✅ Alert routing updated.',
+            `**Alerts channel:** <#${channel.id}>`,
+            `**Ping role:** <@&${role.id}>`,
+            '**DM role members:** Yes'
+        ].join('\n'));
+        assert.deepEqual(getAlertSettings(guild.id).pingRoleId, role.id);
+    });
+
+    it('routes watch alerts to the channel and role, pinging officers whose DMs fail', async () => {
+        await harness.runCommand({ client, member: operator, commandName: 'watch', subcommand: 'start', options: { username: 'RoutedSuspect', hours: 1 } });
+
+        env.mock.state.presences.set(1001, { userId: 1001, userPresenceType: 1, lastLocation: 'Website' });
+        await env.tickPoller();
+
+        const [posted] = channel.sent;
+        assert.equal(posted.content, `<@&${harness.ROLES.swat.id}> <@${operator.id}>`);
+        assert.deepEqual(posted.allowedMentions.users, [operator.id]);
+        assert.equal(posted.embeds[0].toJSON().title, '🚨 WATCH ALERT: Suspect Online!');
+        assert.equal(teammate.user.sent.length, 1);
+        assert.equal(operator.user.sent.length, 0);
+    });
+
+    it('clears routing', async () => {
+        const first = await alerts(admin, 'clear');
+        const second = await alerts(admin, 'clear');
+
+        assert.equal(harness.lastReply(first).content, '🗑️ Alert routing cleared. Alerts will be DMed only.');
+        assert.equal(harness.lastReply(second).content, 'ℹ️ No alert routing was configured.');
+        assert.equal(getAlertSettings(guild.id), null);
+    });
+});
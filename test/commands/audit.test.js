@@ -0,0 +1,73 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const harness = require('../harness');
+const { AUDIT_OUTCOME } = require('../../utils/audit');
+
+harness.useTestEnvironment({
+    users: [{ id: 1201, name: 'AuditedSuspect' }]
+});
+
+const pause = () => new Promise(resolve => setTimeout(resolve, 5));
+
+describe('/audit', () => {
+    let guild, client, admin, swat;
+
+    before(async () => {
+        guild = harness.createFakeGuild();
+        admin = harness.createFakeMember(guild, { roles: ['admin'] });
+        swat = harness.createFakeMember(guild, { roles: ['swat'] });
+        client = harness.createFakeClient({ guilds: [guild] });
+
+        // Something to find: a check by the SWAT officer and a denied watch
+        await harness.runCommand({ client, member: swat, commandName: 'check', options: { username: 'AuditedSuspect' } });
+        await pause(); // /audit orders by timestamp
+        await harness.runCommand({ client, member: swat, commandName: 'watch', subcommand: 'start', options: { username: 'AuditedSuspect', hours: 1 } });
+        await pause();
+    });
+
+    function audit(member, options = {}) {
+        return harness.runCommand({ client, member, commandName: 'audit', options });
+    }
+
+    it('ignores officers without the audit permission', async () => {
+        const interaction = await audit(swat);
+
+        assert.equal(interaction.replies.length, 0);
+    });
+
+    it('lists an officer\'s actions, newest first', async () => {
+        const interaction = await audit(admin, { officer: swat.user });
+
+        const embed = harness.lastEmbed(interaction);
+        const lines = embed.description.split('\n\n')[1].split('\n');
+        assert.equal(lines.length, 3);
+        assert.match(lines[0], /🚫 \*\*.+\*\* \/audit \(denied\)$/);
+        assert.match(lines[1], /🚫 \*\*.+\*\* \/watch → \*\*AuditedSuspect\*\* \(denied\)$/);
+        assert.match(lines[2], /✅ \*\*.+\*\* \/check → \*\*AuditedSuspect\*\* \(success\) - Offline$/);
+        assert.equal(embed.footer.text, 'Showing 3 of 3 event(s), newest first');
+    });
+
+    it('filters by target and records the query itself', async () => {
+        const interaction = await audit(admin, { target: 'auditedsuspect' });
+
+        assert.match(harness.lastEmbed(interaction).description, /^Target: auditedsuspect • From: \d{4}-\d{2}-\d{2} • To: now/);
+        const [event] = harness.getAuditEvents();
+        assert.equal(event.action, 'query');
+        assert.equal(event.outcome, AUDIT_OUTCOME.SUCCESS);
+    });
+
+    it('finds nothing outside the date range', async () => {
+        const interaction = await audit(admin, { from: '2020-01-01', to: '2020-01-31' });
+
+        assert.match(harness.lastEmbed(interaction).description, /^No audit events found\./);
+    });
+
+    it('validates dates', async () => {
+        const malformed = await audit(admin, { from: 'yesterday' });
+        const reversed = await audit(admin, { from: '2020-02-01', to: '2020-01-01' });
+
+        assert.equal(harness.lastReply(malformed).content, '⚠️ Dates must be in `YYYY-MM-DD` format.');
+        assert.equal(harness.lastReply(reversed).content, '⚠️ The `to` date must be on or after the `from` date.');
+    });
+});
@@ -0,0 +1,152 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const harness = require('../harness');
+const { AUDIT_OUTCOME } = require('../../utils/audit');
+const { updateGuildSettings } = require('../../utils/guild-config');
+const { getList, getListMembers, createList, addListMembers, MAX_LIST_MEMBERS } = require('../../utils/lists');
+
+const PLACE_ID = 606849621;
+
+// Twelve suspects - more than one page of results
+const USERS = Array.from({ length: 12 }, (_, index) => ({ id: 701 + index, name: `BulkSuspect${String(index + 1).padStart(2, '0')}` }));
+
+const env = harness.useTestEnvironment({
+    users: USERS,
+    presences: [
+        { userId: 701, userPresenceType: 2, lastLocation: 'Jailbreak', placeId: PLACE_ID, rootPlaceId: PLACE_ID, gameId: 'server-1' }
+    ]
+});
+
+describe('/bulk-check', () => {
+    let guild, client, operator;
+
+    before(() => {
+        guild = harness.createFakeGuild();
+        operator = harness.createFakeMember(guild, { roles: ['operator'] });
+        client = harness.createFakeClient({ guilds: [guild] });
+    });
+
+    function bulkCheck(options, member = operator) {
+        return harness.runCommand({ client, member, commandName: 'bulk-check', options });
+    }
+
+    it('ignores officers without the bulk-check permission', async () => {
+        const swat = harness.createFakeMember(guild, { roles: ['swat'] });
+
+        const interaction = await bulkCheck({ users: 'BulkSuspect01' }, swat);
+
+        assert.equal(interaction.replies.length, 0);
+        assert.equal(harness.getAuditEvents()[0].outcome, AUDIT_OUTCOME.DENIED);
+    });
+
+    it('asks for at least one source of suspects', async () => {
+        const interaction = await bulkCheck({});
+
+        assert.equal(harness.lastReply(interaction).content, '⚠️ Provide `users`, a `file` or a saved `list` to check.');
+    });
+
+    it('reports each suspect with a summary', async () => {
+        const interaction = await bulkCheck({ users: 'BulkSuspect01, BulkSuspect02 NobodyHere, x!' });
+
+        const embed = harness.lastEmbed(interaction);
+        assert.equal(embed.title, '🔍 Bulk Investigation Complete');
+        assert.equal(embed.description, 'Checked 3 suspect(s)\nSkipped 1 invalid name(s): x!');
+        assert.match(harness.findField(embed, '1. BulkSuspect01').value, /^Status: 🟢 Online\nID: `701`\nActivity: Jailbreak/);
+        assert.match(harness.findField(embed, '2. BulkSuspect02').value, /^Status: ⚫ Offline/);
+        assert.equal(harness.findField(embed, '3. NobodyHere').value, 'Status: ❌ User Not Found');
+        assert.equal(harness.findField(embed, 'Summary').value, '🟢 Online: 1\n⚫ Offline: 1\n🟡 Other: 1');
+
+        const outcomes = harness.getAuditEvents().slice(0, 3).map(event => event.outcome).sort();
+        assert.deepEqual(outcomes, [AUDIT_OUTCOME.NOT_FOUND, AUDIT_OUTCOME.SUCCESS, AUDIT_OUTCOME.SUCCESS]);
+    });
+
+    it('pages long results for the invoking officer only', async () => {
+        const interaction = await bulkCheck({ users: USERS.map(user => user.name).join('\n') });
+
+        assert.equal(harness.lastEmbed(interaction).footer.text, `Page 1/2 • Bulk check completed by ${operator.user.tag}`);
+        const [collector] = interaction.collectors;
+
+        const stranger = harness.createInteraction({ client, member: harness.createFakeMember(guild), type: 'button', customId: 'pager:next' });
+        collector.emit('collect', stranger);
+        await new Promise(setImmediate);
+        assert.match(harness.lastReply(stranger).content, /Only the officer who ran this command/);
+
+        const pageTurn = harness.createInteraction({ client, member: operator, type: 'button', customId: 'pager:next' });
+        collector.emit('collect', pageTurn);
+        await new Promise(setImmediate);
+        const page = harness.lastEmbed(pageTurn);
+        assert.equal(page.footer.text, `Page 2/2 • Bulk check completed by ${operator.user.tag}`);
+        assert.equal(page.fields[0].name, '11. BulkSuspect11');
+
+        collector.stop();
+    });
+
+    it('attaches a CSV when asked', async () => {
+        const interaction = await bulkCheck({ users: 'BulkSuspect01', csv: true });
+
+        const [file] = harness.lastReply(interaction).files;
+        assert.equal(file.name, 'bulk-check.csv');
+        assert.equal(file.attachment.toString().split('\n')[1], `BulkSuspect01,701,Online,Jailbreak,,${env.mock.baseUrls.www}/games/start?placeId=${PLACE_ID}&gameInstanceId=server-1`);
+    });
+
+    it('checks a saved list and saves found suspects to another', async () => {
+        const list = createList(guild.id, 'Gang', operator.id);
+        addListMembers(list.id, [{ id: 703, name: 'BulkSuspect03' }], operator.id);
+
+        const interaction = await bulkCheck({ list: 'gang', users: 'BulkSuspect04 NobodyHere', 'save-as': 'Tonight' });
+
+        const embed = harness.lastEmbed(interaction);
+        assert.match(embed.description, /💾 Saved 2 new suspect\(s\) to list \*\*Tonight\*\*/);
+        const saved = getListMembers(getList(guild.id, 'Tonight').id).map(member => member.username).sort();
+        assert.deepEqual(saved, ['BulkSuspect03', 'BulkSuspect04']);
+    });
+
+    it('reports suspects that did not fit in the saved list', async () => {
+        const list = createList(guild.id, 'Packed', operator.id);
+        const filler = Array.from({ length: MAX_LIST_MEMBERS - 1 }, (_, index) => ({ id: 20000 + index, name: `Filler${index}` }));
+        addListMembers(list.id, filler, operator.id);
+
+        const interaction = await bulkCheck({ users: 'BulkSuspect05 BulkSuspect06 BulkSuspect07', 'save-as': 'Packed' });
+
+        const { description } = harness.lastEmbed(interaction);
+        assert.match(description, /💾 Saved 1 new suspect\(s\) to list \*\*Packed\*\*/);
+        assert.match(description, new RegExp(`⚠️ 2 suspect\\(s\\) not saved - lists are limited to ${MAX_LIST_MEMBERS}`));
+        assert.equal(getList(guild.id, 'Packed').memberCount, MAX_LIST_MEMBERS);
+    });
+
+    it('posts one summary per run to the audit channel', async () => {
+        const auditLog = harness.createFakeChannel({ name: 'audit-log' });
+        guild.channels.cache.set(auditLog.id, auditLog);
+        updateGuildSettings(guild.id, { auditChannelId: auditLog.id }, operator.id);
+
+        await bulkCheck({ users: 'BulkSuspect01 BulkSuspect02 NobodyHere' });
+        await new Promise(resolve => setImmediate(resolve));
+        updateGuildSettings(guild.id, { auditChannelId: null }, operator.id);
+
+        assert.deepEqual(auditLog.sent.map(message => message.content), [
+            `📝 ✅ **${operator.user.tag}** /bulk-check bulk (success) - 3 suspect(s): 2 found, 1 not found`
+        ]);
+        // Each suspect is still searchable
+        const checks = harness.getAuditEvents().filter(event => event.action === 'check').slice(0, 3);
+        assert.deepEqual(checks.map(event => event.targetUsername).sort(), ['BulkSuspect01', 'BulkSuspect02', 'NobodyHere']);
+    });
+
+    it('rejects unknown lists and unsupported files', async () => {
+        const missingList = await bulkCheck({ list: 'Nope' });
+        const badFile = await bulkCheck({ file: { name: 'suspects.pdf', size: 10, url: 'http://127.0.0.1/unused' } });
+
+        assert.equal(harness.lastReply(missingList).content, '❌ No saved list named **Nope**.');
+        assert.equal(harness.lastReply(badFile).content, '❌ Could not read **suspects.pdf**: Only .txt and .csv files are supported.');
+    });
+
+    it('reports username rate limits', async () => {
+        env.mock.script('POST /v1/usernames/users', { status: 429, headers: { 'retry-after': '0' } });
+
+        // Earlier checks cached every BulkSuspect - look up someone new
+        const interaction = await bulkCheck({ users: 'UncachedSuspect' });
+
+        assert.match(harness.lastReply(interaction).content, /^⏳ Roblox API is rate limited/);
+        assert.equal(harness.getAuditEvents()[0].outcome, AUDIT_OUTCOME.RATE_LIMITED);
+    });
+});
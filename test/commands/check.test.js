@@ -0,0 +1,155 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const harness = require('../harness');
+const { AUDIT_OUTCOME } = require('../../utils/audit');
+const { issueWarrant } = require('../../utils/warrants');
+
+const PLACE_ID = 606849621;
+const GAME_ID = '2f1c8a4e-5b6d-4e7f-9a0b-1c2d3e4f5a6b';
+
+const env = harness.useTestEnvironment({
+    users: [
+        { id: 201, name: 'OfflineSuspect' },
+        { id: 202, name: 'InGameSuspect' },
+        { id: 203, name: 'WantedSuspect' }
+    ],
+    presences: [
+        { userId: 202, userPresenceType: 2, lastLocation: 'Jailbreak', placeId: PLACE_ID, rootPlaceId: PLACE_ID, gameId: GAME_ID }
+    ]
+});
+
+describe('/check', () => {
+    let guild, client;
+
+    before(() => {
+        guild = harness.createFakeGuild();
+        client = harness.createFakeClient({ guilds: [guild] });
+    });
+
+    // A new officer per test - the per-user cooldown would otherwise carry over
+    function check(username, roles = ['swat']) {
+        const member = harness.createFakeMember(guild, { roles });
+        return harness.runCommand({ client, member, commandName: 'check', options: { username } });
+    }
+
+    it('ignores officers without the check permission', async () => {
+        const interaction = await check('OfflineSuspect', ['civilian']);
+
+        assert.equal(interaction.replies.length, 0);
+        const [event] = harness.getAuditEvents();
+        assert.equal(event.outcome, AUDIT_OUTCOME.DENIED);
+        assert.equal(event.actorId, interaction.user.id);
+        assert.equal(event.targetUsername, 'OfflineSuspect');
+    });
+
+    it('reports an offline suspect', async () => {
+        const interaction = await check('OfflineSuspect');
+
+        assert.equal(interaction.deferred, true);
+        const embed = harness.lastEmbed(interaction);
+        assert.equal(embed.title, '🔍 Investigation Report: OfflineSuspect');
+        assert.equal(embed.description, 'User ID: `201`');
+        assert.equal(harness.findField(embed, 'Status').value, 'Offline');
+        assert.equal(harness.findField(embed, 'Join'), undefined);
+        assert.equal(harness.getAuditEvents()[0].outcome, AUDIT_OUTCOME.SUCCESS);
+    });
+
+    it('links straight to the server of an in-game suspect', async () => {
+        const interaction = await check('InGameSuspect');
+
+        const embed = harness.lastEmbed(interaction);
+        assert.equal(harness.findField(embed, 'Current Activity').value, 'Jailbreak');
+        assert.match(harness.findField(embed, 'Join Server').value, new RegExp(`gameInstanceId=${GAME_ID}`));
+        assert.equal(embed.footer.text, '✅ Direct Join Available');
+
+        // Re-check and quick watch buttons, scoped to this guild
+        const customIds = harness.lastReply(interaction).components
+            .flatMap(row => row.toJSON().components.map(button => button.custom_id));
+        assert.ok(customIds.includes(`check:recheck:${guild.id}:InGameSuspect`));
+        assert.ok(customIds.some(id => id.startsWith(`watch:start:${guild.id}:InGameSuspect`)));
+    });
+
+    it('shows an active warrant on the report', async () => {
+        const officer = harness.createFakeMember(guild, { roles: ['operator'] });
+        const warrant = issueWarrant({
+            guildId: guild.id,
+            robloxUserId: 203,
+            username: 'WantedSuspect',
+            charges: 'Bank robbery',
+            issuedBy: officer.user.tag,
+            issuedById: officer.id
+        });
+
+        const interaction = await check('WantedSuspect');
+
+        const field = harness.findField(harness.lastEmbed(interaction), `Active Warrant #${warrant.id}`);
+        assert.match(field.value, /Bank robbery/);
+    });
+
+    it('puts an officer on cooldown between checks', async () => {
+        const member = harness.createFakeMember(guild, { roles: ['swat'] });
+        await harness.runCommand({ client, member, commandName: 'check', options: { username: 'OfflineSuspect' } });
+
+        const second = await harness.runCommand({ client, member, commandName: 'check', options: { username: 'OfflineSuspect' } });
+
+        assert.equal(second.deferred, false);
+        assert.equal(second.ephemeral, true);
+        assert.match(harness.lastReply(second).content, /^⏰ Cooldown: \d seconds remaining$/);
+        const [event] = harness.getAuditEvents();
+        assert.equal(event.outcome, AUDIT_OUTCOME.REJECTED);
+        assert.equal(event.details, 'cooldown');
+    });
+
+    it('reports unknown users', async () => {
+        const interaction = await check('NobodyHere');
+
+        assert.equal(harness.lastEmbed(interaction).title, '❌ User Not Found');
+        assert.equal(harness.getAuditEvents()[0].outcome, AUDIT_OUTCOME.NOT_FOUND);
+    });
+
+    it('asks officers to wait when username lookups are rate limited', async () => {
+        env.mock.script('POST /v1/usernames/users', { status: 429, headers: { 'retry-after': '0' } });
+
+        const interaction = await check('SomeoneNew');
+
+        assert.equal(harness.lastEmbed(interaction).title, '⏳ Roblox API Busy');
+        assert.equal(harness.getAuditEvents()[0].outcome, AUDIT_OUTCOME.RATE_LIMITED);
+    });
+
+    it('flags the report when presence can\'t be fetched', async () => {
+        // Authenticated request, then the unauthenticated fallback
+        env.mock.script('POST /v1/presence/users', { status: 500 }, { status: 500 });
+
+        const interaction = await check('OfflineSuspect');
+
+        const embed = harness.lastEmbed(interaction);
+        assert.equal(harness.findField(embed, 'Status').value, 'Account Private or Not Found');
+        assert.equal(embed.color, 0xFFAA00);
+    });
+
+    it('re-checks from a button clicked in DMs', async () => {
+        const member = harness.createFakeMember(guild, { roles: ['swat'] });
+
+        const interaction = await harness.clickButton({
+            client,
+            user: member.user,
+            customId: `check:recheck:${guild.id}:OfflineSuspect`
+        });
+
+        assert.equal(interaction.member, member);
+        assert.equal(harness.lastEmbed(interaction).title, '🔍 Investigation Report: OfflineSuspect');
+    });
+
+    it('suggests recently checked suspects', async () => {
+        const member = harness.createFakeMember(guild, { roles: ['swat'] });
+
+        const interaction = await harness.runAutocomplete({
+            client, member, commandName: 'check', focused: 'username', options: { username: 'offline' }
+        });
+
+        assert.equal(interaction.choices.length, 1);
+        assert.equal(interaction.choices[0].value, 'OfflineSuspect');
+        assert.match(interaction.choices[0].name, /^OfflineSuspect \(checked \d{4}-\d{2}-\d{2}\)$/);
+    });
+});
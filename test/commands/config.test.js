@@ -0,0 +1,96 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const harness = require('../harness');
+const { getWatchLimit } = require('../../utils/guild-config');
+const { AUDIT_OUTCOME } = require('../../utils/audit');
+
+harness.useTestEnvironment({
+    users: [
+        { id: 1101, name: 'FirstQuota' },
+        { id: 1102, name: 'SecondQuota' }
+    ]
+});
+
+describe('/config', () => {
+    let guild, otherGuild, client, admin, operator, otherOperator;
+
+    before(() => {
+        guild = harness.createFakeGuild();
+        otherGuild = harness.createFakeGuild({ id: '800000000000000002' });
+        admin = harness.createFakeMember(guild, { roles: ['admin'] });
+        operator = harness.createFakeMember(guild, { roles: ['operator'] });
+        otherOperator = harness.createFakeMember(otherGuild, { roles: ['operator'] });
+        client = harness.createFakeClient({ guilds: [guild, otherGuild] });
+    });
+
+    function config(member, subcommand, options = {}) {
+        return harness.runCommand({ client, member, commandName: 'config', subcommand, options });
+    }
+
+    function startWatch(member, username) {
+        return harness.runCommand({ client, member, commandName: 'watch', subcommand: 'start', options: { username, hours: 1 } });
+    }
+
+    it('is admin only', async () => {
+        const interaction = await config(operator, 'view');
+
+        assert.equal(interaction.replies.length, 0);
+    });
+
+    it('shows the defaults for a new server', async () => {
+        const interaction = await config(admin, 'view');
+
+        const embed = harness.lastEmbed(interaction);
+        assert.equal(harness.findField(embed, 'Watch Limit').value, '0/50 in use (default)');
+        assert.equal(harness.findField(embed, 'Alert Routing').value, 'DMs only');
+        assert.equal(harness.findField(embed, 'Tracked Places').value, 'None');
+    });
+
+    it('limits concurrent watches per server', async () => {
+        const interaction = await config(admin, 'watch-limit', { limit: 1 });
+
+        assert.equal(harness.lastReply(interaction).content, '✅ Watch limit set to **1**.');
+        assert.equal(getWatchLimit(guild.id), 1);
+        assert.equal(getWatchLimit(otherGuild.id), 50);
+        assert.equal(harness.getAuditEvents()[0].outcome, AUDIT_OUTCOME.SUCCESS);
+
+        await startWatch(operator, 'FirstQuota');
+        const queued = await startWatch(operator, 'SecondQuota');
+        assert.equal(harness.findField(harness.lastEmbed(queued), 'Reason').value, 'This server\'s limit of 1 watch(es) is reached');
+
+        const elsewhere = await startWatch(otherOperator, 'SecondQuota');
+        assert.equal(harness.lastEmbed(elsewhere).title, '👁️ Watch Started');
+    });
+
+    it('resets the limit to the default, starting queued watches', async () => {
+        const interaction = await config(admin, 'watch-limit');
+
+        assert.equal(harness.lastReply(interaction).content, '✅ Watch limit reset to the default of **50**.');
+        assert.equal(harness.findField(harness.lastEmbed(await config(admin, 'view')), 'Watch Limit').value, '2/50 in use');
+    });
+
+    it('mirrors audit events only to the server\'s own audit channel', async () => {
+        const auditLog = harness.createFakeChannel({ name: 'audit-log' });
+        guild.channels.cache.set(auditLog.id, auditLog);
+
+        const interaction = await config(admin, 'audit-channel', { channel: auditLog });
+        assert.equal(harness.lastReply(interaction).content, `✅ Audit events for this server will be posted to <#${auditLog.id}>.`);
+        assert.equal(harness.findField(harness.lastEmbed(await config(admin, 'view')), 'Audit Log').value, `<#${auditLog.id}>`);
+
+        // A denial in each server
+        await config(operator, 'view');
+        await config(otherOperator, 'view');
+        await new Promise(resolve => setImmediate(resolve));
+
+        const mirrored = auditLog.sent.map(message => message.content);
+        assert.ok(mirrored.some(line => line.includes(operator.user.tag)));
+        assert.ok(!mirrored.some(line => line.includes(otherOperator.user.tag)));
+
+        await config(admin, 'audit-channel');
+        const count = auditLog.sent.length;
+        await config(operator, 'view');
+        await new Promise(resolve => setImmediate(resolve));
+        assert.equal(auditLog.sent.length, count);
+    });
+});
@@ -0,0 +1,117 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const harness = require('../harness');
+const storage = require('../../utils/storage');
+const { AUDIT_OUTCOME } = require('../../utils/audit');
+
+harness.useTestEnvironment({
+    users: [
+        { id: 1101, name: 'RegularSuspect' },
+        { id: 1102, name: 'UnseenSuspect' },
+        { id: 1103, name: 'GapSuspect' }
+    ]
+});
+
+// Record one transition for RegularSuspect, hoursAgo before now
+function observe(hoursAgo, { isOnline, presenceType, game = null, guildId = harness.GUILD_ID }) {
+    storage.recordTransition({
+        robloxUserId: 1101,
+        username: 'RegularSuspect',
+        guildId: guildId,
+        wasOnline: !isOnline,
+        isOnline,
+        status: isOnline ? 'In Game' : 'Offline',
+        game,
+        presenceType,
+        observedAt: new Date(Date.now() - hoursAgo * 60 * 60 * 1000).toISOString()
+    });
+}
+
+describe('/history', () => {
+    let guild, client, swat;
+
+    before(() => {
+        guild = harness.createFakeGuild();
+        swat = harness.createFakeMember(guild, { roles: ['swat'] });
+        client = harness.createFakeClient({ guilds: [guild] });
+
+        // A finished two-hour session in two games, then one still going
+        observe(5, { isOnline: true, presenceType: 2, game: 'Jailbreak' });
+        observe(4, { isOnline: true, presenceType: 2, game: 'Arsenal' });
+        observe(3, { isOnline: false, presenceType: 0 });
+        observe(1, { isOnline: true, presenceType: 1 });
+    });
+
+    function history(member, username) {
+        return harness.runCommand({ client, member, commandName: 'history', options: { username } });
+    }
+
+    it('ignores officers without the check permission', async () => {
+        const civilian = harness.createFakeMember(guild, { roles: ['civilian'] });
+
+        const interaction = await history(civilian, 'RegularSuspect');
+
+        assert.equal(interaction.replies.length, 0);
+    });
+
+    it('lists recorded sessions, newest first', async () => {
+        const interaction = await history(swat, 'RegularSuspect');
+
+        assert.equal(interaction.ephemeral, true);
+        const embed = harness.lastEmbed(interaction);
+        assert.equal(embed.title, '🕓 History: RegularSuspect');
+        assert.match(embed.description, /^User ID: `1101`\n\*\*2\*\* session\(s\) in the last 30 day\(s\)/);
+        assert.deepEqual(embed.fields.map(field => field.name), ['🟢 Session 2', '⚫ Session 1']);
+        assert.match(embed.fields[0].value, /→ ongoing\n/);
+        assert.match(embed.fields[1].value, /\nPlaces: Jailbreak → Arsenal$/);
+        assert.equal(harness.getAuditEvents()[0].details, '30d, 2 session(s)');
+    });
+
+    it('only counts sessions this server\'s watches observed', async () => {
+        const otherGuild = harness.createFakeGuild({ id: '200000000000000001' });
+        const otherSwat = harness.createFakeMember(otherGuild, { roles: ['swat'] });
+        const otherClient = harness.createFakeClient({ guilds: [otherGuild] });
+
+        // Seen by the other server's watch only
+        observe(10, { isOnline: true, presenceType: 2, game: 'Brookhaven', guildId: otherGuild.id });
+        observe(9, { isOnline: false, presenceType: 0, guildId: otherGuild.id });
+
+        const ours = await history(swat, 'RegularSuspect');
+        const theirs = await harness.runCommand({ client: otherClient, member: otherSwat, commandName: 'history', options: { username: 'RegularSuspect' } });
+
+        assert.match(harness.lastEmbed(ours).description, /\*\*2\*\* session\(s\)/);
+        assert.ok(!harness.lastEmbed(ours).fields.some(field => field.value.includes('Brookhaven')));
+        const [session] = harness.lastEmbed(theirs).fields;
+        assert.equal(harness.lastEmbed(theirs).fields.length, 1);
+        assert.match(session.value, /\nPlaces: Brookhaven$/);
+    });
+
+    it('ends a session where the watch stopped observing', async () => {
+        // Online when watch #1 ended, offline when watch #2 started a day later
+        const at = hoursAgo => new Date(Date.now() - hoursAgo * 60 * 60 * 1000).toISOString();
+        const base = { robloxUserId: 1103, username: 'GapSuspect', guildId: harness.GUILD_ID };
+        storage.recordTransition({ ...base, wasOnline: false, isOnline: true, status: 'Online', presenceType: 1, observedAt: at(30) });
+        storage.recordTransition({ ...base, wasOnline: true, isOnline: false, status: 'Not observed', unobserved: true, observedAt: at(29) });
+        storage.recordTransition({ ...base, wasOnline: true, isOnline: false, status: 'Offline', presenceType: 0, observedAt: at(2) });
+
+        const interaction = await history(swat, 'GapSuspect');
+
+        const embed = harness.lastEmbed(interaction);
+        assert.match(embed.description, /\*\*1\*\* session\(s\) in the last 30 day\(s\) • 1h 0m online/);
+        assert.match(embed.fields[0].value, /→ <t:\d+:t> \(watch ended\)\nDuration: 1h 0m\n/);
+    });
+
+    it('explains when nothing was recorded', async () => {
+        const interaction = await history(swat, 'UnseenSuspect');
+
+        assert.match(harness.lastEmbed(interaction).description, /^No sessions recorded in the last 30 day\(s\)/);
+    });
+
+    it('reports unknown users', async () => {
+        const interaction = await history(swat, 'NobodyHere');
+
+        assert.equal(harness.lastReply(interaction).content, '❌ Could not find user **NobodyHere** on Roblox.');
+        assert.equal(harness.getAuditEvents()[0].outcome, AUDIT_OUTCOME.NOT_FOUND);
+    });
+});
@@ -0,0 +1,163 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const harness = require('../harness');
+const { AUDIT_OUTCOME } = require('../../utils/audit');
+const { updateGuildSettings } = require('../../utils/guild-config');
+const { getQueuedWatches, removeQueuedWatch } = require('../../utils/watch-queue');
+const { getList, getListMembers, createList, addListMembers, MAX_LIST_MEMBERS } = require('../../utils/lists');
+
+harness.useTestEnvironment({
+    users: [
+        { id: 801, name: 'GangLeader' },
+        { id: 802, name: 'GangMember' },
+        { id: 803, name: 'GangDriver' },
+        { id: 804, name: 'CrewOne' },
+        { id: 805, name: 'CrewTwo' }
+    ]
+});
+
+describe('/list', () => {
+    let guild, client, operator;
+
+    before(() => {
+        guild = harness.createFakeGuild();
+        operator = harness.createFakeMember(guild, { roles: ['operator'] });
+        client = harness.createFakeClient({ guilds: [guild] });
+    });
+
+    function list(subcommand, options, member = operator) {
+        return harness.runCommand({ client, member, commandName: 'list', subcommand, options });
+    }
+
+    it('ignores officers without the bulk-check permission', async () => {
+        const swat = harness.createFakeMember(guild, { roles: ['swat'] });
+
+        const interaction = await list('create', { name: 'Gang' }, swat);
+
+        assert.equal(interaction.replies.length, 0);
+        assert.equal(getList(guild.id, 'Gang'), null);
+        const [event] = harness.getAuditEvents();
+        assert.equal(event.outcome, AUDIT_OUTCOME.DENIED);
+        assert.equal(event.action, 'requires bulk-check');
+    });
+
+    it('creates a list with resolved members', async () => {
+        const interaction = await list('create', { name: 'Gang', users: 'GangLeader, gangmember NobodyHere x!' });
+
+        assert.equal(harness.lastReply(interaction).content, [
+            '📋 Created list **Gang**.',
+            '✅ Added 2 suspect(s)',
+            '❓ Not found on Roblox: NobodyHere',
+            '⚠️ Invalid names skipped: x!'
+        ].join('\n'));
+        assert.deepEqual(getListMembers(getList(guild.id, 'Gang').id).map(member => member.robloxUserId).sort(), [801, 802]);
+    });
+
+    it('refuses duplicate list names', async () => {
+        const interaction = await list('create', { name: 'gang' });
+
+        assert.equal(harness.lastReply(interaction).content, '⚠️ A list named **gang** already exists.');
+    });
+
+    it('adds and removes members', async () => {
+        const added = await list('add', { name: 'Gang', users: 'GangDriver GangLeader' });
+        const removed = await list('remove', { name: 'Gang', username: '802' });
+
+        assert.equal(harness.lastReply(added).content, '📋 **Gang**\n✅ Added 1 suspect(s) (1 already listed)');
+        assert.equal(harness.lastReply(removed).content, '➖ Removed **GangMember** from list **Gang**.');
+    });
+
+    it('shows every list and one list\'s members', async () => {
+        const all = await list('view', {});
+        const one = await list('view', { name: 'Gang' });
+
+        assert.equal(harness.lastEmbed(all).description, '• **Gang** - 2 suspect(s)');
+        const embed = harness.lastEmbed(one);
+        assert.equal(embed.title, '📋 Gang');
+        assert.equal(embed.footer.text, '2 suspect(s)');
+        assert.match(embed.description, /• \*\*GangDriver\*\* \(`803`\)/);
+    });
+
+    it('checks every member', async () => {
+        const interaction = await list('check', { name: 'Gang' });
+
+        const embed = harness.lastEmbed(interaction);
+        assert.equal(embed.title, '🔍 List Check: Gang');
+        assert.equal(embed.description, 'Checked 2 suspect(s)');
+    });
+
+    it('watches every member not already watched', async () => {
+        await harness.runCommand({ client, member: operator, commandName: 'watch', subcommand: 'start', options: { username: 'GangLeader', hours: 1 } });
+
+        const interaction = await list('watch', { name: 'Gang', hours: 2 });
+
+        const embed = harness.lastEmbed(interaction);
+        assert.equal(embed.description, 'Started 1 watch(es) for 2 hour(s)');
+        assert.equal(harness.findField(embed, 'Started').value, 'GangDriver');
+        assert.match(harness.findField(embed, 'Already Watched').value, /^1 suspect\(s\)/);
+        assert.equal(client.commands.get('watch').findWatch(guild.id, 803).startedById, operator.id);
+    });
+
+    it('queues the members that go over the watch limit', async () => {
+        // GangLeader and GangDriver are watched - one slot left
+        updateGuildSettings(guild.id, { maxWatches: 3 }, operator.id);
+        await list('create', { name: 'Crew', users: 'GangLeader CrewOne CrewTwo' });
+
+        const interaction = await list('watch', { name: 'Crew', hours: 2 });
+        const again = await list('watch', { name: 'Crew', hours: 2 });
+
+        const embed = harness.lastEmbed(interaction);
+        assert.equal(embed.description, 'Started 1 watch(es) for 2 hour(s), queued 1');
+        assert.equal(harness.findField(embed, 'Started').value, 'CrewOne');
+        assert.equal(harness.findField(embed, 'Queued - Watch Limit (3) Reached').value, 'CrewTwo (#1, Standard priority)');
+        const [queued] = getQueuedWatches(guild.id);
+        assert.equal(queued.username, 'CrewTwo');
+        assert.equal(queued.hours, 2);
+        assert.equal(queued.requestedById, operator.id);
+
+        const events = harness.getAuditEvents();
+        assert.ok(events.some(event => event.action === 'queue' && event.targetUsername === 'CrewTwo' && event.details === 'server limit 3, position 1, standard priority'));
+
+        // Nothing is queued twice
+        assert.match(harness.findField(harness.lastEmbed(again), 'Already Queued').value, /^1 suspect\(s\)/);
+        assert.equal(getQueuedWatches(guild.id).length, 1);
+
+        removeQueuedWatch(queued.id);
+        updateGuildSettings(guild.id, { maxWatches: null }, operator.id);
+    });
+
+    it('reports unknown lists', async () => {
+        const interaction = await list('check', { name: 'Nope' });
+
+        assert.match(harness.lastReply(interaction).content, /^❌ No list named \*\*Nope\*\*/);
+        assert.equal(harness.getAuditEvents()[0].outcome, AUDIT_OUTCOME.NOT_FOUND);
+    });
+
+    it('deletes a list', async () => {
+        const interaction = await list('delete', { name: 'Gang' });
+
+        assert.equal(harness.lastReply(interaction).content, '🗑️ Deleted list **Gang** (2 suspect(s)).');
+        assert.equal(getList(guild.id, 'Gang'), null);
+    });
+
+    it('adds only as many members as fit under the cap', async () => {
+        const full = createList(guild.id, 'Crowded', operator.id);
+        const filler = Array.from({ length: MAX_LIST_MEMBERS - 1 }, (_, index) => ({ id: 10000 + index, name: `Filler${index}` }));
+        assert.deepEqual(addListMembers(full.id, filler, operator.id), { added: MAX_LIST_MEMBERS - 1, dropped: 0 });
+
+        const interaction = await list('add', { name: 'Crowded', users: 'GangLeader GangMember' });
+
+        assert.equal(harness.lastReply(interaction).content, [
+            '📋 **Crowded**',
+            '✅ Added 1 suspect(s)',
+            `⚠️ 1 suspect(s) not added - lists are limited to ${MAX_LIST_MEMBERS} so they can be checked in one go.`
+        ].join('\n'));
+        assert.equal(getList(guild.id, 'Crowded').memberCount, MAX_LIST_MEMBERS);
+        assert.match(harness.getAuditEvents()[0].details, /\(1 over 100\)$/);
+
+        // Existing members are still refreshed when the list is full
+        assert.deepEqual(addListMembers(full.id, [{ id: 10000, name: 'Renamed' }, { id: 803, name: 'GangDriver' }], operator.id), { added: 0, dropped: 1 });
+        assert.equal(getListMembers(full.id).find(member => member.robloxUserId === 10000).username, 'Renamed');
+    });
+});
@@ -0,0 +1,224 @@
+const { describe, it, before, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { PermissionFlagsBits } = require('discord.js');
+
+// Read when the cookie store loads
+process.env.COOKIE_ENCRYPTION_KEY = 'test-encryption-key';
+
+const harness = require('../harness');
+
+// Admins of the test guild operate the bot
+process.env.OWNER_GUILD_ID = harness.GUILD_ID;
+const { getDb } = require('../../utils/storage');
+const { loadCookie } = require('../../utils/cookie-store');
+const { AUDIT_OUTCOME } = require('../../utils/audit');
+
+const env = harness.useTestEnvironment();
+
+const NEW_COOKIE = 'replacement-roblosecurity';
+
+describe('/maintenance', () => {
+    let guild, otherGuild, client, operator, admin, otherManager;
+
+    before(() => {
+        guild = harness.createFakeGuild();
+        operator = harness.createFakeMember(guild, { roles: ['operator'] });
+        admin = harness.createFakeMember(guild, { roles: ['admin'] });
+        otherGuild = harness.createFakeGuild({ id: '200000000000000001' });
+        otherManager = harness.createFakeMember(otherGuild, { roles: ['operator'], permissions: [PermissionFlagsBits.ManageGuild] });
+        client = harness.createFakeClient({ guilds: [guild, otherGuild] });
+    });
+
+    afterEach(() => {
+        env.mock.state.validCookie = harness.DEFAULT_COOKIE;
+    });
+
+    async function maintenance(member = operator) {
+        const interaction = await harness.runCommand({ client, member, commandName: 'maintenance' });
+        return harness.lastEmbed(interaction);
+    }
+
+    function authStatus(embed) {
+        return harness.findField(embed, 'Authentication Status').value;
+    }
+
+    it('ignores officers without the maintenance permission', async () => {
+        const swat = harness.createFakeMember(guild, { roles: ['swat'] });
+
+        const interaction = await harness.runCommand({ client, member: swat, commandName: 'maintenance' });
+
+        assert.equal(interaction.replies.length, 0);
+    });
+
+    it('reports a healthy cookie', async () => {
+        const embed = await maintenance();
+
+        assert.equal(authStatus(embed), '✅ **HEALTHY**');
+        assert.equal(harness.findField(embed, 'Cookie Info').value, `Length: ${harness.DEFAULT_COOKIE.length} characters\nFailures: 0`);
+        assert.equal(harness.findField(embed, 'Maintenance Required'), undefined);
+        assert.equal(harness.findField(embed, 'Scheduled Checks').value, 'Not running');
+    });
+
+    it('reports an expired cookie on the check that finds it', async () => {
+        env.mock.state.validCookie = 'rotated';
+
+        const embed = await maintenance();
+
+        assert.equal(authStatus(embed), '🔴 **EXPIRED - NEEDS RENEWAL**');
+        assert.ok(harness.findField(embed, 'Maintenance Required'));
+    });
+
+    it('recovers once the cookie works again', async () => {
+        assert.equal(authStatus(await maintenance()), '✅ **HEALTHY**');
+    });
+
+    it('reports degraded health after repeated server errors', async () => {
+        env.mock.script('GET /v1/users/authenticated', { status: 500 }, { status: 500 }, { status: 500 });
+
+        await maintenance();
+        await maintenance();
+        const embed = await maintenance();
+
+        assert.equal(authStatus(embed), '⚠️ **DEGRADED - CHECK NEEDED**');
+        assert.match(harness.findField(embed, 'Cookie Info').value, /Failures: 3$/);
+    });
+
+    it('reports a missing cookie', async () => {
+        env.roblox.roblosecurityCookie = null;
+
+        const embed = await maintenance();
+        env.roblox.roblosecurityCookie = harness.DEFAULT_COOKIE;
+
+        assert.equal(authStatus(embed), '❌ **NOT CONFIGURED**');
+        assert.equal(harness.findField(embed, 'Cookie Info'), undefined);
+    });
+
+    describe('replacing the cookie', () => {
+        afterEach(async () => {
+            env.mock.state.validCookie = harness.DEFAULT_COOKIE;
+            await env.roblox.replaceCookie(harness.DEFAULT_COOKIE);
+            env.roblox.unregisterPresenceWatch('swap');
+        });
+
+        function cookieButton(interaction) {
+            return harness.lastReply(interaction).components[0]?.components[0].data;
+        }
+
+        function submitCookie(cookie, member = admin) {
+            return harness.submitModal({ client, member, customId: `maintenance:cookie-submit:${guild.id}`, fields: { cookie } });
+        }
+
+        it('offers the replace button to bot operators only', async () => {
+            const adminReport = await harness.runCommand({ client, member: admin, commandName: 'maintenance' });
+            assert.equal(cookieButton(adminReport).custom_id, `maintenance:cookie:${guild.id}`);
+
+            const operatorReport = await harness.runCommand({ client, member: operator, commandName: 'maintenance' });
+            assert.deepEqual(harness.lastReply(operatorReport).components, []);
+        });
+
+        it('opens the cookie modal for bot operators and refuses everyone else', async () => {
+            const opened = await harness.clickButton({ client, member: admin, customId: `maintenance:cookie:${guild.id}` });
+            assert.equal(opened.modal.custom_id, `maintenance:cookie-submit:${guild.id}`);
+            assert.equal(opened.modal.components[0].components[0].custom_id, 'cookie');
+
+            const refused = await harness.clickButton({ client, member: operator, customId: `maintenance:cookie:${guild.id}` });
+            assert.equal(refused.modal, null);
+            assert.equal(harness.lastReply(refused).content, '🚫 Only bot operators can do that.');
+
+            const submitted = await submitCookie(NEW_COOKIE, operator);
+            assert.equal(harness.lastReply(submitted).content, '🚫 Only bot operators can do that.');
+            assert.equal(env.roblox.roblosecurityCookie, harness.DEFAULT_COOKIE);
+        });
+
+        it('refuses another server\'s admins even when they granted themselves admin', async () => {
+            const adminRole = otherGuild.roles.cache.get(harness.ROLES.admin.id);
+            for (const capability of ['admin', 'maintenance']) {
+                await harness.runCommand({
+                    client,
+                    member: otherManager,
+                    commandName: 'permissions',
+                    subcommand: 'grant',
+                    options: { role: adminRole, capability }
+                });
+            }
+            otherManager.roles.cache.set(adminRole.id, adminRole);
+
+            const report = await harness.runCommand({ client, member: otherManager, commandName: 'maintenance' });
+            assert.ok(harness.lastEmbed(report));
+            assert.deepEqual(harness.lastReply(report).components, []);
+
+            const refused = await harness.clickButton({ client, member: otherManager, customId: `maintenance:cookie:${otherGuild.id}` });
+            assert.equal(refused.modal, null);
+            assert.equal(harness.lastReply(refused).content, '🚫 Only bot operators can do that.');
+
+            const submitted = await harness.submitModal({
+                client,
+                member: otherManager,
+                customId: `maintenance:cookie-submit:${otherGuild.id}`,
+                fields: { cookie: NEW_COOKIE }
+            });
+            assert.equal(harness.lastReply(submitted).content, '🚫 Only bot operators can do that.');
+            assert.equal(env.roblox.roblosecurityCookie, harness.DEFAULT_COOKIE);
+            assert.equal(harness.getAuditEvents(otherGuild.id)[0].action, 'requires bot operator');
+        });
+
+        it('lets listed bot operators replace it from any server', async () => {
+            process.env.BOT_OPERATOR_IDS = `123, ${otherManager.id}`;
+            try {
+                const opened = await harness.clickButton({ client, member: otherManager, customId: `maintenance:cookie:${otherGuild.id}` });
+                assert.equal(opened.modal.custom_id, `maintenance:cookie-submit:${otherGuild.id}`);
+            } finally {
+                delete process.env.BOT_OPERATOR_IDS;
+            }
+        });
+
+        it('swaps in a verified cookie without dropping watches and saves it encrypted', async () => {
+            env.roblox.registerPresenceWatch('swap', 1, () => {}, 60 * 60 * 1000);
+            env.mock.state.validCookie = NEW_COOKIE;
+
+            const interaction = await submitCookie(`.ROBLOSECURITY=${NEW_COOKIE}`);
+
+            assert.equal(interaction.ephemeral, true);
+            assert.equal(harness.lastEmbed(interaction).title, '✅ Cookie Replaced');
+            assert.match(harness.findField(harness.lastEmbed(interaction), 'Storage').value, /^Saved encrypted/);
+            assert.equal(env.roblox.roblosecurityCookie, NEW_COOKIE);
+            assert.equal(env.roblox.getCookieStatus().status, 'healthy');
+            assert.ok(env.roblox.pollerEntries.has('swap'));
+
+            assert.equal(loadCookie(), NEW_COOKIE);
+            const stored = getDb().prepare('SELECT value, updated_by_id FROM bot_secrets').get();
+            assert.ok(!stored.value.includes(NEW_COOKIE));
+            assert.equal(stored.updated_by_id, admin.id);
+
+            const [event] = harness.getAuditEvents();
+            assert.equal(event.command, 'maintenance');
+            assert.equal(event.action, 'replace cookie');
+            assert.equal(event.outcome, AUDIT_OUTCOME.SUCCESS);
+        });
+
+        it('keeps the previous cookie when the new one is rejected', async () => {
+            const interaction = await submitCookie('not-a-real-cookie');
+
+            assert.equal(harness.lastEmbed(interaction).title, '❌ Cookie Rejected');
+            assert.match(harness.lastEmbed(interaction).description, /\(expired\)/);
+            assert.equal(env.roblox.roblosecurityCookie, harness.DEFAULT_COOKIE);
+            assert.equal(env.roblox.getCookieStatus().status, 'healthy');
+            assert.equal(env.roblox.getCookieStatus().failureCount, 0);
+
+            const [event] = harness.getAuditEvents();
+            assert.equal(event.outcome, AUDIT_OUTCOME.ERROR);
+        });
+
+        it('switches to the saved cookie on startup', async () => {
+            // Saved by the swap test above
+            env.mock.state.validCookie = NEW_COOKIE;
+            const maintenanceCommand = client.commands.get('maintenance');
+
+            await maintenanceCommand.initialize(client);
+            maintenanceCommand.cleanup();
+
+            assert.equal(env.roblox.roblosecurityCookie, NEW_COOKIE);
+            assert.equal(env.roblox.getCookieStatus().status, 'healthy');
+        });
+    });
+});
@@ -0,0 +1,89 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+const { PermissionFlagsBits } = require('discord.js');
+
+const harness = require('../harness');
+const { hasPermission } = require('../../utils/permissions');
+const { AUDIT_OUTCOME } = require('../../utils/audit');
+
+harness.useTestEnvironment();
+
+describe('/permissions', () => {
+    let guild, client, manager, operator, civilian;
+
+    before(() => {
+        guild = harness.createFakeGuild();
+        manager = harness.createFakeMember(guild, { permissions: [PermissionFlagsBits.ManageGuild] });
+        operator = harness.createFakeMember(guild, { roles: ['operator'] });
+        civilian = harness.createFakeMember(guild, { roles: ['civilian'] });
+        client = harness.createFakeClient({ guilds: [guild] });
+    });
+
+    function permissions(member, subcommand, options = {}) {
+        return harness.runCommand({ client, member, commandName: 'permissions', subcommand, options });
+    }
+
+    // Whether a member passes a capability check right now
+    function can(member, capability) {
+        return hasPermission(harness.createInteraction({ client, member }), capability);
+    }
+
+    it('ignores officers who can\'t manage the server', async () => {
+        const interaction = await permissions(operator, 'reset');
+
+        assert.equal(interaction.replies.length, 0);
+        const [event] = harness.getAuditEvents();
+        assert.equal(event.outcome, AUDIT_OUTCOME.DENIED);
+        assert.equal(event.action, 'reset');
+    });
+
+    it('shows the default table before anything is configured', async () => {
+        const interaction = await permissions(manager, 'view');
+
+        const embed = harness.lastEmbed(interaction);
+        assert.match(embed.description, /^No role permissions configured/);
+        assert.equal(harness.findField(embed, 'Special Weapons and Tactics').value, 'check');
+    });
+
+    it('seeds the defaults by role ID so renames keep access', async () => {
+        const interaction = await permissions(manager, 'seed');
+
+        assert.equal(harness.lastReply(interaction).content,
+            '✅ Seeded permissions from the default table for: ., Senior Executive Operator, Special Weapons and Tactics');
+
+        guild.roles.cache.get(harness.ROLES.operator.id).name = 'Renamed Operators';
+        assert.equal(can(operator, 'watch'), true);
+        guild.roles.cache.get(harness.ROLES.operator.id).name = harness.ROLES.operator.name;
+    });
+
+    it('grants and revokes capabilities per role', async () => {
+        const role = guild.roles.cache.get(harness.ROLES.civilian.id);
+
+        const granted = await permissions(manager, 'grant', { role, capability: 'check' });
+        assert.equal(harness.lastReply(granted).content, `✅ <@&${role.id}> can now use **check**.`);
+        assert.equal(can(civilian, 'check'), true);
+
+        const again = await permissions(manager, 'grant', { role, capability: 'check' });
+        assert.equal(harness.lastReply(again).content, `ℹ️ <@&${role.id}> already has **check**.`);
+
+        const revoked = await permissions(manager, 'revoke', { role, capability: 'check' });
+        assert.equal(harness.lastReply(revoked).content, `🗑️ <@&${role.id}> can no longer use **check**.`);
+        assert.equal(can(civilian, 'check'), false);
+    });
+
+    it('lets bot admins manage permissions without Manage Server', async () => {
+        const admin = harness.createFakeMember(guild, { roles: ['admin'] });
+
+        const interaction = await permissions(admin, 'view');
+
+        assert.equal(harness.lastEmbed(interaction).description, '3 role(s) configured');
+    });
+
+    it('resets to the default table', async () => {
+        const interaction = await permissions(manager, 'reset');
+
+        assert.match(harness.lastReply(interaction).content, /^🗑️ Removed \d+ permission entries\./);
+        assert.equal(can(operator, 'watch'), true);
+        assert.equal(can(civilian, 'check'), false);
+    });
+});
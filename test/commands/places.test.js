@@ -0,0 +1,79 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const harness = require('../harness');
+const { AUDIT_OUTCOME } = require('../../utils/audit');
+
+const PLACE_ID = 606849621;
+const UNIVERSE_ID = 245662005;
+
+harness.useTestEnvironment({
+    users: [
+        { id: 901, name: 'HomeSuspect' },
+        { id: 902, name: 'AwaySuspect' }
+    ],
+    presences: [
+        { userId: 901, userPresenceType: 2, lastLocation: 'Jailbreak', placeId: PLACE_ID, rootPlaceId: PLACE_ID, gameId: 'server-1', universeId: UNIVERSE_ID },
+        { userId: 902, userPresenceType: 2, lastLocation: 'Adopt Me!', placeId: 920587237, rootPlaceId: 920587237, gameId: 'server-2', universeId: 383310974 }
+    ]
+});
+
+describe('/places', () => {
+    let guild, client, admin, swat;
+
+    before(() => {
+        guild = harness.createFakeGuild();
+        admin = harness.createFakeMember(guild, { roles: ['admin'] });
+        swat = harness.createFakeMember(guild, { roles: ['swat'] });
+        client = harness.createFakeClient({ guilds: [guild] });
+    });
+
+    function places(member, subcommand, options = {}) {
+        return harness.runCommand({ client, member, commandName: 'places', subcommand, options });
+    }
+
+    it('only lets admins change tracked games', async () => {
+        const interaction = await places(swat, 'add', { id: PLACE_ID });
+
+        assert.equal(interaction.replies.length, 0);
+        assert.equal(harness.getAuditEvents()[0].action, 'requires admin');
+    });
+
+    it('lists nothing before games are tracked', async () => {
+        const interaction = await places(swat, 'list');
+
+        assert.match(harness.lastEmbed(interaction).description, /^No games tracked yet\./);
+    });
+
+    it('tracks places and universes', async () => {
+        const place = await places(admin, 'add', { id: PLACE_ID, label: 'Jailbreak' });
+        const universe = await places(admin, 'add', { id: UNIVERSE_ID, type: 'universe' });
+        const again = await places(admin, 'add', { id: PLACE_ID, label: 'JB' });
+
+        assert.equal(harness.lastReply(place).content, `✅ Now tracking Place \`${PLACE_ID}\` - Jailbreak as one of our games.`);
+        assert.equal(harness.lastReply(universe).content, `✅ Now tracking Universe \`${UNIVERSE_ID}\` as one of our games.`);
+        assert.equal(harness.lastReply(again).content, `ℹ️ Place \`${PLACE_ID}\` - JB was already tracked - label updated.`);
+
+        const list = await places(swat, 'list');
+        assert.equal(harness.lastEmbed(list).description.split('\n').length, 2);
+    });
+
+    it('tells /check whether a suspect is in our game', async () => {
+        const home = await harness.runCommand({ client, member: swat, commandName: 'check', options: { username: 'HomeSuspect' } });
+        const away = await harness.runCommand({
+            client, member: harness.createFakeMember(guild, { roles: ['swat'] }), commandName: 'check', options: { username: 'AwaySuspect' }
+        });
+
+        assert.equal(harness.findField(harness.lastEmbed(home), 'Location').value, '🎯 In our game (JB)');
+        assert.equal(harness.findField(harness.lastEmbed(away), 'Location').value, '🌐 In another game');
+    });
+
+    it('stops tracking a game', async () => {
+        const removed = await places(admin, 'remove', { id: PLACE_ID });
+        const missing = await places(admin, 'remove', { id: PLACE_ID });
+
+        assert.equal(harness.lastReply(removed).content, `🗑️ Stopped tracking Place \`${PLACE_ID}\`.`);
+        assert.equal(harness.lastReply(missing).content, `ℹ️ Place \`${PLACE_ID}\` was not tracked.`);
+        assert.equal(harness.getAuditEvents()[0].outcome, AUDIT_OUTCOME.NOT_FOUND);
+    });
+});
@@ -0,0 +1,239 @@
+const { describe, it, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const harness = require('../harness');
+const { AUDIT_OUTCOME } = require('../../utils/audit');
+const { getDb } = require('../../utils/storage');
+const { createList, addListMembers } = require('../../utils/lists');
+const { addTrackedPlace } = require('../../utils/places');
+const { getSweeps, parseDays, getNextRun } = require('../../utils/sweeps');
+
+const PLACE_ID = 606849621;
+const OTHER_PLACE_ID = 1818;
+
+harness.useTestEnvironment({
+    users: [
+        { id: 901, name: 'PatrolTarget' },
+        { id: 902, name: 'ElsewhereTarget' },
+        { id: 903, name: 'OfflineTarget' }
+    ],
+    presences: [
+        { userId: 901, userPresenceType: 2, lastLocation: 'Jailbreak', placeId: PLACE_ID, rootPlaceId: PLACE_ID, gameId: 'server-1' },
+        { userId: 902, userPresenceType: 2, lastLocation: 'Adopt Me!', placeId: OTHER_PLACE_ID, rootPlaceId: OTHER_PLACE_ID, gameId: 'server-2' }
+    ]
+});
+
+describe('/schedule', () => {
+    let guild, client, admin, operator, dispatch;
+
+    before(() => {
+        dispatch = harness.createFakeChannel({ name: 'dispatch' });
+        guild = harness.createFakeGuild({ channels: [dispatch] });
+        admin = harness.createFakeMember(guild, { roles: ['admin'] });
+        operator = harness.createFakeMember(guild, { roles: ['operator'] });
+        client = harness.createFakeClient({ guilds: [guild] });
+
+        const list = createList(guild.id, 'Patrol', admin.id);
+        addListMembers(list.id, [{ id: 901, name: 'PatrolTarget' }, { id: 902, name: 'ElsewhereTarget' }, { id: 903, name: 'OfflineTarget' }], admin.id);
+        addTrackedPlace(guild.id, 'place', PLACE_ID, 'Main Server', admin.id);
+    });
+
+    function schedule(member, subcommand, options = {}) {
+        return harness.runCommand({ client, member, commandName: 'schedule', subcommand, options });
+    }
+
+    // Add a sweep, returning the interaction and the timer it set
+    async function addSweep(options) {
+        const setTimeoutMock = mock.method(global, 'setTimeout', () => 0);
+        const interaction = await schedule(admin, 'add', { list: 'Patrol', channel: dispatch, ...options });
+        const [timer] = setTimeoutMock.mock.calls.map(call => call.arguments);
+        setTimeoutMock.mock.restore();
+        return { interaction, timer };
+    }
+
+    // Timers and catch-up runs don't return their promise - wait for the posts instead
+    async function waitForPosts(count) {
+        for (let attempt = 0; attempt < 200 && dispatch.sent.length < count; attempt++) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    }
+
+    // Hold the channel's posts until released, keeping a run in flight
+    function holdPosts() {
+        let release;
+        const gate = new Promise(resolve => { release = resolve; });
+        const send = dispatch.send;
+        dispatch.send = async function (payload) {
+            await gate;
+            return send.call(this, payload);
+        };
+        return () => {
+            dispatch.send = send;
+            release();
+        };
+    }
+
+    // Timers set with a delay matching the sweep's next run
+    function rearmedTimers(setTimeoutMock, sweep) {
+        return setTimeoutMock.mock.calls.filter(call => Math.abs(call.arguments[1] - (getNextRun(sweep) - Date.now())) < 5000);
+    }
+
+    function sentTitles() {
+        return dispatch.sent.map(message => message.embeds?.[0].toJSON().title || message.content);
+    }
+
+    it('only lets administrators change the schedule', async () => {
+        const interaction = await schedule(operator, 'add', { list: 'Patrol', time: '19:00', channel: dispatch });
+
+        assert.equal(interaction.replies.length, 0);
+        const [event] = harness.getAuditEvents();
+        assert.equal(event.outcome, AUDIT_OUTCOME.DENIED);
+        assert.equal(event.action, 'requires admin');
+    });
+
+    it('rejects times and days it cannot parse', async () => {
+        const badTime = await schedule(admin, 'add', { list: 'Patrol', time: '25:00', channel: dispatch });
+        const badDays = await schedule(admin, 'add', { list: 'Patrol', time: '19:00', days: 'someday', channel: dispatch });
+
+        assert.equal(harness.lastReply(badTime).content, '⚠️ Time must be 24-hour UTC, like `19:00`.');
+        assert.match(harness.lastReply(badDays).content, /^⚠️ Days must be/);
+        assert.deepEqual(getSweeps(guild.id), []);
+    });
+
+    it('works out the next run on the chosen days', () => {
+        const sweep = { timeOfDay: '19:00', days: parseDays('mon, Wednesday fri') };
+
+        assert.deepEqual(sweep.days, [1, 3, 5]);
+        // Friday evening after the run -> Monday
+        assert.equal(getNextRun(sweep, new Date('2026-10-23T20:00:00Z')).toISOString(), '2026-10-26T19:00:00.000Z');
+        assert.equal(getNextRun(sweep, new Date('2026-10-23T18:59:00Z')).toISOString(), '2026-10-23T19:00:00.000Z');
+        assert.equal(parseDays('mo'), null);
+    });
+
+    it('schedules a sweep and posts a digest when it runs', async () => {
+        const { interaction, timer } = await addSweep({ time: '19:00', days: 'weekdays' });
+
+        const embed = harness.lastEmbed(interaction);
+        assert.equal(embed.title, '🗓️ Sweep Scheduled');
+        assert.equal(harness.findField(embed, 'Schedule').value, 'Weekdays at 19:00 UTC');
+        const [sweep] = getSweeps(guild.id);
+        assert.ok(Math.abs(timer[1] - (getNextRun(sweep) - Date.now())) < 5000);
+
+        // The run re-arms its timer
+        const setTimeoutMock = mock.method(global, 'setTimeout', () => 0);
+        timer[0]();
+        await waitForPosts(2);
+        await new Promise(resolve => setImmediate(resolve));
+        const rearmed = rearmedTimers(setTimeoutMock, sweep);
+        setTimeoutMock.mock.restore();
+
+        assert.equal(rearmed.length, 1);
+        assert.deepEqual(sentTitles(), ['🚓 Patrol Sweep: Patrol', '🔍 List Check: Patrol']);
+        const digest = dispatch.sent[0].embeds[0].toJSON();
+        assert.match(harness.findField(digest, 'In Our Game').value, /^\*\*PatrolTarget\*\* \(Main Server\)/);
+        assert.equal(harness.findField(digest, 'Online Elsewhere').value, '**ElsewhereTarget** - Adopt Me!');
+        assert.equal(digest.footer.text, `Scheduled sweep #${sweep.id}`);
+    });
+
+    it('lists sweeps with their last outcome', async () => {
+        const interaction = await schedule(operator, 'list');
+
+        const embed = harness.lastEmbed(interaction);
+        const [field] = embed.fields;
+        assert.match(field.name, /^#\d+ • Patrol$/);
+        assert.match(field.value, new RegExp(`^Weekdays at 19:00 UTC → <#${dispatch.id}>`));
+        assert.match(field.value, /Last: <t:\d+:R> \(2 online, 1 in our game\)/);
+    });
+
+    it('runs a sweep on demand', async () => {
+        const [sweep] = getSweeps(guild.id);
+        dispatch.sent.length = 0;
+
+        const interaction = await schedule(operator, 'run', { id: sweep.id });
+
+        assert.equal(harness.lastReply(interaction).content, `✅ Sweep #${sweep.id} posted to <#${dispatch.id}> (2 online, 1 in our game).`);
+        assert.equal(dispatch.sent.length, 2);
+    });
+
+    it('skips on-demand runs while a sweep is running, and stops if it is removed mid-run', async () => {
+        const { timer } = await addSweep({ time: '06:00' });
+        const sweep = getSweeps(guild.id).at(-1);
+        dispatch.sent.length = 0;
+        const release = holdPosts();
+
+        const setTimeoutMock = mock.method(global, 'setTimeout', () => 0);
+        timer[0]();
+        const overlapping = await schedule(operator, 'run', { id: sweep.id });
+        await schedule(admin, 'remove', { id: sweep.id });
+        release();
+        await waitForPosts(2);
+        await new Promise(resolve => setImmediate(resolve));
+        const rearmed = rearmedTimers(setTimeoutMock, sweep);
+        setTimeoutMock.mock.restore();
+
+        assert.equal(harness.lastReply(overlapping).content, `⏳ Sweep #${sweep.id} is already running - its results will be posted to <#${dispatch.id}> shortly.`);
+        assert.ok(harness.getAuditEvents().some(event => event.action === 'run' && event.outcome === AUDIT_OUTCOME.REJECTED));
+        assert.equal(dispatch.sent.length, 2);
+        assert.equal(rearmed.length, 0);
+    });
+
+    it('does not re-arm runs that finish after shutdown', async () => {
+        const { timer } = await addSweep({ time: '06:00' });
+        const sweep = getSweeps(guild.id).at(-1);
+        const command = client.commands.get('schedule');
+        dispatch.sent.length = 0;
+        const release = holdPosts();
+
+        const setTimeoutMock = mock.method(global, 'setTimeout', () => 0);
+        timer[0]();
+        command.cleanup();
+        release();
+        await waitForPosts(2);
+        await new Promise(resolve => setImmediate(resolve));
+        const rearmed = rearmedTimers(setTimeoutMock, sweep);
+
+        // Starting up again resumes it
+        await command.initialize(client);
+        const resumed = rearmedTimers(setTimeoutMock, sweep);
+        setTimeoutMock.mock.restore();
+        await schedule(admin, 'remove', { id: sweep.id });
+
+        assert.equal(rearmed.length, 0);
+        assert.equal(resumed.length, 1);
+    });
+
+    it('catches up on a run missed while the bot was offline', async () => {
+        // Due five minutes ago, created before that and never run
+        const due = new Date(Date.now() - 5 * 60 * 1000);
+        const time = `${String(due.getUTCHours()).padStart(2, '0')}:${String(due.getUTCMinutes()).padStart(2, '0')}`;
+        const { timer } = await addSweep({ time });
+        const missed = getSweeps(guild.id).at(-1);
+        getDb().prepare('UPDATE scheduled_sweeps SET created_at = ? WHERE id = ?').run(new Date(Date.now() - 60 * 60 * 1000).toISOString(), missed.id);
+        assert.ok(timer[1] > 23 * 60 * 60 * 1000);
+        dispatch.sent.length = 0;
+
+        const setTimeoutMock = mock.method(global, 'setTimeout', () => 0);
+        await client.commands.get('schedule').initialize(client);
+        await waitForPosts(2);
+        setTimeoutMock.mock.restore();
+
+        assert.deepEqual(dispatch.sent.map(message => message.embeds[0].toJSON().footer.text), [
+            `Scheduled sweep #${missed.id}`,
+            `Scheduled sweep #${missed.id}`
+        ]);
+    });
+
+    it('removes sweeps, and drops them with their list', async () => {
+        const [first, second] = getSweeps(guild.id);
+
+        const removed = await schedule(admin, 'remove', { id: first.id });
+        const missing = await schedule(admin, 'remove', { id: first.id });
+
+        assert.equal(harness.lastReply(removed).content, `🗑️ Removed sweep #${first.id} of **Patrol**.`);
+        assert.equal(harness.lastReply(missing).content, `❌ No scheduled sweep #${first.id}. See \`/schedule list\`.`);
+        assert.deepEqual(getSweeps(guild.id).map(sweep => sweep.id), [second.id]);
+
+        await harness.runCommand({ client, member: operator, commandName: 'list', subcommand: 'delete', options: { name: 'Patrol' } });
+        assert.deepEqual(getSweeps(guild.id), []);
+    });
+});
@@ -0,0 +1,107 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const harness = require('../harness');
+const storage = require('../../utils/storage');
+const { AUDIT_OUTCOME } = require('../../utils/audit');
+const { getWatchReports } = require('../../utils/watch-reports');
+
+harness.useTestEnvironment({
+    users: [
+        { id: 401, name: 'FirstSuspect' },
+        { id: 402, name: 'SecondSuspect' },
+        { id: 403, name: 'RenamedSuspect', previousUsernames: ['OldAlias'] }
+    ]
+});
+
+describe('/stopwatch', () => {
+    let guild, client, owner, other, admin;
+
+    before(async () => {
+        guild = harness.createFakeGuild();
+        owner = harness.createFakeMember(guild, { roles: ['operator'] });
+        other = harness.createFakeMember(guild, { roles: ['operator'] });
+        admin = harness.createFakeMember(guild, { roles: ['admin'] });
+        client = harness.createFakeClient({ guilds: [guild] });
+
+        for (const username of ['FirstSuspect', 'SecondSuspect', 'RenamedSuspect']) {
+            await harness.runCommand({ client, member: owner, commandName: 'watch', subcommand: 'start', options: { username, hours: 4 } });
+        }
+    });
+
+    function stopwatch(member, username) {
+        return harness.runCommand({ client, member, commandName: 'stopwatch', options: { username } });
+    }
+
+    // This guild's watches, keyed by Roblox user ID
+    function activeWatches() {
+        return new Map(client.commands.get('watch').getGuildWatches(guild.id).map(watch => [watch.robloxUserId, watch]));
+    }
+
+    it('ignores officers without the watch permission', async () => {
+        const swat = harness.createFakeMember(guild, { roles: ['swat'] });
+
+        const interaction = await stopwatch(swat, 'FirstSuspect');
+
+        assert.equal(interaction.replies.length, 0);
+        assert.equal(activeWatches().has(401), true);
+    });
+
+    it('only lets the owner or an admin stop a watch', async () => {
+        const interaction = await stopwatch(other, 'FirstSuspect');
+
+        assert.equal(harness.lastReply(interaction).content, `⚠️ Only **${owner.user.tag}** or administrators can stop this watch.`);
+        assert.equal(activeWatches().has(401), true);
+        const [event] = harness.getAuditEvents();
+        assert.equal(event.outcome, AUDIT_OUTCOME.DENIED);
+        assert.equal(event.details, `watch owned by ${owner.user.tag}`);
+    });
+
+    it('stops the owner\'s watch', async () => {
+        const interaction = await stopwatch(owner, 'firstsuspect');
+
+        const embed = harness.lastEmbed(interaction);
+        assert.equal(embed.title, '🛑 Watch Stopped');
+        assert.equal(embed.description, 'Stopped monitoring **FirstSuspect**');
+        assert.equal(embed.footer.text, `Stopped by ${owner.user.tag}`);
+        assert.equal(activeWatches().has(401), false);
+        assert.equal(storage.getWatches().some(saved => saved.robloxUserId === 401), false);
+
+        const report = harness.lastReply(interaction).embeds[1].toJSON();
+        assert.equal(report.title, '📄 Watch Report: FirstSuspect');
+        assert.match(report.description, new RegExp(`^The watch was stopped by ${owner.user.tag} after 0h 0m$`));
+        assert.equal(getWatchReports(guild.id, 401).length, 1);
+    });
+
+    it('lets an admin stop anyone\'s watch', async () => {
+        await stopwatch(admin, 'SecondSuspect');
+
+        assert.equal(activeWatches().has(402), false);
+        assert.equal(harness.getAuditEvents()[0].outcome, AUDIT_OUTCOME.SUCCESS);
+    });
+
+    it('finds a watch by a former username', async () => {
+        await stopwatch(owner, 'OldAlias');
+
+        assert.equal(activeWatches().has(403), false);
+    });
+
+    it('reports names that aren\'t watched', async () => {
+        const interaction = await stopwatch(owner, 'FirstSuspect');
+
+        // Deferred before the name is looked up on Roblox
+        assert.deepEqual(interaction.replies[0], { method: 'deferReply', payload: { ephemeral: true } });
+        assert.equal(harness.lastReply(interaction).content, '❌ **FirstSuspect** is not currently being watched.');
+        assert.equal(harness.getAuditEvents()[0].outcome, AUDIT_OUTCOME.NOT_FOUND);
+    });
+
+    it('suggests only the officer\'s own watches unless they are an admin', async () => {
+        await harness.runCommand({ client, member: owner, commandName: 'watch', subcommand: 'start', options: { username: 'FirstSuspect', hours: 1 } });
+
+        const forOther = await harness.runAutocomplete({ client, member: other, commandName: 'stopwatch', focused: 'username', options: { username: '' } });
+        const forAdmin = await harness.runAutocomplete({ client, member: admin, commandName: 'stopwatch', focused: 'username', options: { username: '' } });
+
+        assert.deepEqual(forOther.choices, []);
+        assert.deepEqual(forAdmin.choices.map(choice => choice.value), ['FirstSuspect']);
+    });
+});
@@ -0,0 +1,128 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const harness = require('../harness');
+const { AUDIT_OUTCOME } = require('../../utils/audit');
+const { getWarrant, WARRANT_STATUS } = require('../../utils/warrants');
+
+const env = harness.useTestEnvironment({
+    users: [
+        { id: 601, name: 'WantedSuspect' },
+        { id: 602, name: 'WatchedSuspect' },
+        { id: 603, name: 'PardonedSuspect' }
+    ]
+});
+
+describe('/warrant', () => {
+    let guild, client, operator, swat, wantedId;
+
+    before(() => {
+        guild = harness.createFakeGuild();
+        operator = harness.createFakeMember(guild, { roles: ['operator'] });
+        swat = harness.createFakeMember(guild, { roles: ['swat'] });
+        client = harness.createFakeClient({ guilds: [guild] });
+    });
+
+    function warrant(member, subcommand, options) {
+        return harness.runCommand({ client, member, commandName: 'warrant', subcommand, options });
+    }
+
+    // Issue a warrant and return its ID
+    async function issue(username, charges = 'Evading arrest') {
+        const interaction = await warrant(operator, 'issue', { username, charges });
+        return Number(/#(\d+)/.exec(harness.lastEmbed(interaction).title)[1]);
+    }
+
+    it('ignores officers without the warrant permission', async () => {
+        const interaction = await warrant(swat, 'issue', { username: 'WantedSuspect', charges: 'Theft' });
+
+        assert.equal(interaction.replies.length, 0);
+        const [event] = harness.getAuditEvents();
+        assert.equal(event.outcome, AUDIT_OUTCOME.DENIED);
+        assert.equal(event.targetUsername, 'WantedSuspect');
+    });
+
+    it('issues a warrant against the resolved account', async () => {
+        const interaction = await warrant(operator, 'issue', { username: 'WantedSuspect', charges: 'Bank robbery', days: 3 });
+
+        const embed = harness.lastEmbed(interaction);
+        assert.match(embed.title, /^📜 Warrant #\d+ Issued$/);
+        assert.equal(embed.description, 'Subject: **WantedSuspect** (ID: `601`)');
+        assert.equal(harness.findField(embed, 'Charges').value, 'Bank robbery');
+        assert.equal(harness.findField(embed, 'Status').value, '🔴 ACTIVE');
+        assert.equal(harness.findField(embed, 'Issued By').value, operator.user.tag);
+        wantedId = Number(/#(\d+)/.exec(embed.title)[1]);
+    });
+
+    it('refuses a second active warrant for the same suspect', async () => {
+        const interaction = await warrant(operator, 'issue', { username: 'wantedsuspect', charges: 'Again' });
+
+        assert.match(harness.lastReply(interaction).content, /already has an active warrant/);
+        assert.equal(harness.getAuditEvents()[0].outcome, AUDIT_OUTCOME.REJECTED);
+    });
+
+    it('reports unknown users', async () => {
+        const interaction = await warrant(operator, 'issue', { username: 'NobodyHere', charges: 'Theft' });
+
+        assert.equal(harness.lastReply(interaction).content, '❌ Could not find user **NobodyHere** on Roblox.');
+    });
+
+    it('reports username rate limits', async () => {
+        env.mock.script('POST /v1/usernames/users', { status: 429, headers: { 'retry-after': '0' } });
+
+        const interaction = await warrant(operator, 'issue', { username: 'SomeoneNew', charges: 'Theft' });
+
+        assert.match(harness.lastReply(interaction).content, /^⏳ Roblox API is rate limited/);
+        assert.equal(harness.getAuditEvents()[0].outcome, AUDIT_OUTCOME.RATE_LIMITED);
+    });
+
+    it('serves a warrant and stops the watch on its subject', async () => {
+        const id = await issue('WatchedSuspect');
+        await harness.runCommand({ client, member: operator, commandName: 'watch', subcommand: 'start', options: { username: 'WatchedSuspect', hours: 2 } });
+
+        const interaction = await warrant(operator, 'serve', { id, notes: 'Arrested at the bank' });
+
+        const embed = harness.lastEmbed(interaction);
+        assert.equal(embed.title, `🚔 Warrant #${id} Served`);
+        assert.match(harness.findField(embed, 'Served').value, /Note: Arrested at the bank/);
+        assert.equal(harness.findField(embed, 'Watch Stopped').value, 'Monitoring of **WatchedSuspect** has ended');
+        assert.equal(client.commands.get('watch').findWatch(guild.id, 602), null);
+        assert.equal(getWarrant(id).status, WARRANT_STATUS.SERVED);
+    });
+
+    it('revokes a warrant once', async () => {
+        const id = await issue('PardonedSuspect');
+
+        const first = await warrant(operator, 'revoke', { id, reason: 'Wrong suspect' });
+        const second = await warrant(operator, 'revoke', { id });
+
+        assert.equal(harness.lastEmbed(first).title, `🗑️ Warrant #${id} Revoked`);
+        assert.equal(harness.lastReply(second).content, `⚠️ Warrant #${id} is already revoked.`);
+    });
+
+    it('does not reach warrants from another guild', async () => {
+        const otherGuild = harness.createFakeGuild({ id: '800000000000000002' });
+        const outsider = harness.createFakeMember(otherGuild, { roles: ['operator'] });
+        const otherClient = harness.createFakeClient({ guilds: [guild, otherGuild] });
+
+        const interaction = await harness.runCommand({ client: otherClient, member: outsider, commandName: 'warrant', subcommand: 'revoke', options: { id: wantedId } });
+
+        assert.equal(harness.lastReply(interaction).content, `❌ Warrant #${wantedId} not found.`);
+        assert.equal(getWarrant(wantedId).status, WARRANT_STATUS.ACTIVE);
+    });
+
+    it('lists warrants by status', async () => {
+        const interaction = await warrant(operator, 'list', { status: 'all' });
+
+        const embed = harness.lastEmbed(interaction);
+        assert.equal(embed.description, 'Showing 3 warrant(s)');
+        assert.deepEqual(embed.fields.map(field => field.name.split(' • ')[1]).sort(), ['PardonedSuspect', 'WantedSuspect', 'WatchedSuspect']);
+    });
+
+    it('serves from the button on a check report', async () => {
+        const interaction = await harness.clickButton({ client, member: operator, customId: `warrant:serve:${guild.id}:${wantedId}` });
+
+        assert.equal(harness.lastEmbed(interaction).title, `🚔 Warrant #${wantedId} Served`);
+        assert.equal(getWarrant(wantedId).closedBy, operator.user.tag);
+    });
+});
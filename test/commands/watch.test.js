@@ -0,0 +1,308 @@
+const { describe, it, before, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const harness = require('../harness');
+const storage = require('../../utils/storage');
+const { AUDIT_OUTCOME } = require('../../utils/audit');
+const { buildSessions } = require('../../utils/history');
+
+const PLACE_ID = 606849621;
+
+const env = harness.useTestEnvironment({
+    users: [
+        { id: 301, name: 'QuietSuspect' },
+        { id: 302, name: 'SharedSuspect', previousUsernames: ['SharedAlias'] },
+        { id: 303, name: 'WakingSuspect' },
+        { id: 304, name: 'RenamingSuspect' },
+        { id: 305, name: 'ButtonSuspect' },
+        { id: 306, name: 'ExtendedSuspect' },
+        { id: 307, name: 'HandedSuspect' },
+        { id: 308, name: 'ReportedSuspect' },
+        { id: 309, name: 'GapSuspect' }
+    ]
+});
+
+describe('/watch', () => {
+    let guild, client, operator, colleague;
+
+    before(() => {
+        guild = harness.createFakeGuild();
+        operator = harness.createFakeMember(guild, { roles: ['operator'] });
+        colleague = harness.createFakeMember(guild, { roles: ['operator'] });
+        client = harness.createFakeClient({ guilds: [guild] });
+    });
+
+    function watch(member, subcommand, options) {
+        return harness.runCommand({ client, member, commandName: 'watch', subcommand, options });
+    }
+
+    // This guild's watches, keyed by Roblox user ID
+    function activeWatches() {
+        return new Map(client.commands.get('watch').getGuildWatches(guild.id).map(watch => [watch.robloxUserId, watch]));
+    }
+
+    it('ignores officers without the watch permission', async () => {
+        const swat = harness.createFakeMember(guild, { roles: ['swat'] });
+
+        const interaction = await watch(swat, 'start', { username: 'QuietSuspect', hours: 2 });
+
+        assert.equal(interaction.replies.length, 0);
+        assert.equal(activeWatches().has(301), false);
+        assert.equal(harness.getAuditEvents()[0].outcome, AUDIT_OUTCOME.DENIED);
+    });
+
+    it('starts and persists a watch', async () => {
+        const interaction = await watch(operator, 'start', { username: 'quietsuspect', hours: 2 });
+
+        assert.equal(interaction.ephemeral, true);
+        const embed = harness.lastEmbed(interaction);
+        assert.equal(embed.title, '👁️ Watch Started');
+        assert.equal(embed.description, 'Now monitoring **QuietSuspect** for 2 hour(s)');
+        assert.equal(harness.findField(embed, 'Current Status').value, 'Offline');
+
+        const watchData = activeWatches().get(301);
+        assert.equal(watchData.startedById, operator.id);
+        assert.equal(watchData.guildId, guild.id);
+        assert.ok(storage.getWatches().some(saved => saved.robloxUserId === 301));
+
+        const [event] = harness.getAuditEvents();
+        assert.equal(event.action, 'start');
+        assert.equal(event.outcome, AUDIT_OUTCOME.SUCCESS);
+        assert.equal(event.details, '2h');
+    });
+
+    it('reports unknown users', async () => {
+        const interaction = await watch(operator, 'start', { username: 'NobodyHere', hours: 1 });
+
+        assert.equal(harness.lastReply(interaction).content, '❌ Could not find user **NobodyHere** on Roblox.');
+        assert.equal(harness.getAuditEvents()[0].outcome, AUDIT_OUTCOME.NOT_FOUND);
+    });
+
+    it('refuses our-game-only watches without tracked games', async () => {
+        const interaction = await watch(operator, 'start', { username: 'SharedSuspect', hours: 1, 'our-game-only': true });
+
+        assert.match(harness.lastReply(interaction).content, /no tracked games yet/);
+        assert.equal(activeWatches().has(302), false);
+    });
+
+    it('joins an existing watch instead of starting another, even by a former name', async () => {
+        await watch(operator, 'start', { username: 'SharedSuspect', hours: 3 });
+
+        const interaction = await watch(colleague, 'start', { username: 'SharedAlias', hours: 1 });
+
+        assert.match(harness.lastReply(interaction).content, /^✅ Joined the watch on \*\*SharedSuspect\*\*/);
+        assert.deepEqual(activeWatches().get(302).subscriberIds, [colleague.id]);
+        assert.deepEqual(storage.getSubscribers(guild.id, 302), [colleague.id]);
+    });
+
+    it('offers subscribable watches in autocomplete', async () => {
+        const other = harness.createFakeMember(guild, { roles: ['operator'] });
+
+        const interaction = await harness.runAutocomplete({
+            client, member: other, commandName: 'watch', subcommand: 'subscribe', focused: 'username', options: { username: 'suspect' }
+        });
+
+        assert.deepEqual(interaction.choices.map(choice => choice.value).sort(), ['QuietSuspect', 'SharedSuspect']);
+    });
+
+    it('lets a subscriber leave the watch', async () => {
+        const interaction = await watch(colleague, 'unsubscribe', { username: 'SharedSuspect' });
+
+        assert.equal(harness.lastReply(interaction).content, '🔕 You\'ll no longer receive alerts for **SharedSuspect**.');
+        assert.deepEqual(activeWatches().get(302).subscriberIds, []);
+        assert.deepEqual(storage.getSubscribers(guild.id, 302), []);
+    });
+
+    it('points the starter at /stopwatch instead of unsubscribing', async () => {
+        const interaction = await watch(operator, 'unsubscribe', { username: 'SharedSuspect' });
+
+        assert.match(harness.lastReply(interaction).content, /use `\/stopwatch` to end it/);
+    });
+
+    it('DMs the starter and subscribers when the suspect comes online', async () => {
+        await watch(operator, 'start', { username: 'WakingSuspect', hours: 1 });
+        await watch(colleague, 'subscribe', { username: 'WakingSuspect' });
+
+        env.mock.state.presences.set(303, { userId: 303, userPresenceType: 2, lastLocation: 'Jailbreak', placeId: PLACE_ID, rootPlaceId: PLACE_ID, gameId: 'server-1' });
+        operator.user.sent.length = 0;
+        await env.tickPoller();
+
+        for (const officer of [operator, colleague]) {
+            const alert = officer.user.sent.find(message => message.embeds?.[0].toJSON().description.includes('WakingSuspect'));
+            assert.ok(alert, `${officer.user.tag} was not alerted`);
+            const embed = alert.embeds[0].toJSON();
+            assert.equal(embed.title, '🚨 WATCH ALERT: Suspect Online!');
+            assert.equal(harness.findField(embed, 'Activity').value, 'Jailbreak');
+            assert.ok(harness.findField(embed, 'Direct Join'));
+        }
+        assert.equal(activeWatches().get(303).wasOnline, true);
+    });
+
+    it('shows the former name when a suspect renames mid-watch', async () => {
+        await watch(operator, 'start', { username: 'RenamingSuspect', hours: 1 });
+
+        env.mock.state.users.find(user => user.id === 304).name = 'FreshName';
+        env.mock.state.presences.set(304, { userId: 304, userPresenceType: 1, lastLocation: 'Website' });
+        await env.tickPoller();
+
+        const alert = operator.user.sent.find(message => message.embeds?.[0].toJSON().description.includes('FreshName'));
+        assert.equal(harness.findField(alert.embeds[0].toJSON(), 'Formerly Known As').value, 'RenamingSuspect');
+        assert.equal(client.commands.get('watch').findWatch(guild.id, 'RenamingSuspect').username, 'FreshName');
+    });
+
+    it('starts a quick watch from a button clicked in DMs', async () => {
+        const interaction = await harness.clickButton({
+            client,
+            user: operator.user,
+            customId: `watch:start:${guild.id}:ButtonSuspect:1`
+        });
+
+        assert.equal(harness.lastEmbed(interaction).title, '👁️ Watch Started');
+        assert.equal(activeWatches().get(305).guildId, guild.id);
+    });
+
+    it('extends a watch up to the maximum duration', async () => {
+        await watch(operator, 'start', { username: 'ExtendedSuspect', hours: 2 });
+        const before = new Date(activeWatches().get(306).endTime).getTime();
+
+        const interaction = await watch(operator, 'extend', { username: 'ExtendedSuspect', hours: 3 });
+
+        assert.match(harness.lastReply(interaction).content, /^⏳ Extended the watch on \*\*ExtendedSuspect\*\* - it now ends <t:\d+:R>\.$/);
+        const extended = new Date(activeWatches().get(306).endTime).getTime();
+        assert.equal(extended - before, 3 * 60 * 60 * 1000);
+        assert.equal(storage.getWatches().find(stored => stored.robloxUserId === 306).endTime, activeWatches().get(306).endTime);
+
+        const capped = await watch(operator, 'extend', { username: 'ExtendedSuspect', hours: 24 });
+        assert.match(harness.lastReply(capped).content, /Capped at 24 hours from now/);
+    });
+
+    it('only lets the starter or an admin change a watch', async () => {
+        const interaction = await watch(colleague, 'extend', { username: 'ExtendedSuspect', hours: 1 });
+
+        assert.equal(harness.lastReply(interaction).content, `⚠️ Only **${operator.user.tag}** or administrators can extend this watch.`);
+        assert.equal(harness.getAuditEvents()[0].outcome, AUDIT_OUTCOME.DENIED);
+    });
+
+    it('defers before looking up a name it has no watch for', async () => {
+        const lookups = env.mock.requestsTo('POST /v1/usernames/users').length;
+
+        const subscribe = await watch(colleague, 'subscribe', { username: 'NeverWatched' });
+        const extend = await watch(operator, 'extend', { username: 'AlsoNeverWatched', hours: 1 });
+
+        for (const interaction of [subscribe, extend]) {
+            assert.deepEqual(interaction.replies[0], { method: 'deferReply', payload: { ephemeral: true } });
+            assert.ok(interaction.ephemeral);
+        }
+        assert.equal(harness.lastReply(subscribe).content, '❌ No active watch found for **NeverWatched**. Start one with `/watch start`.');
+        assert.equal(harness.lastReply(extend).content, '❌ No active watch found for **AlsoNeverWatched**.');
+        assert.ok(env.mock.requestsTo('POST /v1/usernames/users').length > lookups);
+    });
+
+    it('edits the duration and alert kinds of a running watch', async () => {
+        const interaction = await watch(operator, 'edit', { username: 'ExtendedSuspect', hours: 1, alerts: 'game' });
+
+        assert.match(harness.lastReply(interaction).content, /^✏️ Updated the watch on \*\*ExtendedSuspect\*\*\.\n\*\*Ends:\*\* <t:\d+:R>\n\*\*Alerts:\*\* /);
+        const watchData = activeWatches().get(306);
+        assert.ok(Math.abs(new Date(watchData.endTime).getTime() - (Date.now() + 60 * 60 * 1000)) < 5000);
+        assert.deepEqual(storage.getWatches().find(stored => stored.robloxUserId === 306).alertKinds, watchData.alertKinds);
+    });
+
+    it('warns the starter before the watch ends and extends it from the DM', async () => {
+        const setTimeoutMock = mock.method(global, 'setTimeout', () => 0);
+        await watch(operator, 'edit', { username: 'ExtendedSuspect', hours: 1 });
+        const [warning] = setTimeoutMock.mock.calls.map(call => call.arguments);
+        setTimeoutMock.mock.restore();
+
+        // Due 15 minutes before the end
+        assert.ok(Math.abs(warning[1] - 45 * 60 * 1000) < 5000);
+        await warning[0]();
+        await new Promise(resolve => setImmediate(resolve));
+
+        const dm = operator.user.sent.find(message => message.embeds?.[0].toJSON().title === '⏰ Watch Ending Soon');
+        assert.match(dm.embeds[0].toJSON().description, /^Your watch on \*\*ExtendedSuspect\*\* ends in 6\d minute\(s\)$/);
+        const extendButton = dm.components[0].toJSON().components[0];
+        assert.equal(extendButton.custom_id, `watch:extend:${guild.id}:306:1`);
+
+        const before = new Date(activeWatches().get(306).endTime).getTime();
+        const interaction = await harness.clickButton({ client, user: operator.user, customId: extendButton.custom_id });
+
+        assert.match(harness.lastReply(interaction).content, /^⏳ Extended the watch on \*\*ExtendedSuspect\*\*/);
+        assert.equal(new Date(activeWatches().get(306).endTime).getTime() - before, 60 * 60 * 1000);
+    });
+
+    it('transfers a watch to another officer', async () => {
+        await watch(operator, 'start', { username: 'HandedSuspect', hours: 2 });
+        await watch(colleague, 'subscribe', { username: 'HandedSuspect' });
+        const civilian = harness.createFakeMember(guild, { roles: ['civilian'] });
+
+        const refused = await watch(operator, 'transfer', { username: 'HandedSuspect', officer: civilian.user });
+        assert.equal(harness.lastReply(refused).content, `⚠️ **${civilian.user.tag}** can't run watches in this server.`);
+
+        const interaction = await watch(operator, 'transfer', { username: 'HandedSuspect', officer: colleague.user });
+
+        assert.equal(harness.lastReply(interaction).content, `📨 Transferred the watch on **HandedSuspect** from ${operator.user.tag} to ${colleague.user.tag}.`);
+        const watchData = activeWatches().get(307);
+        assert.equal(watchData.startedById, colleague.id);
+        assert.deepEqual(watchData.subscriberIds, []);
+        assert.equal(storage.getWatches().find(stored => stored.robloxUserId === 307).startedById, colleague.id);
+        assert.match(colleague.user.sent.at(-1).content, /handed you the watch on \*\*HandedSuspect\*\*/);
+    });
+
+    it('reports on a watch when it expires and archives the report', async () => {
+        await watch(operator, 'start', { username: 'ReportedSuspect', hours: 1 });
+
+        env.mock.state.presences.set(308, { userId: 308, userPresenceType: 2, lastLocation: 'Jailbreak', placeId: PLACE_ID, rootPlaceId: PLACE_ID, gameId: 'server-9' });
+        await env.tickPoller();
+        env.mock.state.presences.set(308, { userId: 308, userPresenceType: 0, lastLocation: '' });
+        await env.tickPoller();
+
+        activeWatches().get(308).endTime = new Date(Date.now() - 1000).toISOString();
+        await env.tickPoller();
+        await new Promise(resolve => setImmediate(resolve));
+
+        assert.equal(activeWatches().has(308), false);
+        const dm = operator.user.sent.find(message => message.embeds?.[0].toJSON().title === '📄 Watch Report: ReportedSuspect');
+        const report = dm.embeds[0].toJSON();
+        assert.equal(report.description, 'The watch expired after 0h 0m');
+        assert.equal(harness.findField(report, 'Sessions').value, '1');
+        assert.equal(harness.findField(report, 'Alerts Sent').value, '1');
+        assert.equal(harness.findField(report, 'Games Visited').value, 'Jailbreak');
+        assert.equal(harness.findField(report, 'Check Failures').value, '0');
+
+        const interaction = await watch(operator, 'report', { username: 'reportedsuspect' });
+
+        assert.equal(harness.lastEmbed(interaction).footer.text, report.footer.text);
+    });
+
+    it('finds archived reports under a suspect\'s new name through Roblox', async () => {
+        env.mock.state.users.find(user => user.id === 308).name = 'RenamedReportSuspect';
+        const lookups = env.mock.requestsTo('POST /v1/usernames/users').length;
+
+        const interaction = await watch(operator, 'report', { username: 'RenamedReportSuspect' });
+        const missing = await watch(operator, 'report', { username: 'NeverReported' });
+
+        assert.ok(env.mock.requestsTo('POST /v1/usernames/users').length > lookups);
+        for (const reply of [interaction, missing]) {
+            assert.deepEqual(reply.replies[0], { method: 'deferReply', payload: { ephemeral: true } });
+            assert.ok(reply.ephemeral);
+        }
+        assert.equal(harness.lastEmbed(interaction).title, '📄 Watch Report: ReportedSuspect');
+        assert.equal(harness.lastReply(missing).content, '📄 No watch reports found for **NeverReported**.');
+    });
+
+    it('closes the history session when a watch stops, not when the next one starts', async () => {
+        env.mock.state.presences.set(309, { userId: 309, userPresenceType: 1, lastLocation: 'Website' });
+        await watch(operator, 'start', { username: 'GapSuspect', hours: 1 });
+        await harness.runCommand({ client, member: operator, commandName: 'stopwatch', options: { username: 'GapSuspect' } });
+
+        // Offline by the time the next watch starts
+        env.mock.state.presences.set(309, { userId: 309, userPresenceType: 0, lastLocation: '' });
+        await watch(operator, 'start', { username: 'GapSuspect', hours: 1 });
+
+        const transitions = storage.getTransitions(guild.id, 309);
+        assert.deepEqual(transitions.map(transition => transition.unobserved), [false, true, false]);
+        const [session] = buildSessions(transitions);
+        assert.equal(session.end.toISOString(), transitions[1].observedAt);
+        assert.equal(session.unobservedEnd, true);
+    });
+});
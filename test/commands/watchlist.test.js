@@ -0,0 +1,93 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const harness = require('../harness');
+const { AUDIT_OUTCOME } = require('../../utils/audit');
+
+harness.useTestEnvironment({
+    users: [
+        { id: 501, name: 'ListedSuspect' },
+        { id: 502, name: 'OtherSuspect' }
+    ]
+});
+
+describe('/watchlist', () => {
+    let guild, client, operator, admin;
+
+    before(() => {
+        guild = harness.createFakeGuild();
+        operator = harness.createFakeMember(guild, { roles: ['operator'] });
+        admin = harness.createFakeMember(guild, { roles: ['admin'] });
+        client = harness.createFakeClient({ guilds: [guild] });
+    });
+
+    function watchlist(member, action) {
+        return harness.runCommand({ client, member, commandName: 'watchlist', options: { action } });
+    }
+
+    it('ignores officers without the watch permission', async () => {
+        const swat = harness.createFakeMember(guild, { roles: ['swat'] });
+
+        const interaction = await watchlist(swat);
+
+        assert.equal(interaction.replies.length, 0);
+    });
+
+    it('shows an empty list', async () => {
+        const interaction = await watchlist(operator);
+
+        const embed = harness.lastEmbed(interaction);
+        assert.equal(embed.description, 'No active watches currently running.');
+        assert.equal(embed.footer.text, '0/50 slots used');
+    });
+
+    it('lists active watches with their subscribers', async () => {
+        await harness.runCommand({ client, member: operator, commandName: 'watch', subcommand: 'start', options: { username: 'ListedSuspect', hours: 2 } });
+        await harness.runCommand({ client, member: admin, commandName: 'watch', subcommand: 'subscribe', options: { username: 'ListedSuspect' } });
+
+        const interaction = await watchlist(operator, 'view');
+
+        const embed = harness.lastEmbed(interaction);
+        assert.equal(embed.description, 'Currently monitoring 1 user(s)');
+        const field = harness.findField(embed, 'ListedSuspect');
+        assert.equal(field.name, '⚫ ListedSuspect');
+        assert.match(field.value, new RegExp(`^Started by: ${operator.user.tag} \\(\\+1 subscribed\\)`));
+    });
+
+    it('only lets admins clear every watch', async () => {
+        const interaction = await watchlist(operator, 'clear');
+
+        assert.equal(harness.lastReply(interaction).content, '⚠️ Only administrators can clear all watches.');
+        assert.equal(client.commands.get('watch').getGuildWatches(guild.id).length, 1);
+        assert.equal(harness.getAuditEvents()[0].outcome, AUDIT_OUTCOME.DENIED);
+    });
+
+    it('clears every watch for an admin', async () => {
+        await harness.runCommand({ client, member: operator, commandName: 'watch', subcommand: 'start', options: { username: 'OtherSuspect', hours: 2 } });
+
+        const interaction = await watchlist(admin, 'clear');
+
+        const embed = harness.lastEmbed(interaction);
+        assert.equal(embed.description, 'Successfully cleared 2 active watch(es)');
+        assert.equal(harness.findField(embed, 'Cleared Watches').value, 'ListedSuspect, OtherSuspect');
+        assert.equal(client.commands.get('watch').getGuildWatches(guild.id).length, 0);
+    });
+
+    it('keeps each server\'s watches to itself', async () => {
+        const otherGuild = harness.createFakeGuild({ id: '800000000000000002' });
+        const otherAdmin = harness.createFakeMember(otherGuild, { roles: ['admin'] });
+        client.guilds.cache.set(otherGuild.id, otherGuild);
+
+        await harness.runCommand({ client, member: operator, commandName: 'watch', subcommand: 'start', options: { username: 'ListedSuspect', hours: 2 } });
+        const started = await harness.runCommand({ client, member: otherAdmin, commandName: 'watch', subcommand: 'start', options: { username: 'ListedSuspect', hours: 1 } });
+        assert.equal(harness.lastEmbed(started).title, '👁️ Watch Started');
+
+        const cleared = await watchlist(otherAdmin, 'clear');
+
+        assert.equal(harness.lastEmbed(cleared).description, 'Successfully cleared 1 active watch(es)');
+        const watchCommand = client.commands.get('watch');
+        assert.equal(watchCommand.getGuildWatches(otherGuild.id).length, 0);
+        assert.equal(watchCommand.findWatch(guild.id, 'ListedSuspect').startedById, operator.id);
+        assert.equal(harness.lastEmbed(await watchlist(operator, 'view')).description, 'Currently monitoring 1 user(s)');
+    });
+});
@@ -0,0 +1,109 @@
+const { describe, it, before, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Read when the monitor loads
+process.env.ADMIN_ALERT_CHANNEL_ID = '700000000000000001';
+process.env.ADMIN_ALERT_ROLE_ID = '700000000000000002';
+
+const harness = require('./harness');
+const {
+    runCookieCheck,
+    startCookieMonitor,
+    stopCookieMonitor,
+    getCookieMonitorStatus,
+    COOKIE_STATE
+} = require('../utils/cookie-monitor');
+
+const env = harness.useTestEnvironment();
+
+describe('cookie monitor', () => {
+    let adminChannel, client;
+
+    before(() => {
+        adminChannel = harness.createFakeChannel({ id: process.env.ADMIN_ALERT_CHANNEL_ID, name: 'bot-admin' });
+        client = harness.createFakeClient({ guilds: [harness.createFakeGuild({ channels: [adminChannel] })] });
+    });
+
+    beforeEach(async () => {
+        stopCookieMonitor();
+        adminChannel.sent.length = 0;
+        env.mock.state.validCookie = harness.DEFAULT_COOKIE;
+        await env.roblox.checkCookieHealth();
+    });
+
+    function alertTitles() {
+        return adminChannel.sent.map(payload => payload.embeds[0].data.title);
+    }
+
+    it('stays quiet while the cookie is healthy', async () => {
+        const result = await runCookieCheck(client);
+
+        assert.deepEqual(result, { healthy: true, state: COOKIE_STATE.HEALTHY, changed: false });
+        assert.equal(adminChannel.sent.length, 0);
+    });
+
+    it('alerts once when the cookie expires and again when it recovers', async () => {
+        await runCookieCheck(client);
+
+        env.mock.state.validCookie = 'revoked';
+        assert.equal((await runCookieCheck(client)).changed, true);
+        assert.equal((await runCookieCheck(client)).changed, false);
+
+        env.mock.state.validCookie = harness.DEFAULT_COOKIE;
+        assert.equal((await runCookieCheck(client)).changed, true);
+
+        assert.deepEqual(alertTitles(), ['🔴 Roblox Cookie Expired', '✅ Roblox Cookie Recovered']);
+        const [expired] = adminChannel.sent;
+        assert.equal(expired.content, `<@&${process.env.ADMIN_ALERT_ROLE_ID}>`);
+        assert.deepEqual(expired.allowedMentions.roles, [process.env.ADMIN_ALERT_ROLE_ID]);
+    });
+
+    it('announces an expired cookie found by the first check', async () => {
+        env.mock.state.validCookie = 'revoked';
+
+        const result = await runCookieCheck(client);
+
+        assert.equal(result.state, COOKIE_STATE.EXPIRED);
+        assert.deepEqual(alertTitles(), ['🔴 Roblox Cookie Expired']);
+    });
+
+    it('alerts when repeated failures flag the cookie for maintenance', async () => {
+        await runCookieCheck(client);
+        env.mock.script('GET /v1/users/authenticated', { status: 500 }, { status: 500 }, { status: 500 });
+
+        await runCookieCheck(client);
+        await runCookieCheck(client);
+        assert.equal(adminChannel.sent.length, 0);
+
+        const result = await runCookieCheck(client);
+        assert.equal(result.state, COOKIE_STATE.DEGRADED);
+        assert.deepEqual(alertTitles(), ['⚠️ Roblox Cookie Needs Maintenance']);
+    });
+
+    it('picks up an expiry noticed by a presence request on the next check', async () => {
+        await runCookieCheck(client);
+        env.mock.state.validCookie = 'revoked';
+        await env.roblox.checkRobloxStatus(1);
+        assert.equal(env.roblox.getCookieStatus().status, 'expired');
+
+        await runCookieCheck(client);
+
+        assert.deepEqual(alertTitles(), ['🔴 Roblox Cookie Expired']);
+    });
+
+    it('runs the first check on start and reports its schedule', async () => {
+        env.mock.state.validCookie = 'revoked';
+
+        await startCookieMonitor(client);
+
+        const status = getCookieMonitorStatus();
+        assert.equal(status.running, true);
+        assert.equal(status.intervalMinutes, 30);
+        assert.equal(status.state, COOKIE_STATE.EXPIRED);
+        assert.ok(status.lastCheckAt instanceof Date);
+        assert.equal(adminChannel.sent.length, 1);
+
+        stopCookieMonitor();
+        assert.equal(getCookieMonitorStatus().running, false);
+    });
+});
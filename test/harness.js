@@ -0,0 +1,499 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { before, after, mock: testMock } = require('node:test');
+const { Collection, ChannelType, PermissionsBitField, Status } = require('discord.js');
+
+/**
+ * Command test harness
+ * Gives each test file its own database and mock Roblox server, and builds fake
+ * Discord clients, guilds, members and interactions that record every reply.
+ *
+ * Require this before any command or util module - storage reads DATA_DIR on load.
+ */
+
+process.env.DATA_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'warrant-bot-test-'));
+delete process.env.ROBLOSECURITY_COOKIE;
+delete process.env.AUDIT_CHANNEL_ID;
+
+// Commands log every step - keep the test output readable (restored in the after hook)
+testMock.method(console, 'log', () => {});
+
+const storage = require('../utils/storage');
+const { RobloxClient, setDefaultClient } = require('../utils/roblox-api');
+const { queryAudit } = require('../utils/audit');
+const { createMockRobloxServer, DEFAULT_COOKIE } = require('./mock-roblox-server');
+
+const COMMANDS_DIR = path.join(__dirname, '..', 'commands');
+
+// Roles named after the default ROLE_PERMISSIONS table, plus one with no access
+const ROLES = {
+    admin: { id: '900000000000000001', name: '.' },
+    operator: { id: '900000000000000002', name: 'Senior Executive Operator' },
+    swat: { id: '900000000000000003', name: 'Special Weapons and Tactics' },
+    civilian: { id: '900000000000000004', name: 'Civilian' }
+};
+
+const GUILD_ID = '800000000000000001';
+
+let nextSnowflake = 100000000000000000n;
+function snowflake() {
+    nextSnowflake += 1n;
+    return nextSnowflake.toString();
+}
+
+let commands = null;
+
+/**
+ * Load every command module the way server.js does
+ * @returns {Collection} - Command name -> module
+ */
+function loadCommands() {
+    if (commands) return commands;
+
+    commands = new Collection();
+    for (const file of fs.readdirSync(COMMANDS_DIR).filter(name => name.endsWith('.js'))) {
+        const command = require(path.join(COMMANDS_DIR, file));
+        commands.set(command.data.name, command);
+    }
+    return commands;
+}
+
+// Message returned by replies and sends
+// Pagination attaches collectors to it; they are kept in `collectors` so tests can emit 'collect'
+function createFakeMessage(payload, collectors = []) {
+    return {
+        id: snowflake(),
+        ...payload,
+        createMessageComponentCollector() {
+            const collector = new EventEmitter();
+            collector.stop = () => collector.emit('end');
+            collectors.push(collector);
+            return collector;
+        }
+    };
+}
+
+/**
+ * @param {Object} options - id, username, dmsOpen (false makes send() throw like a closed DM)
+ */
+function createFakeUser({ id = snowflake(), username = `officer${id.slice(-4)}`, dmsOpen = true, bot = false } = {}) {
+    return {
+        id,
+        username,
+        tag: `${username}#0001`,
+        bot,
+        dmsOpen,
+        sent: [],
+        async send(payload) {
+            if (!this.dmsOpen) throw new Error('Cannot send messages to this user');
+            this.sent.push(payload);
+            return createFakeMessage(payload);
+        }
+    };
+}
+
+function createFakeChannel({ id = snowflake(), name = 'alerts', type = ChannelType.GuildText } = {}) {
+    return {
+        id,
+        name,
+        type,
+        sent: [],
+        isTextBased: () => type === ChannelType.GuildText,
+        async send(payload) {
+            this.sent.push(payload);
+            return createFakeMessage(payload);
+        }
+    };
+}
+
+/**
+ * A guild with the ROLES above and optional text channels
+ * @param {Object} options - id, channels (from createFakeChannel)
+ */
+function createFakeGuild({ id = GUILD_ID, channels = [] } = {}) {
+    const guild = {
+        id,
+        name: 'Test Department',
+        roles: { cache: new Collection(Object.values(ROLES).map(role => [role.id, { ...role }])) },
+        members: {
+            cache: new Collection(),
+            async fetch(userId) {
+                const member = this.cache.get(userId);
+                if (!member) throw new Error('Unknown Member');
+                return member;
+            }
+        },
+        channels: {
+            cache: new Collection(channels.map(channel => [channel.id, channel])),
+            async fetch(channelId) {
+                const channel = this.cache.get(channelId);
+                if (!channel) throw new Error('Unknown Channel');
+                return channel;
+            }
+        }
+    };
+    return guild;
+}
+
+/**
+ * Add a member with the given roles to a guild
+ * @param {Object} guild
+ * @param {Object} options - roles (keys of ROLES), user, permissions (PermissionFlagsBits)
+ */
+function createFakeMember(guild, { roles = [], user = createFakeUser(), permissions = [] } = {}) {
+    const member = {
+        id: user.id,
+        user,
+        guild,
+        roles: { cache: new Collection(roles.map(key => [ROLES[key].id, guild.roles.cache.get(ROLES[key].id)])) },
+        permissions: new PermissionsBitField(permissions)
+    };
+    guild.members.cache.set(member.id, member);
+    return member;
+}
+
+/**
+ * A client with every command loaded and the given guilds and users reachable
+ * @param {Object} options - guilds, users
+ */
+function createFakeClient({ guilds = [], users = [] } = {}) {
+    const client = {
+        user: createFakeUser({ username: 'WarrantBot', bot: true }),
+        commands: loadCommands(),
+        ws: { status: Status.Ready, ping: 42 },
+        guilds: {
+            cache: new Collection(guilds.map(guild => [guild.id, guild])),
+            async fetch(guildId) {
+                const guild = this.cache.get(guildId);
+                if (!guild) throw new Error('Unknown Guild');
+                return guild;
+            }
+        },
+        users: {
+            cache: new Collection(users.map(user => [user.id, user])),
+            async fetch(userId) {
+                const user = this.cache.get(userId);
+                if (!user) throw new Error('Unknown User');
+                return user;
+            }
+        },
+        channels: {
+            // Guild channels are reachable by ID, like the real cache
+            async fetch(channelId) {
+                for (const guild of client.guilds.cache.values()) {
+                    const channel = guild.channels.cache.get(channelId);
+                    if (channel) return channel;
+                }
+                throw new Error('Unknown Channel');
+            }
+        }
+    };
+
+    // Guild members are reachable as users too, like the real cache
+    for (const guild of guilds) {
+        for (const member of guild.members.cache.values()) {
+            client.users.cache.set(member.id, member.user);
+        }
+    }
+
+    return client;
+}
+
+function createOptions({ subcommand = null, values = {}, focused = null }) {
+    const get = name => (values[name] === undefined ? null : values[name]);
+
+    return {
+        getSubcommand(required = true) {
+            if (!subcommand && required) throw new Error('A subcommand was not selected.');
+            return subcommand;
+        },
+        getString: get,
+        getInteger: get,
+        getNumber: get,
+        getBoolean: get,
+        getUser: get,
+        getRole: get,
+        getChannel: get,
+        getAttachment: get,
+        getFocused(full = false) {
+            const value = get(focused) || '';
+            return full ? { name: focused, value } : value;
+        }
+    };
+}
+
+/**
+ * Build an interaction that records replies instead of calling Discord
+ * Replies land in interaction.replies as { method, payload }, collectors on its
+ * messages in interaction.collectors and autocomplete choices in interaction.choices.
+ * Reply state is enforced like discord.js, so replying twice throws.
+ * @param {Object} options
+ * @param {Object} options.client - From createFakeClient
+ * @param {Object} options.member - From createFakeMember (omit for a DM)
+ * @param {Object} options.user - Required for DMs, defaults to member.user
+ * @param {string} options.type - 'command', 'button', 'select', 'modal' or 'autocomplete'
+ * @param {string} options.commandName
+ * @param {string} options.subcommand
+ * @param {Object} options.options - Option name -> value
+ * @param {string} options.focused - Focused option name (autocomplete)
+ * @param {string} options.customId - Buttons, menus and modals
+ * @param {Object} options.fields - Text input ID -> value (modal submits)
+ */
+function createInteraction({ client, member = null, user = member?.user, type = 'command', commandName = null, subcommand = null, options = {}, focused = null, customId = null, fields = {} }) {
+    const interaction = {
+        id: snowflake(),
+        client,
+        type,
+        commandName,
+        customId,
+        guildId: member?.guild.id || null,
+        member,
+        user,
+        replied: false,
+        deferred: false,
+        ephemeral: null,
+        replies: [],
+        collectors: [],
+        choices: null,
+        modal: null,
+        options: createOptions({ subcommand, values: options, focused }),
+        fields: {
+            getTextInputValue(inputId) {
+                if (fields[inputId] === undefined) throw new Error(`No text input with the custom ID "${inputId}"`);
+                return fields[inputId];
+            }
+        },
+
+        // Resolved through the client cache like discord.js, so DM buttons pick up the guild once resolved
+        get guild() {
+            return this.guildId ? client.guilds.cache.get(this.guildId) || null : null;
+        },
+        get memberPermissions() {
+            return this.member?.permissions || null;
+        },
+
+        isChatInputCommand: () => type === 'command',
+        isButton: () => type === 'button',
+        isStringSelectMenu: () => type === 'select',
+        isModalSubmit: () => type === 'modal',
+        isAutocomplete: () => type === 'autocomplete',
+        inGuild() {
+            return Boolean(this.guildId && this.member);
+        },
+
+        async reply(payload) {
+            if (this.replied || this.deferred) throw new Error('The reply to this interaction has already been sent or deferred.');
+            payload = normalizePayload(payload);
+            this.replied = true;
+            this.ephemeral = payload.ephemeral === true;
+            this.replies.push({ method: 'reply', payload });
+            return createFakeMessage(payload, this.collectors);
+        },
+        async deferReply(deferOptions = {}) {
+            if (this.replied || this.deferred) throw new Error('The reply to this interaction has already been sent or deferred.');
+            this.deferred = true;
+            this.ephemeral = deferOptions.ephemeral === true;
+            this.replies.push({ method: 'deferReply', payload: deferOptions });
+        },
+        async editReply(payload) {
+            if (!this.replied && !this.deferred) throw new Error('The reply to this interaction has not been sent or deferred.');
+            payload = normalizePayload(payload);
+            this.replies.push({ method: 'editReply', payload });
+            return createFakeMessage(payload, this.collectors);
+        },
+        async followUp(payload) {
+            if (!this.replied && !this.deferred) throw new Error('The reply to this interaction has not been sent or deferred.');
+            payload = normalizePayload(payload);
+            this.replies.push({ method: 'followUp', payload });
+            return createFakeMessage(payload, this.collectors);
+        },
+        async update(payload) {
+            payload = normalizePayload(payload);
+            this.replied = true;
+            this.replies.push({ method: 'update', payload });
+        },
+        async showModal(modal) {
+            if (this.replied || this.deferred) throw new Error('The reply to this interaction has already been sent or deferred.');
+            this.replied = true;
+            this.modal = typeof modal.toJSON === 'function' ? modal.toJSON() : modal;
+        },
+        async respond(choices) {
+            if (this.choices) throw new Error('The reply to this interaction has already been sent or deferred.');
+            this.choices = choices;
+        }
+    };
+
+    return interaction;
+}
+
+function normalizePayload(payload) {
+    return typeof payload === 'string' ? { content: payload } : payload;
+}
+
+/**
+ * The last visible response (deferrals skipped)
+ * @returns {Object|null} - Message payload
+ */
+function lastReply(interaction) {
+    const visible = interaction.replies.filter(reply => reply.method !== 'deferReply');
+    return visible.length > 0 ? visible[visible.length - 1].payload : null;
+}
+
+/**
+ * The first embed of the last response as plain JSON
+ * @returns {Object|null}
+ */
+function lastEmbed(interaction) {
+    const embed = lastReply(interaction)?.embeds?.[0];
+    if (!embed) return null;
+    return typeof embed.toJSON === 'function' ? embed.toJSON() : embed;
+}
+
+/**
+ * Find an embed field by name (substring match)
+ * @returns {Object|undefined}
+ */
+function findField(embed, name) {
+    return (embed?.fields || []).find(field => field.name.includes(name));
+}
+
+/**
+ * Audit events recorded for a guild, newest first
+ * @returns {Array<Object>}
+ */
+function getAuditEvents(guildId = GUILD_ID) {
+    // Events in the same millisecond tie on created_at - order by insertion instead
+    return queryAudit({ guildId }, 100).events.sort((a, b) => b.id - a.id);
+}
+
+/**
+ * Run a command the way server.js does
+ * @param {Object} options - Same as createInteraction
+ * @returns {Object} - The interaction, for assertions
+ */
+async function runCommand(options) {
+    const interaction = createInteraction({ type: 'command', ...options });
+    await interaction.client.commands.get(options.commandName).execute(interaction);
+    return interaction;
+}
+
+/**
+ * Run a command's autocomplete handler
+ * @returns {Object} - The interaction; suggestions are in interaction.choices
+ */
+async function runAutocomplete(options) {
+    const interaction = createInteraction({ type: 'autocomplete', ...options });
+    await interaction.client.commands.get(options.commandName).autocomplete(interaction);
+    return interaction;
+}
+
+// Route a component interaction through its custom ID, as server.js handleComponent does
+async function routeComponent(interaction) {
+    const { parseCustomId, resolveComponentGuild } = require('../utils/components');
+    const { commandName, action, guildId, args } = parseCustomId(interaction.customId);
+
+    if (!await resolveComponentGuild(interaction, guildId)) {
+        throw new Error(`Component ${interaction.customId} could not be resolved to its guild`);
+    }
+
+    await interaction.client.commands.get(commandName).handleComponent(interaction, { action, args });
+    return interaction;
+}
+
+/**
+ * Click a button routed through its custom ID
+ * @returns {Object} - The interaction
+ */
+async function clickButton(options) {
+    return routeComponent(createInteraction({ type: 'button', ...options }));
+}
+
+/**
+ * Submit a modal routed through its custom ID
+ * @param {Object} options - Same as createInteraction, with fields
+ * @returns {Object} - The interaction
+ */
+async function submitModal(options) {
+    return routeComponent(createInteraction({ type: 'modal', ...options }));
+}
+
+/**
+ * Hooks for a command test file: a mock Roblox server behind the shared client,
+ * and teardown of watches, the database and the data directory.
+ * @param {Object} options - users, presences (see createMockRobloxServer), authenticated
+ * @returns {Object} - { mock, roblox, settlePoller, tickPoller } - mock and roblox are filled in by the before hook
+ */
+function useTestEnvironment({ users = [], presences = [], authenticated = true } = {}) {
+    const environment = {
+        mock: null,
+        roblox: null,
+
+        // Wait out a poller tick that is already in flight
+        async settlePoller() {
+            while (environment.roblox?.pollerRunning) {
+                await new Promise(resolve => setTimeout(resolve, 5));
+            }
+        },
+
+        // Check every registered watch now
+        async tickPoller() {
+            await environment.settlePoller();
+            for (const entry of environment.roblox.pollerEntries.values()) {
+                entry.nextCheckAt = 0;
+            }
+            await environment.roblox.runPollerTick();
+        }
+    };
+
+    before(async () => {
+        environment.mock = createMockRobloxServer({ users, presences });
+        await environment.mock.start();
+
+        environment.roblox = new RobloxClient({
+            cookie: authenticated ? DEFAULT_COOKIE : null,
+            baseUrls: environment.mock.baseUrls,
+            timeout: 2000
+        });
+        await environment.roblox.initializeAuth();
+        setDefaultClient(environment.roblox);
+    });
+
+    after(async () => {
+        // Stop pollers before the mock server and database go away
+        await environment.settlePoller();
+        for (const command of loadCommands().values()) {
+            if (typeof command.cleanup === 'function') command.cleanup();
+        }
+
+        await environment.mock.stop();
+        storage.close();
+        fs.rmSync(process.env.DATA_DIR, { recursive: true, force: true });
+        testMock.restoreAll();
+    });
+
+    return environment;
+}
+
+module.exports = {
+    ROLES,
+    GUILD_ID,
+    DEFAULT_COOKIE,
+    loadCommands,
+    createFakeUser,
+    createFakeChannel,
+    createFakeGuild,
+    createFakeMember,
+    createFakeClient,
+    createInteraction,
+    lastReply,
+    lastEmbed,
+    findField,
+    getAuditEvents,
+    runCommand,
+    runAutocomplete,
+    clickButton,
+    submitModal,
+    useTestEnvironment
+};
@@ -0,0 +1,176 @@
+const express = require('express');
+
+/**
+ * Local stand-in for the Roblox users, presence, auth and gamejoin APIs
+ * Serves every service from one port - their paths don't overlap - so a
+ * RobloxClient can point all of its base URLs at it.
+ *
+ * Routes answer from the in-memory state below unless a response has been
+ * scripted with script(), which is used for the 401/403/429 and gamejoin cases.
+ */
+
+const DEFAULT_COOKIE = 'mock-roblosecurity';
+
+function readCookie(req) {
+    const match = /\.ROBLOSECURITY=([^;]+)/.exec(req.get('cookie') || '');
+    return match ? match[1] : null;
+}
+
+/**
+ * @param {Object} options
+ * @param {Array<Object>} options.users - { id, name, previousUsernames? }
+ * @param {Array<Object>} options.presences - Raw presence objects (userId, userPresenceType, placeId, gameId, ...)
+ * @param {string} options.validCookie - Cookie accepted by authenticated endpoints
+ * @returns {Object} - The mock server (see start, stop, script, state)
+ */
+function createMockRobloxServer({ users = [], presences = [], validCookie = DEFAULT_COOKIE } = {}) {
+    const state = {
+        users: users.map(user => ({ previousUsernames: [], ...user })),
+        presences: new Map(presences.map(presence => [presence.userId, presence])),
+        validCookie: validCookie,
+        csrfToken: 'csrf-1',
+        authenticatedUser: { id: 1, name: 'BotAccount' },
+        requests: []
+    };
+    const scripted = new Map();
+    let csrfCounter = 1;
+
+    const app = express();
+    app.use(express.json());
+
+    // Record every request, then answer from the script if one is queued
+    app.use((req, res, next) => {
+        const route = `${req.method} ${req.path}`;
+        state.requests.push({ route, headers: req.headers, body: req.body, query: req.query });
+
+        const queue = scripted.get(route);
+        if (!queue || queue.length === 0) return next();
+
+        const { status = 200, body = {}, headers = {} } = queue.shift();
+        res.status(status).set(headers).json(body);
+    });
+
+    // Authenticated requests need the valid cookie, and writes need the current CSRF token
+    function authenticate(req, res, { requireCsrf = false } = {}) {
+        if (readCookie(req) !== state.validCookie) {
+            res.status(401).json({ errors: [{ code: 0, message: 'Authorization has been denied for this request.' }] });
+            return false;
+        }
+        if (requireCsrf && req.get('x-csrf-token') !== state.csrfToken) {
+            res.status(403).set('x-csrf-token', state.csrfToken).json({ errors: [{ code: 0, message: 'Token Validation Failed' }] });
+            return false;
+        }
+        return true;
+    }
+
+    app.post('/v2/logout', (req, res) => {
+        // Never actually logs out - the bot only calls this to collect a token
+        res.status(403).set('x-csrf-token', state.csrfToken).json({ errors: [{ code: 0, message: 'Token Validation Failed' }] });
+    });
+
+    app.get('/v1/users/authenticated', (req, res) => {
+        if (!authenticate(req, res)) return;
+        res.json(state.authenticatedUser);
+    });
+
+    app.post('/v1/usernames/users', (req, res) => {
+        const data = [];
+        for (const requestedUsername of req.body.usernames || []) {
+            const user = state.users.find(candidate => candidate.name.toLowerCase() === requestedUsername.toLowerCase());
+            if (user) data.push({ requestedUsername, id: user.id, name: user.name, displayName: user.name });
+        }
+        res.json({ data });
+    });
+
+    app.post('/v1/users', (req, res) => {
+        const data = state.users
+            .filter(user => (req.body.userIds || []).includes(user.id))
+            .map(user => ({ id: user.id, name: user.name, displayName: user.name }));
+        res.json({ data });
+    });
+
+    app.get('/v1/users/search', (req, res) => {
+        const keyword = String(req.query.keyword || '').toLowerCase();
+        const data = state.users
+            .filter(user => [user.name, ...user.previousUsernames].some(name => name.toLowerCase() === keyword))
+            .map(user => ({ id: user.id, name: user.name, displayName: user.name, previousUsernames: user.previousUsernames }));
+        res.json({ data });
+    });
+
+    app.post('/v1/presence/users', (req, res) => {
+        // Presence works without a cookie, but a cookie that is sent must be valid
+        if (req.get('cookie') && !authenticate(req, res, { requireCsrf: true })) return;
+
+        const userPresences = (req.body.userIds || []).map(userId =>
+            state.presences.get(userId) || { userId, userPresenceType: 0, lastLocation: '' }
+        );
+        res.json({ userPresences });
+    });
+
+    app.post('/v1/join-game-instance', (req, res) => {
+        if (!authenticate(req, res, { requireCsrf: true })) return;
+
+        res.json({
+            status: 2,
+            joinScriptUrl: `https://assetgame.roblox.com/Game/PlaceLauncher.ashx?placeId=${req.body.placeId}&gameId=${req.body.gameId}`
+        });
+    });
+
+    let server = null;
+    let baseUrl = null;
+
+    return {
+        state,
+
+        /**
+         * Queue one-off responses for a route, e.g. script('POST /v1/presence/users', { status: 429 })
+         * @param {string} route - "<METHOD> <path>"
+         * @param {...Object} responses - { status, body, headers }, served in order
+         */
+        script(route, ...responses) {
+            scripted.set(route, [...(scripted.get(route) || []), ...responses]);
+        },
+
+        /**
+         * Issue a new CSRF token, invalidating the one clients hold
+         * @returns {string} - The new token
+         */
+        rotateCsrfToken() {
+            state.csrfToken = `csrf-${++csrfCounter}`;
+            return state.csrfToken;
+        },
+
+        // Requests made to a route so far
+        requestsTo(route) {
+            return state.requests.filter(request => request.route === route);
+        },
+
+        start() {
+            return new Promise((resolve, reject) => {
+                server = app.listen(0, '127.0.0.1', error => {
+                    if (error) return reject(error);
+                    baseUrl = `http://127.0.0.1:${server.address().port}`;
+                    resolve(baseUrl);
+                });
+            });
+        },
+
+        stop() {
+            return new Promise(resolve => {
+                if (!server) return resolve();
+                server.close(() => resolve());
+                server.closeAllConnections(); // Don't wait on keep-alive sockets
+            });
+        },
+
+        // Base URLs for a RobloxClient - every service points at this server
+        get baseUrls() {
+            return { users: baseUrl, presence: baseUrl, auth: baseUrl, gamejoin: baseUrl, www: baseUrl };
+        }
+    };
+}
+
+module.exports = {
+    createMockRobloxServer,
+    DEFAULT_COOKIE
+};
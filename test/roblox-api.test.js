@@ -0,0 +1,292 @@
+const { describe, it, before, after, beforeEach, mock: testMock } = require('node:test');
+const assert = require('node:assert/strict');
+
+// Keep the module's default client offline - tests build their own clients
+delete process.env.ROBLOSECURITY_COOKIE;
+
+const { RobloxClient } = require('../utils/roblox-api');
+const { createMockRobloxServer, DEFAULT_COOKIE } = require('./mock-roblox-server');
+
+const PLACE_ID = 606849621;
+const GAME_ID = '2f1c8a4e-5b6d-4e7f-9a0b-1c2d3e4f5a6b';
+
+const USERS = [
+    { id: 101, name: 'OfflineSuspect' },
+    { id: 102, name: 'InGameSuspect' },
+    { id: 103, name: 'HiddenSuspect' },
+    { id: 104, name: 'RenamedSuspect', previousUsernames: ['OldAlias'] }
+];
+
+const PRESENCES = [
+    { userId: 101, userPresenceType: 0, lastLocation: '' },
+    { userId: 102, userPresenceType: 2, lastLocation: 'Jailbreak', placeId: PLACE_ID, rootPlaceId: PLACE_ID, gameId: GAME_ID, universeId: 245662005 },
+    { userId: 103, userPresenceType: 2, lastLocation: '' }
+];
+
+const IN_GAME_PRESENCE = PRESENCES[1];
+
+describe('RobloxClient', () => {
+    let mock;
+
+    before(async () => {
+        // The client logs every request - keep the test output readable
+        testMock.method(console, 'log', () => {});
+
+        mock = createMockRobloxServer({ users: USERS, presences: PRESENCES });
+        await mock.start();
+    });
+
+    after(async () => {
+        await mock.stop();
+        testMock.restoreAll();
+    });
+
+    beforeEach(() => {
+        mock.state.requests.length = 0;
+        mock.state.validCookie = DEFAULT_COOKIE;
+    });
+
+    // A fresh client per test so auth and rate limit state don't leak between cases
+    function createClient({ cookie = DEFAULT_COOKIE } = {}) {
+        return new RobloxClient({ cookie, baseUrls: mock.baseUrls, timeout: 2000 });
+    }
+
+    async function createAuthenticatedClient() {
+        const client = createClient();
+        assert.equal(await client.initializeAuth(), true);
+        return client;
+    }
+
+    describe('checkRobloxStatus', () => {
+        it('reports an offline user', async () => {
+            const status = await createClient({ cookie: null }).checkRobloxStatus(101);
+
+            assert.equal(status.online, false);
+            assert.equal(status.status, 'Offline');
+            assert.equal(status.error, false);
+            assert.equal(status.joinUrls, null);
+        });
+
+        it('builds an authenticated join link for an in-game user', async () => {
+            const client = await createAuthenticatedClient();
+            const status = await client.checkRobloxStatus(102);
+
+            assert.equal(status.online, true);
+            assert.equal(status.game, 'Jailbreak');
+            assert.equal(status.hasAuthentication, true);
+            assert.equal(status.joinUrls.authenticated, `${mock.baseUrls.www}/games/start?placeId=${PLACE_ID}&gameInstanceId=${GAME_ID}`);
+            assert.equal(status.joinUrls.console, null);
+            assert.equal(mock.requestsTo('POST /v1/join-game-instance').length, 1);
+        });
+
+        it('offers the console method without a cookie', async () => {
+            const status = await createClient({ cookie: null }).checkRobloxStatus(102);
+
+            assert.equal(status.online, true);
+            assert.equal(status.joinUrls.authenticated, null);
+            assert.equal(status.joinUrls.console, `Roblox.GameLauncher.joinGameInstance(${PLACE_ID}, "${GAME_ID}")`);
+            assert.equal(mock.requestsTo('POST /v1/join-game-instance').length, 0);
+        });
+
+        it('reports hidden game details without trying to join', async () => {
+            const client = await createAuthenticatedClient();
+            const status = await client.checkRobloxStatus(103);
+
+            assert.equal(status.online, true);
+            assert.equal(status.game, 'In Game (Details Hidden)');
+            assert.equal(status.joinUrls, null);
+            assert.equal(mock.requestsTo('POST /v1/join-game-instance').length, 0);
+        });
+
+        it('refreshes a stale CSRF token and retries the presence request', async () => {
+            const client = await createAuthenticatedClient();
+            const newToken = mock.rotateCsrfToken();
+
+            const status = await client.checkRobloxStatus(101);
+
+            assert.equal(status.status, 'Offline');
+            assert.equal(client.csrfToken, newToken);
+            assert.equal(mock.requestsTo('POST /v1/presence/users').length, 2);
+        });
+
+        it('marks the cookie expired on a 401 and falls back to an unauthenticated request', async () => {
+            const client = await createAuthenticatedClient();
+            mock.script('POST /v1/presence/users', { status: 401, body: { errors: [] } });
+
+            const status = await client.checkRobloxStatus(101);
+
+            assert.equal(status.status, 'Offline');
+            assert.equal(client.getCookieStatus().status, 'expired');
+            const [, fallback] = mock.requestsTo('POST /v1/presence/users');
+            assert.equal(fallback.headers.cookie, undefined);
+        });
+
+        it('reports an API error when presence is rate limited', async () => {
+            const client = createClient({ cookie: null });
+            mock.script('POST /v1/presence/users', { status: 429, headers: { 'retry-after': '0' } });
+
+            const statuses = await client.checkRobloxStatuses([101, 102]);
+
+            assert.equal(statuses.get(101).status, 'API Error');
+            assert.equal(statuses.get(102).status, 'API Error');
+            assert.equal(client.globalRateLimitActive, true);
+        });
+    });
+
+    describe('generateJoinUrl', () => {
+        it('treats status 6 (private server) as a failed authenticated join', async () => {
+            const client = await createAuthenticatedClient();
+            mock.script('POST /v1/join-game-instance', { body: { status: 6, joinScriptUrl: null } });
+
+            const joinUrls = await client.generateJoinUrl(102, IN_GAME_PRESENCE);
+
+            assert.equal(joinUrls.authenticated, null);
+            assert.equal(joinUrls.authFailed, true);
+            assert.equal(joinUrls.console, `Roblox.GameLauncher.joinGameInstance(${PLACE_ID}, "${GAME_ID}")`);
+            assert.equal(mock.requestsTo('POST /v1/join-game-instance').length, 1);
+        });
+
+        it('treats status 10 (already in game) as a failed authenticated join', async () => {
+            const client = await createAuthenticatedClient();
+            mock.script('POST /v1/join-game-instance', { body: { status: 10, joinScriptUrl: null } });
+
+            const joinUrls = await client.generateJoinUrl(102, IN_GAME_PRESENCE);
+
+            assert.equal(joinUrls.authenticated, null);
+            assert.equal(joinUrls.authFailed, true);
+            assert.ok(joinUrls.console);
+        });
+
+        it('retries status 12 once with the refreshed CSRF token', async () => {
+            const client = await createAuthenticatedClient();
+            const newToken = mock.rotateCsrfToken();
+            mock.script('POST /v1/join-game-instance', {
+                body: { status: 12, joinScriptUrl: null },
+                headers: { 'x-csrf-token': newToken }
+            });
+
+            const joinUrls = await client.generateJoinUrl(102, IN_GAME_PRESENCE);
+
+            assert.equal(joinUrls.authFailed, false);
+            assert.ok(joinUrls.authenticated);
+            const [, retry] = mock.requestsTo('POST /v1/join-game-instance');
+            assert.equal(retry.headers['x-csrf-token'], newToken);
+        });
+
+        it('gives up on status 12 without a new token', async () => {
+            const client = await createAuthenticatedClient();
+            mock.script('POST /v1/join-game-instance', { body: { status: 12, joinScriptUrl: null } });
+
+            const joinUrls = await client.generateJoinUrl(102, IN_GAME_PRESENCE);
+
+            assert.equal(joinUrls.authFailed, true);
+            assert.equal(joinUrls.authenticated, null);
+            assert.equal(mock.requestsTo('POST /v1/join-game-instance').length, 1);
+        });
+
+        it('returns nothing without a place', async () => {
+            const joinUrls = await createClient().generateJoinUrl(101, { userPresenceType: 1 });
+
+            assert.deepEqual(joinUrls, { authenticated: null, console: null, basic: null, authFailed: false });
+        });
+    });
+
+    describe('cookie health', () => {
+        it('reports a missing cookie', async () => {
+            const client = createClient({ cookie: null });
+
+            assert.equal(await client.checkCookieHealth(), false);
+            assert.equal(client.getCookieStatus().status, 'missing');
+            assert.equal(mock.state.requests.length, 0);
+        });
+
+        it('goes healthy -> expired -> healthy as the cookie is revoked and restored', async () => {
+            const client = createClient();
+
+            assert.equal(await client.checkCookieHealth(), true);
+            assert.equal(client.getCookieStatus().status, 'healthy');
+            assert.equal(client.getCookieStatus().userId, mock.state.authenticatedUser.id);
+
+            mock.state.validCookie = 'revoked';
+            assert.equal(await client.checkCookieHealth(), false);
+            let status = client.getCookieStatus();
+            assert.equal(status.status, 'expired');
+            assert.equal(status.needsMaintenance, true);
+            assert.equal(status.failureCount, 1);
+
+            mock.state.validCookie = DEFAULT_COOKIE;
+            assert.equal(await client.checkCookieHealth(), true);
+            status = client.getCookieStatus();
+            assert.equal(status.status, 'healthy');
+            assert.equal(status.failureCount, 0);
+            assert.equal(status.needsMaintenance, false);
+        });
+
+        it('recovers from a 403 CSRF challenge', async () => {
+            const client = await createAuthenticatedClient();
+            const newToken = mock.rotateCsrfToken();
+            mock.script('GET /v1/users/authenticated', {
+                status: 403,
+                headers: { 'x-csrf-token': newToken },
+                body: { errors: [{ code: 0, message: 'Token Validation Failed' }] }
+            });
+
+            assert.equal(await client.checkCookieHealth(), true);
+            assert.equal(client.csrfToken, newToken);
+            assert.equal(client.getCookieStatus().status, 'healthy');
+        });
+
+        it('counts server errors and flags maintenance after three failures', async () => {
+            const client = await createAuthenticatedClient();
+            for (let i = 0; i < 3; i++) {
+                mock.script('GET /v1/users/authenticated', { status: 500 });
+                assert.equal(await client.checkCookieHealth(), false);
+            }
+
+            const status = client.getCookieStatus();
+            assert.equal(status.status, 'error');
+            assert.equal(status.failureCount, 3);
+            assert.equal(status.needsMaintenance, true);
+        });
+
+        it('does not count a rate limit as a cookie failure', async () => {
+            const client = await createAuthenticatedClient();
+            mock.script('GET /v1/users/authenticated', { status: 429, headers: { 'retry-after': '0' } });
+
+            assert.equal(await client.checkCookieHealth(), false);
+            assert.equal(client.getCookieStatus().status, 'healthy');
+            assert.equal(client.getCookieStatus().failureCount, 0);
+        });
+    });
+
+    describe('username lookups', () => {
+        it('caches resolved usernames', async () => {
+            const client = createClient({ cookie: null });
+
+            assert.equal(await client.getRobloxUserId('offlinesuspect'), 101);
+            assert.equal(await client.getRobloxUserId('OfflineSuspect'), 101);
+            assert.equal(mock.requestsTo('POST /v1/usernames/users').length, 1);
+        });
+
+        it('finds a renamed user by a previous username', async () => {
+            const client = createClient({ cookie: null });
+
+            const users = await client.getRobloxUserIds(['OldAlias']);
+
+            assert.deepEqual(users.get('oldalias'), { id: 104, name: 'RenamedSuspect', formerly: 'OldAlias' });
+            assert.equal(await client.getRobloxUsername(104), 'RenamedSuspect');
+            assert.equal(mock.requestsTo('POST /v1/users').length, 0);
+        });
+
+        it('returns null for unknown users', async () => {
+            assert.equal(await createClient({ cookie: null }).getRobloxUserId('NobodyHere'), null);
+        });
+
+        it('surfaces username rate limits', async () => {
+            const client = createClient({ cookie: null });
+            mock.script('POST /v1/usernames/users', { status: 429, headers: { 'retry-after': '0' } });
+
+            assert.deepEqual(await client.getRobloxUserId('InGameSuspect'), { error: 'rate_limited', retryAfter: 0 });
+        });
+    });
+});
@@ -0,0 +1,113 @@
+const { describe, it, before } = require('node:test');
+const assert = require('node:assert/strict');
+
+const harness = require('./harness');
+const { getOfficerQuota } = require('../utils/guild-config');
+const { getQueuedWatches } = require('../utils/watch-queue');
+
+harness.useTestEnvironment({
+    users: [
+        { id: 1201, name: 'FirstCase' },
+        { id: 1202, name: 'SecondCase' },
+        { id: 1203, name: 'ColleagueCase' },
+        { id: 1204, name: 'AdHocCase' },
+        { id: 1205, name: 'WantedCase' }
+    ]
+});
+
+describe('watch quotas and waitlist', () => {
+    let guild, client, admin, operator, colleague;
+
+    before(() => {
+        guild = harness.createFakeGuild();
+        admin = harness.createFakeMember(guild, { roles: ['admin'] });
+        operator = harness.createFakeMember(guild, { roles: ['operator'] });
+        colleague = harness.createFakeMember(guild, { roles: ['swat', 'operator'] });
+        client = harness.createFakeClient({ guilds: [guild] });
+    });
+
+    function run(member, commandName, subcommand, options = {}) {
+        return harness.runCommand({ client, member, commandName, subcommand, options });
+    }
+
+    function startWatch(member, username) {
+        return run(member, 'watch', 'start', { username, hours: 2 });
+    }
+
+    function waitlist() {
+        return client.commands.get('watch').processWaitlist(client, guild.id);
+    }
+
+    function queuedNames() {
+        return getQueuedWatches(guild.id).map(entry => entry.username);
+    }
+
+    it('queues a watch over the officer quota without blocking colleagues', async () => {
+        await run(admin, 'config', 'officer-quota', { limit: 1 });
+
+        await startWatch(operator, 'FirstCase');
+        const queued = await startWatch(operator, 'SecondCase');
+        const started = await startWatch(colleague, 'ColleagueCase');
+
+        const embed = harness.lastEmbed(queued);
+        assert.equal(embed.title, '⏳ Watch Queued');
+        assert.equal(harness.findField(embed, 'Reason').value, 'You\'re at your quota of 1 watch(es)');
+        assert.equal(harness.findField(embed, 'Position').value, '#1');
+        assert.equal(harness.lastEmbed(started).title, '👁️ Watch Started');
+        assert.deepEqual(queuedNames(), ['SecondCase']);
+    });
+
+    it('refuses to queue the same suspect twice', async () => {
+        const interaction = await startWatch(colleague, 'SecondCase');
+
+        assert.match(harness.lastReply(interaction).content, /^⏳ \*\*SecondCase\*\* is already on the waitlist \(position 1/);
+    });
+
+    it('starts the queued watch when the officer frees a slot and DMs them', async () => {
+        await run(operator, 'stopwatch', undefined, { username: 'FirstCase' });
+        await waitlist();
+
+        const watchData = client.commands.get('watch').findWatch(guild.id, 'SecondCase');
+        assert.equal(watchData.startedById, operator.id);
+        assert.deepEqual(queuedNames(), []);
+        const dm = operator.user.sent.find(message => message.embeds?.[0].toJSON().title === '👁️ Queued Watch Started');
+        assert.match(dm.embeds[0].toJSON().description, /now monitoring \*\*SecondCase\*\* for 2 hour\(s\)/);
+    });
+
+    it('lets the most generous role quota override the officer quota', async () => {
+        await run(admin, 'config', 'role-quota', { role: guild.roles.cache.get(harness.ROLES.swat.id), limit: 3 });
+
+        assert.equal(getOfficerQuota(guild.id, colleague), 3);
+        assert.equal(getOfficerQuota(guild.id, operator), 1);
+    });
+
+    it('serves warrant-linked requests before ad-hoc ones', async () => {
+        // Two watches are running - fill the server
+        await run(admin, 'config', 'watch-limit', { limit: 2 });
+        await startWatch(colleague, 'AdHocCase');
+        await run(operator, 'warrant', 'issue', { username: 'WantedCase', charges: 'Robbery' });
+        const queued = await startWatch(colleague, 'WantedCase');
+
+        assert.equal(harness.findField(harness.lastEmbed(queued), 'Priority').value, 'Warrant');
+        assert.deepEqual(queuedNames(), ['WantedCase', 'AdHocCase']);
+
+        const view = harness.lastEmbed(await run(operator, 'watchlist', undefined, { action: 'view' }));
+        assert.match(harness.findField(view, 'Waitlist').value, /^1\. \*\*WantedCase\*\* \(2h\) - .+ • 📜 Warrant #\d+\n2\. \*\*AdHocCase\*\*/);
+
+        await run(colleague, 'stopwatch', undefined, { username: 'ColleagueCase' });
+        await waitlist();
+
+        assert.ok(client.commands.get('watch').findWatch(guild.id, 'WantedCase'));
+        assert.deepEqual(queuedNames(), ['AdHocCase']);
+    });
+
+    it('lets the requester take a watch off the waitlist', async () => {
+        const denied = await run(operator, 'stopwatch', undefined, { username: 'AdHocCase' });
+        assert.equal(harness.lastReply(denied).content, `⚠️ Only **${colleague.user.tag}** or administrators can remove this watch from the waitlist.`);
+
+        const removed = await run(colleague, 'stopwatch', undefined, { username: 'AdHocCase' });
+
+        assert.equal(harness.lastReply(removed).content, '🗑️ Removed **AdHocCase** from the watch waitlist.');
+        assert.deepEqual(queuedNames(), []);
+    });
+});
@@ -0,0 +1,117 @@
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { Status } = require('discord.js');
+
+const harness = require('./harness');
+const { createWebServer } = require('../utils/web-server');
+
+const env = harness.useTestEnvironment({
+    users: [{ id: 301, name: 'OfflineSuspect' }]
+});
+
+describe('web server', () => {
+    let guild, client, server, baseUrl;
+
+    before(async () => {
+        guild = harness.createFakeGuild();
+        client = harness.createFakeClient({ guilds: [guild] });
+
+        server = createWebServer(client).listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(async () => {
+        await new Promise(resolve => server.close(resolve));
+    });
+
+    afterEach(async () => {
+        client.ws.status = Status.Ready;
+        env.roblox.globalRateLimitActive = false;
+        env.mock.state.validCookie = harness.DEFAULT_COOKIE;
+        await env.roblox.checkCookieHealth();
+        env.roblox.unregisterPresenceWatch('stalled');
+    });
+
+    async function get(path) {
+        const response = await fetch(`${baseUrl}${path}`);
+        const body = response.headers.get('content-type').includes('json') ? await response.json() : await response.text();
+        return { status: response.status, headers: response.headers, body };
+    }
+
+    it('keeps answering the root path for existing monitors', async () => {
+        const { status, body } = await get('/');
+
+        assert.equal(status, 200);
+        assert.equal(body, '🤖 FBI Warrant Bot is running!');
+    });
+
+    it('is healthy and ready with a connected gateway and a working cookie', async () => {
+        const health = await get('/healthz');
+        assert.equal(health.status, 200);
+        assert.equal(health.body.status, 'ok');
+        assert.equal(health.body.checks.gateway.status, 'Ready');
+        assert.equal(health.body.checks.gateway.pingMs, 42);
+
+        const ready = await get('/readyz');
+        assert.equal(ready.status, 200);
+        assert.equal(ready.body.checks.cookie.status, 'healthy');
+        assert.equal(ready.body.checks.rateLimit.active, false);
+    });
+
+    it('fails both checks while the gateway is disconnected', async () => {
+        client.ws.status = Status.Disconnected;
+
+        const health = await get('/healthz');
+        assert.equal(health.status, 503);
+        assert.equal(health.body.checks.gateway.ok, false);
+        assert.equal(health.body.checks.gateway.status, 'Disconnected');
+        assert.equal((await get('/readyz')).status, 503);
+    });
+
+    it('stays live but not ready with an expired cookie', async () => {
+        env.mock.state.validCookie = 'revoked';
+        await env.roblox.checkCookieHealth();
+
+        assert.equal((await get('/healthz')).status, 200);
+        const ready = await get('/readyz');
+        assert.equal(ready.status, 503);
+        assert.equal(ready.body.checks.cookie.ok, false);
+        assert.equal(ready.body.checks.cookie.status, 'expired');
+    });
+
+    it('is not ready during a global rate limit', async () => {
+        env.roblox.globalRateLimitActive = true;
+        env.roblox.globalRateLimitUntil = Date.now() + 30000;
+
+        const ready = await get('/readyz');
+        assert.equal(ready.status, 503);
+        assert.equal(ready.body.checks.rateLimit.active, true);
+        assert.ok(ready.body.checks.rateLimit.retryInSeconds > 0);
+    });
+
+    it('is unhealthy when the watch loop stops ticking', async () => {
+        env.roblox.registerPresenceWatch('stalled', 301, () => {}, 60 * 60 * 1000);
+        env.roblox.pollerStartedAt = Date.now() - 10 * 60 * 1000;
+
+        const health = await get('/healthz');
+        assert.equal(health.status, 503);
+        assert.equal(health.body.checks.watchLoop.stalled, true);
+        assert.equal(health.body.checks.watchLoop.watches, 1);
+    });
+
+    it('exposes check and Roblox request counters in Prometheus format', async () => {
+        const member = harness.createFakeMember(guild, { roles: ['swat'] });
+        await harness.runCommand({ client, member, commandName: 'check', options: { username: 'OfflineSuspect' } });
+
+        const { status, headers, body } = await get('/metrics');
+
+        assert.equal(status, 200);
+        assert.match(headers.get('content-type'), /^text\/plain;.*version=0\.0\.4/);
+        assert.match(body, /# TYPE warrant_bot_checks_total counter/);
+        assert.match(body, /^warrant_bot_checks_total\{command="check",outcome="success"\} 1$/m);
+        assert.match(body, /^warrant_bot_roblox_requests_total\{endpoint="\/v1\/presence\/users",status="200"\} \d+$/m);
+        assert.match(body, /^warrant_bot_gateway_up 1$/m);
+        assert.match(body, /^warrant_bot_cookie_status\{status="healthy"\} 1$/m);
+    });
+});
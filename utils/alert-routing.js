@@ -0,0 +1,142 @@
+const { getDb } = require('./storage');
+const { getMembersWithRoles } = require('./permissions');
+const { alertDeliveriesTotal } = require('./metrics');
+
+function rowToSettings(row) {
+    return {
+        guildId: row.guild_id,
+        channelId: row.channel_id,
+        pingRoleId: row.ping_role_id,
+        dmRoleMembers: row.dm_role_members === 1,
+        updatedById: row.updated_by_id,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Get a guild's alert routing settings
+ * @param {string} guildId
+ * @returns {Object|null} - { channelId, pingRoleId, dmRoleMembers } or null if never configured
+ */
+function getAlertSettings(guildId) {
+    const row = getDb().prepare('SELECT * FROM alert_settings WHERE guild_id = ?').get(guildId);
+    return row ? rowToSettings(row) : null;
+}
+
+/**
+ * Update some of a guild's alert routing settings
+ * @param {string} guildId
+ * @param {Object} changes - Any of channelId, pingRoleId, dmRoleMembers (undefined = keep)
+ * @param {string} updatedById - Discord user ID making the change
+ * @returns {Object} - The resulting settings
+ */
+function updateAlertSettings(guildId, changes, updatedById) {
+    const current = getAlertSettings(guildId) || { channelId: null, pingRoleId: null, dmRoleMembers: false };
+    const next = {
+        channelId: changes.channelId !== undefined ? changes.channelId : current.channelId,
+        pingRoleId: changes.pingRoleId !== undefined ? changes.pingRoleId : current.pingRoleId,
+        dmRoleMembers: changes.dmRoleMembers !== undefined ? changes.dmRoleMembers : current.dmRoleMembers
+    };
+
+    getDb().prepare(`
+        INSERT INTO alert_settings (guild_id, channel_id, ping_role_id, dm_role_members, updated_by_id, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT (guild_id) DO UPDATE SET
+            channel_id = excluded.channel_id,
+            ping_role_id = excluded.ping_role_id,
+            dm_role_members = excluded.dm_role_members,
+            updated_by_id = excluded.updated_by_id,
+            updated_at = excluded.updated_at
+    `).run(guildId, next.channelId, next.pingRoleId, next.dmRoleMembers ? 1 : 0, updatedById, new Date().toISOString());
+
+    return getAlertSettings(guildId);
+}
+
+/**
+ * Remove a guild's alert routing settings (DMs only)
+ * @returns {boolean} - True if settings existed
+ */
+function clearAlertSettings(guildId) {
+    return getDb().prepare('DELETE FROM alert_settings WHERE guild_id = ?').run(guildId).changes > 0;
+}
+
+/**
+ * Deliver an alert to officers and the guild's alerts channel
+ * Recipients are DMed; the alerts channel (if configured) always gets a copy, pinging
+ * the alert role and anyone whose DMs failed. Alerts are never posted anywhere else.
+ * @param {Client} client - Discord client
+ * @param {string} guildId - Guild the alert belongs to
+ * @param {Array<string>} recipientIds - Discord user IDs to DM
+ * @param {Object} payload - Message payload (embeds, components)
+ * @param {Object} options - notifyRole (false skips the role ping and role DMs, e.g. for reports)
+ * @returns {Object} - { delivered, failed, postedToChannel }
+ */
+async function deliverAlert(client, guildId, recipientIds, payload, { notifyRole = true } = {}) {
+    const settings = getAlertSettings(guildId);
+    const guild = await client.guilds.fetch(guildId).catch(() => null);
+
+    // Role fan-out adds every cached member of the alert role
+    const dmTargets = new Set(recipientIds);
+    if (guild && notifyRole && settings?.dmRoleMembers && settings.pingRoleId) {
+        for (const member of getMembersWithRoles(guild, [settings.pingRoleId])) {
+            if (!member.user.bot) dmTargets.add(member.id);
+        }
+    }
+
+    let delivered = 0;
+    const failed = [];
+
+    for (const userId of dmTargets) {
+        try {
+            const user = await client.users.fetch(userId);
+            await user.send(payload);
+            delivered++;
+            alertDeliveriesTotal.inc({ method: 'dm', outcome: 'delivered' });
+        } catch (error) {
+            alertDeliveriesTotal.inc({ method: 'dm', outcome: 'failed' });
+            console.log(`Failed to DM ${userId}: ${error.message}`);
+            // Role members who can't be DMed are still covered by the role ping
+            if (recipientIds.includes(userId)) failed.push(userId);
+        }
+    }
+
+    let postedToChannel = false;
+    if (guild && settings?.channelId) {
+        try {
+            const channel = await guild.channels.fetch(settings.channelId);
+            if (!channel?.isTextBased()) throw new Error('not a text channel');
+
+            const pingRoleId = notifyRole ? settings.pingRoleId : null;
+            const mentions = [];
+            if (pingRoleId) mentions.push(`<@&${pingRoleId}>`);
+            failed.forEach(userId => mentions.push(`<@${userId}>`));
+
+            await channel.send({
+                ...payload,
+                content: mentions.length > 0 ? mentions.join(' ') : undefined,
+                allowedMentions: {
+                    roles: pingRoleId ? [pingRoleId] : [],
+                    users: failed
+                }
+            });
+            postedToChannel = true;
+            alertDeliveriesTotal.inc({ method: 'channel', outcome: 'delivered' });
+        } catch (error) {
+            alertDeliveriesTotal.inc({ method: 'channel', outcome: 'failed' });
+            console.error(`❌ Could not post to alerts channel ${settings.channelId} in guild ${guildId}:`, error.message);
+        }
+    }
+
+    if (failed.length > 0 && !postedToChannel) {
+        console.error(`❌ Alert not delivered to ${failed.length} officer(s) - no alerts channel available`);
+    }
+
+    return { delivered, failed, postedToChannel };
+}
+
+module.exports = {
+    getAlertSettings,
+    updateAlertSettings,
+    clearAlertSettings,
+    deliverAlert
+};
@@ -0,0 +1,107 @@
+/**
+ * Watch alert kinds and presence change classification
+ */
+
+const ALERT_KINDS = {
+    ONLINE: 'online',
+    JOINED_GAME: 'joined_game',
+    SWITCHED_SERVER: 'switched_server',
+    LEFT_GAME: 'left_game',
+    OFFLINE: 'offline'
+};
+
+// Subscription presets offered on /watch
+const ALERT_PRESETS = {
+    online: {
+        label: 'Came online only (default)',
+        kinds: [ALERT_KINDS.ONLINE]
+    },
+    game: {
+        label: 'Online + game activity',
+        kinds: [ALERT_KINDS.ONLINE, ALERT_KINDS.JOINED_GAME, ALERT_KINDS.SWITCHED_SERVER, ALERT_KINDS.LEFT_GAME]
+    },
+    all: {
+        label: 'Everything, including going offline',
+        kinds: Object.values(ALERT_KINDS)
+    }
+};
+
+const DEFAULT_ALERT_PRESET = 'online';
+
+// Title and color used for each alert kind's embed
+const ALERT_STYLES = {
+    online: { title: '🚨 WATCH ALERT: Suspect Online!', color: 0xFF0000 },
+    joined_game: { title: '🎮 WATCH ALERT: Suspect Joined a Game', color: 0xFF5500 },
+    switched_server: { title: '🔀 WATCH ALERT: Suspect Switched Server', color: 0xFFAA00 },
+    left_game: { title: '🚪 WATCH ALERT: Suspect Left Game', color: 0x0099FF },
+    offline: { title: '💤 WATCH ALERT: Suspect Offline', color: 0x808080 }
+};
+
+function isOnlineType(presenceType) {
+    return presenceType === 1 || presenceType === 2 || presenceType === 3;
+}
+
+/**
+ * Work out which alert kind a presence change represents
+ * @param {Object|null} previous - Last snapshot { presenceType, placeId, gameId }
+ * @param {Object} current - New snapshot
+ * @returns {string|null} - One of ALERT_KINDS, or null for no alertable change
+ */
+function classifyPresenceChange(previous, current) {
+    if (!previous) return null;
+
+    const wasOnline = isOnlineType(previous.presenceType);
+    const isOnline = isOnlineType(current.presenceType);
+
+    if (!wasOnline && isOnline) return ALERT_KINDS.ONLINE;
+    if (wasOnline && !isOnline) return ALERT_KINDS.OFFLINE;
+    if (!isOnline) return null;
+
+    const wasInGame = previous.presenceType === 2;
+    const isInGame = current.presenceType === 2;
+
+    if (!wasInGame && isInGame) return ALERT_KINDS.JOINED_GAME;
+    if (wasInGame && !isInGame) return ALERT_KINDS.LEFT_GAME;
+
+    // Both in game - only a visible place or server change counts
+    if (wasInGame && isInGame && current.gameId &&
+        (previous.placeId !== current.placeId || previous.gameId !== current.gameId)) {
+        return ALERT_KINDS.SWITCHED_SERVER;
+    }
+
+    return null;
+}
+
+/**
+ * Resolve a stored subscription to a list of alert kinds
+ * @param {Array<string>|null} kinds
+ * @returns {Array<string>}
+ */
+function normalizeAlertKinds(kinds) {
+    const valid = (kinds || []).filter(kind => Object.values(ALERT_KINDS).includes(kind));
+    return valid.length > 0 ? valid : ALERT_PRESETS[DEFAULT_ALERT_PRESET].kinds;
+}
+
+/**
+ * Human-readable list of subscribed alert kinds
+ * @param {Array<string>} kinds
+ * @returns {string}
+ */
+function describeAlertKinds(kinds) {
+    for (const preset of Object.values(ALERT_PRESETS)) {
+        if (preset.kinds.length === kinds.length && preset.kinds.every(kind => kinds.includes(kind))) {
+            return preset.label;
+        }
+    }
+    return kinds.map(kind => kind.replace('_', ' ')).join(', ');
+}
+
+module.exports = {
+    ALERT_KINDS,
+    ALERT_PRESETS,
+    ALERT_STYLES,
+    DEFAULT_ALERT_PRESET,
+    classifyPresenceChange,
+    normalizeAlertKinds,
+    describeAlertKinds
+};
@@ -0,0 +1,165 @@
+const { getDb } = require('./storage');
+
+// Optional operator channel for events that belong to no guild
+// Guild events only go to that guild's own channel (/config audit-channel).
+const AUDIT_CHANNEL_ID = process.env.AUDIT_CHANNEL_ID;
+
+// Outcome values stored with each event
+const AUDIT_OUTCOME = {
+    SUCCESS: 'success',
+    DENIED: 'denied',
+    REJECTED: 'rejected',     // Valid request turned away (cooldown, limits, duplicates)
+    NOT_FOUND: 'not_found',
+    RATE_LIMITED: 'rate_limited',
+    ERROR: 'error'
+};
+
+const OUTCOME_EMOJIS = {
+    success: '✅',
+    denied: '🚫',
+    rejected: '⚠️',
+    not_found: '❓',
+    rate_limited: '⏳',
+    error: '❌'
+};
+
+function rowToEvent(row) {
+    return {
+        id: row.id,
+        guildId: row.guild_id,
+        actorId: row.actor_id,
+        actorTag: row.actor_tag,
+        command: row.command,
+        action: row.action,
+        targetUsername: row.target_username,
+        targetRobloxId: row.target_roblox_id,
+        outcome: row.outcome,
+        details: row.details,
+        createdAt: row.created_at
+    };
+}
+
+/**
+ * One-line summary of an event, used for the log channel and /audit
+ * @param {Object} event
+ * @returns {string}
+ */
+function formatEvent(event) {
+    let line = `${OUTCOME_EMOJIS[event.outcome] || '•'} **${event.actorTag}** /${event.command}`;
+    if (event.action) line += ` ${event.action}`;
+    if (event.targetUsername) line += ` → **${event.targetUsername}**`;
+    line += ` (${event.outcome})`;
+    if (event.details) line += ` - ${event.details}`;
+    return line;
+}
+
+/**
+ * Channel an event is mirrored to
+ * @param {string|null} guildId - Guild the event came from
+ * @returns {string|null}
+ */
+function getAuditChannelId(guildId) {
+    if (!guildId) return AUDIT_CHANNEL_ID || null;
+
+    const row = getDb().prepare('SELECT audit_channel_id FROM guild_settings WHERE guild_id = ?').get(guildId);
+    return row?.audit_channel_id || null;
+}
+
+/**
+ * Mirror an event into its guild's log channel
+ * Failures are logged and never reach the command
+ */
+async function mirrorToChannel(client, event) {
+    if (!client) return;
+
+    try {
+        const channelId = getAuditChannelId(event.guildId);
+        if (!channelId) return;
+
+        const channel = await client.channels.fetch(channelId);
+        if (channel?.isTextBased()) {
+            await channel.send({
+                content: `📝 ${formatEvent(event)}`,
+                allowedMentions: { parse: [] }
+            });
+        }
+    } catch (error) {
+        console.error('Failed to mirror audit event:', error.message);
+    }
+}
+
+/**
+ * Record an audit event for a command invocation
+ * @param {Interaction} interaction - Discord interaction (actor and guild)
+ * @param {Object} event - command, action, targetUsername, targetRobloxId, outcome, details,
+ *                         mirror (false keeps it out of the log channel, e.g. per-target rows of a bulk run)
+ */
+function recordAudit(interaction, { command, action, targetUsername, targetRobloxId, outcome, details, mirror = true }) {
+    const event = {
+        guildId: interaction.guildId || null,
+        actorId: interaction.user.id,
+        actorTag: interaction.user.tag,
+        // Buttons have no command name - their routed custom ID starts with it
+        command: command || interaction.commandName || interaction.customId?.split(':')[0] || null,
+        action: action || null,
+        targetUsername: targetUsername || null,
+        targetRobloxId: targetRobloxId || null,
+        outcome: outcome || AUDIT_OUTCOME.SUCCESS,
+        details: details || null,
+        createdAt: new Date().toISOString()
+    };
+
+    try {
+        getDb().prepare(`
+            INSERT INTO audit_events (guild_id, actor_id, actor_tag, command, action, target_username,
+                                      target_roblox_id, outcome, details, created_at)
+            VALUES (@guildId, @actorId, @actorTag, @command, @action, @targetUsername,
+                    @targetRobloxId, @outcome, @details, @createdAt)
+        `).run(event);
+    } catch (error) {
+        // Auditing must never break the command itself
+        console.error('Failed to record audit event:', error);
+    }
+
+    if (mirror) mirrorToChannel(interaction.client, event);
+}
+
+/**
+ * Query audit events, newest first
+ * @param {Object} filters - guildId (required), actorId, target (username), since, until (Date)
+ * @param {number} limit
+ * @returns {Object} - { events, total }
+ */
+function queryAudit({ guildId, actorId, target, since, until }, limit = 25) {
+    const conditions = ['guild_id = @guildId'];
+    if (actorId) conditions.push('actor_id = @actorId');
+    if (target) conditions.push('target_username = @target COLLATE NOCASE');
+    if (since) conditions.push('created_at >= @since');
+    if (until) conditions.push('created_at < @until');
+
+    const params = {
+        guildId,
+        actorId: actorId || null,
+        target: target || null,
+        since: since ? since.toISOString() : null,
+        until: until ? until.toISOString() : null
+    };
+    const where = conditions.join(' AND ');
+
+    const total = getDb().prepare(`SELECT COUNT(*) AS count FROM audit_events WHERE ${where}`).get(params).count;
+    const events = getDb().prepare(`
+        SELECT * FROM audit_events
+        WHERE ${where}
+        ORDER BY created_at DESC
+        LIMIT @limit
+    `).all({ ...params, limit }).map(rowToEvent);
+
+    return { events, total };
+}
+
+module.exports = {
+    recordAudit,
+    queryAudit,
+    formatEvent,
+    AUDIT_OUTCOME
+};
@@ -0,0 +1,69 @@
+const { getRecentSuspects } = require('./storage');
+const { listWarrants, WARRANT_STATUS } = require('./warrants');
+
+// Discord accepts at most 25 autocomplete choices
+const MAX_CHOICES = 25;
+
+/**
+ * Suggest suspects for a username option: warrant subjects first, then recent checks
+ * @param {string} guildId
+ * @param {string} query - What the officer has typed so far
+ * @returns {Array<Object>} - Autocomplete choices ({ name, value })
+ */
+function suggestSuspects(guildId, query) {
+    const choices = [];
+    const seen = new Set();
+    const search = query.trim();
+
+    for (const warrant of listWarrants({ guildId, status: WARRANT_STATUS.ACTIVE, search }, MAX_CHOICES)) {
+        if (seen.has(warrant.robloxUserId)) continue;
+        seen.add(warrant.robloxUserId);
+        choices.push({ name: `${warrant.username} (warrant #${warrant.id})`, value: warrant.username });
+    }
+
+    for (const suspect of getRecentSuspects(guildId, search, MAX_CHOICES)) {
+        if (seen.has(suspect.robloxUserId)) continue;
+        seen.add(suspect.robloxUserId);
+        choices.push({ name: `${suspect.username} (checked ${suspect.checkedAt.slice(0, 10)})`, value: suspect.username });
+    }
+
+    return choices.slice(0, MAX_CHOICES);
+}
+
+/**
+ * Suggest active watches whose current or previous name matches
+ * @param {Iterable<Object>} watches - Watch data, e.g. getGuildWatches(guildId)
+ * @param {string} query
+ * @returns {Array<Object>} - Autocomplete choices ({ name, value })
+ */
+function suggestWatches(watches, query) {
+    const search = query.trim().toLowerCase();
+
+    return Array.from(watches)
+        .filter(watch => [watch.username, ...(watch.previousUsernames || [])].some(name => name.toLowerCase().includes(search)))
+        .slice(0, MAX_CHOICES)
+        .map(watch => ({
+            name: `${watch.username} (started by ${watch.startedBy})`.slice(0, 100),
+            value: watch.username
+        }));
+}
+
+/**
+ * Send choices, ignoring interactions that expired while we looked them up
+ * @param {AutocompleteInteraction} interaction
+ * @param {Array<Object>} choices
+ */
+async function respondWithChoices(interaction, choices) {
+    try {
+        await interaction.respond(choices.slice(0, MAX_CHOICES));
+    } catch (error) {
+        console.error(`⚠️ Autocomplete for /${interaction.commandName} could not respond: ${error.message}`);
+    }
+}
+
+module.exports = {
+    suggestSuspects,
+    suggestWatches,
+    respondWithChoices,
+    MAX_CHOICES
+};
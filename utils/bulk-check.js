@@ -0,0 +1,360 @@
+const { EmbedBuilder, AttachmentBuilder } = require('discord.js');
+const axios = require('axios');
+const { getRobloxUserIds, checkRobloxStatuses } = require('./roblox-api');
+const { getGameScope } = require('./places');
+const storage = require('./storage');
+const { recordAudit, AUDIT_OUTCOME } = require('./audit');
+const { sendPaginated } = require('./pagination');
+const { checksTotal } = require('./metrics');
+
+/**
+ * Bulk status checks shared by /bulk-check and saved lists
+ * Targets are resolved and checked with batched lookups, then rendered as
+ * paginated embeds with an optional CSV export.
+ */
+
+const MAX_BULK_TARGETS = 100;
+const RESULTS_PER_PAGE = 10;
+const EMBED_FIELD_LIMIT = 25;
+const MAX_FILE_BYTES = 64 * 1024;
+const ALLOWED_FILE_EXTENSIONS = ['.txt', '.csv'];
+
+// Roblox usernames: 3-20 letters, digits or a single underscore
+const USERNAME_PATTERN = /^[A-Za-z0-9_]{3,20}$/;
+
+/**
+ * Split free text (commas, semicolons, whitespace or newlines) into usernames
+ * @param {string} text
+ * @returns {Object} - { usernames, invalid } with duplicates removed case-insensitively
+ */
+function parseUsernameList(text) {
+    const usernames = [];
+    const invalid = [];
+    const seen = new Set();
+
+    for (const raw of (text || '').split(/[\s,;]+/)) {
+        const name = raw.trim().replace(/^["']|["']$/g, '');
+        if (!name || seen.has(name.toLowerCase())) continue;
+        seen.add(name.toLowerCase());
+
+        if (USERNAME_PATTERN.test(name)) {
+            usernames.push(name);
+        } else {
+            invalid.push(name);
+        }
+    }
+
+    return { usernames, invalid };
+}
+
+/**
+ * Download an attached .txt/.csv file of usernames
+ * CSV files use the first column and may have a "username" header row.
+ * @param {Attachment} attachment - Discord attachment
+ * @returns {string} - Usernames, one per line
+ */
+async function readUsernameFile(attachment) {
+    const extension = attachment.name.slice(attachment.name.lastIndexOf('.')).toLowerCase();
+    if (!ALLOWED_FILE_EXTENSIONS.includes(extension)) {
+        throw new Error(`Only ${ALLOWED_FILE_EXTENSIONS.join(' and ')} files are supported.`);
+    }
+    if (attachment.size > MAX_FILE_BYTES) {
+        throw new Error(`File is too large (max ${MAX_FILE_BYTES / 1024} KB).`);
+    }
+
+    const response = await axios.get(attachment.url, {
+        responseType: 'text',
+        timeout: 10000,
+        maxContentLength: MAX_FILE_BYTES
+    });
+
+    const lines = String(response.data).split(/\r?\n/);
+    if (extension !== '.csv') return lines.join('\n');
+
+    return lines
+        .map(line => line.split(',')[0].trim())
+        .filter((cell, index) => !(index === 0 && cell.replace(/["']/g, '').toLowerCase() === 'username'))
+        .join('\n');
+}
+
+// Join info line for an online result
+function describeJoin(status) {
+    if (status.joinUrls?.authenticated) {
+        return `**[Direct Join Available](${status.joinUrls.authenticated})**`;
+    }
+    if (status.joinUrls?.console) {
+        return '⚠️ Manual join available (console method)';
+    }
+    if (status.game && status.game !== 'Not in game') {
+        return '❌ Cannot join (hidden details)';
+    }
+    return null;
+}
+
+// Audit (and metrics) outcome recorded for each result outcome
+const RESULT_AUDIT_OUTCOMES = {
+    found: AUDIT_OUTCOME.SUCCESS,
+    not_found: AUDIT_OUTCOME.NOT_FOUND,
+    error: AUDIT_OUTCOME.ERROR
+};
+
+/**
+ * Resolve and check a set of suspects
+ * @param {Array<Object>} targets - { username, robloxUserId? } - targets with an ID skip the lookup
+ * @param {Object} context - guildId, checkedBy, checkedById, command (recorded with each check)
+ * @returns {Object} - { results } or { error: 'rate_limited', retryAfter }
+ */
+async function runBulkCheck(targets, { guildId, checkedBy, checkedById, command = 'bulk-check' }) {
+    const unresolved = targets.filter(target => !target.robloxUserId).map(target => target.username);
+    const users = unresolved.length > 0 ? await getRobloxUserIds(unresolved) : new Map();
+
+    if (users && users.error === 'rate_limited') {
+        checksTotal.inc({ command, outcome: AUDIT_OUTCOME.RATE_LIMITED }, targets.length);
+        return users;
+    }
+
+    const resolved = targets.map(target => {
+        if (target.robloxUserId) return { ...target };
+        const user = users.get(target.username.trim().toLowerCase());
+        return user ? { username: user.name, robloxUserId: user.id } : { ...target };
+    });
+
+    const userIds = [...new Set(resolved.filter(target => target.robloxUserId).map(target => target.robloxUserId))];
+    const statuses = userIds.length > 0 ? await checkRobloxStatuses(userIds) : new Map();
+
+    const results = resolved.map(target => {
+        if (!target.robloxUserId) {
+            return { username: target.username, robloxUserId: null, outcome: 'not_found', statusText: '❌ User Not Found', status: null };
+        }
+
+        const status = statuses.get(target.robloxUserId);
+        if (!status || (status.error && status.status === 'API Error')) {
+            return { username: target.username, robloxUserId: target.robloxUserId, outcome: 'error', statusText: '⚠️ Check Failed', status: null };
+        }
+
+        try {
+            storage.recordCheck({
+                robloxUserId: target.robloxUserId,
+                username: target.username,
+                guildId: guildId,
+                checkedBy: checkedBy,
+                checkedById: checkedById,
+                command: command,
+                online: status.online,
+                status: status.status,
+                game: status.game
+            });
+        } catch (storageError) {
+            console.error('Failed to record check result:', storageError);
+        }
+
+        let emoji = '🟡';
+        if (status.online === true) emoji = '🟢';
+        else if (status.online === false) emoji = '⚫';
+
+        return {
+            username: target.username,
+            robloxUserId: target.robloxUserId,
+            outcome: 'found',
+            statusText: `${emoji} ${status.status}`,
+            status: status,
+            gameScope: guildId ? getGameScope(guildId, status) : null,
+            joinInfo: status.online === true ? describeJoin(status) : null
+        };
+    });
+
+    for (const result of results) {
+        checksTotal.inc({ command, outcome: RESULT_AUDIT_OUTCOMES[result.outcome] });
+    }
+
+    return { results };
+}
+
+/**
+ * Count results by state
+ * @param {Array<Object>} results - From runBulkCheck
+ * @returns {Object} - { online, offline, other, ourGame }
+ */
+function summarizeResults(results) {
+    const summary = { online: 0, offline: 0, other: 0, ourGame: 0 };
+    for (const result of results) {
+        if (result.status?.online === true) summary.online++;
+        else if (result.status?.online === false) summary.offline++;
+        else summary.other++;
+
+        if (result.gameScope?.ours) summary.ourGame++;
+    }
+    return summary;
+}
+
+/**
+ * Render results as one embed per page, each with the overall summary
+ * @param {Array<Object>} results - From runBulkCheck
+ * @param {Object} options - title, description, footer
+ * @returns {Array<EmbedBuilder>}
+ */
+function buildResultPages(results, { title = '🔍 Bulk Investigation Complete', description = null, footer = null } = {}) {
+    const summary = summarizeResults(results);
+    let summaryText = `🟢 Online: ${summary.online}\n⚫ Offline: ${summary.offline}\n🟡 Other: ${summary.other}`;
+    if (summary.ourGame > 0) summaryText += `\n🎯 In our game: ${summary.ourGame}`;
+
+    const totalPages = Math.max(1, Math.ceil(results.length / RESULTS_PER_PAGE));
+    const pages = [];
+
+    for (let page = 0; page < totalPages; page++) {
+        const embed = new EmbedBuilder()
+            .setTitle(title)
+            .setColor(summary.online > 0 ? 0x00FF00 : 0x0099FF)
+            .setDescription(description || `Checked ${results.length} suspect(s)`)
+            .setTimestamp();
+
+        results.slice(page * RESULTS_PER_PAGE, (page + 1) * RESULTS_PER_PAGE).forEach((result, offset) => {
+            let fieldValue = `Status: ${result.statusText}`;
+            if (result.robloxUserId) fieldValue += `\nID: \`${result.robloxUserId}\``;
+            if (result.status?.game) fieldValue += `\nActivity: ${result.status.game}`;
+            if (result.gameScope) fieldValue += `\n${result.gameScope.text}`;
+            if (result.joinInfo) fieldValue += `\n└ ${result.joinInfo}`;
+
+            embed.addFields({
+                name: `${page * RESULTS_PER_PAGE + offset + 1}. ${result.username}`,
+                value: fieldValue.slice(0, 1024),
+                inline: false
+            });
+        });
+
+        embed.addFields({ name: '📊 Summary', value: summaryText, inline: false });
+
+        const footerParts = [];
+        if (totalPages > 1) footerParts.push(`Page ${page + 1}/${totalPages}`);
+        if (footer) footerParts.push(footer);
+        if (footerParts.length > 0) embed.setFooter({ text: footerParts.join(' • ') });
+
+        pages.push(embed);
+    }
+
+    return pages;
+}
+
+// Quote a CSV cell when needed
+function csvCell(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Export results as a CSV attachment
+ * @param {Array<Object>} results - From runBulkCheck
+ * @param {string} filename
+ * @returns {AttachmentBuilder}
+ */
+function buildResultsCsv(results, filename = 'bulk-check.csv') {
+    const rows = [['username', 'roblox_user_id', 'status', 'activity', 'location', 'join_url']];
+    for (const result of results) {
+        rows.push([
+            result.username,
+            result.robloxUserId,
+            result.status?.status || result.statusText.replace(/^\S+\s/, ''),
+            result.status?.game,
+            result.gameScope?.text.replace(/^\S+\s/, ''),
+            result.status?.joinUrls?.authenticated
+        ]);
+    }
+
+    const csv = rows.map(row => row.map(csvCell).join(',')).join('\n');
+    return new AttachmentBuilder(Buffer.from(csv, 'utf8'), { name: filename });
+}
+
+/**
+ * Whether results need a CSV to be readable in full
+ * @param {Array<Object>} results
+ * @returns {boolean}
+ */
+function exceedsFieldLimit(results) {
+    // One field per result plus the summary
+    return results.length + 1 > EMBED_FIELD_LIMIT;
+}
+
+/**
+ * Run a bulk check for a deferred command, auditing every target
+ * Replies with the rate limit message itself when Roblox is busy.
+ * @param {Interaction} interaction - Deferred interaction
+ * @param {Array<Object>} targets - { username, robloxUserId? }
+ * @returns {Array<Object>|null} - Results, or null if the reply was already sent
+ */
+async function checkForInteraction(interaction, targets) {
+    const outcome = await runBulkCheck(targets, {
+        guildId: interaction.guild?.id,
+        checkedBy: interaction.user.tag,
+        checkedById: interaction.user.id,
+        command: interaction.commandName
+    });
+
+    if (outcome.error === 'rate_limited') {
+        recordAudit(interaction, {
+            outcome: AUDIT_OUTCOME.RATE_LIMITED,
+            details: `${targets.length} suspect(s)`
+        });
+        await interaction.editReply({
+            content: `⏳ Roblox API is rate limited. Please try again in ${outcome.retryAfter} seconds.`
+        });
+        return null;
+    }
+
+    // A row per suspect keeps /audit target searches working; the log channel gets one summary
+    const counts = { found: 0, not_found: 0, error: 0 };
+    for (const result of outcome.results) {
+        counts[result.outcome]++;
+        recordAudit(interaction, {
+            action: 'check',
+            targetUsername: result.username,
+            targetRobloxId: result.robloxUserId,
+            outcome: RESULT_AUDIT_OUTCOMES[result.outcome],
+            details: result.status?.status || (result.outcome === 'error' ? 'Roblox API error' : null),
+            mirror: false
+        });
+    }
+
+    const breakdown = [
+        counts.found > 0 && `${counts.found} found`,
+        counts.not_found > 0 && `${counts.not_found} not found`,
+        counts.error > 0 && `${counts.error} error(s)`
+    ].filter(Boolean);
+    recordAudit(interaction, {
+        action: 'bulk',
+        outcome: counts.error > 0 && counts.error === outcome.results.length ? AUDIT_OUTCOME.ERROR : AUDIT_OUTCOME.SUCCESS,
+        details: `${outcome.results.length} suspect(s): ${breakdown.join(', ')}`
+    });
+
+    return outcome.results;
+}
+
+/**
+ * Reply with paginated results, attaching a CSV when asked or when they don't fit
+ * @param {Interaction} interaction - Deferred interaction
+ * @param {Array<Object>} results - From runBulkCheck
+ * @param {Object} options - title, notes (extra description lines), csv (force attachment)
+ */
+async function replyWithResults(interaction, results, { title, notes = [], csv = false } = {}) {
+    const pages = buildResultPages(results, {
+        title: title,
+        description: [`Checked ${results.length} suspect(s)`, ...notes].join('\n'),
+        footer: `Bulk check completed by ${interaction.user.tag}`
+    });
+
+    const files = csv || exceedsFieldLimit(results) ? [buildResultsCsv(results)] : [];
+
+    await sendPaginated(interaction, pages, { files });
+}
+
+module.exports = {
+    parseUsernameList,
+    readUsernameFile,
+    runBulkCheck,
+    summarizeResults,
+    buildResultPages,
+    buildResultsCsv,
+    exceedsFieldLimit,
+    checkForInteraction,
+    replyWithResults,
+    MAX_BULK_TARGETS
+};
@@ -0,0 +1,149 @@
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+
+/**
+ * Buttons, menus and modals routed by server.js
+ * Custom IDs look like "<command>:<action>:<guildId>:<args...>" - server.js hands
+ * the interaction to that command's handleComponent(). The guild ID lets buttons
+ * sent in DMs be checked against the officer's roles in the right server.
+ */
+
+const SEPARATOR = ':';
+const MAX_CUSTOM_ID_LENGTH = 100;
+
+// Watch durations offered as one-click buttons
+const QUICK_WATCH_HOURS = [1, 6, 24];
+
+// Extensions offered on the expiry warning
+const EXTEND_WATCH_HOURS = [1, 6];
+
+/**
+ * Build a routed custom ID
+ * @param {string} commandName - Command whose handleComponent receives the interaction
+ * @param {string} action
+ * @param {string} guildId
+ * @param {...(string|number)} args
+ * @returns {string}
+ */
+function buildCustomId(commandName, action, guildId, ...args) {
+    const customId = [commandName, action, guildId, ...args].join(SEPARATOR);
+    if (customId.length > MAX_CUSTOM_ID_LENGTH) {
+        throw new Error(`Custom ID too long: ${customId}`);
+    }
+    return customId;
+}
+
+/**
+ * Split a custom ID into its parts
+ * @param {string} customId
+ * @returns {Object} - { commandName, action, guildId, args }
+ */
+function parseCustomId(customId) {
+    const [commandName, action = null, guildId = null, ...args] = customId.split(SEPARATOR);
+    return { commandName, action, guildId, args };
+}
+
+/**
+ * Action buttons shown under a suspect report or watch alert
+ * @param {Object} options
+ * @param {string} options.guildId - Guild the suspect is being handled in
+ * @param {string} options.username - Roblox username
+ * @param {boolean} options.watched - Whether a watch is currently active
+ * @param {number|null} options.warrantId - Active warrant, if any
+ * @returns {Array<ActionRowBuilder>}
+ */
+function buildSuspectActions({ guildId, username, watched, warrantId = null }) {
+    const primary = new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(buildCustomId('check', 'recheck', guildId, username))
+            .setLabel('Re-check')
+            .setEmoji('🔄')
+            .setStyle(ButtonStyle.Secondary)
+    );
+
+    if (watched) {
+        primary.addComponents(
+            new ButtonBuilder()
+                .setCustomId(buildCustomId('stopwatch', 'stop', guildId, username))
+                .setLabel('Stop watch')
+                .setEmoji('🛑')
+                .setStyle(ButtonStyle.Danger)
+        );
+    }
+
+    if (warrantId) {
+        primary.addComponents(
+            new ButtonBuilder()
+                .setCustomId(buildCustomId('warrant', 'serve', guildId, warrantId))
+                .setLabel('Mark served')
+                .setEmoji('🚔')
+                .setStyle(ButtonStyle.Success)
+        );
+    }
+
+    const rows = [primary];
+
+    if (!watched) {
+        rows.push(new ActionRowBuilder().addComponents(
+            ...QUICK_WATCH_HOURS.map(hours =>
+                new ButtonBuilder()
+                    .setCustomId(buildCustomId('watch', 'start', guildId, username, hours))
+                    .setLabel(`Watch ${hours}h`)
+                    .setEmoji('👁️')
+                    .setStyle(ButtonStyle.Primary)
+            )
+        ));
+    }
+
+    return rows;
+}
+
+/**
+ * One-click extension buttons for a watch that is about to end
+ * Keyed by Roblox user ID so they still work after the suspect renames.
+ * @param {Object} options
+ * @param {string} options.guildId
+ * @param {number} options.robloxUserId
+ * @returns {Array<ActionRowBuilder>}
+ */
+function buildExtendActions({ guildId, robloxUserId }) {
+    return [new ActionRowBuilder().addComponents(
+        ...EXTEND_WATCH_HOURS.map(hours =>
+            new ButtonBuilder()
+                .setCustomId(buildCustomId('watch', 'extend', guildId, robloxUserId, hours))
+                .setLabel(`Extend ${hours}h`)
+                .setEmoji('⏳')
+                .setStyle(ButtonStyle.Primary)
+        )
+    )];
+}
+
+/**
+ * Make a component interaction act within the guild its custom ID names
+ * Buttons clicked in DMs have no member, so permissions can't be checked until the
+ * officer's member in that guild is fetched.
+ * @param {Interaction} interaction - Button or select menu interaction
+ * @param {string} guildId
+ * @returns {boolean} - False if the officer isn't a member of that guild
+ */
+async function resolveComponentGuild(interaction, guildId) {
+    if (!guildId) return false;
+    if (interaction.inGuild()) return interaction.guildId === guildId;
+
+    const guild = await interaction.client.guilds.fetch(guildId).catch(() => null);
+    const member = guild ? await guild.members.fetch(interaction.user.id).catch(() => null) : null;
+    if (!member) return false;
+
+    interaction.guildId = guild.id;
+    interaction.member = member;
+    return true;
+}
+
+module.exports = {
+    buildCustomId,
+    parseCustomId,
+    buildSuspectActions,
+    buildExtendActions,
+    resolveComponentGuild,
+    QUICK_WATCH_HOURS,
+    EXTEND_WATCH_HOURS
+};
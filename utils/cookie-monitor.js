@@ -0,0 +1,183 @@
+const { EmbedBuilder } = require('discord.js');
+const { checkCookieHealth, getCookieStatus } = require('./roblox-api');
+
+/**
+ * Scheduled cookie health checks
+ * Runs checkCookieHealth() on an interval and alerts the admin channel when
+ * the cookie expires or needs maintenance, and again when it recovers. Only
+ * transitions are announced - a cookie that stays expired is reported once.
+ */
+
+// Bot-wide, like the audit channel - there is one Roblox account for every guild
+const ADMIN_ALERT_CHANNEL_ID = process.env.ADMIN_ALERT_CHANNEL_ID;
+const ADMIN_ALERT_ROLE_ID = process.env.ADMIN_ALERT_ROLE_ID;
+const COOKIE_CHECK_INTERVAL_MS = (Number(process.env.COOKIE_CHECK_INTERVAL_MINUTES) || 30) * 60 * 1000;
+
+const COOKIE_STATE = {
+    HEALTHY: 'healthy',
+    DEGRADED: 'degraded',     // Repeated failures other than a 401
+    EXPIRED: 'expired'
+};
+
+const STATE_ALERTS = {
+    expired: {
+        title: '🔴 Roblox Cookie Expired',
+        color: 0xFF0000,
+        description: 'Authenticated join links are unavailable until the cookie is replaced.'
+    },
+    degraded: {
+        title: '⚠️ Roblox Cookie Needs Maintenance',
+        color: 0xFFAA00,
+        description: 'The cookie health check keeps failing. Join links may stop working.'
+    },
+    healthy: {
+        title: '✅ Roblox Cookie Recovered',
+        color: 0x00FF00,
+        description: 'The cookie is working again - authenticated join links are back.'
+    }
+};
+
+let monitorTimer = null;
+let lastState = null;
+let lastCheckAt = null;
+
+/**
+ * Collapse a cookie status into the state we alert on
+ * @param {Object} status - From getCookieStatus()
+ * @returns {string|null} - A COOKIE_STATE, or null when there is nothing to judge (no cookie, not checked yet)
+ */
+function classifyCookieStatus(status) {
+    if (status.status === 'missing' || status.status === 'unknown') return null;
+    if (status.status === 'expired') return COOKIE_STATE.EXPIRED;
+    if (status.needsMaintenance) return COOKIE_STATE.DEGRADED;
+    if (status.status === 'healthy') return COOKIE_STATE.HEALTHY;
+    return null;
+}
+
+/**
+ * Post a cookie alert to the admin channel, pinging the admin role
+ * Failures are logged and never stop the monitor
+ */
+async function sendCookieAlert(client, state, status) {
+    const alert = STATE_ALERTS[state];
+    console.log(`🍪 Cookie state changed to ${state}`);
+
+    if (!ADMIN_ALERT_CHANNEL_ID) {
+        console.error(`❌ ${alert.title} - no ADMIN_ALERT_CHANNEL_ID configured`);
+        return false;
+    }
+
+    const embed = new EmbedBuilder()
+        .setTitle(alert.title)
+        .setColor(alert.color)
+        .setDescription(alert.description)
+        .addFields(
+            { name: 'Status', value: status.status, inline: true },
+            { name: 'Failures', value: String(status.failureCount), inline: true },
+            {
+                name: 'Last Success',
+                value: status.lastSuccess ? `<t:${Math.floor(status.lastSuccess.getTime() / 1000)}:R>` : 'Never',
+                inline: true
+            }
+        )
+        .setTimestamp();
+
+    if (state !== COOKIE_STATE.HEALTHY) {
+        embed.addFields({
+            name: '🛠️ Maintenance Required',
+            value: '1. Log into alt Roblox account\n2. Copy its .ROBLOSECURITY cookie\n3. Run /maintenance and press **Replace Cookie**',
+            inline: false
+        });
+    }
+
+    try {
+        const channel = await client.channels.fetch(ADMIN_ALERT_CHANNEL_ID);
+        if (!channel?.isTextBased()) throw new Error('not a text channel');
+
+        await channel.send({
+            content: ADMIN_ALERT_ROLE_ID ? `<@&${ADMIN_ALERT_ROLE_ID}>` : undefined,
+            embeds: [embed],
+            allowedMentions: { roles: ADMIN_ALERT_ROLE_ID ? [ADMIN_ALERT_ROLE_ID] : [] }
+        });
+        return true;
+    } catch (error) {
+        console.error(`❌ Could not post cookie alert to channel ${ADMIN_ALERT_CHANNEL_ID}:`, error.message);
+        return false;
+    }
+}
+
+/**
+ * Check the cookie now and alert on a state change
+ * A bad cookie at startup is announced; a healthy one is not.
+ * @param {Client} client - Discord client
+ * @returns {Object} - { healthy, state, changed }
+ */
+async function runCookieCheck(client) {
+    const healthy = await checkCookieHealth();
+    lastCheckAt = new Date();
+
+    const status = getCookieStatus();
+    const state = classifyCookieStatus(status);
+    if (!state || state === lastState) {
+        return { healthy, state: lastState, changed: false };
+    }
+
+    const previous = lastState;
+    lastState = state;
+
+    // Nothing to announce when the first check finds the cookie working
+    if (state === COOKIE_STATE.HEALTHY && previous === null) {
+        return { healthy, state, changed: false };
+    }
+
+    await sendCookieAlert(client, state, status);
+    return { healthy, state, changed: true };
+}
+
+/**
+ * Start the scheduled checks, running the first one immediately
+ * @param {Client} client - Discord client
+ */
+function startCookieMonitor(client) {
+    if (monitorTimer) return;
+
+    const tick = () => runCookieCheck(client).catch(error => {
+        console.error('❌ Scheduled cookie check failed:', error);
+    });
+
+    monitorTimer = setInterval(tick, COOKIE_CHECK_INTERVAL_MS);
+    console.log(`🍪 Cookie monitor started (every ${COOKIE_CHECK_INTERVAL_MS / 60000} min)`);
+    return tick();
+}
+
+function stopCookieMonitor() {
+    if (monitorTimer) {
+        clearInterval(monitorTimer);
+        monitorTimer = null;
+    }
+    lastState = null;
+    lastCheckAt = null;
+}
+
+/**
+ * Monitor state for /maintenance
+ * @returns {Object} - { running, intervalMinutes, lastCheckAt, state, alertChannelId }
+ */
+function getCookieMonitorStatus() {
+    return {
+        running: monitorTimer !== null,
+        intervalMinutes: COOKIE_CHECK_INTERVAL_MS / 60000,
+        lastCheckAt,
+        state: lastState,
+        alertChannelId: ADMIN_ALERT_CHANNEL_ID || null
+    };
+}
+
+module.exports = {
+    startCookieMonitor,
+    stopCookieMonitor,
+    runCookieCheck,
+    getCookieMonitorStatus,
+    classifyCookieStatus,
+    COOKIE_STATE
+};
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const { getDb } = require('./storage');
+
+/**
+ * Encrypted storage for a cookie set at runtime
+ * The cookie is sealed with AES-256-GCM under a key derived from
+ * COOKIE_ENCRYPTION_KEY. Without that key nothing is written - the swap still
+ * applies until the next restart, when the .env cookie is used again.
+ */
+
+const COOKIE_ENCRYPTION_KEY = process.env.COOKIE_ENCRYPTION_KEY;
+const SECRET_NAME = 'roblosecurity_cookie';
+const KEY_SALT = 'warrant-bot:roblosecurity';
+const FORMAT_VERSION = 'v1';
+
+let derivedKey = null;
+
+function getKey() {
+    if (!COOKIE_ENCRYPTION_KEY) return null;
+    if (!derivedKey) {
+        derivedKey = crypto.scryptSync(COOKIE_ENCRYPTION_KEY, KEY_SALT, 32);
+    }
+    return derivedKey;
+}
+
+function encrypt(plaintext, key) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    const parts = [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64'));
+    return [FORMAT_VERSION, ...parts].join(':');
+}
+
+function decrypt(sealed, key) {
+    const [version, iv, tag, ciphertext] = sealed.split(':');
+    if (version !== FORMAT_VERSION) {
+        throw new Error('unknown format');
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Save the cookie, encrypted
+ * @param {string} cookie
+ * @param {string} updatedById - Discord user ID of the admin
+ * @returns {boolean} - False when no encryption key is configured
+ */
+function saveCookie(cookie, updatedById = null) {
+    const key = getKey();
+    if (!key) return false;
+
+    getDb().prepare(`
+        INSERT INTO bot_secrets (name, value, updated_by_id, updated_at)
+        VALUES (?, ?, ?, ?)
+        ON CONFLICT (name) DO UPDATE SET
+            value = excluded.value,
+            updated_by_id = excluded.updated_by_id,
+            updated_at = excluded.updated_at
+    `).run(SECRET_NAME, encrypt(cookie, key), updatedById, new Date().toISOString());
+    return true;
+}
+
+/**
+ * Load the saved cookie
+ * @returns {string|null} - Null when nothing is saved or it can't be decrypted (e.g. the key changed)
+ */
+function loadCookie() {
+    const key = getKey();
+    if (!key) return null;
+
+    const row = getDb().prepare('SELECT value FROM bot_secrets WHERE name = ?').get(SECRET_NAME);
+    if (!row) return null;
+
+    try {
+        return decrypt(row.value, key);
+    } catch (error) {
+        console.error('❌ Saved cookie could not be decrypted - check COOKIE_ENCRYPTION_KEY:', error.message);
+        return null;
+    }
+}
+
+module.exports = {
+    saveCookie,
+    loadCookie
+};
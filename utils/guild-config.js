@@ -0,0 +1,169 @@
+const { getDb } = require('./storage');
+const { getGuildRolePermissions } = require('./permissions');
+const { getAlertSettings } = require('./alert-routing');
+const { getTrackedPlaces } = require('./places');
+
+/**
+ * Per-guild configuration
+ * Each server the bot is in keeps its own settings. Permissions, alert routing
+ * and tracked places live in their own tables; guild_settings holds the rest.
+ */
+
+const DEFAULT_MAX_WATCHES = 50;     // Watches a guild may run at once unless configured
+const MAX_WATCHES_LIMIT = 200;      // Highest limit a guild can configure
+
+function rowToSettings(row) {
+    return {
+        guildId: row.guild_id,
+        maxWatches: row.max_watches,
+        maxWatchesPerOfficer: row.max_watches_per_officer,
+        auditChannelId: row.audit_channel_id,
+        updatedById: row.updated_by_id,
+        updatedAt: row.updated_at
+    };
+}
+
+/**
+ * Get a guild's settings, with defaults filled in
+ * @param {string} guildId
+ * @returns {Object} - { guildId, maxWatches, maxWatchesPerOfficer (null = no quota), auditChannelId, configured, updatedById, updatedAt }
+ */
+function getGuildSettings(guildId) {
+    const row = getDb().prepare('SELECT * FROM guild_settings WHERE guild_id = ?').get(guildId);
+    const settings = row ? rowToSettings(row) : { guildId, maxWatches: null, maxWatchesPerOfficer: null, auditChannelId: null, updatedById: null, updatedAt: null };
+
+    return {
+        ...settings,
+        configured: !!row,
+        maxWatches: settings.maxWatches ?? DEFAULT_MAX_WATCHES
+    };
+}
+
+/**
+ * Update some of a guild's settings
+ * @param {string} guildId
+ * @param {Object} changes - maxWatches, maxWatchesPerOfficer, auditChannelId (undefined = keep, null = back to the default)
+ * @param {string} updatedById - Discord user ID making the change
+ * @returns {Object} - The resulting settings
+ */
+function updateGuildSettings(guildId, changes, updatedById) {
+    const current = getDb().prepare('SELECT max_watches, max_watches_per_officer, audit_channel_id FROM guild_settings WHERE guild_id = ?').get(guildId);
+    const pick = (value, column) => (value !== undefined ? value : (current?.[column] ?? null));
+
+    getDb().prepare(`
+        INSERT INTO guild_settings (guild_id, max_watches, max_watches_per_officer, audit_channel_id, updated_by_id, updated_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT (guild_id) DO UPDATE SET
+            max_watches = excluded.max_watches,
+            max_watches_per_officer = excluded.max_watches_per_officer,
+            audit_channel_id = excluded.audit_channel_id,
+            updated_by_id = excluded.updated_by_id,
+            updated_at = excluded.updated_at
+    `).run(
+        guildId,
+        pick(changes.maxWatches, 'max_watches'),
+        pick(changes.maxWatchesPerOfficer, 'max_watches_per_officer'),
+        pick(changes.auditChannelId, 'audit_channel_id'),
+        updatedById,
+        new Date().toISOString()
+    );
+
+    return getGuildSettings(guildId);
+}
+
+/**
+ * How many watches a guild may run at once
+ * @param {string} guildId
+ * @returns {number}
+ */
+function getWatchLimit(guildId) {
+    return getGuildSettings(guildId).maxWatches;
+}
+
+/**
+ * Per-role watch quotas for a guild
+ * @param {string} guildId
+ * @returns {Map<string, number>} - Role ID -> maximum watches per officer
+ */
+function getRoleQuotas(guildId) {
+    const rows = getDb().prepare(`
+        SELECT role_id, max_watches FROM role_watch_quotas
+        WHERE guild_id = ?
+        ORDER BY max_watches DESC, role_id
+    `).all(guildId);
+    return new Map(rows.map(row => [row.role_id, row.max_watches]));
+}
+
+/**
+ * Set how many watches each member of a role may run at once
+ * @param {string} guildId
+ * @param {string} roleId
+ * @param {number} maxWatches
+ * @param {string} updatedById - Discord user ID making the change
+ */
+function setRoleQuota(guildId, roleId, maxWatches, updatedById) {
+    getDb().prepare(`
+        INSERT INTO role_watch_quotas (guild_id, role_id, max_watches, updated_by_id, updated_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (guild_id, role_id) DO UPDATE SET
+            max_watches = excluded.max_watches,
+            updated_by_id = excluded.updated_by_id,
+            updated_at = excluded.updated_at
+    `).run(guildId, roleId, maxWatches, updatedById, new Date().toISOString());
+}
+
+/**
+ * Remove a role's quota
+ * @returns {boolean} - True if the role had one
+ */
+function removeRoleQuota(guildId, roleId) {
+    return getDb().prepare('DELETE FROM role_watch_quotas WHERE guild_id = ? AND role_id = ?').run(guildId, roleId).changes > 0;
+}
+
+/**
+ * How many watches an officer may start at once
+ * The most generous quota among the officer's roles wins; officers without a
+ * quota'd role get the server-wide per-officer quota.
+ * @param {string} guildId
+ * @param {GuildMember|null} member - Null when the member can't be fetched
+ * @returns {number|null} - Null when there is no quota
+ */
+function getOfficerQuota(guildId, member) {
+    const roleQuotas = getRoleQuotas(guildId);
+    const matching = member
+        ? Array.from(roleQuotas).filter(([roleId]) => member.roles.cache.has(roleId)).map(([, maxWatches]) => maxWatches)
+        : [];
+
+    if (matching.length > 0) {
+        return Math.max(...matching);
+    }
+    return getGuildSettings(guildId).maxWatchesPerOfficer;
+}
+
+/**
+ * Everything configured for a guild, for /config view
+ * @param {string} guildId
+ * @returns {Object} - { settings, roleQuotas, permissions, alerts, trackedPlaces }
+ */
+function getGuildConfig(guildId) {
+    return {
+        settings: getGuildSettings(guildId),
+        roleQuotas: getRoleQuotas(guildId),
+        permissions: getGuildRolePermissions(guildId),
+        alerts: getAlertSettings(guildId),
+        trackedPlaces: getTrackedPlaces(guildId)
+    };
+}
+
+module.exports = {
+    getGuildSettings,
+    updateGuildSettings,
+    getWatchLimit,
+    getRoleQuotas,
+    setRoleQuota,
+    removeRoleQuota,
+    getOfficerQuota,
+    getGuildConfig,
+    DEFAULT_MAX_WATCHES,
+    MAX_WATCHES_LIMIT
+};
@@ -0,0 +1,98 @@
+const { Status } = require('discord.js');
+const { getCookieStatus, getPollerStatus, getRateLimitStatus } = require('./roblox-api');
+const { defineGauge } = require('./metrics');
+
+/**
+ * Operational health for the web server
+ * Liveness (/healthz) fails when the bot can't do its job at all - the gateway
+ * is down or the watch loop has stalled. Readiness (/readyz) also fails while
+ * Roblox lookups are degraded - an expired cookie or a global rate limit.
+ */
+
+const COOKIE_STATUSES = ['unknown', 'healthy', 'missing', 'expired', 'error'];
+
+function checkGateway(client) {
+    const ok = client.ws.status === Status.Ready;
+    return {
+        ok,
+        status: Status[client.ws.status] || 'Unknown',
+        pingMs: ok ? client.ws.ping : null
+    };
+}
+
+function checkCookie() {
+    const cookie = getCookieStatus();
+    // Running without a cookie is a supported (limited) mode, not a failure
+    const ok = cookie.status === 'missing' || (!cookie.needsMaintenance && cookie.status !== 'expired');
+    return {
+        ok,
+        status: cookie.status,
+        failureCount: cookie.failureCount,
+        lastSuccess: cookie.lastSuccess
+    };
+}
+
+function checkRateLimit() {
+    const rateLimit = getRateLimitStatus();
+    return { ok: !rateLimit.active, ...rateLimit };
+}
+
+function checkWatchLoop() {
+    const poller = getPollerStatus();
+    return { ok: !poller.stalled, ...poller };
+}
+
+/**
+ * Build the liveness and readiness report
+ * @param {Client} client - Discord client
+ * @returns {Object} - { live, ready, checks: { gateway, watchLoop, cookie, rateLimit } }
+ */
+function getHealthReport(client) {
+    const checks = {
+        gateway: checkGateway(client),
+        watchLoop: checkWatchLoop(),
+        cookie: checkCookie(),
+        rateLimit: checkRateLimit()
+    };
+
+    const live = checks.gateway.ok && checks.watchLoop.ok;
+    return {
+        live,
+        ready: live && checks.cookie.ok && checks.rateLimit.ok,
+        checks
+    };
+}
+
+/**
+ * Register the gauges read from live bot state at scrape time
+ * @param {Client} client - Discord client
+ */
+function registerHealthGauges(client) {
+    defineGauge('warrant_bot_gateway_up', 'Whether the Discord gateway connection is ready (1) or not (0)',
+        () => (client.ws.status === Status.Ready ? 1 : 0));
+
+    defineGauge('warrant_bot_gateway_ping_milliseconds', 'Discord gateway heartbeat latency',
+        () => client.ws.ping);
+
+    defineGauge('warrant_bot_cookie_status', 'Roblox cookie status (1 for the current status)', () => {
+        const current = getCookieStatus().status;
+        return COOKIE_STATUSES.map(status => ({ labels: { status }, value: status === current ? 1 : 0 }));
+    });
+
+    defineGauge('warrant_bot_roblox_rate_limited', 'Whether a global Roblox rate limit is in effect',
+        () => (getRateLimitStatus().active ? 1 : 0));
+
+    defineGauge('warrant_bot_active_watches', 'Suspects currently polled by the watch loop',
+        () => getPollerStatus().watches);
+
+    defineGauge('warrant_bot_watch_loop_stalled', 'Whether the watch loop has stopped completing ticks',
+        () => (getPollerStatus().stalled ? 1 : 0));
+
+    defineGauge('warrant_bot_uptime_seconds', 'Process uptime',
+        () => Math.floor(process.uptime()));
+}
+
+module.exports = {
+    getHealthReport,
+    registerHealthGauges
+};
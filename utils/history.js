@@ -0,0 +1,88 @@
+/**
+ * Session building from recorded status transitions
+ * A session runs from an offline -> online transition to the next offline one,
+ * or to the marker left when the watch stopped observing the user.
+ */
+
+/**
+ * Format a duration in ms as "Xh Ym"
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatDuration(ms) {
+    const hours = Math.floor(ms / (1000 * 60 * 60));
+    const minutes = Math.floor((ms % (1000 * 60 * 60)) / (1000 * 60));
+    return `${hours}h ${minutes}m`;
+}
+
+/**
+ * Group transitions into online sessions
+ * @param {Array<Object>} transitions - From storage.getTransitions, any order
+ * @returns {Array<Object>} - Sessions oldest first: { start, end, unobservedEnd, durationMs, places }
+ *                            end is null when no offline transition was seen yet;
+ *                            unobservedEnd is true when the watch ended rather than the session
+ */
+function buildSessions(transitions) {
+    // Same-millisecond transitions keep the order they were recorded in
+    const ordered = [...transitions].sort((a, b) => a.observedAt.localeCompare(b.observedAt) || a.id - b.id);
+    const sessions = [];
+    let current = null;
+
+    for (const transition of ordered) {
+        if (transition.isOnline) {
+            if (!current) {
+                current = { start: new Date(transition.observedAt), end: null, unobservedEnd: false, places: [] };
+                sessions.push(current);
+            }
+
+            // Track each game visited, in order, without repeating consecutive servers
+            if (transition.presenceType === 2 && transition.game) {
+                if (current.places[current.places.length - 1] !== transition.game) {
+                    current.places.push(transition.game);
+                }
+            }
+        } else if (current) {
+            // Nothing is known past an unobserved marker, so the session can't run on
+            current.end = new Date(transition.observedAt);
+            current.unobservedEnd = transition.unobserved === true;
+            current = null;
+        }
+    }
+
+    for (const session of sessions) {
+        session.durationMs = (session.end || new Date()) - session.start;
+    }
+
+    return sessions;
+}
+
+/**
+ * Find the hours of day (UTC) with the most online time
+ * @param {Array<Object>} sessions - From buildSessions
+ * @param {number} count - Number of hours to return
+ * @returns {Array<number>} - Hours 0-23, busiest first
+ */
+function getBusiestHours(sessions, count = 3) {
+    const minutesByHour = new Array(24).fill(0);
+
+    for (const session of sessions) {
+        const end = session.end || new Date();
+        // Walk the session minute by minute in 15 minute steps
+        for (let t = session.start.getTime(); t < end.getTime(); t += 15 * 60 * 1000) {
+            minutesByHour[new Date(t).getUTCHours()] += 15;
+        }
+    }
+
+    return minutesByHour
+        .map((minutes, hour) => ({ hour, minutes }))
+        .filter(entry => entry.minutes > 0)
+        .sort((a, b) => b.minutes - a.minutes)
+        .slice(0, count)
+        .map(entry => entry.hour);
+}
+
+module.exports = {
+    buildSessions,
+    getBusiestHours,
+    formatDuration
+};
@@ -0,0 +1,154 @@
+const { getDb } = require('./storage');
+
+// Guild-scoped named suspect lists, keyed by Roblox user ID so renames don't break them
+
+const MAX_LIST_NAME_LENGTH = 32;
+// Matches MAX_BULK_TARGETS so a whole list can be checked in one go
+const MAX_LIST_MEMBERS = 100;
+
+function rowToList(row) {
+    return {
+        id: row.id,
+        guildId: row.guild_id,
+        name: row.name,
+        createdById: row.created_by_id,
+        createdAt: row.created_at,
+        memberCount: row.member_count
+    };
+}
+
+/**
+ * Find a list by name (case-insensitive)
+ * @param {string} guildId
+ * @param {string} name
+ * @returns {Object|null}
+ */
+function getList(guildId, name) {
+    const row = getDb().prepare(`
+        SELECT l.*, (SELECT COUNT(*) FROM suspect_list_members m WHERE m.list_id = l.id) AS member_count
+        FROM suspect_lists l
+        WHERE l.guild_id = ? AND l.name = ?
+    `).get(guildId, name);
+    return row ? rowToList(row) : null;
+}
+
+/**
+ * Get all of a guild's lists
+ * @param {string} guildId
+ * @returns {Array<Object>}
+ */
+function getLists(guildId) {
+    return getDb().prepare(`
+        SELECT l.*, (SELECT COUNT(*) FROM suspect_list_members m WHERE m.list_id = l.id) AS member_count
+        FROM suspect_lists l
+        WHERE l.guild_id = ?
+        ORDER BY l.name
+    `).all(guildId).map(rowToList);
+}
+
+/**
+ * Create an empty list
+ * @returns {Object|null} - The new list, or null if the name is taken
+ */
+function createList(guildId, name, createdById) {
+    const result = getDb().prepare(`
+        INSERT OR IGNORE INTO suspect_lists (guild_id, name, created_by_id, created_at)
+        VALUES (?, ?, ?, ?)
+    `).run(guildId, name, createdById, new Date().toISOString());
+
+    return result.changes > 0 ? getList(guildId, name) : null;
+}
+
+/**
+ * Get a list's members, oldest first
+ * @param {number} listId
+ * @returns {Array<Object>} - { robloxUserId, username, addedById, addedAt }
+ */
+function getListMembers(listId) {
+    return getDb().prepare(`
+        SELECT * FROM suspect_list_members WHERE list_id = ? ORDER BY added_at, username
+    `).all(listId).map(row => ({
+        robloxUserId: row.roblox_user_id,
+        username: row.username,
+        addedById: row.added_by_id,
+        addedAt: row.added_at
+    }));
+}
+
+/**
+ * Add resolved users to a list, refreshing the stored name of existing members
+ * New members past MAX_LIST_MEMBERS are left out.
+ * @param {number} listId
+ * @param {Array<Object>} users - { id, name } as returned by getRobloxUserIds
+ * @param {string} addedById
+ * @returns {Object} - { added, dropped }: how many were new to the list, and how many didn't fit
+ */
+function addListMembers(listId, users, addedById) {
+    const database = getDb();
+    const exists = database.prepare('SELECT 1 FROM suspect_list_members WHERE list_id = ? AND roblox_user_id = ?');
+    const count = database.prepare('SELECT COUNT(*) AS total FROM suspect_list_members WHERE list_id = ?');
+    const upsert = database.prepare(`
+        INSERT INTO suspect_list_members (list_id, roblox_user_id, username, added_by_id, added_at)
+        VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT (list_id, roblox_user_id) DO UPDATE SET username = excluded.username
+    `);
+
+    let added = 0;
+    let dropped = 0;
+    database.transaction(() => {
+        const now = new Date().toISOString();
+        let total = count.get(listId).total;
+        for (const user of users) {
+            if (!exists.get(listId, user.id)) {
+                if (total >= MAX_LIST_MEMBERS) {
+                    dropped++;
+                    continue;
+                }
+                added++;
+                total++;
+            }
+            upsert.run(listId, user.id, user.name, addedById, now);
+        }
+    })();
+
+    return { added, dropped };
+}
+
+/**
+ * Remove a member by stored username or Roblox user ID
+ * @param {number} listId
+ * @param {string} usernameOrId
+ * @returns {Object|null} - The removed member's { robloxUserId, username }
+ */
+function removeListMember(listId, usernameOrId) {
+    const database = getDb();
+    const row = database.prepare(`
+        SELECT * FROM suspect_list_members
+        WHERE list_id = ? AND (username = ? COLLATE NOCASE OR CAST(roblox_user_id AS TEXT) = ?)
+    `).get(listId, usernameOrId, usernameOrId);
+
+    if (!row) return null;
+
+    database.prepare('DELETE FROM suspect_list_members WHERE list_id = ? AND roblox_user_id = ?').run(listId, row.roblox_user_id);
+    return { robloxUserId: row.roblox_user_id, username: row.username };
+}
+
+/**
+ * Delete a list and its members
+ * @returns {boolean} - True if the list existed
+ */
+function deleteList(guildId, name) {
+    return getDb().prepare('DELETE FROM suspect_lists WHERE guild_id = ? AND name = ?').run(guildId, name).changes > 0;
+}
+
+module.exports = {
+    getList,
+    getLists,
+    createList,
+    deleteList,
+    getListMembers,
+    addListMembers,
+    removeListMember,
+    MAX_LIST_NAME_LENGTH,
+    MAX_LIST_MEMBERS
+};
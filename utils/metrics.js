@@ -0,0 +1,105 @@
+/**
+ * Prometheus metrics
+ * Counters are incremented where things happen; gauges are read when /metrics
+ * is scraped. Rendered in the Prometheus text exposition format.
+ */
+
+const counters = new Map();   // name -> { help, series: Map(labelKey -> { labels, value }) }
+const gauges = new Map();     // name -> { help, collect }
+
+// Escape a label value per the exposition format
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return '';
+    return `{${entries.map(([name, value]) => `${name}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * Define a counter
+ * @param {string} name - Metric name, ending in _total
+ * @param {string} help - One-line description
+ * @returns {Object} - { inc(labels, amount), get(labels) }
+ */
+function defineCounter(name, help) {
+    const counter = { help, series: new Map() };
+    counters.set(name, counter);
+
+    return {
+        inc(labels = {}, amount = 1) {
+            const key = formatLabels(labels);
+            const series = counter.series.get(key) || { labels, value: 0 };
+            series.value += amount;
+            counter.series.set(key, series);
+        },
+        get(labels = {}) {
+            return counter.series.get(formatLabels(labels))?.value || 0;
+        }
+    };
+}
+
+/**
+ * Define a gauge read at scrape time
+ * @param {string} name - Metric name
+ * @param {string} help - One-line description
+ * @param {Function} collect - Returns a number, or an array of { labels, value }
+ */
+function defineGauge(name, help, collect) {
+    gauges.set(name, { help, collect });
+}
+
+/**
+ * Render every metric in the Prometheus text format
+ * A gauge whose collector throws is skipped so one bad reading doesn't break the scrape.
+ * @returns {string}
+ */
+function renderMetrics() {
+    const lines = [];
+
+    for (const [name, counter] of counters) {
+        lines.push(`# HELP ${name} ${counter.help}`, `# TYPE ${name} counter`);
+        for (const series of counter.series.values()) {
+            lines.push(`${name}${formatLabels(series.labels)} ${series.value}`);
+        }
+    }
+
+    for (const [name, gauge] of gauges) {
+        let samples;
+        try {
+            const value = gauge.collect();
+            samples = Array.isArray(value) ? value : [{ labels: {}, value }];
+        } catch (error) {
+            console.error(`❌ Metric ${name} could not be collected:`, error.message);
+            continue;
+        }
+
+        lines.push(`# HELP ${name} ${gauge.help}`, `# TYPE ${name} gauge`);
+        for (const sample of samples) {
+            lines.push(`${name}${formatLabels(sample.labels || {})} ${Number(sample.value)}`);
+        }
+    }
+
+    return `${lines.join('\n')}\n`;
+}
+
+// Counters shared across the bot
+const checksTotal = defineCounter('warrant_bot_checks_total', 'Suspect status checks by command and outcome');
+const alertsSentTotal = defineCounter('warrant_bot_alerts_sent_total', 'Watch alerts sent by kind');
+const alertDeliveriesTotal = defineCounter('warrant_bot_alert_deliveries_total', 'Alert deliveries by method (dm, channel) and outcome');
+const robloxRequestsTotal = defineCounter('warrant_bot_roblox_requests_total', 'Roblox API requests by endpoint and HTTP status');
+const robloxRateLimitsTotal = defineCounter('warrant_bot_roblox_rate_limits_total', 'Roblox API 429 responses by endpoint');
+
+module.exports = {
+    defineCounter,
+    defineGauge,
+    renderMetrics,
+    checksTotal,
+    alertsSentTotal,
+    alertDeliveriesTotal,
+    robloxRequestsTotal,
+    robloxRateLimitsTotal,
+    CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8'
+};
@@ -0,0 +1,84 @@
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, ComponentType } = require('discord.js');
+
+// How long page buttons stay active
+const PAGE_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Custom ID prefix - interactions with it are handled by the collector, not server.js
+const PAGER_PREFIX = 'pager';
+
+function buildPagerRow(page, total, disabled = false) {
+    return new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`${PAGER_PREFIX}:prev`)
+            .setLabel('◀ Prev')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(disabled || page === 0),
+        new ButtonBuilder()
+            .setCustomId(`${PAGER_PREFIX}:page`)
+            .setLabel(`Page ${page + 1}/${total}`)
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(true),
+        new ButtonBuilder()
+            .setCustomId(`${PAGER_PREFIX}:next`)
+            .setLabel('Next ▶')
+            .setStyle(ButtonStyle.Secondary)
+            .setDisabled(disabled || page === total - 1)
+    );
+}
+
+/**
+ * Send a list of embeds as one message with Prev/Next buttons
+ * Only the invoking user can turn pages; buttons are removed after a timeout.
+ * @param {Interaction} interaction - Deferred, replied or fresh interaction
+ * @param {Array<EmbedBuilder>} pages - One embed per page
+ * @param {Object} options - ephemeral, files (attachments sent with the message)
+ */
+async function sendPaginated(interaction, pages, { ephemeral = false, files = [] } = {}) {
+    let page = 0;
+    const payload = {
+        embeds: [pages[0]],
+        components: pages.length > 1 ? [buildPagerRow(0, pages.length)] : [],
+        files: files
+    };
+
+    const message = interaction.deferred || interaction.replied
+        ? await interaction.editReply(payload)
+        : await interaction.reply({ ...payload, ephemeral, fetchReply: true });
+
+    if (pages.length <= 1) return message;
+
+    const collector = message.createMessageComponentCollector({
+        componentType: ComponentType.Button,
+        time: PAGE_TIMEOUT_MS
+    });
+
+    collector.on('collect', async buttonInteraction => {
+        if (buttonInteraction.user.id !== interaction.user.id) {
+            await buttonInteraction.reply({ content: '⚠️ Only the officer who ran this command can turn pages.', ephemeral: true });
+            return;
+        }
+
+        if (buttonInteraction.customId === `${PAGER_PREFIX}:prev`) page = Math.max(0, page - 1);
+        if (buttonInteraction.customId === `${PAGER_PREFIX}:next`) page = Math.min(pages.length - 1, page + 1);
+
+        await buttonInteraction.update({
+            embeds: [pages[page]],
+            components: [buildPagerRow(page, pages.length)]
+        });
+    });
+
+    collector.on('end', async () => {
+        try {
+            await interaction.editReply({ components: [buildPagerRow(page, pages.length, true)] });
+        } catch (error) {
+            // Message may have been deleted - nothing to clean up
+        }
+    });
+
+    return message;
+}
+
+module.exports = {
+    sendPaginated,
+    PAGER_PREFIX
+};
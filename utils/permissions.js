@@ -1,15 +1,103 @@
-// Define role hierarchy and permissions
+const { PermissionFlagsBits } = require('discord.js');
+const { getDb } = require('./storage');
+const { recordAudit, AUDIT_OUTCOME } = require('./audit');
+
+// Capabilities that can be granted to a role
+// 'admin' covers stopping other officers' watches and clearing the watch list
+const CAPABILITIES = ['check', 'bulk-check', 'watch', 'warrant', 'maintenance', 'audit', 'admin'];
+
+// Default role hierarchy by role name
+// Used for guilds with no configured permissions and as the /permissions seed
 const ROLE_PERMISSIONS = {
-    '.': ['check', 'bulk-check', 'watch', 'maintenance'], // Full access
-    'HR | Executive Operator': ['check', 'bulk-check', 'watch', 'maintenance'],
-    'Senior Executive Operator': ['check', 'bulk-check', 'watch', 'maintenance'],
+    '.': ['check', 'bulk-check', 'watch', 'warrant', 'maintenance', 'audit', 'admin'], // Full access
+    'HR | Executive Operator': ['check', 'bulk-check', 'watch', 'warrant', 'maintenance', 'audit'],
+    'Senior Executive Operator': ['check', 'bulk-check', 'watch', 'warrant', 'maintenance'],
     'Special Weapons and Tactics': ['check'] // Only check command
 };
 
+/**
+ * Get configured role permissions for a guild
+ * @param {string} guildId - Discord guild ID
+ * @returns {Map<string, Array<string>>} - Role ID -> capabilities (empty if unconfigured)
+ */
+function getGuildRolePermissions(guildId) {
+    const rows = getDb().prepare(`
+        SELECT role_id, capability FROM role_permissions
+        WHERE guild_id = ?
+        ORDER BY role_id, capability
+    `).all(guildId);
+
+    const permissions = new Map();
+    for (const row of rows) {
+        if (!permissions.has(row.role_id)) {
+            permissions.set(row.role_id, []);
+        }
+        permissions.get(row.role_id).push(row.capability);
+    }
+    return permissions;
+}
+
+/**
+ * Grant a capability to a role
+ * @returns {boolean} - True if newly granted
+ */
+function grantRolePermission(guildId, roleId, capability, grantedById = null) {
+    return getDb().prepare(`
+        INSERT OR IGNORE INTO role_permissions (guild_id, role_id, capability, granted_by_id, granted_at)
+        VALUES (?, ?, ?, ?, ?)
+    `).run(guildId, roleId, capability, grantedById, new Date().toISOString()).changes > 0;
+}
+
+/**
+ * Remove a capability from a role
+ * @returns {boolean} - True if it was granted before
+ */
+function revokeRolePermission(guildId, roleId, capability) {
+    return getDb().prepare(`
+        DELETE FROM role_permissions
+        WHERE guild_id = ? AND role_id = ? AND capability = ?
+    `).run(guildId, roleId, capability).changes > 0;
+}
+
+/**
+ * Remove all configured permissions for a guild (falls back to defaults)
+ * @returns {number} - Rows removed
+ */
+function resetGuildPermissions(guildId) {
+    return getDb().prepare('DELETE FROM role_permissions WHERE guild_id = ?').run(guildId).changes;
+}
+
+/**
+ * Copy the default ROLE_PERMISSIONS table into a guild's config
+ * Role names are resolved to IDs once, so later renames don't break access
+ * @param {Guild} guild - Discord guild
+ * @param {string} grantedById - Discord user ID of the admin seeding
+ * @returns {Array<string>} - Names of roles that were seeded
+ */
+function seedGuildPermissions(guild, grantedById = null) {
+    const seeded = [];
+
+    getDb().transaction(() => {
+        for (const [roleName, capabilities] of Object.entries(ROLE_PERMISSIONS)) {
+            const role = guild.roles.cache.find(r => r.name === roleName);
+            if (!role) continue;
+
+            for (const capability of capabilities) {
+                grantRolePermission(guild.id, role.id, capability, grantedById);
+            }
+            seeded.push(role.name);
+        }
+    })();
+
+    return seeded;
+}
+
 /**
  * Check if user has permission to use a command
+ * Guilds with configured role permissions are checked by role ID;
+ * unconfigured guilds fall back to the default role-name table.
  * @param {Interaction} interaction - Discord interaction
- * @param {string} commandName - Name of the command
+ * @param {string} commandName - Name of the command (capability)
  * @returns {boolean} - True if user has permission
  */
 function hasPermission(interaction, commandName) {
@@ -17,21 +105,18 @@ function hasPermission(interaction, commandName) {
     const member = interaction.member;
     if (!member) return false;
 
-    // Check each role the user has
-    for (const [roleName, roleData] of member.roles.cache) {
-        // Check role by name
-        const role = member.guild.roles.cache.find(r => r.name === roleName);
-        if (role) {
-            // Check if this role name exists in our permissions
-            for (const [permRole, commands] of Object.entries(ROLE_PERMISSIONS)) {
-                if (role.name === permRole && commands.includes(commandName)) {
-                    return true;
-                }
+    const configured = getGuildRolePermissions(interaction.guildId || member.guild.id);
+
+    if (configured.size > 0) {
+        for (const [roleId, capabilities] of configured) {
+            if (capabilities.includes(commandName) && member.roles.cache.has(roleId)) {
+                return true;
             }
         }
+        return false;
     }
 
-    // Also check by role name directly (more reliable)
+    // No guild config yet - check by role name
     for (const [permRole, commands] of Object.entries(ROLE_PERMISSIONS)) {
         if (member.roles.cache.some(role => role.name === permRole)) {
             if (commands.includes(commandName)) {
@@ -43,45 +128,124 @@ function hasPermission(interaction, commandName) {
     return false;
 }
 
+/**
+ * Check if user may manage bot permissions
+ * Server managers always can, so a guild can't lock itself out
+ * @param {Interaction} interaction
+ * @returns {boolean}
+ */
+function canManagePermissions(interaction) {
+    if (interaction.memberPermissions?.has(PermissionFlagsBits.ManageGuild)) {
+        return true;
+    }
+    return hasPermission(interaction, 'admin');
+}
+
+/**
+ * Check if user operates the bot itself
+ * Bot-wide actions like replacing the Roblox cookie affect every server, so a
+ * guild's own roles aren't enough: the user must be listed in BOT_OPERATOR_IDS
+ * or be an admin of OWNER_GUILD_ID.
+ * @param {Interaction} interaction
+ * @returns {boolean}
+ */
+function isBotOperator(interaction) {
+    const operatorIds = (process.env.BOT_OPERATOR_IDS || '').split(',').map(id => id.trim()).filter(Boolean);
+    if (operatorIds.includes(interaction.user.id)) {
+        return true;
+    }
+
+    const ownerGuildId = process.env.OWNER_GUILD_ID;
+    return Boolean(ownerGuildId) && interaction.guildId === ownerGuildId && hasPermission(interaction, 'admin');
+}
+
 /**
  * Silent deny - returns true if command should be ignored
- * @param {Interaction} interaction 
- * @param {string} commandName 
+ * @param {Interaction} interaction
+ * @param {string} commandName
  * @returns {boolean} - True if should deny silently
  */
 async function checkPermissionSilent(interaction, commandName) {
     if (!hasPermission(interaction, commandName)) {
         // Silent denial - don't reply at all
         console.log(`🚫 Permission denied for ${interaction.user.tag} on command: ${commandName}`);
+        recordAudit(interaction, {
+            command: interaction.commandName,
+            action: interaction.commandName !== commandName ? `requires ${commandName}` : null,
+            targetUsername: interaction.isChatInputCommand?.() ? interaction.options.getString('username') : null,
+            outcome: AUDIT_OUTCOME.DENIED
+        });
         return true; // Should deny
     }
     return false; // Permission granted
 }
 
+/**
+ * Permission check for buttons and menus - returns true if the action should be refused
+ * Unlike slash commands the denial is acknowledged, otherwise Discord shows the
+ * button as failed.
+ * @param {Interaction} interaction - Button or select menu interaction
+ * @param {string} commandName
+ * @returns {boolean} - True if denied
+ */
+async function checkPermissionComponent(interaction, commandName) {
+    if (await checkPermissionSilent(interaction, commandName)) {
+        await interaction.reply({ content: '🚫 You don\'t have permission to do that.', ephemeral: true });
+        return true;
+    }
+    return false;
+}
+
+/**
+ * Operator check for buttons and modals - returns true if the action should be refused
+ * @param {Interaction} interaction
+ * @returns {boolean} - True if denied
+ */
+async function checkOperatorComponent(interaction) {
+    if (!isBotOperator(interaction)) {
+        console.log(`🚫 ${interaction.user.tag} is not a bot operator`);
+        recordAudit(interaction, { action: 'requires bot operator', outcome: AUDIT_OUTCOME.DENIED });
+        await interaction.reply({ content: '🚫 Only bot operators can do that.', ephemeral: true });
+        return true;
+    }
+    return false;
+}
+
 /**
  * Get users with specific roles for notifications
+ * Only members already in the cache are considered.
  * @param {Guild} guild - Discord guild
- * @param {Array<string>} roleNames - Array of role names to check
+ * @param {Array<string>} roles - Array of role names or role IDs to check
  * @returns {Array<GuildMember>} - Array of members with those roles
  */
-function getMembersWithRoles(guild, roleNames) {
+function getMembersWithRoles(guild, roles) {
     const members = [];
-    
+
     guild.members.cache.forEach(member => {
-        for (const roleName of roleNames) {
-            if (member.roles.cache.some(role => role.name === roleName)) {
+        for (const roleKey of roles) {
+            if (member.roles.cache.some(role => role.id === roleKey || role.name === roleKey)) {
                 members.push(member);
                 break; // Don't add same member twice
             }
         }
     });
-    
+
     return members;
 }
 
 module.exports = {
     hasPermission,
     checkPermissionSilent,
+    checkPermissionComponent,
+    canManagePermissions,
+    isBotOperator,
+    checkOperatorComponent,
     getMembersWithRoles,
+    getGuildRolePermissions,
+    grantRolePermission,
+    revokeRolePermission,
+    resetGuildPermissions,
+    seedGuildPermissions,
+    CAPABILITIES,
     ROLE_PERMISSIONS
-};
\ No newline at end of file
+};
@@ -0,0 +1,112 @@
+const { getDb } = require('./storage');
+
+// A tracked entry matches either a single place or a whole universe (experience)
+const PLACE_KINDS = {
+    PLACE: 'place',
+    UNIVERSE: 'universe'
+};
+
+function rowToPlace(row) {
+    return {
+        guildId: row.guild_id,
+        kind: row.kind,
+        targetId: row.target_id,
+        label: row.label,
+        addedById: row.added_by_id,
+        addedAt: row.added_at
+    };
+}
+
+/**
+ * Get a guild's tracked places and universes
+ * @param {string} guildId
+ * @returns {Array<Object>}
+ */
+function getTrackedPlaces(guildId) {
+    return getDb().prepare(`
+        SELECT * FROM tracked_places
+        WHERE guild_id = ?
+        ORDER BY added_at
+    `).all(guildId).map(rowToPlace);
+}
+
+/**
+ * Add (or relabel) a tracked place or universe
+ * @returns {boolean} - True if newly added
+ */
+function addTrackedPlace(guildId, kind, targetId, label = null, addedById = null) {
+    const existing = getDb().prepare(`
+        SELECT 1 FROM tracked_places WHERE guild_id = ? AND kind = ? AND target_id = ?
+    `).get(guildId, kind, targetId);
+
+    getDb().prepare(`
+        INSERT INTO tracked_places (guild_id, kind, target_id, label, added_by_id, added_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+        ON CONFLICT (guild_id, kind, target_id) DO UPDATE SET label = excluded.label
+    `).run(guildId, kind, targetId, label, addedById, new Date().toISOString());
+
+    return !existing;
+}
+
+/**
+ * Stop tracking a place or universe
+ * @returns {boolean} - True if it was tracked
+ */
+function removeTrackedPlace(guildId, kind, targetId) {
+    return getDb().prepare(`
+        DELETE FROM tracked_places WHERE guild_id = ? AND kind = ? AND target_id = ?
+    `).run(guildId, kind, targetId).changes > 0;
+}
+
+/**
+ * Find the tracked entry matching a presence, if any
+ * @param {string} guildId
+ * @param {Object} presence - Raw Roblox presence (placeId, rootPlaceId, universeId)
+ * @returns {Object|null}
+ */
+function matchTrackedPlace(guildId, presence) {
+    if (!presence || presence.userPresenceType !== 2) return null;
+
+    return getTrackedPlaces(guildId).find(place => {
+        if (place.kind === PLACE_KINDS.UNIVERSE) {
+            return presence.universeId === place.targetId;
+        }
+        return presence.placeId === place.targetId || presence.rootPlaceId === place.targetId;
+    }) || null;
+}
+
+/**
+ * Classify where an in-game user is relative to the guild's tracked games
+ * @param {string} guildId
+ * @param {Object} status - Status result from checkRobloxStatus
+ * @returns {Object|null} - { ours, label, text } or null if not in game / nothing tracked
+ */
+function getGameScope(guildId, status) {
+    const presence = status?.presenceData;
+    if (!presence || presence.userPresenceType !== 2) return null;
+    if (getTrackedPlaces(guildId).length === 0) return null;
+
+    if (!presence.placeId) {
+        return { ours: false, label: null, text: '❔ In a game (details hidden)' };
+    }
+
+    const match = matchTrackedPlace(guildId, presence);
+    if (match) {
+        return {
+            ours: true,
+            label: match.label,
+            text: `🎯 In our game${match.label ? ` (${match.label})` : ''}`
+        };
+    }
+
+    return { ours: false, label: null, text: '🌐 In another game' };
+}
+
+module.exports = {
+    getTrackedPlaces,
+    addTrackedPlace,
+    removeTrackedPlace,
+    matchTrackedPlace,
+    getGameScope,
+    PLACE_KINDS
+};
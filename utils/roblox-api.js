@@ -1,22 +1,34 @@
 const axios = require('axios');
+const { createTtlCache } = require('./ttl-cache');
+const { robloxRequestsTotal, robloxRateLimitsTotal } = require('./metrics');
 
-// Rate limiting
+// Rate limiting (per Discord user, shared by every client)
 const rateLimitMap = new Map();
 const RATE_LIMIT_MS = 2000;
 
-// Global rate limit tracking
-let globalRateLimitUntil = 0;
-let globalRateLimitActive = false;
+// Batch sizes for multi-user endpoints
+const PRESENCE_BATCH_SIZE = 50;
+const USERNAME_BATCH_SIZE = 100;
 
-// Authentication state
-let csrfToken = null;
-const roblosecurityCookie = process.env.ROBLOSECURITY_COOKIE;
-let authenticatedUserId = null;
+// Username resolution caches
+const USERNAME_CACHE_TTL_MS = 6 * 60 * 60 * 1000;   // username -> ID rarely changes
+const USER_NAME_CACHE_TTL_MS = 60 * 60 * 1000;      // ID -> name, refreshed to spot renames
+const PREVIOUS_NAME_LOOKUP_LIMIT = 3;               // Search calls per lookup for renamed users
 
-// Cookie status tracking
-let cookieStatus = 'unknown';
-let lastAuthSuccess = null;
-let authFailureCount = 0;
+// Presence poller - shared by every active watch
+const POLL_TICK_MS = 15000;
+const POLLER_STALL_TICKS = 4;   // Ticks without completing before the poller counts as stalled
+
+const REQUEST_TIMEOUT_MS = 10000;
+
+// Roblox services, overridable per client (the test suite points them at a mock server)
+const DEFAULT_BASE_URLS = {
+    users: 'https://users.roblox.com',
+    presence: 'https://presence.roblox.com',
+    auth: 'https://auth.roblox.com',
+    gamejoin: 'https://gamejoin.roblox.com',
+    www: 'https://www.roblox.com'
+};
 
 // Configure base headers
 const robloxHeaders = {
@@ -29,381 +41,625 @@ const robloxHeaders = {
 };
 
 /**
- * Get headers with authentication
+ * Wrap a transport so every request is counted for /metrics
+ * Endpoints are labelled by path - each service's paths are fixed, so the label set stays small.
+ * @param {Object} transport - axios-compatible HTTP client ({ get, post })
+ * @returns {Object} - { get, post }
  */
-function getAuthHeaders() {
-    const headers = { ...robloxHeaders };
-    
-    if (roblosecurityCookie) {
-        headers['Cookie'] = `.ROBLOSECURITY=${roblosecurityCookie}`;
-        if (csrfToken) {
-            headers['X-CSRF-TOKEN'] = csrfToken;
+function instrumentTransport(transport) {
+    async function send(method, url, args) {
+        const endpoint = new URL(url).pathname;
+        try {
+            const response = await transport[method](url, ...args);
+            robloxRequestsTotal.inc({ endpoint, status: response.status });
+            return response;
+        } catch (error) {
+            const status = error.response?.status || 'error';
+            robloxRequestsTotal.inc({ endpoint, status });
+            if (status === 429) robloxRateLimitsTotal.inc({ endpoint });
+            throw error;
         }
     }
-    
-    return headers;
+
+    return {
+        get: (url, config) => send('get', url, [config]),
+        post: (url, data, config) => send('post', url, [data, config])
+    };
 }
 
 /**
- * Make a rate-limited Roblox API request
+ * Roblox API client
+ * Each instance owns its auth state, caches, global rate limit and presence poller.
+ * @param {Object} options
+ * @param {string} options.cookie - .ROBLOSECURITY cookie (limited mode without one)
+ * @param {Object} options.baseUrls - Overrides for DEFAULT_BASE_URLS
+ * @param {Object} options.transport - axios-compatible HTTP client ({ get, post })
+ * @param {number} options.timeout - Request timeout in ms
  */
-async function makeRobloxRequest(requestFunc, requestName = 'Unknown') {
-    // Check global rate limit
-    if (globalRateLimitActive && Date.now() < globalRateLimitUntil) {
-        const waitTime = Math.ceil((globalRateLimitUntil - Date.now()) / 1000);
-        console.log(`⏳ Global rate limit active. Waiting ${waitTime} seconds for ${requestName}...`);
-        await new Promise(resolve => setTimeout(resolve, globalRateLimitUntil - Date.now()));
+class RobloxClient {
+    constructor({ cookie = null, baseUrls = {}, transport = axios, timeout = REQUEST_TIMEOUT_MS } = {}) {
+        this.baseUrls = { ...DEFAULT_BASE_URLS, ...baseUrls };
+        this.http = instrumentTransport(transport);
+        this.timeout = timeout;
+
+        // Authentication state
+        this.roblosecurityCookie = cookie || null;
+        this.csrfToken = null;
+        this.authenticatedUserId = null;
+
+        // Cookie status tracking
+        this.cookieStatus = 'unknown';
+        this.lastAuthSuccess = null;
+        this.authFailureCount = 0;
+
+        // Global rate limit tracking
+        this.globalRateLimitUntil = 0;
+        this.globalRateLimitActive = false;
+
+        this.usernameCache = createTtlCache(USERNAME_CACHE_TTL_MS);     // lowercased name -> { id, name }
+        this.userNameCache = createTtlCache(USER_NAME_CACHE_TTL_MS);    // user ID -> current name
+
+        this.pollerEntries = new Map();
+        this.pollerTimer = null;
+        this.pollerRunning = false;
+        this.pollerStartedAt = null;
+        this.pollerLastTickAt = null;
+    }
+
+    /**
+     * Build a full URL for a Roblox service
+     */
+    url(service, path) {
+        return `${this.baseUrls[service]}${path}`;
     }
-    
-    try {
-        const result = await requestFunc();
-        // Reset global rate limit on successful request
-        if (globalRateLimitActive) {
-            globalRateLimitActive = false;
-            console.log('✅ Global rate limit cleared');
+
+    /**
+     * Get headers with authentication
+     */
+    getAuthHeaders() {
+        const headers = { ...robloxHeaders };
+
+        if (this.roblosecurityCookie) {
+            headers['Cookie'] = `.ROBLOSECURITY=${this.roblosecurityCookie}`;
+            if (this.csrfToken) {
+                headers['X-CSRF-TOKEN'] = this.csrfToken;
+            }
         }
-        return result;
-    } catch (error) {
-        // Handle rate limit responses
-        if (error.response?.status === 429) {
-            const retryAfter = error.response.headers['retry-after'];
-            const waitSeconds = retryAfter ? parseInt(retryAfter) : 60;
-            globalRateLimitUntil = Date.now() + (waitSeconds * 1000);
-            globalRateLimitActive = true;
-            console.log(`🚫 Global rate limit hit! Pausing ALL requests for ${waitSeconds} seconds`);
-            
-            // Return rate limit error for handling
-            return { error: 'rate_limited', retryAfter: waitSeconds };
+
+        return headers;
+    }
+
+    /**
+     * Make a rate-limited Roblox API request
+     */
+    async makeRobloxRequest(requestFunc, requestName = 'Unknown') {
+        // Check global rate limit
+        if (this.globalRateLimitActive && Date.now() < this.globalRateLimitUntil) {
+            const waitTime = Math.ceil((this.globalRateLimitUntil - Date.now()) / 1000);
+            console.log(`⏳ Global rate limit active. Waiting ${waitTime} seconds for ${requestName}...`);
+            await new Promise(resolve => setTimeout(resolve, this.globalRateLimitUntil - Date.now()));
+        }
+
+        try {
+            const result = await requestFunc();
+            // Reset global rate limit on successful request
+            if (this.globalRateLimitActive) {
+                this.globalRateLimitActive = false;
+                console.log('✅ Global rate limit cleared');
+            }
+            return result;
+        } catch (error) {
+            // Handle rate limit responses
+            if (error.response?.status === 429) {
+                const retryAfter = error.response.headers['retry-after'];
+                const waitSeconds = retryAfter ? parseInt(retryAfter) : 60;
+                this.globalRateLimitUntil = Date.now() + (waitSeconds * 1000);
+                this.globalRateLimitActive = true;
+                console.log(`🚫 Global rate limit hit! Pausing ALL requests for ${waitSeconds} seconds`);
+
+                // Return rate limit error for handling
+                return { error: 'rate_limited', retryAfter: waitSeconds };
+            }
+            throw error;
         }
-        throw error;
     }
-}
 
-/**
- * Initialize authentication and get CSRF token
- */
-async function initializeAuth() {
-    if (!roblosecurityCookie) {
-        console.log('⚠️ No ROBLOSECURITY cookie configured');
-        cookieStatus = 'missing';
+    /**
+     * Initialize authentication and get CSRF token
+     */
+    async initializeAuth() {
+        if (!this.roblosecurityCookie) {
+            console.log('⚠️ No ROBLOSECURITY cookie configured');
+            this.cookieStatus = 'missing';
+            return false;
+        }
+
+        try {
+            // Get CSRF token via logout endpoint
+            console.log('🔍 Initializing authentication...');
+            await this.http.post(this.url('auth', '/v2/logout'), {}, {
+                headers: {
+                    'Cookie': `.ROBLOSECURITY=${this.roblosecurityCookie}`
+                },
+                timeout: this.timeout
+            });
+        } catch (error) {
+            if (error.response?.headers?.['x-csrf-token']) {
+                this.csrfToken = error.response.headers['x-csrf-token'];
+                console.log('✅ CSRF token obtained');
+
+                // Get authenticated user info
+                try {
+                    const userResponse = await this.http.get(this.url('users', '/v1/users/authenticated'), {
+                        headers: this.getAuthHeaders(),
+                        timeout: this.timeout
+                    });
+
+                    if (userResponse.data?.id) {
+                        this.authenticatedUserId = userResponse.data.id;
+                        this.cookieStatus = 'healthy';
+                        this.lastAuthSuccess = new Date();
+                        this.authFailureCount = 0;
+                        console.log(`✅ Authenticated as user ${this.authenticatedUserId} (${userResponse.data.name})`);
+                        return true;
+                    }
+                } catch (userError) {
+                    console.log('❌ Failed to verify authentication:', userError.message);
+                    if (userError.response?.status === 401) {
+                        this.cookieStatus = 'expired';
+                    } else {
+                        this.cookieStatus = 'error';
+                    }
+                    this.authFailureCount++;
+                }
+            }
+        }
+
         return false;
     }
-    
-    try {
-        // Get CSRF token via logout endpoint
-        console.log('🔍 Initializing authentication...');
-        await axios.post('https://auth.roblox.com/v2/logout', {}, {
-            headers: {
-                'Cookie': `.ROBLOSECURITY=${roblosecurityCookie}`
-            },
-            timeout: 10000
-        });
-    } catch (error) {
-        if (error.response?.headers?.['x-csrf-token']) {
-            csrfToken = error.response.headers['x-csrf-token'];
-            console.log('✅ CSRF token obtained');
-            
-            // Get authenticated user info
+
+    /**
+     * Generate authenticated join with proper API call
+     */
+    async generateAuthenticatedJoin(placeId, gameId) {
+        if (!this.roblosecurityCookie || !this.csrfToken) {
+            console.log('⚠️ Authentication not available for direct join');
+            return null;
+        }
+
+        const joinRequest = {
+            placeId: parseInt(placeId),
+            isTeleport: false,
+            gameId: gameId,
+            gameInstanceId: gameId
+        };
+        const webJoinUrl = this.url('www', `/games/start?placeId=${placeId}&gameInstanceId=${gameId}`);
+
+        const result = await this.makeRobloxRequest(async () => {
             try {
-                const userResponse = await axios.get('https://users.roblox.com/v1/users/authenticated', {
-                    headers: getAuthHeaders(),
-                    timeout: 10000
-                });
-                
-                if (userResponse.data?.id) {
-                    authenticatedUserId = userResponse.data.id;
-                    cookieStatus = 'healthy';
-                    lastAuthSuccess = new Date();
-                    authFailureCount = 0;
-                    console.log(`✅ Authenticated as user ${authenticatedUserId} (${userResponse.data.name})`);
-                    return true;
+                console.log(`🎯 Requesting authentication ticket for place ${placeId}, server ${gameId}`);
+
+                const response = await this.http.post(
+                    this.url('gamejoin', '/v1/join-game-instance'),
+                    joinRequest,
+                    {
+                        headers: {
+                            ...this.getAuthHeaders(),
+                            'Content-Type': 'application/json',
+                        },
+                        timeout: this.timeout,
+                        validateStatus: () => true
+                    }
+                );
+
+                console.log(`📊 Join API Response Status: ${response.status}`);
+
+                // SUCCESS CASES: Status 2 (game full) and others can still provide join data
+                if (response.data?.joinScriptUrl) {
+                    console.log('✅ Authentication ticket obtained!');
+                    return {
+                        success: true,
+                        protocolUrl: response.data.joinScriptUrl,
+                        webUrl: webJoinUrl
+                    };
                 }
-            } catch (userError) {
-                console.log('❌ Failed to verify authentication:', userError.message);
-                if (userError.response?.status === 401) {
-                    cookieStatus = 'expired';
-                } else {
-                    cookieStatus = 'error';
+
+                // Handle specific status codes
+                if (response.data?.status === 6) {
+                    console.log('⚠️ Private server - authorization required');
+                    return { success: false, error: 'Private server' };
+                } else if (response.data?.status === 10) {
+                    console.log('⚠️ Already in this game');
+                    return { success: false, error: 'Already in game' };
+                } else if (response.data?.status === 12) {
+                    console.log('🔄 Authentication failure - refreshing token');
+
+                    if (response.headers?.['x-csrf-token']) {
+                        this.csrfToken = response.headers['x-csrf-token'];
+
+                        // Retry once with new token
+                        const retryResponse = await this.http.post(
+                            this.url('gamejoin', '/v1/join-game-instance'),
+                            joinRequest,
+                            {
+                                headers: this.getAuthHeaders(),
+                                timeout: this.timeout,
+                                validateStatus: () => true
+                            }
+                        );
+
+                        if (retryResponse.data?.joinScriptUrl) {
+                            return {
+                                success: true,
+                                protocolUrl: retryResponse.data.joinScriptUrl,
+                                webUrl: webJoinUrl
+                            };
+                        }
+                    }
+
+                    return { success: false, error: 'Authentication failed' };
                 }
-                authFailureCount++;
+
+                return {
+                    success: false,
+                    error: `Unexpected response format (status: ${response.data?.status || 'unknown'})`
+                };
+
+            } catch (error) {
+                console.error('❌ Join API error:', error.message);
+                return { success: false, error: error.message };
             }
+        }, 'generateAuthenticatedJoin');
+
+        return result;
+    }
+
+    /**
+     * Get Roblox User ID from username
+     * FIXED: Returns consistent types - number for success, object for errors, null for not found
+     */
+    async getRobloxUserId(username) {
+        const users = await this.getRobloxUserIds([username]);
+
+        // Surface rate limits to the caller
+        if (users.error === 'rate_limited') {
+            return users;
         }
+
+        return users.get(username.trim().toLowerCase())?.id || null;
     }
-    
-    return false;
-}
 
-/**
- * Generate authenticated join with proper API call
- */
-async function generateAuthenticatedJoin(placeId, gameId) {
-    if (!roblosecurityCookie || !csrfToken) {
-        console.log('⚠️ Authentication not available for direct join');
-        return null;
+    /**
+     * Remember a user's current name, dropping the cached mapping of a name they left
+     */
+    cacheUser(id, name) {
+        const knownName = this.userNameCache.get(id);
+        if (knownName && knownName !== name) {
+            console.log(`🏷️ User ${id} renamed: ${knownName} -> ${name}`);
+            this.usernameCache.delete(knownName.toLowerCase());
+        }
+
+        this.userNameCache.set(id, name);
+        this.usernameCache.set(name.toLowerCase(), { id, name });
     }
-    
-    const joinRequest = {
-        placeId: parseInt(placeId),
-        isTeleport: false,
-        gameId: gameId,
-        gameInstanceId: gameId
-    };
-    
-    const result = await makeRobloxRequest(async () => {
-        try {
-            console.log(`🎯 Requesting authentication ticket for place ${placeId}, server ${gameId}`);
-            
-            const response = await axios.post(
-                'https://gamejoin.roblox.com/v1/join-game-instance',
-                joinRequest,
-                {
-                    headers: {
-                        ...getAuthHeaders(),
-                        'Content-Type': 'application/json',
-                    },
-                    timeout: 10000,
-                    validateStatus: () => true
-                }
-            );
-            
-            console.log(`📊 Join API Response Status: ${response.status}`);
-            
-            // SUCCESS CASES: Status 2 (game full) and others can still provide join data
-            if (response.data?.joinScriptUrl) {
-                const joinScriptUrl = response.data.joinScriptUrl;
-                const webJoinUrl = `https://www.roblox.com/games/start?placeId=${placeId}&gameInstanceId=${gameId}`;
-                
-                console.log('✅ Authentication ticket obtained!');
-                return {
-                    success: true,
-                    protocolUrl: joinScriptUrl,
-                    webUrl: webJoinUrl
-                };
+
+    /**
+     * Find a user by a name they used to have
+     * The usernames endpoint only resolves current names; search results list previous ones.
+     * @returns {Object|null} - { id, name } with the user's current name
+     */
+    async findByPreviousUsername(username) {
+        const result = await this.makeRobloxRequest(async () => {
+            try {
+                const response = await this.http.get(this.url('users', '/v1/users/search'), {
+                    params: { keyword: username, limit: 10 },
+                    headers: robloxHeaders,
+                    timeout: this.timeout
+                });
+
+                return response.data?.data || [];
+            } catch (error) {
+                if (error.response?.status === 429) throw error;
+
+                console.log(`❌ Error searching previous usernames for ${username}: ${error.message}`);
+                return [];
+            }
+        }, `findByPreviousUsername(${username})`);
+
+        if (!Array.isArray(result)) return null;
+
+        const match = result.find(user =>
+            (user.previousUsernames || []).some(previous => previous.toLowerCase() === username.toLowerCase())
+        );
+        return match ? { id: match.id, name: match.name } : null;
+    }
+
+    /**
+     * Look up many usernames at once
+     * Returns a Map of lowercased username -> { id, name }; missing users are omitted.
+     * Results are cached, and a few names that no longer exist are matched against
+     * previous usernames - those entries also carry formerly: <requested name>.
+     */
+    async getRobloxUserIds(usernames) {
+        const users = new Map();
+        const unique = [...new Set(usernames.map(name => name.trim()).filter(Boolean))];
+        const misses = [];
+
+        for (const username of unique) {
+            const cached = this.usernameCache.get(username.toLowerCase());
+            if (cached) {
+                users.set(username.toLowerCase(), cached);
+            } else {
+                misses.push(username);
             }
-            
-            // Handle specific status codes
-            if (response.data?.status === 6) {
-                console.log('⚠️ Private server - authorization required');
-                return { success: false, error: 'Private server' };
-            } else if (response.data?.status === 10) {
-                console.log('⚠️ Already in this game');
-                return { success: false, error: 'Already in game' };
-            } else if (response.data?.status === 12) {
-                console.log('🔄 Authentication failure - refreshing token');
-                
-                if (response.headers?.['x-csrf-token']) {
-                    csrfToken = response.headers['x-csrf-token'];
-                    
-                    // Retry once with new token
-                    const retryResponse = await axios.post(
-                        'https://gamejoin.roblox.com/v1/join-game-instance',
-                        joinRequest,
+        }
+
+        for (let i = 0; i < misses.length; i += USERNAME_BATCH_SIZE) {
+            const batch = misses.slice(i, i + USERNAME_BATCH_SIZE);
+
+            const result = await this.makeRobloxRequest(async () => {
+                try {
+                    console.log(`🔍 Looking up ${batch.length} username(s)`);
+
+                    const response = await this.http.post(
+                        this.url('users', '/v1/usernames/users'),
+                        {
+                            usernames: batch,
+                            excludeBannedUsers: true
+                        },
                         {
-                            headers: getAuthHeaders(),
-                            timeout: 10000,
-                            validateStatus: () => true
+                            headers: robloxHeaders,
+                            timeout: this.timeout
                         }
                     );
-                    
-                    if (retryResponse.data?.joinScriptUrl) {
-                        const joinScriptUrl = retryResponse.data.joinScriptUrl;
-                        const webJoinUrl = `https://www.roblox.com/games/start?placeId=${placeId}&gameInstanceId=${gameId}`;
-                        
-                        return {
-                            success: true,
-                            protocolUrl: joinScriptUrl,
-                            webUrl: webJoinUrl
-                        };
-                    }
+
+                    return response.data?.data || [];
+                } catch (error) {
+                    // Let the global rate limit handler see 429s
+                    if (error.response?.status === 429) throw error;
+
+                    console.log(`❌ Error looking up usernames: ${error.message}`);
+                    return [];
                 }
-                
-                return { success: false, error: 'Authentication failed' };
+            }, `getRobloxUserIds(${batch.length})`);
+
+            // Stop early and surface the rate limit to the caller
+            if (result && result.error === 'rate_limited') {
+                return result;
             }
-            
-            return { 
-                success: false, 
-                error: `Unexpected response format (status: ${response.data?.status || 'unknown'})` 
-            };
-            
-        } catch (error) {
-            console.error('❌ Join API error:', error.message);
-            return { success: false, error: error.message };
-        }
-    }, 'generateAuthenticatedJoin');
-    
-    return result;
-}
 
-/**
- * Get Roblox User ID from username
- * FIXED: Returns consistent types - number for success, object for errors, null for not found
- */
-async function getRobloxUserId(username) {
-    const result = await makeRobloxRequest(async () => {
-        try {
-            console.log(`🔍 Looking up username: ${username}`);
-            
-            // Use direct username lookup instead of search
-            const response = await axios.post(
-                'https://users.roblox.com/v1/usernames/users',
-                { 
-                    usernames: [username],
-                    excludeBannedUsers: true 
-                },
-                { 
-                    headers: robloxHeaders, 
-                    timeout: 10000 
-                }
-            );
-            
-            // Check if user was found
-            if (response.data?.data && response.data.data.length > 0) {
-                const user = response.data.data[0];
-                
+            for (const user of result) {
                 if (user.id) {
-                    console.log(`✅ Found user: ${user.name} (ID: ${user.id})`);
-                    return user.id; // Return just the ID number
+                    this.cacheUser(user.id, user.name);
+                    users.set(user.requestedUsername.toLowerCase(), { id: user.id, name: user.name });
                 }
             }
-            
-            console.log(`❌ User not found: ${username}`);
-            return null;
-            
-        } catch (error) {
-            // Handle specific error cases
-            if (error.response?.status === 400) {
-                console.log(`❌ Invalid username format: ${username}`);
-                return null;
+        }
+
+        // Names that didn't resolve may belong to someone who renamed
+        const unresolved = misses.filter(username => !users.has(username.toLowerCase()));
+        for (const username of unresolved.slice(0, PREVIOUS_NAME_LOOKUP_LIMIT)) {
+            const user = await this.findByPreviousUsername(username);
+            if (!user) continue;
+
+            console.log(`🏷️ ${username} is now known as ${user.name} (ID: ${user.id})`);
+            this.cacheUser(user.id, user.name);
+            const entry = { id: user.id, name: user.name, formerly: username };
+            this.usernameCache.set(username.toLowerCase(), entry);
+            users.set(username.toLowerCase(), entry);
+        }
+
+        return users;
+    }
+
+    /**
+     * Get current usernames for user IDs
+     * @param {Array<number>} userIds
+     * @param {Object} options - fresh: skip the cache (used to spot renames)
+     * @returns {Map} - user ID -> current name; unknown IDs are omitted
+     */
+    async getRobloxUsernames(userIds, { fresh = false } = {}) {
+        const names = new Map();
+        const misses = [];
+
+        for (const userId of new Set(userIds)) {
+            const cached = fresh ? undefined : this.userNameCache.get(userId);
+            if (cached) {
+                names.set(userId, cached);
+            } else {
+                misses.push(userId);
             }
-            
-            console.log(`❌ Error looking up ${username}: ${error.message}`);
-            return null;
         }
-    }, `getRobloxUserId(${username})`);
-    
-    return result;
-}
 
-/**
- * Get player presence data
- */
-async function getPlayerPresence(userId) {
-    console.log(`🔍 Getting presence for user ${userId}`);
-    
-    const result = await makeRobloxRequest(async () => {
-        try {
-            // Try authenticated request first
-            if (roblosecurityCookie && csrfToken) {
+        for (let i = 0; i < misses.length; i += USERNAME_BATCH_SIZE) {
+            const batch = misses.slice(i, i + USERNAME_BATCH_SIZE);
+
+            const result = await this.makeRobloxRequest(async () => {
                 try {
-                    const authResponse = await axios.post(
-                        'https://presence.roblox.com/v1/presence/users',
-                        { userIds: [userId] },
-                        { headers: getAuthHeaders(), timeout: 10000 }
+                    const response = await this.http.post(
+                        this.url('users', '/v1/users'),
+                        { userIds: batch, excludeBannedUsers: false },
+                        { headers: robloxHeaders, timeout: this.timeout }
                     );
-                    
-                    const presence = authResponse.data.userPresences?.[0];
-                    if (presence) {
-                        console.log('✅ Got authenticated presence data');
-                        lastAuthSuccess = new Date();
-                        cookieStatus = 'healthy';
-                        return presence;
-                    }
-                } catch (authError) {
-                    // Handle CSRF refresh
-                    if (authError.response?.status === 403 && authError.response?.headers?.['x-csrf-token']) {
-                        csrfToken = authError.response.headers['x-csrf-token'];
-                        
-                        const retryResponse = await axios.post(
-                            'https://presence.roblox.com/v1/presence/users',
-                            { userIds: [userId] },
-                            { headers: getAuthHeaders(), timeout: 10000 }
-                        );
-                        
-                        const presence = retryResponse.data.userPresences?.[0];
-                        if (presence) {
-                            console.log('✅ Got presence after CSRF refresh');
-                            return presence;
-                        }
-                    }
-                    
-                    if (authError.response?.status === 401) {
-                        cookieStatus = 'expired';
-                        console.log('🚨 Cookie expired!');
+
+                    return response.data?.data || [];
+                } catch (error) {
+                    if (error.response?.status === 429) throw error;
+
+                    console.log(`❌ Error looking up user names: ${error.message}`);
+                    return [];
+                }
+            }, `getRobloxUsernames(${batch.length})`);
+
+            if (!Array.isArray(result)) continue; // Rate limited - return what we have
+
+            for (const user of result) {
+                this.cacheUser(user.id, user.name);
+                names.set(user.id, user.name);
+            }
+        }
+
+        return names;
+    }
+
+    /**
+     * Get a user's current username
+     * @param {number} userId
+     * @param {Object} options - fresh: skip the cache
+     * @returns {string|null}
+     */
+    async getRobloxUsername(userId, options = {}) {
+        const names = await this.getRobloxUsernames([userId], options);
+        return names.get(userId) || null;
+    }
+
+    /**
+     * Post a presence request, authenticated when possible
+     */
+    async requestPresences(userIds) {
+        const presenceUrl = this.url('presence', '/v1/presence/users');
+
+        // Try authenticated request first
+        if (this.roblosecurityCookie && this.csrfToken) {
+            try {
+                const authResponse = await this.http.post(
+                    presenceUrl,
+                    { userIds },
+                    { headers: this.getAuthHeaders(), timeout: this.timeout }
+                );
+
+                if (authResponse.data.userPresences) {
+                    console.log('✅ Got authenticated presence data');
+                    this.lastAuthSuccess = new Date();
+                    this.cookieStatus = 'healthy';
+                    return authResponse.data.userPresences;
+                }
+            } catch (authError) {
+                // Handle CSRF refresh
+                if (authError.response?.status === 403 && authError.response?.headers?.['x-csrf-token']) {
+                    this.csrfToken = authError.response.headers['x-csrf-token'];
+
+                    const retryResponse = await this.http.post(
+                        presenceUrl,
+                        { userIds },
+                        { headers: this.getAuthHeaders(), timeout: this.timeout }
+                    );
+
+                    if (retryResponse.data.userPresences) {
+                        console.log('✅ Got presence after CSRF refresh');
+                        return retryResponse.data.userPresences;
                     }
                 }
+
+                if (authError.response?.status === 401) {
+                    this.cookieStatus = 'expired';
+                    console.log('🚨 Cookie expired!');
+                }
             }
-            
-            // Fallback to unauthenticated
-            console.log('⚠️ Using unauthenticated presence request');
-            const response = await axios.post(
-                'https://presence.roblox.com/v1/presence/users',
-                { userIds: [userId] },
-                { headers: robloxHeaders, timeout: 10000 }
-            );
-            
-            return response.data.userPresences?.[0] || null;
-        } catch (error) {
-            console.log(`❌ Presence request failed: ${error.message}`);
-            return null;
         }
-    }, `getPlayerPresence(${userId})`);
-    
-    // Check if we got a rate limit error
-    if (result && result.error === 'rate_limited') {
-        return null;
+
+        // Fallback to unauthenticated
+        console.log('⚠️ Using unauthenticated presence request');
+        const response = await this.http.post(
+            presenceUrl,
+            { userIds },
+            { headers: robloxHeaders, timeout: this.timeout }
+        );
+
+        return response.data.userPresences || [];
     }
-    
-    return result;
-}
 
-/**
- * Generate join URL with authentication
- * UPDATED: Always provides console script when gameId exists (for joins disabled bypass)
- */
-async function generateJoinUrl(userId, presence) {
-    const result = {
-        authenticated: null,
-        console: null,
-        basic: null,
-        authFailed: false
-    };
-    
-    if (!presence.placeId) {
-        return result;
+    /**
+     * Get presence data for many users at once
+     * Returns a Map of userId -> presence, or null if the whole lookup failed
+     */
+    async getPlayerPresences(userIds) {
+        const presences = new Map();
+        const unique = [...new Set(userIds)];
+
+        for (let i = 0; i < unique.length; i += PRESENCE_BATCH_SIZE) {
+            const batch = unique.slice(i, i + PRESENCE_BATCH_SIZE);
+            console.log(`🔍 Getting presence for ${batch.length} user(s)`);
+
+            const result = await this.makeRobloxRequest(async () => {
+                try {
+                    return await this.requestPresences(batch);
+                } catch (error) {
+                    // Let the global rate limit handler see 429s
+                    if (error.response?.status === 429) throw error;
+
+                    console.log(`❌ Presence request failed: ${error.message}`);
+                    return null;
+                }
+            }, `getPlayerPresences(${batch.length})`);
+
+            // Rate limited or failed - report the whole lookup as failed
+            if (!result || result.error === 'rate_limited') {
+                return null;
+            }
+
+            for (const presence of result) {
+                presences.set(presence.userId, presence);
+            }
+        }
+
+        return presences;
     }
-    
-    // Try authenticated join if we have gameId and cookie
-    if (presence.gameId && roblosecurityCookie) {
-        const authJoin = await generateAuthenticatedJoin(presence.placeId, presence.gameId);
-        if (authJoin?.success) {
-            result.authenticated = authJoin.webUrl;
-            console.log('✅ Generated authenticated join URL');
-            // Don't provide console as backup when auth works
-        } else {
-            // Authentication failed - likely joins disabled (not private server)
-            console.log(`⚠️ Auth failed - assuming joins disabled, providing console script`);
-            result.authFailed = true;
-            // Still provide console script since it usually works when joins are disabled
+
+    /**
+     * Get player presence data
+     */
+    async getPlayerPresence(userId) {
+        const presences = await this.getPlayerPresences([userId]);
+        return presences?.get(userId) || null;
+    }
+
+    /**
+     * Generate join URL with authentication
+     * UPDATED: Always provides console script when gameId exists (for joins disabled bypass)
+     */
+    async generateJoinUrl(userId, presence) {
+        const result = {
+            authenticated: null,
+            console: null,
+            basic: null,
+            authFailed: false
+        };
+
+        if (!presence.placeId) {
+            return result;
+        }
+
+        // Try authenticated join if we have gameId and cookie
+        if (presence.gameId && this.roblosecurityCookie) {
+            const authJoin = await this.generateAuthenticatedJoin(presence.placeId, presence.gameId);
+            if (authJoin?.success) {
+                result.authenticated = authJoin.webUrl;
+                console.log('✅ Generated authenticated join URL');
+                // Don't provide console as backup when auth works
+            } else {
+                // Authentication failed - likely joins disabled (not private server)
+                console.log(`⚠️ Auth failed - assuming joins disabled, providing console script`);
+                result.authFailed = true;
+                // Still provide console script since it usually works when joins are disabled
+                result.console = `Roblox.GameLauncher.joinGameInstance(${presence.placeId}, "${presence.gameId}")`;
+            }
+        } else if (presence.gameId) {
+            // No authentication but have gameId - provide console script
             result.console = `Roblox.GameLauncher.joinGameInstance(${presence.placeId}, "${presence.gameId}")`;
+            console.log('✅ Generated console script (no auth available)');
         }
-    } else if (presence.gameId) {
-        // No authentication but have gameId - provide console script
-        result.console = `Roblox.GameLauncher.joinGameInstance(${presence.placeId}, "${presence.gameId}")`;
-        console.log('✅ Generated console script (no auth available)');
+
+        // Never provide the basic "random server" URL
+        return result;
     }
-    
-    // Never provide the basic "random server" URL
-    return result;
-}
 
-/**
- * Check user's online status
- * UPDATED: Better handling of joins disabled vs private servers
- */
-async function checkRobloxStatus(userId) {
-    try {
-        const presence = await getPlayerPresence(userId);
-        
+    /**
+     * Turn raw presence data into a status result
+     * UPDATED: Better handling of joins disabled vs private servers
+     * Pass withJoinUrls: false to skip the gamejoin call (see attachJoinUrls)
+     */
+    async buildStatus(userId, presence, { withJoinUrls = true } = {}) {
         if (!presence) {
             return {
                 online: null,
@@ -414,26 +670,26 @@ async function checkRobloxStatus(userId) {
                 joinsDisabled: false
             };
         }
-        
+
         console.log('Raw presence data:', JSON.stringify(presence, null, 2));
-        
+
         const presenceType = presence.userPresenceType;
         let status, game = null, joinUrls = null, joinsDisabled = false;
-        
+
         switch(presenceType) {
             case 0:
                 status = 'Offline';
                 break;
-                
+
             case 1:
                 status = 'Online';
                 game = 'Not in game';
                 break;
-                
+
             case 2:
                 // User is in-game
                 status = 'Online';
-                
+
                 // Check if we can get join info
                 if (!presence.placeId || !presence.gameId) {
                     // No game data - maximum privacy settings
@@ -442,29 +698,32 @@ async function checkRobloxStatus(userId) {
                 } else {
                     // We have game data
                     game = presence.lastLocation || `Playing (Place ID: ${presence.placeId})`;
-                    joinUrls = await generateJoinUrl(userId, presence);
-                    
-                    // Check if joins are disabled (auth failed but we have gameId)
-                    if (joinUrls.authFailed && joinUrls.console) {
-                        joinsDisabled = true;
-                        console.log('✅ Detected: Joins disabled but console method available');
+
+                    if (withJoinUrls) {
+                        joinUrls = await this.generateJoinUrl(userId, presence);
+
+                        // Check if joins are disabled (auth failed but we have gameId)
+                        if (joinUrls.authFailed && joinUrls.console) {
+                            joinsDisabled = true;
+                            console.log('✅ Detected: Joins disabled but console method available');
+                        }
                     }
                 }
                 break;
-                
+
             case 3:
                 status = 'Online';
                 game = 'Roblox Studio';
                 break;
-                
+
             case 4:
                 status = 'Account Private';
                 break;
-                
+
             default:
                 status = 'Unknown';
         }
-        
+
         return {
             online: presenceType === 1 || presenceType === 2 || presenceType === 3,
             status: status,
@@ -476,144 +735,372 @@ async function checkRobloxStatus(userId) {
             presenceData: presence
         };
 
-    } catch (error) {
-        console.error(`❌ Status check error: ${error.message}`);
-        return {
-            online: null,
-            status: 'API Error',
-            game: null,
-            joinUrls: null,
-            error: true,
-            joinsDisabled: false
-        };
     }
-}
 
-/**
- * Rate limiting functions
- */
-function checkRateLimit(userId) {
-    const now = Date.now();
-    const lastRequest = rateLimitMap.get(userId);
-    
-    if (lastRequest && now - lastRequest < RATE_LIMIT_MS) {
-        return false;
-    }
-    
-    rateLimitMap.set(userId, now);
-    return true;
-}
+    /**
+     * Generate fresh join URLs for a status built without them
+     * Used by watches, which only need a join link when alerting
+     * @param {number} userId
+     * @param {Object} status - Status result with presenceData
+     * @returns {Object} - The same status, with joinUrls filled in
+     */
+    async attachJoinUrls(userId, status) {
+        const presence = status.presenceData;
+        if (!presence || presence.userPresenceType !== 2 || !presence.placeId || !presence.gameId) {
+            return status;
+        }
 
-function getRemainingCooldown(userId) {
-    const now = Date.now();
-    const lastRequest = rateLimitMap.get(userId);
-    
-    if (!lastRequest) return 0;
-    
-    const remaining = RATE_LIMIT_MS - (now - lastRequest);
-    return Math.max(0, remaining);
-}
+        status.joinUrls = await this.generateJoinUrl(userId, presence);
+        status.hasAuthentication = !!status.joinUrls?.authenticated;
+        status.joinsDisabled = !!(status.joinUrls.authFailed && status.joinUrls.console);
+        return status;
+    }
 
-/**
- * Check cookie health - compatible with maintenance.js
- */
-async function checkCookieHealth() {
-    if (!roblosecurityCookie) {
-        cookieStatus = 'missing';
-        console.log('❌ No ROBLOSECURITY cookie found');
-        return false;
+    /**
+     * Check user's online status
+     */
+    async checkRobloxStatus(userId) {
+        try {
+            const presence = await this.getPlayerPresence(userId);
+            return await this.buildStatus(userId, presence);
+        } catch (error) {
+            console.error(`❌ Status check error: ${error.message}`);
+            return apiErrorStatus();
+        }
     }
 
-    const result = await makeRobloxRequest(async () => {
+    /**
+     * Check many users' online status with batched presence lookups
+     * Returns a Map of userId -> status result
+     */
+    async checkRobloxStatuses(userIds) {
+        const statuses = new Map();
+
         try {
-            // Ensure we have CSRF token
-            if (!csrfToken) {
-                await initializeAuth();
+            const presences = await this.getPlayerPresences(userIds);
+
+            for (const userId of userIds) {
+                if (!presences) {
+                    statuses.set(userId, apiErrorStatus());
+                    continue;
+                }
+                statuses.set(userId, await this.buildStatus(userId, presences.get(userId) || null));
+            }
+        } catch (error) {
+            console.error(`❌ Bulk status check error: ${error.message}`);
+            for (const userId of userIds) {
+                statuses.set(userId, apiErrorStatus());
             }
+        }
 
-            console.log('🔍 Testing cookie with authenticated endpoint...');
-            const response = await axios.get('https://users.roblox.com/v1/users/authenticated', {
-                headers: getAuthHeaders(),
-                timeout: 10000
-            });
+        return statuses;
+    }
+
+    /**
+     * Presence poller
+     * Watches register a callback; every tick the due entries are resolved with
+     * batched presence lookups and each callback returns its next delay in ms.
+     * Callbacks receive null when the lookup failed.
+     */
+    registerPresenceWatch(key, userId, onResult, initialDelay = 0) {
+        this.pollerEntries.set(key, {
+            userId,
+            onResult,
+            nextCheckAt: Date.now() + initialDelay
+        });
+
+        if (!this.pollerTimer) {
+            this.pollerTimer = setInterval(() => this.runPollerTick(), POLL_TICK_MS);
+            this.pollerStartedAt = Date.now();
+            this.pollerLastTickAt = null;
+            console.log(`🛰️ Presence poller started (tick every ${POLL_TICK_MS / 1000}s)`);
+        }
+
+        // Resolve immediate checks without waiting for the next tick
+        if (initialDelay === 0) {
+            setImmediate(() => this.runPollerTick());
+        }
+    }
 
-            if (response.status === 200 && response.data?.id) {
-                lastAuthSuccess = new Date();
-                authFailureCount = 0;
-                cookieStatus = 'healthy';
-                authenticatedUserId = response.data.id;
-                console.log(`✅ Cookie is healthy! Authenticated as user ${response.data.id} (${response.data.name})`);
-                return true;
+    unregisterPresenceWatch(key) {
+        this.pollerEntries.delete(key);
+
+        if (this.pollerEntries.size === 0 && this.pollerTimer) {
+            clearInterval(this.pollerTimer);
+            this.pollerTimer = null;
+            console.log('🛰️ Presence poller stopped (no active watches)');
+        }
+    }
+
+    async runPollerTick() {
+        // Skip overlapping ticks - a slow batch will be picked up next time
+        if (this.pollerRunning) return;
+        this.pollerRunning = true;
+
+        try {
+            const now = Date.now();
+            const due = Array.from(this.pollerEntries.entries()).filter(([, entry]) => entry.nextCheckAt <= now);
+            if (due.length === 0) return;
+
+            // Several guilds may watch the same suspect - look each one up once
+            const userIds = [...new Set(due.map(([, entry]) => entry.userId))];
+            console.log(`🛰️ Polling presence for ${due.length} watch(es)`);
+
+            let presences = null;
+            try {
+                presences = await this.getPlayerPresences(userIds);
+            } catch (error) {
+                console.error(`❌ Poller presence lookup failed: ${error.message}`);
             }
-        } catch (error) {
-            authFailureCount++;
-            
-            if (error.response?.status === 401) {
-                cookieStatus = 'expired';
-                console.log('🚨 COOKIE EXPIRED! Need to get a new one from Roblox');
-            } else if (error.response?.status === 403) {
-                // Try refreshing CSRF token
-                if (error.response?.headers?.['x-csrf-token']) {
-                    csrfToken = error.response.headers['x-csrf-token'];
-                    console.log('🔄 CSRF token refreshed, retrying...');
-                    
+
+            // Fan results back out to each watch
+            for (const [key, entry] of due) {
+                let status = null;
+                if (presences) {
                     try {
-                        const retryResponse = await axios.get('https://users.roblox.com/v1/users/authenticated', {
-                            headers: getAuthHeaders(),
-                            timeout: 10000
-                        });
-                        
-                        if (retryResponse.status === 200 && retryResponse.data?.id) {
-                            lastAuthSuccess = new Date();
-                            authFailureCount = 0;
-                            cookieStatus = 'healthy';
-                            authenticatedUserId = retryResponse.data.id;
-                            console.log(`✅ Cookie healthy after CSRF refresh!`);
-                            return true;
+                        // Join links are generated by the watch only when it alerts
+                        status = await this.buildStatus(entry.userId, presences.get(entry.userId) || null, { withJoinUrls: false });
+                    } catch (error) {
+                        console.error(`❌ Status build failed for ${entry.userId}: ${error.message}`);
+                    }
+                }
+
+                let nextDelay = POLL_TICK_MS;
+                try {
+                    nextDelay = await entry.onResult(status);
+                } catch (error) {
+                    console.error(`❌ Poller callback failed for ${key}:`, error);
+                }
+
+                // Callback may have unregistered the watch
+                if (this.pollerEntries.get(key) === entry) {
+                    entry.nextCheckAt = Date.now() + (nextDelay || POLL_TICK_MS);
+                }
+            }
+        } finally {
+            this.pollerRunning = false;
+            this.pollerLastTickAt = Date.now();
+        }
+    }
+
+    /**
+     * Poller liveness for health checks
+     * The poller is stalled when it has watches but no tick has finished for
+     * POLLER_STALL_TICKS ticks - a hung lookup or a timer that stopped firing.
+     * @returns {Object} - { watches, running, lastTickAt, stalled }
+     */
+    getPollerStatus() {
+        const active = this.pollerEntries.size > 0 && this.pollerTimer !== null;
+        const lastProgress = this.pollerLastTickAt || this.pollerStartedAt;
+
+        return {
+            watches: this.pollerEntries.size,
+            running: this.pollerRunning,
+            lastTickAt: this.pollerLastTickAt ? new Date(this.pollerLastTickAt) : null,
+            stalled: active && Date.now() - lastProgress > POLL_TICK_MS * POLLER_STALL_TICKS
+        };
+    }
+
+    /**
+     * Global rate limit state for health checks
+     * @returns {Object} - { active, retryInSeconds }
+     */
+    getRateLimitStatus() {
+        const remainingMs = this.globalRateLimitUntil - Date.now();
+        const active = this.globalRateLimitActive && remainingMs > 0;
+
+        return {
+            active,
+            retryInSeconds: active ? Math.ceil(remainingMs / 1000) : 0
+        };
+    }
+
+    /**
+     * Check cookie health - compatible with maintenance.js
+     */
+    async checkCookieHealth() {
+        if (!this.roblosecurityCookie) {
+            this.cookieStatus = 'missing';
+            console.log('❌ No ROBLOSECURITY cookie found');
+            return false;
+        }
+
+        const authenticatedUrl = this.url('users', '/v1/users/authenticated');
+
+        const result = await this.makeRobloxRequest(async () => {
+            try {
+                // Ensure we have CSRF token
+                if (!this.csrfToken) {
+                    await this.initializeAuth();
+                }
+
+                console.log('🔍 Testing cookie with authenticated endpoint...');
+                const response = await this.http.get(authenticatedUrl, {
+                    headers: this.getAuthHeaders(),
+                    timeout: this.timeout
+                });
+
+                if (response.status === 200 && response.data?.id) {
+                    this.lastAuthSuccess = new Date();
+                    this.authFailureCount = 0;
+                    this.cookieStatus = 'healthy';
+                    this.authenticatedUserId = response.data.id;
+                    console.log(`✅ Cookie is healthy! Authenticated as user ${response.data.id} (${response.data.name})`);
+                    return true;
+                }
+            } catch (error) {
+                // Let the global rate limit handler see 429s
+                if (error.response?.status === 429) throw error;
+
+                this.authFailureCount++;
+
+                if (error.response?.status === 401) {
+                    this.cookieStatus = 'expired';
+                    console.log('🚨 COOKIE EXPIRED! Need to get a new one from Roblox');
+                } else if (error.response?.status === 403) {
+                    // Try refreshing CSRF token
+                    if (error.response?.headers?.['x-csrf-token']) {
+                        this.csrfToken = error.response.headers['x-csrf-token'];
+                        console.log('🔄 CSRF token refreshed, retrying...');
+
+                        try {
+                            const retryResponse = await this.http.get(authenticatedUrl, {
+                                headers: this.getAuthHeaders(),
+                                timeout: this.timeout
+                            });
+
+                            if (retryResponse.status === 200 && retryResponse.data?.id) {
+                                this.lastAuthSuccess = new Date();
+                                this.authFailureCount = 0;
+                                this.cookieStatus = 'healthy';
+                                this.authenticatedUserId = retryResponse.data.id;
+                                console.log(`✅ Cookie healthy after CSRF refresh!`);
+                                return true;
+                            }
+                        } catch (retryError) {
+                            console.log(`❌ Retry failed: ${retryError.message}`);
                         }
-                    } catch (retryError) {
-                        console.log(`❌ Retry failed: ${retryError.message}`);
                     }
+                } else {
+                    this.cookieStatus = 'error';
+                    console.log(`❌ Cookie test failed: ${error.message}`);
                 }
-            } else {
-                cookieStatus = 'error';
-                console.log(`❌ Cookie test failed: ${error.message}`);
+
+                return false;
             }
-            
+
+            return false;
+        }, 'checkCookieHealth');
+
+        // Handle rate limit
+        if (result && result.error === 'rate_limited') {
             return false;
         }
-        
-        return false;
-    }, 'checkCookieHealth');
-    
-    // Handle rate limit
-    if (result && result.error === 'rate_limited') {
-        return false;
+
+        return result || false;
+    }
+
+    /**
+     * Swap in a new cookie at runtime, keeping the old one if it doesn't verify
+     * Only auth state changes - caches and the presence poller (and with it
+     * every active watch) carry on untouched.
+     * @param {string} cookie - New .ROBLOSECURITY value
+     * @returns {Object} - { success, status, userId } - status is the new cookie's status when it was rejected
+     */
+    async replaceCookie(cookie) {
+        const previous = {
+            roblosecurityCookie: this.roblosecurityCookie,
+            csrfToken: this.csrfToken,
+            authenticatedUserId: this.authenticatedUserId,
+            cookieStatus: this.cookieStatus,
+            lastAuthSuccess: this.lastAuthSuccess,
+            authFailureCount: this.authFailureCount
+        };
+
+        this.roblosecurityCookie = cookie;
+        this.csrfToken = null;
+        this.authenticatedUserId = null;
+        this.cookieStatus = 'unknown';
+        this.authFailureCount = 0;
+
+        console.log('🔄 Verifying replacement cookie...');
+        await this.initializeAuth();
+        if (await this.checkCookieHealth()) {
+            console.log(`✅ Cookie replaced - authenticated as user ${this.authenticatedUserId}`);
+            return { success: true, status: this.cookieStatus, userId: this.authenticatedUserId };
+        }
+
+        const rejectedStatus = this.cookieStatus;
+        Object.assign(this, previous);
+        console.log(`⚠️ Replacement cookie rejected (${rejectedStatus}) - kept the previous cookie`);
+        return { success: false, status: rejectedStatus, userId: null };
+    }
+
+    /**
+     * Get cookie status for maintenance monitoring
+     */
+    getCookieStatus() {
+        const timeSinceSuccess = this.lastAuthSuccess ?
+            Math.floor((Date.now() - this.lastAuthSuccess.getTime()) / (1000 * 60 * 60)) : null;
+
+        return {
+            status: this.cookieStatus,
+            lastSuccess: this.lastAuthSuccess,
+            hoursSinceSuccess: timeSinceSuccess,
+            failureCount: this.authFailureCount,
+            needsMaintenance: this.cookieStatus === 'expired' || this.authFailureCount >= 3,
+            configured: !!this.roblosecurityCookie,
+            cookieLength: this.roblosecurityCookie?.length || 0,
+            authenticated: !!this.authenticatedUserId,
+            userId: this.authenticatedUserId
+        };
     }
-    
-    return result || false;
 }
 
 /**
- * Get cookie status for maintenance monitoring
+ * Status result used when the presence lookup itself fails
  */
-function getCookieStatus() {
-    const timeSinceSuccess = lastAuthSuccess ? 
-        Math.floor((Date.now() - lastAuthSuccess.getTime()) / (1000 * 60 * 60)) : null;
-
+function apiErrorStatus() {
     return {
-        status: cookieStatus,
-        lastSuccess: lastAuthSuccess,
-        hoursSinceSuccess: timeSinceSuccess,
-        failureCount: authFailureCount,
-        needsMaintenance: cookieStatus === 'expired' || authFailureCount >= 3,
-        authenticated: !!authenticatedUserId,
-        userId: authenticatedUserId
+        online: null,
+        status: 'API Error',
+        game: null,
+        joinUrls: null,
+        error: true,
+        joinsDisabled: false
     };
 }
 
+/**
+ * Rate limiting functions
+ */
+function checkRateLimit(userId) {
+    const now = Date.now();
+    const lastRequest = rateLimitMap.get(userId);
+
+    if (lastRequest && now - lastRequest < RATE_LIMIT_MS) {
+        return false;
+    }
+
+    rateLimitMap.set(userId, now);
+    return true;
+}
+
+function getRemainingCooldown(userId) {
+    const now = Date.now();
+    const lastRequest = rateLimitMap.get(userId);
+
+    if (!lastRequest) return 0;
+
+    const remaining = RATE_LIMIT_MS - (now - lastRequest);
+    return Math.max(0, remaining);
+}
+
+// Shared client used by the bot's commands
+let defaultClient = new RobloxClient({ cookie: process.env.ROBLOSECURITY_COOKIE });
+
 // Initialize authentication on module load
-initializeAuth().then(success => {
+defaultClient.initializeAuth().then(success => {
     if (success) {
         console.log('✅ Authentication initialized successfully');
     } else {
@@ -621,13 +1108,38 @@ initializeAuth().then(success => {
     }
 });
 
+/**
+ * Replace the shared client (the command test harness points it at the mock server)
+ * @param {RobloxClient} client
+ * @returns {RobloxClient} - The previous client
+ */
+function setDefaultClient(client) {
+    const previous = defaultClient;
+    defaultClient = client;
+    return previous;
+}
+
 module.exports = {
-    getRobloxUserId,
-    checkRobloxStatus,
+    getRobloxUserId: (...args) => defaultClient.getRobloxUserId(...args),
+    getRobloxUserIds: (...args) => defaultClient.getRobloxUserIds(...args),
+    getRobloxUsername: (...args) => defaultClient.getRobloxUsername(...args),
+    getRobloxUsernames: (...args) => defaultClient.getRobloxUsernames(...args),
+    checkRobloxStatus: (...args) => defaultClient.checkRobloxStatus(...args),
+    checkRobloxStatuses: (...args) => defaultClient.checkRobloxStatuses(...args),
+    attachJoinUrls: (...args) => defaultClient.attachJoinUrls(...args),
+    registerPresenceWatch: (...args) => defaultClient.registerPresenceWatch(...args),
+    unregisterPresenceWatch: (...args) => defaultClient.unregisterPresenceWatch(...args),
     checkRateLimit,
     getRemainingCooldown,
-    getCookieStatus,
-    checkCookieHealth,
-    initializeAuth,
+    getCookieStatus: () => defaultClient.getCookieStatus(),
+    getPollerStatus: () => defaultClient.getPollerStatus(),
+    getRateLimitStatus: () => defaultClient.getRateLimitStatus(),
+    checkCookieHealth: () => defaultClient.checkCookieHealth(),
+    replaceCookie: (cookie) => defaultClient.replaceCookie(cookie),
+    initializeAuth: () => defaultClient.initializeAuth(),
+    RobloxClient,
+    setDefaultClient,
+    getDefaultClient: () => defaultClient,
+    DEFAULT_BASE_URLS,
     RATE_LIMIT_MS
-};
\ No newline at end of file
+};
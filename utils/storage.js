@@ -0,0 +1,779 @@
+const Database = require('better-sqlite3');
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+// Database location - override with DATA_DIR to keep it on a persistent volume
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', 'data');
+const DB_FILE = path.join(DATA_DIR, 'warrant-bot.db');
+
+// Old JSON watch file, imported once on first start
+const LEGACY_WATCH_FILE = path.join(os.tmpdir(), 'warrant-bot-watches.json');
+
+// Schema migrations - append only, never edit a released entry
+const MIGRATIONS = [
+    {
+        version: 1,
+        name: 'initial schema',
+        sql: `
+            CREATE TABLE watches (
+                username TEXT PRIMARY KEY,
+                roblox_user_id INTEGER NOT NULL,
+                started_by TEXT NOT NULL,
+                started_by_id TEXT NOT NULL,
+                guild_id TEXT NOT NULL,
+                start_time TEXT NOT NULL,
+                end_time TEXT NOT NULL,
+                was_online INTEGER NOT NULL DEFAULT 0,
+                consecutive_errors INTEGER NOT NULL DEFAULT 0
+            );
+
+            CREATE TABLE status_transitions (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                roblox_user_id INTEGER NOT NULL,
+                username TEXT NOT NULL,
+                guild_id TEXT,
+                was_online INTEGER NOT NULL,
+                is_online INTEGER NOT NULL,
+                status TEXT,
+                game TEXT,
+                observed_at TEXT NOT NULL
+            );
+            CREATE INDEX idx_transitions_user ON status_transitions (roblox_user_id, observed_at);
+
+            CREATE TABLE check_results (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                roblox_user_id INTEGER,
+                username TEXT NOT NULL,
+                guild_id TEXT,
+                checked_by TEXT,
+                checked_by_id TEXT,
+                command TEXT NOT NULL,
+                online INTEGER,
+                status TEXT,
+                game TEXT,
+                checked_at TEXT NOT NULL
+            );
+            CREATE INDEX idx_checks_user ON check_results (roblox_user_id, checked_at);
+        `
+    },
+    {
+        version: 2,
+        name: 'warrant registry',
+        sql: `
+            CREATE TABLE warrants (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                roblox_user_id INTEGER NOT NULL,
+                username TEXT NOT NULL,
+                charges TEXT NOT NULL,
+                issued_by TEXT NOT NULL,
+                issued_by_id TEXT NOT NULL,
+                issued_at TEXT NOT NULL,
+                expires_at TEXT,
+                status TEXT NOT NULL DEFAULT 'active',
+                closed_by TEXT,
+                closed_by_id TEXT,
+                closed_at TEXT,
+                close_reason TEXT
+            );
+            CREATE INDEX idx_warrants_subject ON warrants (guild_id, roblox_user_id, status);
+
+            ALTER TABLE watches ADD COLUMN warrant_id INTEGER REFERENCES warrants (id);
+            ALTER TABLE check_results ADD COLUMN warrant_id INTEGER REFERENCES warrants (id);
+        `
+    },
+    {
+        version: 3,
+        name: 'per-guild role permissions',
+        sql: `
+            CREATE TABLE role_permissions (
+                guild_id TEXT NOT NULL,
+                role_id TEXT NOT NULL,
+                capability TEXT NOT NULL,
+                granted_by_id TEXT,
+                granted_at TEXT NOT NULL,
+                PRIMARY KEY (guild_id, role_id, capability)
+            );
+        `
+    },
+    {
+        version: 4,
+        name: 'audit log',
+        sql: `
+            CREATE TABLE audit_events (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT,
+                actor_id TEXT NOT NULL,
+                actor_tag TEXT NOT NULL,
+                command TEXT NOT NULL,
+                action TEXT,
+                target_username TEXT,
+                target_roblox_id INTEGER,
+                outcome TEXT NOT NULL,
+                details TEXT,
+                created_at TEXT NOT NULL
+            );
+            CREATE INDEX idx_audit_actor ON audit_events (guild_id, actor_id, created_at);
+            CREATE INDEX idx_audit_target ON audit_events (guild_id, target_username COLLATE NOCASE, created_at);
+        `
+    },
+    {
+        version: 5,
+        name: 'presence details on transitions',
+        sql: `
+            ALTER TABLE status_transitions ADD COLUMN presence_type INTEGER;
+            ALTER TABLE status_transitions ADD COLUMN place_id INTEGER;
+            ALTER TABLE status_transitions ADD COLUMN game_id TEXT;
+
+            ALTER TABLE watches ADD COLUMN last_presence_type INTEGER;
+            ALTER TABLE watches ADD COLUMN last_place_id INTEGER;
+            ALTER TABLE watches ADD COLUMN last_game_id TEXT;
+        `
+    },
+    {
+        version: 6,
+        name: 'watch alert subscriptions',
+        sql: `
+            ALTER TABLE watches ADD COLUMN alert_kinds TEXT;
+        `
+    },
+    {
+        version: 7,
+        name: 'tracked places',
+        sql: `
+            CREATE TABLE tracked_places (
+                guild_id TEXT NOT NULL,
+                kind TEXT NOT NULL,
+                target_id INTEGER NOT NULL,
+                label TEXT,
+                added_by_id TEXT,
+                added_at TEXT NOT NULL,
+                PRIMARY KEY (guild_id, kind, target_id)
+            );
+
+            ALTER TABLE watches ADD COLUMN tracked_only INTEGER NOT NULL DEFAULT 0;
+        `
+    },
+    {
+        version: 8,
+        name: 'alert routing and watch subscribers',
+        sql: `
+            CREATE TABLE alert_settings (
+                guild_id TEXT PRIMARY KEY,
+                channel_id TEXT,
+                ping_role_id TEXT,
+                dm_role_members INTEGER NOT NULL DEFAULT 0,
+                updated_by_id TEXT,
+                updated_at TEXT NOT NULL
+            );
+
+            CREATE TABLE watch_subscribers (
+                username TEXT NOT NULL REFERENCES watches(username) ON DELETE CASCADE,
+                user_id TEXT NOT NULL,
+                added_at TEXT NOT NULL,
+                PRIMARY KEY (username, user_id)
+            );
+        `
+    },
+    {
+        version: 9,
+        name: 'suspect lists',
+        sql: `
+            CREATE TABLE suspect_lists (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                name TEXT NOT NULL COLLATE NOCASE,
+                created_by_id TEXT,
+                created_at TEXT NOT NULL,
+                UNIQUE (guild_id, name)
+            );
+
+            CREATE TABLE suspect_list_members (
+                list_id INTEGER NOT NULL REFERENCES suspect_lists(id) ON DELETE CASCADE,
+                roblox_user_id INTEGER NOT NULL,
+                username TEXT NOT NULL,
+                added_by_id TEXT,
+                added_at TEXT NOT NULL,
+                PRIMARY KEY (list_id, roblox_user_id)
+            );
+        `
+    },
+    {
+        version: 10,
+        name: 'key watches by roblox user id',
+        sql: `
+            CREATE TABLE watches_v10 (
+                roblox_user_id INTEGER PRIMARY KEY,
+                username TEXT NOT NULL,
+                previous_usernames TEXT,
+                started_by TEXT NOT NULL,
+                started_by_id TEXT NOT NULL,
+                guild_id TEXT NOT NULL,
+                start_time TEXT NOT NULL,
+                end_time TEXT NOT NULL,
+                was_online INTEGER NOT NULL DEFAULT 0,
+                consecutive_errors INTEGER NOT NULL DEFAULT 0,
+                warrant_id INTEGER REFERENCES warrants (id),
+                last_presence_type INTEGER,
+                last_place_id INTEGER,
+                last_game_id TEXT,
+                alert_kinds TEXT,
+                tracked_only INTEGER NOT NULL DEFAULT 0
+            );
+            INSERT OR IGNORE INTO watches_v10 (roblox_user_id, username, started_by, started_by_id, guild_id,
+                                               start_time, end_time, was_online, consecutive_errors, warrant_id,
+                                               last_presence_type, last_place_id, last_game_id, alert_kinds, tracked_only)
+            SELECT roblox_user_id, username, started_by, started_by_id, guild_id,
+                   start_time, end_time, was_online, consecutive_errors, warrant_id,
+                   last_presence_type, last_place_id, last_game_id, alert_kinds, tracked_only
+            FROM watches;
+
+            CREATE TABLE watch_subscribers_v10 (
+                roblox_user_id INTEGER NOT NULL REFERENCES watches_v10 (roblox_user_id) ON DELETE CASCADE,
+                user_id TEXT NOT NULL,
+                added_at TEXT NOT NULL,
+                PRIMARY KEY (roblox_user_id, user_id)
+            );
+            INSERT OR IGNORE INTO watch_subscribers_v10 (roblox_user_id, user_id, added_at)
+            SELECT w.roblox_user_id, s.user_id, s.added_at
+            FROM watch_subscribers s JOIN watches w ON w.username = s.username;
+
+            DROP TABLE watch_subscribers;
+            DROP TABLE watches;
+            ALTER TABLE watches_v10 RENAME TO watches;
+            ALTER TABLE watch_subscribers_v10 RENAME TO watch_subscribers;
+        `
+    },
+    {
+        version: 11,
+        name: 'encrypted bot secrets',
+        sql: `
+            CREATE TABLE bot_secrets (
+                name TEXT PRIMARY KEY,
+                value TEXT NOT NULL,
+                updated_by_id TEXT,
+                updated_at TEXT NOT NULL
+            );
+        `
+    },
+    {
+        version: 12,
+        name: 'per-guild watches and guild settings',
+        sql: `
+            CREATE TABLE watches_v12 (
+                guild_id TEXT NOT NULL,
+                roblox_user_id INTEGER NOT NULL,
+                username TEXT NOT NULL,
+                previous_usernames TEXT,
+                started_by TEXT NOT NULL,
+                started_by_id TEXT NOT NULL,
+                start_time TEXT NOT NULL,
+                end_time TEXT NOT NULL,
+                was_online INTEGER NOT NULL DEFAULT 0,
+                consecutive_errors INTEGER NOT NULL DEFAULT 0,
+                warrant_id INTEGER REFERENCES warrants (id),
+                last_presence_type INTEGER,
+                last_place_id INTEGER,
+                last_game_id TEXT,
+                alert_kinds TEXT,
+                tracked_only INTEGER NOT NULL DEFAULT 0,
+                PRIMARY KEY (guild_id, roblox_user_id)
+            );
+            INSERT INTO watches_v12 (guild_id, roblox_user_id, username, previous_usernames, started_by, started_by_id,
+                                     start_time, end_time, was_online, consecutive_errors, warrant_id,
+                                     last_presence_type, last_place_id, last_game_id, alert_kinds, tracked_only)
+            SELECT guild_id, roblox_user_id, username, previous_usernames, started_by, started_by_id,
+                   start_time, end_time, was_online, consecutive_errors, warrant_id,
+                   last_presence_type, last_place_id, last_game_id, alert_kinds, tracked_only
+            FROM watches;
+
+            CREATE TABLE watch_subscribers_v12 (
+                guild_id TEXT NOT NULL,
+                roblox_user_id INTEGER NOT NULL,
+                user_id TEXT NOT NULL,
+                added_at TEXT NOT NULL,
+                PRIMARY KEY (guild_id, roblox_user_id, user_id),
+                FOREIGN KEY (guild_id, roblox_user_id) REFERENCES watches_v12 (guild_id, roblox_user_id) ON DELETE CASCADE
+            );
+            INSERT INTO watch_subscribers_v12 (guild_id, roblox_user_id, user_id, added_at)
+            SELECT w.guild_id, s.roblox_user_id, s.user_id, s.added_at
+            FROM watch_subscribers s JOIN watches w ON w.roblox_user_id = s.roblox_user_id;
+
+            DROP TABLE watch_subscribers;
+            DROP TABLE watches;
+            ALTER TABLE watches_v12 RENAME TO watches;
+            ALTER TABLE watch_subscribers_v12 RENAME TO watch_subscribers;
+
+            CREATE TABLE guild_settings (
+                guild_id TEXT PRIMARY KEY,
+                max_watches INTEGER,
+                updated_by_id TEXT,
+                updated_at TEXT NOT NULL
+            );
+        `
+    },
+    {
+        version: 13,
+        name: 'watch quotas and waitlist',
+        sql: `
+            ALTER TABLE guild_settings ADD COLUMN max_watches_per_officer INTEGER;
+
+            CREATE TABLE role_watch_quotas (
+                guild_id TEXT NOT NULL,
+                role_id TEXT NOT NULL,
+                max_watches INTEGER NOT NULL,
+                updated_by_id TEXT,
+                updated_at TEXT NOT NULL,
+                PRIMARY KEY (guild_id, role_id)
+            );
+
+            CREATE TABLE watch_queue (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                roblox_user_id INTEGER NOT NULL,
+                username TEXT NOT NULL,
+                hours INTEGER NOT NULL,
+                alert_kinds TEXT,
+                tracked_only INTEGER NOT NULL DEFAULT 0,
+                requested_by TEXT NOT NULL,
+                requested_by_id TEXT NOT NULL,
+                queued_at TEXT NOT NULL,
+                UNIQUE (guild_id, roblox_user_id)
+            );
+        `
+    },
+    {
+        version: 14,
+        name: 'watch reports',
+        sql: `
+            ALTER TABLE watches ADD COLUMN alerts_sent INTEGER NOT NULL DEFAULT 0;
+            ALTER TABLE watches ADD COLUMN check_failures INTEGER NOT NULL DEFAULT 0;
+
+            CREATE TABLE watch_reports (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                roblox_user_id INTEGER NOT NULL,
+                username TEXT NOT NULL,
+                started_by TEXT NOT NULL,
+                started_by_id TEXT NOT NULL,
+                start_time TEXT NOT NULL,
+                ended_at TEXT NOT NULL,
+                end_reason TEXT NOT NULL,
+                ended_by TEXT,
+                warrant_id INTEGER,
+                online_ms INTEGER NOT NULL,
+                session_count INTEGER NOT NULL,
+                games TEXT,
+                alerts_sent INTEGER NOT NULL,
+                check_failures INTEGER NOT NULL
+            );
+            CREATE INDEX idx_watch_reports_user ON watch_reports (guild_id, roblox_user_id, ended_at);
+        `
+    },
+    {
+        version: 15,
+        name: 'scheduled sweeps',
+        sql: `
+            CREATE TABLE scheduled_sweeps (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                guild_id TEXT NOT NULL,
+                list_id INTEGER NOT NULL REFERENCES suspect_lists(id) ON DELETE CASCADE,
+                channel_id TEXT NOT NULL,
+                time_of_day TEXT NOT NULL,
+                days TEXT NOT NULL,
+                created_by TEXT NOT NULL,
+                created_by_id TEXT NOT NULL,
+                created_at TEXT NOT NULL,
+                last_run_at TEXT,
+                last_outcome TEXT
+            );
+            CREATE INDEX idx_scheduled_sweeps_guild ON scheduled_sweeps (guild_id);
+        `
+    },
+    {
+        version: 16,
+        name: 'guild-scoped transition lookups',
+        sql: `
+            CREATE INDEX idx_transitions_guild_user ON status_transitions (guild_id, roblox_user_id, observed_at);
+        `
+    },
+    {
+        version: 17,
+        name: 'per-guild audit channel',
+        sql: `
+            ALTER TABLE guild_settings ADD COLUMN audit_channel_id TEXT;
+        `
+    },
+    {
+        version: 18,
+        name: 'unobserved transition markers',
+        sql: `
+            ALTER TABLE status_transitions ADD COLUMN unobserved INTEGER NOT NULL DEFAULT 0;
+        `
+    }
+];
+
+let db = null;
+
+/**
+ * Get the shared database connection, opening and migrating it on first use
+ * @returns {Database} - better-sqlite3 connection
+ */
+function getDb() {
+    if (db) return db;
+
+    fs.mkdirSync(DATA_DIR, { recursive: true });
+    db = new Database(DB_FILE);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+
+    runMigrations(db);
+    importLegacyWatches(db);
+
+    console.log(`🗄️ Storage ready at ${DB_FILE}`);
+    return db;
+}
+
+/**
+ * Apply any migrations newer than the database's user_version
+ * @param {Database} database
+ */
+function runMigrations(database) {
+    const currentVersion = database.pragma('user_version', { simple: true });
+
+    for (const migration of MIGRATIONS) {
+        if (migration.version <= currentVersion) continue;
+
+        database.transaction(() => {
+            database.exec(migration.sql);
+            database.pragma(`user_version = ${migration.version}`);
+        })();
+
+        console.log(`🗄️ Applied migration ${migration.version}: ${migration.name}`);
+    }
+}
+
+/**
+ * Import watches saved by the old JSON file storage, then move the file aside
+ * @param {Database} database
+ */
+function importLegacyWatches(database) {
+    if (!fs.existsSync(LEGACY_WATCH_FILE)) return;
+
+    try {
+        const watches = JSON.parse(fs.readFileSync(LEGACY_WATCH_FILE, 'utf8'));
+        database.transaction(() => {
+            for (const watch of watches) {
+                saveWatch(watch);
+            }
+        })();
+        fs.renameSync(LEGACY_WATCH_FILE, `${LEGACY_WATCH_FILE}.imported`);
+        console.log(`📂 Imported ${watches.length} watch(es) from legacy file`);
+    } catch (error) {
+        console.error('Failed to import legacy watch file:', error);
+    }
+}
+
+/**
+ * Close the database connection (graceful shutdown)
+ */
+function close() {
+    if (db) {
+        db.close();
+        db = null;
+    }
+}
+
+// ---------------------------------------------------------------------------
+// Watches
+// ---------------------------------------------------------------------------
+
+function rowToWatch(row) {
+    return {
+        username: row.username,
+        robloxUserId: row.roblox_user_id,
+        previousUsernames: row.previous_usernames ? row.previous_usernames.split(',') : [],
+        startedBy: row.started_by,
+        startedById: row.started_by_id,
+        guildId: row.guild_id,
+        startTime: row.start_time,
+        endTime: row.end_time,
+        wasOnline: row.was_online === 1,
+        consecutiveErrors: row.consecutive_errors,
+        warrantId: row.warrant_id,
+        alertKinds: row.alert_kinds ? row.alert_kinds.split(',') : null,
+        trackedOnly: row.tracked_only === 1,
+        alertsSent: row.alerts_sent,
+        checkFailures: row.check_failures,
+        lastPresence: row.last_presence_type === null ? null : {
+            presenceType: row.last_presence_type,
+            placeId: row.last_place_id,
+            gameId: row.last_game_id
+        }
+    };
+}
+
+/**
+ * Get every persisted watch, across all guilds
+ * @returns {Array<Object>} - Watch data objects
+ */
+function getWatches() {
+    const watches = getDb().prepare('SELECT * FROM watches ORDER BY start_time').all().map(rowToWatch);
+    for (const watch of watches) {
+        watch.subscriberIds = getSubscribers(watch.guildId, watch.robloxUserId);
+    }
+    return watches;
+}
+
+/**
+ * Insert or update a watch
+ * @param {Object} watch - Watch data (runtime-only fields are ignored)
+ */
+function saveWatch(watch) {
+    getDb().prepare(`
+        INSERT INTO watches (roblox_user_id, username, previous_usernames, started_by, started_by_id, guild_id,
+                             start_time, end_time, was_online, consecutive_errors, warrant_id,
+                             last_presence_type, last_place_id, last_game_id, alert_kinds, tracked_only,
+                             alerts_sent, check_failures)
+        VALUES (@robloxUserId, @username, @previousUsernames, @startedBy, @startedById, @guildId,
+                @startTime, @endTime, @wasOnline, @consecutiveErrors, @warrantId,
+                @lastPresenceType, @lastPlaceId, @lastGameId, @alertKinds, @trackedOnly,
+                @alertsSent, @checkFailures)
+        ON CONFLICT (guild_id, roblox_user_id) DO UPDATE SET
+            username = excluded.username,
+            previous_usernames = excluded.previous_usernames,
+            started_by = excluded.started_by,
+            started_by_id = excluded.started_by_id,
+            start_time = excluded.start_time,
+            end_time = excluded.end_time,
+            was_online = excluded.was_online,
+            consecutive_errors = excluded.consecutive_errors,
+            warrant_id = excluded.warrant_id,
+            last_presence_type = excluded.last_presence_type,
+            last_place_id = excluded.last_place_id,
+            last_game_id = excluded.last_game_id,
+            alert_kinds = excluded.alert_kinds,
+            tracked_only = excluded.tracked_only,
+            alerts_sent = excluded.alerts_sent,
+            check_failures = excluded.check_failures
+    `).run({
+        username: watch.username,
+        robloxUserId: watch.robloxUserId,
+        previousUsernames: watch.previousUsernames?.length ? watch.previousUsernames.join(',') : null,
+        startedBy: watch.startedBy,
+        startedById: watch.startedById,
+        guildId: watch.guildId,
+        startTime: watch.startTime,
+        endTime: watch.endTime,
+        wasOnline: watch.wasOnline ? 1 : 0,
+        consecutiveErrors: watch.consecutiveErrors || 0,
+        warrantId: watch.warrantId || null,
+        lastPresenceType: watch.lastPresence?.presenceType ?? null,
+        lastPlaceId: watch.lastPresence?.placeId ?? null,
+        lastGameId: watch.lastPresence?.gameId ?? null,
+        alertKinds: watch.alertKinds ? watch.alertKinds.join(',') : null,
+        trackedOnly: watch.trackedOnly ? 1 : 0,
+        alertsSent: watch.alertsSent || 0,
+        checkFailures: watch.checkFailures || 0
+    });
+}
+
+/**
+ * Remove a watch
+ * @param {string} guildId - Guild the watch belongs to
+ * @param {number} robloxUserId - Watched user's Roblox ID
+ * @returns {boolean} - True if a row was deleted
+ */
+function deleteWatch(guildId, robloxUserId) {
+    return getDb().prepare('DELETE FROM watches WHERE guild_id = ? AND roblox_user_id = ?').run(guildId, robloxUserId).changes > 0;
+}
+
+/**
+ * Get the officers (besides the starter) receiving a watch's alerts
+ * @param {string} guildId - Guild the watch belongs to
+ * @param {number} robloxUserId - Watched user's Roblox ID
+ * @returns {Array<string>} - Discord user IDs
+ */
+function getSubscribers(guildId, robloxUserId) {
+    return getDb().prepare(`
+        SELECT user_id FROM watch_subscribers WHERE guild_id = ? AND roblox_user_id = ? ORDER BY added_at
+    `).all(guildId, robloxUserId).map(row => row.user_id);
+}
+
+/**
+ * Subscribe an officer to a persisted watch
+ * @returns {boolean} - True if newly subscribed
+ */
+function addSubscriber(guildId, robloxUserId, userId) {
+    return getDb().prepare(`
+        INSERT OR IGNORE INTO watch_subscribers (guild_id, roblox_user_id, user_id, added_at) VALUES (?, ?, ?, ?)
+    `).run(guildId, robloxUserId, userId, new Date().toISOString()).changes > 0;
+}
+
+/**
+ * Unsubscribe an officer from a watch
+ * @returns {boolean} - True if they were subscribed
+ */
+function removeSubscriber(guildId, robloxUserId, userId) {
+    return getDb().prepare(`
+        DELETE FROM watch_subscribers WHERE guild_id = ? AND roblox_user_id = ? AND user_id = ?
+    `).run(guildId, robloxUserId, userId).changes > 0;
+}
+
+// ---------------------------------------------------------------------------
+// Status transitions
+// ---------------------------------------------------------------------------
+
+/**
+ * Record a presence change (online/offline, game or server) seen by a watch
+ * An unobserved marker records that the watch stopped looking, not that the
+ * user went offline.
+ * @param {Object} transition
+ */
+function recordTransition({ robloxUserId, username, guildId, wasOnline, isOnline, status, game, presenceType, placeId, gameId, unobserved = false, observedAt }) {
+    getDb().prepare(`
+        INSERT INTO status_transitions (roblox_user_id, username, guild_id, was_online, is_online, status, game,
+                                        presence_type, place_id, game_id, unobserved, observed_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        robloxUserId,
+        username,
+        guildId || null,
+        wasOnline ? 1 : 0,
+        isOnline ? 1 : 0,
+        status || null,
+        game || null,
+        presenceType ?? null,
+        placeId ?? null,
+        gameId ?? null,
+        unobserved ? 1 : 0,
+        observedAt || new Date().toISOString()
+    );
+}
+
+/**
+ * Get recent transitions a guild's watches observed for a Roblox user, newest first
+ * @param {string} guildId
+ * @param {number} robloxUserId
+ * @param {Object} options - limit, since (Date)
+ * @returns {Array<Object>}
+ */
+function getTransitions(guildId, robloxUserId, { limit = 50, since = null } = {}) {
+    return getDb().prepare(`
+        SELECT * FROM status_transitions
+        WHERE guild_id = ? AND roblox_user_id = ? AND observed_at >= ?
+        ORDER BY observed_at DESC, id DESC
+        LIMIT ?
+    `).all(guildId, robloxUserId, since ? since.toISOString() : '', limit).map(row => ({
+        id: row.id,
+        robloxUserId: row.roblox_user_id,
+        username: row.username,
+        guildId: row.guild_id,
+        wasOnline: row.was_online === 1,
+        isOnline: row.is_online === 1,
+        status: row.status,
+        game: row.game,
+        presenceType: row.presence_type,
+        placeId: row.place_id,
+        gameId: row.game_id,
+        unobserved: row.unobserved === 1,
+        observedAt: row.observed_at
+    }));
+}
+
+// ---------------------------------------------------------------------------
+// Check results
+// ---------------------------------------------------------------------------
+
+/**
+ * Record the result of a /check or /bulk-check lookup
+ * @param {Object} check
+ */
+function recordCheck({ robloxUserId, username, guildId, checkedBy, checkedById, command, online, status, game, warrantId }) {
+    getDb().prepare(`
+        INSERT INTO check_results (roblox_user_id, username, guild_id, checked_by, checked_by_id, command, online, status, game, warrant_id, checked_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        robloxUserId || null,
+        username,
+        guildId || null,
+        checkedBy || null,
+        checkedById || null,
+        command,
+        online === true ? 1 : online === false ? 0 : null,
+        status || null,
+        game || null,
+        warrantId || null,
+        new Date().toISOString()
+    );
+}
+
+/**
+ * Get recent check results, newest first
+ * @param {number} limit
+ * @returns {Array<Object>}
+ */
+function getRecentChecks(limit = 25) {
+    return getDb().prepare(`
+        SELECT * FROM check_results
+        ORDER BY checked_at DESC
+        LIMIT ?
+    `).all(limit).map(row => ({
+        id: row.id,
+        robloxUserId: row.roblox_user_id,
+        username: row.username,
+        guildId: row.guild_id,
+        checkedBy: row.checked_by,
+        checkedById: row.checked_by_id,
+        command: row.command,
+        online: row.online === null ? null : row.online === 1,
+        status: row.status,
+        game: row.game,
+        warrantId: row.warrant_id,
+        checkedAt: row.checked_at
+    }));
+}
+
+/**
+ * Get distinct recently checked suspects in a guild, most recent first
+ * @param {string} guildId
+ * @param {string} search - Optional username substring
+ * @param {number} limit
+ * @returns {Array<Object>} - { robloxUserId, username, checkedAt } with the latest known name
+ */
+function getRecentSuspects(guildId, search = '', limit = 25) {
+    return getDb().prepare(`
+        SELECT roblox_user_id, username, MAX(checked_at) AS checked_at
+        FROM check_results
+        WHERE guild_id = @guildId AND roblox_user_id IS NOT NULL AND username LIKE @search ESCAPE '\\'
+        GROUP BY roblox_user_id
+        ORDER BY checked_at DESC
+        LIMIT @limit
+    `).all({
+        guildId,
+        search: `%${search.replace(/[\\%_]/g, '\\$&')}%`,
+        limit
+    }).map(row => ({
+        robloxUserId: row.roblox_user_id,
+        username: row.username,
+        checkedAt: row.checked_at
+    }));
+}
+
+module.exports = {
+    getDb,
+    close,
+    getWatches,
+    saveWatch,
+    deleteWatch,
+    getSubscribers,
+    addSubscriber,
+    removeSubscriber,
+    recordTransition,
+    getTransitions,
+    recordCheck,
+    getRecentChecks,
+    getRecentSuspects,
+    DATA_DIR
+};
@@ -0,0 +1,204 @@
+const { getDb } = require('./storage');
+
+/**
+ * Scheduled patrol sweeps
+ * A sweep checks a saved suspect list at a fixed UTC time on chosen days and
+ * posts the results to a channel. The schedule itself is stored here; the
+ * /schedule command owns the timers.
+ */
+
+const MAX_SWEEPS_PER_GUILD = 10;
+
+// Index matches Date#getUTCDay
+const DAY_NAMES = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const DAY_PRESETS = {
+    daily: [0, 1, 2, 3, 4, 5, 6],
+    weekdays: [1, 2, 3, 4, 5],
+    weekends: [0, 6]
+};
+
+function rowToSweep(row) {
+    return {
+        id: row.id,
+        guildId: row.guild_id,
+        listId: row.list_id,
+        listName: row.list_name,
+        channelId: row.channel_id,
+        timeOfDay: row.time_of_day,
+        days: row.days.split(',').map(Number),
+        createdBy: row.created_by,
+        createdById: row.created_by_id,
+        createdAt: row.created_at,
+        lastRunAt: row.last_run_at,
+        lastOutcome: row.last_outcome
+    };
+}
+
+const SELECT_SWEEPS = `
+    SELECT s.*, l.name AS list_name
+    FROM scheduled_sweeps s
+    JOIN suspect_lists l ON l.id = s.list_id
+`;
+
+/**
+ * Normalise a 24-hour UTC time
+ * @param {string} text - e.g. "19:00" or "7:30"
+ * @returns {string|null} - "HH:MM", or null if invalid
+ */
+function parseTimeOfDay(text) {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(text).trim());
+    if (!match) return null;
+
+    const hours = Number(match[1]);
+    const minutes = Number(match[2]);
+    if (hours > 23 || minutes > 59) return null;
+
+    return `${String(hours).padStart(2, '0')}:${match[2]}`;
+}
+
+/**
+ * Parse the days a sweep runs on
+ * @param {string|null} text - "daily", "weekdays", "weekends" or day names like "mon,wed,fri" (empty = daily)
+ * @returns {Array<number>|null} - Sorted UTC day numbers (0 = Sunday), or null if invalid
+ */
+function parseDays(text) {
+    const value = (text || 'daily').trim().toLowerCase();
+    if (DAY_PRESETS[value]) return [...DAY_PRESETS[value]];
+
+    const days = new Set();
+    for (const part of value.split(/[\s,]+/).filter(Boolean)) {
+        // Full names or any abbreviation of at least three letters
+        const day = part.length >= 3 ? DAY_NAMES.findIndex(name => name.startsWith(part)) : -1;
+        if (day === -1) return null;
+        days.add(day);
+    }
+
+    return days.size > 0 ? [...days].sort((a, b) => a - b) : null;
+}
+
+/**
+ * Human-readable day list
+ * @param {Array<number>} days
+ * @returns {string}
+ */
+function describeDays(days) {
+    const key = days.join(',');
+    if (key === DAY_PRESETS.daily.join(',')) return 'Every day';
+    if (key === DAY_PRESETS.weekdays.join(',')) return 'Weekdays';
+    if (key === DAY_PRESETS.weekends.join(',')) return 'Weekends';
+    return days.map(day => DAY_NAMES[day][0].toUpperCase() + DAY_NAMES[day].slice(1, 3)).join(', ');
+}
+
+// Scheduled times on the UTC days around a moment, in order
+function candidateRuns(sweep, around, direction) {
+    const [hours, minutes] = sweep.timeOfDay.split(':').map(Number);
+    const candidates = [];
+    for (let offset = 0; offset <= 7; offset++) {
+        const run = new Date(Date.UTC(
+            around.getUTCFullYear(),
+            around.getUTCMonth(),
+            around.getUTCDate() + offset * direction,
+            hours,
+            minutes
+        ));
+        if (sweep.days.includes(run.getUTCDay())) candidates.push(run);
+    }
+    return candidates;
+}
+
+/**
+ * When a sweep next runs
+ * @param {Object} sweep - timeOfDay, days
+ * @param {Date} after - Defaults to now
+ * @returns {Date}
+ */
+function getNextRun(sweep, after = new Date()) {
+    return candidateRuns(sweep, after, 1).find(run => run > after);
+}
+
+/**
+ * The most recent scheduled time at or before a moment
+ * @param {Object} sweep - timeOfDay, days
+ * @param {Date} before - Defaults to now
+ * @returns {Date}
+ */
+function getPreviousRun(sweep, before = new Date()) {
+    return candidateRuns(sweep, before, -1).find(run => run <= before);
+}
+
+/**
+ * A guild's sweeps, oldest first
+ * @param {string} guildId
+ * @returns {Array<Object>}
+ */
+function getSweeps(guildId) {
+    return getDb().prepare(`${SELECT_SWEEPS} WHERE s.guild_id = ? ORDER BY s.id`).all(guildId).map(rowToSweep);
+}
+
+/**
+ * Every guild's sweeps, for resuming them on startup
+ * @returns {Array<Object>}
+ */
+function getAllSweeps() {
+    return getDb().prepare(`${SELECT_SWEEPS} ORDER BY s.id`).all().map(rowToSweep);
+}
+
+/**
+ * Get a sweep by ID
+ * @param {number} id
+ * @returns {Object|null} - Null if it was removed (or its list deleted)
+ */
+function getSweep(id) {
+    const row = getDb().prepare(`${SELECT_SWEEPS} WHERE s.id = ?`).get(id);
+    return row ? rowToSweep(row) : null;
+}
+
+/**
+ * Schedule a sweep
+ * @param {Object} sweep - guildId, listId, channelId, timeOfDay, days, createdBy, createdById
+ * @returns {Object} - The stored sweep
+ */
+function createSweep({ guildId, listId, channelId, timeOfDay, days, createdBy, createdById }) {
+    const result = getDb().prepare(`
+        INSERT INTO scheduled_sweeps (guild_id, list_id, channel_id, time_of_day, days, created_by, created_by_id, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(guildId, listId, channelId, timeOfDay, days.join(','), createdBy, createdById, new Date().toISOString());
+
+    return getSweep(Number(result.lastInsertRowid));
+}
+
+/**
+ * Remove one of a guild's sweeps
+ * @param {string} guildId
+ * @param {number} id
+ * @returns {boolean} - True if it existed
+ */
+function deleteSweep(guildId, id) {
+    return getDb().prepare('DELETE FROM scheduled_sweeps WHERE guild_id = ? AND id = ?').run(guildId, id).changes > 0;
+}
+
+/**
+ * Record that a sweep ran
+ * @param {number} id
+ * @param {string} outcome - Short summary shown in /schedule list
+ * @param {Date} at
+ */
+function markSweepRun(id, outcome, at = new Date()) {
+    getDb().prepare('UPDATE scheduled_sweeps SET last_run_at = ?, last_outcome = ? WHERE id = ?').run(at.toISOString(), outcome, id);
+}
+
+module.exports = {
+    parseTimeOfDay,
+    parseDays,
+    describeDays,
+    getNextRun,
+    getPreviousRun,
+    getSweeps,
+    getAllSweeps,
+    getSweep,
+    createSweep,
+    deleteSweep,
+    markSweepRun,
+    MAX_SWEEPS_PER_GUILD
+};
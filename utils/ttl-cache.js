@@ -0,0 +1,46 @@
+/**
+ * Minimal in-memory cache with per-entry expiry
+ * Oldest entries are evicted first once maxEntries is reached.
+ * @param {number} ttlMs - How long an entry stays valid
+ * @param {number} maxEntries - Upper bound on stored entries
+ * @returns {Object} - { get, set, delete, clear, size }
+ */
+function createTtlCache(ttlMs, maxEntries = 5000) {
+    const entries = new Map();
+
+    return {
+        get(key) {
+            const entry = entries.get(key);
+            if (!entry) return undefined;
+            if (entry.expiresAt <= Date.now()) {
+                entries.delete(key);
+                return undefined;
+            }
+            return entry.value;
+        },
+
+        set(key, value) {
+            entries.delete(key); // Re-insert so the key becomes newest
+            if (entries.size >= maxEntries) {
+                entries.delete(entries.keys().next().value);
+            }
+            entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+        },
+
+        delete(key) {
+            return entries.delete(key);
+        },
+
+        clear() {
+            entries.clear();
+        },
+
+        get size() {
+            return entries.size;
+        }
+    };
+}
+
+module.exports = {
+    createTtlCache
+};
@@ -0,0 +1,153 @@
+const { getDb } = require('./storage');
+
+// Warrant lifecycle states
+const WARRANT_STATUS = {
+    ACTIVE: 'active',
+    SERVED: 'served',
+    REVOKED: 'revoked',
+    EXPIRED: 'expired'
+};
+
+const DEFAULT_EXPIRY_DAYS = 30;
+
+function rowToWarrant(row) {
+    if (!row) return null;
+
+    return {
+        id: row.id,
+        guildId: row.guild_id,
+        robloxUserId: row.roblox_user_id,
+        username: row.username,
+        charges: row.charges,
+        issuedBy: row.issued_by,
+        issuedById: row.issued_by_id,
+        issuedAt: row.issued_at,
+        expiresAt: row.expires_at,
+        status: row.status,
+        closedBy: row.closed_by,
+        closedById: row.closed_by_id,
+        closedAt: row.closed_at,
+        closeReason: row.close_reason
+    };
+}
+
+/**
+ * Mark active warrants past their expiry date as expired
+ * Called before every read so callers never see a stale "active" warrant
+ */
+function expireWarrants() {
+    getDb().prepare(`
+        UPDATE warrants
+        SET status = ?, closed_at = expires_at
+        WHERE status = ? AND expires_at IS NOT NULL AND expires_at <= ?
+    `).run(WARRANT_STATUS.EXPIRED, WARRANT_STATUS.ACTIVE, new Date().toISOString());
+}
+
+/**
+ * Issue a new warrant
+ * @param {Object} warrant - guildId, robloxUserId, username, charges, issuedBy, issuedById, expiryDays
+ * @returns {Object} - The stored warrant
+ */
+function issueWarrant({ guildId, robloxUserId, username, charges, issuedBy, issuedById, expiryDays = DEFAULT_EXPIRY_DAYS }) {
+    const issuedAt = new Date();
+    const expiresAt = expiryDays ? new Date(issuedAt.getTime() + expiryDays * 24 * 60 * 60 * 1000) : null;
+
+    const result = getDb().prepare(`
+        INSERT INTO warrants (guild_id, roblox_user_id, username, charges, issued_by, issued_by_id, issued_at, expires_at, status)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        guildId,
+        robloxUserId,
+        username,
+        charges,
+        issuedBy,
+        issuedById,
+        issuedAt.toISOString(),
+        expiresAt ? expiresAt.toISOString() : null,
+        WARRANT_STATUS.ACTIVE
+    );
+
+    return getWarrant(result.lastInsertRowid);
+}
+
+/**
+ * Get a warrant by ID
+ * @param {number} id
+ * @returns {Object|null}
+ */
+function getWarrant(id) {
+    expireWarrants();
+    return rowToWarrant(getDb().prepare('SELECT * FROM warrants WHERE id = ?').get(id));
+}
+
+/**
+ * Get the newest active warrant for a Roblox user in a guild
+ * @param {string} guildId
+ * @param {number} robloxUserId
+ * @returns {Object|null}
+ */
+function getActiveWarrant(guildId, robloxUserId) {
+    expireWarrants();
+    return rowToWarrant(getDb().prepare(`
+        SELECT * FROM warrants
+        WHERE guild_id = ? AND roblox_user_id = ? AND status = ?
+        ORDER BY issued_at DESC
+        LIMIT 1
+    `).get(guildId, robloxUserId, WARRANT_STATUS.ACTIVE));
+}
+
+/**
+ * List warrants, newest first
+ * @param {Object} filters - guildId (required), status, search (username substring)
+ * @param {number} limit
+ * @returns {Array<Object>}
+ */
+function listWarrants({ guildId, status, search }, limit = 25) {
+    expireWarrants();
+
+    const conditions = ['guild_id = @guildId'];
+    if (status) conditions.push('status = @status');
+    if (search) conditions.push("username LIKE @search ESCAPE '\\'");
+
+    return getDb().prepare(`
+        SELECT * FROM warrants
+        WHERE ${conditions.join(' AND ')}
+        ORDER BY issued_at DESC
+        LIMIT @limit
+    `).all({
+        guildId,
+        status: status || null,
+        search: search ? `%${search.replace(/[\\%_]/g, '\\$&')}%` : null,
+        limit
+    }).map(rowToWarrant);
+}
+
+/**
+ * Close an active warrant as served or revoked
+ * @param {number} id - Warrant ID
+ * @param {string} status - WARRANT_STATUS.SERVED or WARRANT_STATUS.REVOKED
+ * @param {Object} closedBy - { tag, id } of the closing officer
+ * @param {string} reason - Optional note
+ * @returns {Object|null} - Updated warrant, or null if it was not active
+ */
+function closeWarrant(id, status, closedBy, reason = null) {
+    expireWarrants();
+
+    const result = getDb().prepare(`
+        UPDATE warrants
+        SET status = ?, closed_by = ?, closed_by_id = ?, closed_at = ?, close_reason = ?
+        WHERE id = ? AND status = ?
+    `).run(status, closedBy.tag, closedBy.id, new Date().toISOString(), reason, id, WARRANT_STATUS.ACTIVE);
+
+    return result.changes > 0 ? getWarrant(id) : null;
+}
+
+module.exports = {
+    issueWarrant,
+    getWarrant,
+    getActiveWarrant,
+    listWarrants,
+    closeWarrant,
+    WARRANT_STATUS,
+    DEFAULT_EXPIRY_DAYS
+};
@@ -0,0 +1,121 @@
+const { getDb } = require('./storage');
+const { getActiveWarrant } = require('./warrants');
+
+/**
+ * Watch waitlist
+ * /watch requests that would exceed the server limit or the officer's quota are
+ * queued here and started by the watch command when a slot frees up. Queued
+ * watches are served by priority tier, then in the order they were queued.
+ */
+
+// Higher rank is served first. A watch is warrant-linked if the suspect has an
+// active warrant when the queue is read, so issuing one bumps a queued request.
+const WATCH_PRIORITY = {
+    WARRANT: { rank: 2, label: 'Warrant' },
+    STANDARD: { rank: 1, label: 'Standard' }
+};
+
+function rowToEntry(row) {
+    const warrant = getActiveWarrant(row.guild_id, row.roblox_user_id);
+    return {
+        id: row.id,
+        guildId: row.guild_id,
+        robloxUserId: row.roblox_user_id,
+        username: row.username,
+        hours: row.hours,
+        alertKinds: row.alert_kinds ? row.alert_kinds.split(',') : null,
+        trackedOnly: row.tracked_only === 1,
+        requestedBy: row.requested_by,
+        requestedById: row.requested_by_id,
+        queuedAt: row.queued_at,
+        warrantId: warrant?.id || null,
+        priority: warrant ? WATCH_PRIORITY.WARRANT : WATCH_PRIORITY.STANDARD
+    };
+}
+
+/**
+ * A guild's queued watches in the order they will be started
+ * @param {string} guildId
+ * @returns {Array<Object>}
+ */
+function getQueuedWatches(guildId) {
+    const rows = getDb().prepare('SELECT * FROM watch_queue WHERE guild_id = ? ORDER BY queued_at, id').all(guildId);
+    // Stable sort keeps queue order within a tier
+    return rows.map(rowToEntry).sort((a, b) => b.priority.rank - a.priority.rank);
+}
+
+/**
+ * Guilds with anything queued, for resuming the queue on startup
+ * @returns {Array<string>}
+ */
+function getQueuedGuildIds() {
+    return getDb().prepare('SELECT DISTINCT guild_id FROM watch_queue').all().map(row => row.guild_id);
+}
+
+/**
+ * Find a guild's queued watch by username or Roblox user ID
+ * @param {string} guildId
+ * @param {string|number} usernameOrId
+ * @returns {Object|null}
+ */
+function findQueuedWatch(guildId, usernameOrId) {
+    const query = String(usernameOrId).trim().toLowerCase();
+    return getQueuedWatches(guildId).find(entry =>
+        String(entry.robloxUserId) === query || entry.username.toLowerCase() === query
+    ) || null;
+}
+
+/**
+ * 1-based position of a queued watch
+ * @param {Object} entry
+ * @returns {number}
+ */
+function getQueuePosition(entry) {
+    return getQueuedWatches(entry.guildId).findIndex(queued => queued.id === entry.id) + 1;
+}
+
+/**
+ * Queue a watch request
+ * @param {Object} request - guildId, robloxUserId, username, hours, alertKinds, trackedOnly, requestedBy, requestedById
+ * @returns {Object|null} - The queued entry, or null if the suspect is already queued in this guild
+ */
+function enqueueWatch({ guildId, robloxUserId, username, hours, alertKinds, trackedOnly = false, requestedBy, requestedById }) {
+    const result = getDb().prepare(`
+        INSERT INTO watch_queue (guild_id, roblox_user_id, username, hours, alert_kinds, tracked_only,
+                                 requested_by, requested_by_id, queued_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (guild_id, roblox_user_id) DO NOTHING
+    `).run(
+        guildId,
+        robloxUserId,
+        username,
+        hours,
+        alertKinds ? alertKinds.join(',') : null,
+        trackedOnly ? 1 : 0,
+        requestedBy,
+        requestedById,
+        new Date().toISOString()
+    );
+    if (result.changes === 0) return null;
+
+    return rowToEntry(getDb().prepare('SELECT * FROM watch_queue WHERE id = ?').get(result.lastInsertRowid));
+}
+
+/**
+ * Remove a queued watch (started or cancelled)
+ * @param {number} id
+ * @returns {boolean} - True if it was queued
+ */
+function removeQueuedWatch(id) {
+    return getDb().prepare('DELETE FROM watch_queue WHERE id = ?').run(id).changes > 0;
+}
+
+module.exports = {
+    getQueuedWatches,
+    getQueuedGuildIds,
+    findQueuedWatch,
+    getQueuePosition,
+    enqueueWatch,
+    removeQueuedWatch,
+    WATCH_PRIORITY
+};
@@ -0,0 +1,164 @@
+const { EmbedBuilder } = require('discord.js');
+const { getDb, getTransitions } = require('./storage');
+const { buildSessions, formatDuration } = require('./history');
+
+/**
+ * End-of-watch reports
+ * When a watch ends - expired, stopped, cleared or its warrant served - its
+ * activity is summarised from the recorded transitions and archived here.
+ */
+
+// Why a watch ended
+const END_REASONS = {
+    EXPIRED: 'expired',
+    STOPPED: 'stopped',
+    CLEARED: 'cleared',
+    SERVED: 'warrant served'
+};
+
+const MAX_TRANSITIONS = 1000;
+
+function rowToReport(row) {
+    return {
+        id: row.id,
+        guildId: row.guild_id,
+        robloxUserId: row.roblox_user_id,
+        username: row.username,
+        startedBy: row.started_by,
+        startedById: row.started_by_id,
+        startTime: row.start_time,
+        endedAt: row.ended_at,
+        endReason: row.end_reason,
+        endedBy: row.ended_by,
+        warrantId: row.warrant_id,
+        onlineMs: row.online_ms,
+        sessionCount: row.session_count,
+        games: row.games ? JSON.parse(row.games) : [],
+        alertsSent: row.alerts_sent,
+        checkFailures: row.check_failures
+    };
+}
+
+/**
+ * Summarise a watch that is ending
+ * Only this guild's transitions since the watch started are counted.
+ * @param {Object} watchData
+ * @param {Object} options - reason (END_REASONS), endedBy (officer tag, null when it expired)
+ * @returns {Object} - Report, not yet saved
+ */
+function buildWatchReport(watchData, { reason, endedBy = null }) {
+    const endedAt = new Date();
+    const transitions = getTransitions(watchData.guildId, watchData.robloxUserId, { since: new Date(watchData.startTime), limit: MAX_TRANSITIONS });
+    const sessions = buildSessions(transitions);
+
+    const games = [];
+    for (const session of sessions) {
+        for (const place of session.places) {
+            if (!games.includes(place)) games.push(place);
+        }
+    }
+
+    return {
+        guildId: watchData.guildId,
+        robloxUserId: watchData.robloxUserId,
+        username: watchData.username,
+        startedBy: watchData.startedBy,
+        startedById: watchData.startedById,
+        startTime: watchData.startTime,
+        endedAt: endedAt.toISOString(),
+        endReason: reason,
+        endedBy: endedBy,
+        warrantId: watchData.warrantId || null,
+        onlineMs: sessions.reduce((total, session) => total + ((session.end || endedAt) - session.start), 0),
+        sessionCount: sessions.length,
+        games: games,
+        alertsSent: watchData.alertsSent || 0,
+        checkFailures: watchData.checkFailures || 0
+    };
+}
+
+/**
+ * Archive a report
+ * @param {Object} report - From buildWatchReport
+ * @returns {Object} - The report with its ID
+ */
+function saveWatchReport(report) {
+    const result = getDb().prepare(`
+        INSERT INTO watch_reports (guild_id, roblox_user_id, username, started_by, started_by_id, start_time,
+                                   ended_at, end_reason, ended_by, warrant_id, online_ms, session_count, games,
+                                   alerts_sent, check_failures)
+        VALUES (@guildId, @robloxUserId, @username, @startedBy, @startedById, @startTime,
+                @endedAt, @endReason, @endedBy, @warrantId, @onlineMs, @sessionCount, @games,
+                @alertsSent, @checkFailures)
+    `).run({ ...report, games: report.games.length > 0 ? JSON.stringify(report.games) : null });
+
+    return { ...report, id: Number(result.lastInsertRowid) };
+}
+
+/**
+ * A guild's archived reports for a suspect, newest first
+ * @param {string} guildId
+ * @param {string|number} usernameOrId - Name the watch ended under, or Roblox user ID
+ * @param {number} limit
+ * @returns {Array<Object>}
+ */
+function getWatchReports(guildId, usernameOrId, limit = 25) {
+    const query = String(usernameOrId).trim();
+    return getDb().prepare(`
+        SELECT * FROM watch_reports
+        WHERE guild_id = ? AND (username = ? COLLATE NOCASE OR roblox_user_id = ?)
+        ORDER BY ended_at DESC, id DESC
+        LIMIT ?
+    `).all(guildId, query, /^\d+$/.test(query) ? Number(query) : -1, limit).map(rowToReport);
+}
+
+function describeEnd(report) {
+    switch (report.endReason) {
+        case END_REASONS.EXPIRED:
+            return 'expired';
+        case END_REASONS.CLEARED:
+            return `was cleared by ${report.endedBy}`;
+        case END_REASONS.SERVED:
+            return `ended when ${report.endedBy} served the warrant`;
+        default:
+            return `was stopped by ${report.endedBy}`;
+    }
+}
+
+/**
+ * Embed for a report
+ * @param {Object} report
+ * @returns {EmbedBuilder}
+ */
+function buildReportEmbed(report) {
+    const watchedMs = new Date(report.endedAt) - new Date(report.startTime);
+
+    const embed = new EmbedBuilder()
+        .setTitle(`📄 Watch Report: ${report.username}`)
+        .setColor(0x5865F2)
+        .setDescription(`The watch ${describeEnd(report)} after ${formatDuration(watchedMs)}`)
+        .addFields(
+            { name: '🟢 Online Time', value: formatDuration(report.onlineMs), inline: true },
+            { name: '📈 Sessions', value: String(report.sessionCount), inline: true },
+            { name: '🚨 Alerts Sent', value: String(report.alertsSent), inline: true },
+            { name: '🎮 Games Visited', value: (report.games.join(', ') || 'None').slice(0, 1024), inline: false },
+            { name: '⚠️ Check Failures', value: String(report.checkFailures), inline: true },
+            { name: '👮 Started By', value: report.startedBy, inline: true }
+        )
+        .setFooter({ text: `Report #${report.id}` })
+        .setTimestamp(new Date(report.endedAt));
+
+    if (report.warrantId) {
+        embed.addFields({ name: '📜 Linked Warrant', value: `#${report.warrantId}`, inline: true });
+    }
+
+    return embed;
+}
+
+module.exports = {
+    buildWatchReport,
+    saveWatchReport,
+    getWatchReports,
+    buildReportEmbed,
+    END_REASONS
+};
@@ -0,0 +1,45 @@
+const express = require('express');
+const { getHealthReport, registerHealthGauges } = require('./health');
+const { renderMetrics, CONTENT_TYPE } = require('./metrics');
+
+/**
+ * Build the Express app for uptime monitoring
+ * / is kept for existing monitors; /healthz and /readyz answer 503 with the
+ * failing checks so a monitor can tell why the bot is unhealthy.
+ * @param {Client} client - Discord client
+ * @returns {Express} - The app, not yet listening
+ */
+function createWebServer(client) {
+    const app = express();
+    registerHealthGauges(client);
+
+    app.get('/', (req, res) => {
+        res.send('🤖 FBI Warrant Bot is running!');
+    });
+
+    app.get('/healthz', (req, res) => {
+        const { live, checks } = getHealthReport(client);
+        res.status(live ? 200 : 503).json({
+            status: live ? 'ok' : 'unhealthy',
+            checks: { gateway: checks.gateway, watchLoop: checks.watchLoop }
+        });
+    });
+
+    app.get('/readyz', (req, res) => {
+        const { ready, checks } = getHealthReport(client);
+        res.status(ready ? 200 : 503).json({
+            status: ready ? 'ok' : 'not ready',
+            checks
+        });
+    });
+
+    app.get('/metrics', (req, res) => {
+        res.set('Content-Type', CONTENT_TYPE).send(renderMetrics());
+    });
+
+    return app;
+}
+
+module.exports = {
+    createWebServer
+};